@@ -1,11 +1,20 @@
 import express from 'express'
 import cors from 'cors'
+import { createHash, createHmac, randomUUID } from 'crypto'
+import { lookup } from 'dns/promises'
+import { existsSync, readdirSync, readFileSync } from 'fs'
+import { mkdir, readdir, readFile, rename, rm, writeFile } from 'fs/promises'
+import { BlockList, isIP } from 'net'
+import path from 'path'
+import { deflateRawSync } from 'zlib'
 
 const app = express()
 const PORT = process.env.PORT || 3001
 const GROQ_API_KEY = process.env.GROQ_API_KEY
+const CAPSULES_DIR = process.env.CAPSULES_DIR || 'capsules'
 
 app.use(cors())
+app.use(authenticate)
 app.use(express.json({ limit: '10mb' }))
 
 // ============================================
@@ -22,63 +31,607 @@ const schema = {
       enum: ['string', 'number', 'boolean', 'color', 'size', 'spacing', 'icon', 'image', 'action', 'array', 'object', 'select', 'slot']
     },
     Platform: {
-      enum: ['web', 'ios', 'android', 'desktop']
+      enum: ['web', 'ios', 'android', 'desktop', 'flutter', 'react-native']
+    },
+    Color: {
+      type: 'string',
+      pattern: '^#([0-9A-Fa-f]{3}|[0-9A-Fa-f]{6}|[0-9A-Fa-f]{8})$'
+    },
+    Theme: {
+      type: 'object',
+      properties: {
+        name: { type: 'string' },
+        colors: { $ref: '#/definitions/ColorTokens' },
+        darkColors: { $ref: '#/definitions/ColorTokens' },
+        typography: {
+          type: 'object',
+          properties: {
+            fontFamily: { type: 'string', minLength: 1 },
+            title: { $ref: '#/definitions/TextStyle' },
+            heading: { $ref: '#/definitions/TextStyle' },
+            subheading: { $ref: '#/definitions/TextStyle' },
+            body: { $ref: '#/definitions/TextStyle' },
+            caption: { $ref: '#/definitions/TextStyle' }
+          },
+          additionalProperties: false
+        },
+        spacing: { $ref: '#/definitions/TokenScale' },
+        radii: { $ref: '#/definitions/TokenScale' },
+        elevation: { $ref: '#/definitions/TokenScale' }
+      }
+    },
+    // Colors are hex values, optionally grouped one level deep ({ text: { primary } })
+    ColorTokens: {
+      type: 'object',
+      propertyNames: { pattern: '^[a-z][A-Za-z0-9]*$' },
+      additionalProperties: {
+        anyOf: [
+          { $ref: '#/definitions/Color' },
+          { type: 'object', propertyNames: { pattern: '^[a-z][A-Za-z0-9]*$' }, additionalProperties: { $ref: '#/definitions/Color' } }
+        ]
+      }
+    },
+    TextStyle: {
+      type: 'object',
+      properties: {
+        size: { type: 'number', minimum: 1 },
+        weight: { enum: ['regular', 'medium', 'semibold', 'bold'] },
+        lineHeight: { type: 'number', minimum: 1 }
+      },
+      additionalProperties: false
+    },
+    // Named sizes in points/dp/px, e.g. { sm: 8, md: 16 }
+    TokenScale: {
+      type: 'object',
+      propertyNames: { pattern: '^[a-z][A-Za-z0-9]*$' },
+      additionalProperties: { type: 'number', minimum: 0 }
+    },
+    // Gap or padding of a layout capsule: a theme spacing token name or points
+    LayoutSpacing: {
+      anyOf: [
+        { type: 'number', minimum: 0 },
+        { type: 'string', pattern: '^[a-z][A-Za-z0-9]*$' }
+      ]
+    },
+    PlatformConfig: {
+      type: 'object',
+      properties: {
+        ios: {
+          type: 'object',
+          properties: {
+            bundleId: { type: 'string', pattern: '^[A-Za-z0-9-]+(\\.[A-Za-z0-9-]+)+$' },
+            displayName: { type: 'string', minLength: 1 },
+            deploymentTarget: { type: 'string', pattern: '^\\d+\\.\\d+$' },
+            teamId: { type: 'string' }
+          }
+        },
+        android: {
+          type: 'object',
+          properties: {
+            packageName: { type: 'string', pattern: '^[a-z][a-z0-9_]*(\\.[a-z][a-z0-9_]*)+$' },
+            appName: { type: 'string', minLength: 1 },
+            minSdk: { type: 'integer' },
+            targetSdk: { type: 'integer' },
+            versionCode: { type: 'integer' }
+          }
+        },
+        web: {
+          type: 'object',
+          properties: {
+            title: { type: 'string' }
+          }
+        },
+        desktop: {
+          type: 'object',
+          properties: {
+            framework: { type: 'string', enum: ['electron', 'tauri'] },
+            appId: { type: 'string', pattern: '^[A-Za-z0-9-]+(\\.[A-Za-z0-9-]+)+$' },
+            windowTitle: { type: 'string', minLength: 1 },
+            width: { type: 'integer', minimum: 320 },
+            height: { type: 'integer', minimum: 240 },
+            minWidth: { type: 'integer', minimum: 0 },
+            minHeight: { type: 'integer', minimum: 0 },
+            resizable: { type: 'boolean' }
+          }
+        }
+      }
+    },
+    Navigation: {
+      type: 'object',
+      properties: {
+        type: { enum: ['stack', 'tabs'] },
+        initialScreen: { type: 'string', pattern: '^[a-z][a-z0-9-]*$' },
+        tabs: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['screen'],
+            properties: {
+              screen: { type: 'string', pattern: '^[a-z][a-z0-9-]*$' },
+              label: { type: 'string' },
+              icon: { type: 'string' }
+            }
+          }
+        }
+      }
+    },
+    StateField: {
+      type: 'object',
+      required: ['type'],
+      properties: {
+        type: { enum: ['string', 'number', 'boolean', 'array', 'object'] },
+        items: { enum: ['string', 'number', 'boolean', 'object'] },
+        fields: { $ref: '#/definitions/RecordFields' },
+        default: {}
+      }
+    },
+    RecordFields: {
+      type: 'object',
+      additionalProperties: { enum: ['string', 'number', 'boolean'] }
+    },
+    DataSource: {
+      anyOf: [
+        { type: 'array' },
+        { type: 'string', pattern: '^\\{\\{\\s*state\\.[a-z][A-Za-z0-9]*\\s*\\}\\}$' },
+        {
+          type: 'object',
+          properties: {
+            state: { type: 'string', pattern: '^[a-z][A-Za-z0-9]*$' },
+            endpoint: { type: 'string' },
+            fields: { $ref: '#/definitions/RecordFields' }
+          }
+        }
+      ]
+    },
+    ActionObject: {
+      type: 'object',
+      required: ['type'],
+      properties: {
+        type: { enum: ['setState', 'toggle', 'navigate', 'back', 'showModal', 'hideModal', 'submitForm', 'callApi'] },
+        key: { type: 'string', pattern: '^[a-z][A-Za-z0-9]*$' },
+        value: {},
+        screen: { type: 'string', pattern: '^[a-z][a-z0-9-]*$' },
+        modal: { type: 'string', pattern: '^[a-z][a-z0-9-]*$' },
+        form: { type: 'string', pattern: '^[a-z][a-z0-9-]*$' },
+        endpoint: { type: 'string' },
+        body: { type: 'object' },
+        resultKey: { type: 'string', pattern: '^[a-z][A-Za-z0-9]*$' }
+      }
+    },
+    // Rules an input checks before its form can be submitted; match is the
+    // id of another input that must hold the same value
+    InputValidation: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        required: { type: 'boolean' },
+        email: { type: 'boolean' },
+        minLength: { type: 'integer', minimum: 0 },
+        maxLength: { type: 'integer', minimum: 1 },
+        pattern: { type: 'string', minLength: 1 },
+        match: { type: 'string', pattern: '^[a-z][a-z0-9-]*$' },
+        messages: {
+          type: 'object',
+          additionalProperties: false,
+          properties: Object.fromEntries(['required', 'email', 'minLength', 'maxLength', 'pattern', 'match'].map(rule => [rule, { type: 'string' }]))
+        }
+      }
+    },
+    // What screen readers announce for a capsule; unset fields fall back to
+    // what its other props imply (an image's alt, an input's label)
+    Accessibility: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        label: { type: 'string', minLength: 1 },
+        hint: { type: 'string', minLength: 1 },
+        role: { enum: ['button', 'link', 'image', 'heading'] },
+        heading: { enum: [1, 2, 3, 4, 5, 6] },
+        hidden: { type: 'boolean' }
+      }
+    },
+    ActionShorthand: {
+      type: 'string',
+      pattern: '^(navigate:[a-z][a-z0-9-]*|back)$'
+    },
+    Action: {
+      anyOf: [
+        { $ref: '#/definitions/ActionShorthand' },
+        { $ref: '#/definitions/ActionObject' },
+        {
+          type: 'array',
+          items: {
+            anyOf: [
+              { $ref: '#/definitions/ActionShorthand' },
+              { $ref: '#/definitions/ActionObject' }
+            ]
+          }
+        }
+      ]
+    },
+    Api: {
+      type: 'object',
+      properties: {
+        baseUrl: { type: 'string', pattern: '^https?://' },
+        endpoints: {
+          type: 'object',
+          additionalProperties: {
+            type: 'object',
+            required: ['path'],
+            properties: {
+              method: { enum: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'] },
+              path: { type: 'string', pattern: '^/' }
+            }
+          }
+        }
+      }
+    },
+    Screen: {
+      type: 'object',
+      required: ['id', 'name', 'root'],
+      properties: {
+        id: { type: 'string', pattern: '^[a-z][a-z0-9-]*$' },
+        name: { type: 'string', minLength: 1 },
+        icon: { type: 'string' },
+        state: {
+          type: 'object',
+          propertyNames: { pattern: '^[a-z][A-Za-z0-9]*$' },
+          additionalProperties: { $ref: '#/definitions/StateField' }
+        },
+        root: { $ref: '#/definitions/CapsuleInstance' }
+      }
     },
     CapsuleInstance: {
       type: 'object',
       required: ['id', 'capsuleId', 'props'],
       properties: {
         id: { type: 'string', pattern: '^[a-z][a-z0-9-]*$' },
-        capsuleId: {
-          type: 'string',
-          enum: [
-            'button', 'text', 'input', 'card', 'image', 'list', 'modal', 'form',
-            'navigation', 'auth-screen', 'chart', 'skeleton', 'switch', 'slider',
-            'tabs', 'accordion', 'dropdown', 'datepicker', 'progress', 'tooltip',
-            'table', 'searchbar', 'rating', 'stepper', 'chip', 'divider',
-            'calendar', 'file-upload', 'carousel', 'timeline', 'bottom-sheet',
-            'popover', 'color-picker', 'rich-text-editor', 'signature', 'map',
-            'video', 'audio', 'data-table', 'kanban', 'chat', 'qrcode', 'scanner',
-            'pdf-viewer', 'notifications', 'webview', 'biometrics', 'location',
-            'camera', 'social-share'
-          ]
+        // Filled from the capsule registry (see registerCapsule)
+        capsuleId: { type: 'string', enum: [] },
+        props: {
+          type: 'object',
+          properties: {
+            onPress: { $ref: '#/definitions/Action' },
+            onSubmit: { $ref: '#/definitions/Action' },
+            onSend: { $ref: '#/definitions/Action' },
+            onSuccess: { $ref: '#/definitions/Action' },
+            bind: { type: 'string', pattern: '^[a-z][A-Za-z0-9]*$' },
+            dataSource: { $ref: '#/definitions/DataSource' },
+            alignment: {
+              type: 'string',
+              enum: ['start', 'center', 'end', 'top', 'bottom', 'top-start', 'top-end', 'bottom-start', 'bottom-end']
+            },
+            gap: { $ref: '#/definitions/LayoutSpacing' },
+            padding: { $ref: '#/definitions/LayoutSpacing' },
+            flex: { type: 'number', minimum: 0 },
+            direction: { type: 'string', enum: ['vertical', 'horizontal'] },
+            accessibility: { $ref: '#/definitions/Accessibility' }
+          },
+          additionalProperties: true
         },
-        props: { type: 'object', additionalProperties: true },
         children: { type: 'array', items: { $ref: '#/definitions/CapsuleInstance' } }
-      }
-    }
+      },
+      // One { if capsuleId, then props } entry per registered capsule
+      allOf: []
+    },
+    // Props schema of each registered capsule, by capsule id
+    CapsuleProps: {}
   },
   type: 'object',
   required: ['name', 'version', 'targets', 'screens', 'theme'],
   properties: {
     name: { type: 'string', pattern: '^[A-Za-z][A-Za-z0-9 -]*$' },
     version: { type: 'string', pattern: '^\\d+\\.\\d+\\.\\d+$' },
-    targets: { type: 'array', items: { $ref: '#/definitions/Platform' } },
-    screens: { type: 'array', items: { type: 'object' } },
-    theme: { type: 'object' }
+    targets: { type: 'array', minItems: 1, uniqueItems: true, items: { $ref: '#/definitions/Platform' } },
+    screens: { type: 'array', minItems: 1, items: { $ref: '#/definitions/Screen' } },
+    theme: { $ref: '#/definitions/Theme' },
+    navigation: { $ref: '#/definitions/Navigation' },
+    platformConfig: { $ref: '#/definitions/PlatformConfig' },
+    api: { $ref: '#/definitions/Api' }
   },
   examples: [
     {
       name: 'Todo App',
       version: '1.0.0',
       targets: ['ios', 'android'],
-      theme: { name: 'Default', colors: { primary: '#6366F1', secondary: '#8B5CF6', background: '#FFFFFF' } },
+      theme: {
+        name: 'Default',
+        colors: { primary: '#4F46E5', secondary: '#8B5CF6', background: '#FFFFFF', text: { primary: '#1E293B' } },
+        darkColors: { background: '#0F172A', text: { primary: '#F1F5F9' } },
+        typography: { fontFamily: 'Inter', heading: { size: 24, weight: 'bold' } },
+        radii: { md: 10 }
+      },
       screens: [{ id: 'home', name: 'Home', root: { id: 'card', capsuleId: 'card', props: { title: 'Tasks' }, children: [] } }]
     }
   ]
 }
 
+// ============================================
+// VALIDATION
+// ============================================
+
+// Human hints for the patterns used in the schema, keyed by the pattern source
+const PATTERN_HINTS = {
+  '^[a-z][a-z0-9-]*$': 'Use lowercase kebab-case starting with a letter, e.g. "login-button"',
+  '^[A-Za-z][A-Za-z0-9 -]*$': 'Start with a letter and use only letters, digits, spaces and dashes',
+  '^\\d+\\.\\d+\\.\\d+$': 'Use semantic versioning, e.g. "1.0.0"',
+  '^#([0-9A-Fa-f]{3}|[0-9A-Fa-f]{6}|[0-9A-Fa-f]{8})$': 'Use a hex color such as "#6366F1"',
+  '^[A-Za-z0-9-]+(\\.[A-Za-z0-9-]+)+$': 'Use a reverse-DNS bundle id, e.g. "com.example.todo"',
+  '^[a-z][a-z0-9_]*(\\.[a-z][a-z0-9_]*)+$': 'Use a lowercase Java package name, e.g. "com.example.todo"',
+  '^\\d+\\.\\d+$': 'Use a major.minor version, e.g. "17.0"',
+  '^[a-z][A-Za-z0-9]*$': 'Use a camelCase name starting with a lowercase letter, e.g. "darkMode"',
+  '^(navigate:[a-z][a-z0-9-]*|back)$': 'Use "navigate:<screen-id>", "back" or an action object such as { "type": "toggle", "key": "darkMode" }',
+  '^https?://': 'Use an absolute http(s) URL',
+  '^/': 'Start the path with "/"',
+  '^\\{\\{\\s*state\\.[a-z][A-Za-z0-9]*\\s*\\}\\}$': 'Use an inline array, "{{state.<field>}}" or { "endpoint": "<name>" }'
+}
+
+function validateProject(project) {
+  const errors = []
+  validateNode(project, schema, '', errors)
+
+  // Uniqueness and cross references can't be expressed in draft-07
+  if (errors.length === 0) {
+    const screenIds = new Set(project.screens.map(s => s.id))
+    const checkScreen = (id, path) => {
+      if (!screenIds.has(id)) {
+        errors.push(validationError(path, 'reference', `unknown screen "${id}"`, `Use one of: ${[...screenIds].join(', ')}`))
+      }
+    }
+
+    const seenScreens = new Set()
+    project.screens.forEach((screen, i) => {
+      if (seenScreens.has(screen.id)) {
+        errors.push(validationError(`/screens/${i}/id`, 'unique', `duplicate screen id "${screen.id}"`, 'Give every screen a unique id'))
+      }
+      seenScreens.add(screen.id)
+
+      const capsuleIds = new Set()
+      walkCapsules(screen.root, `/screens/${i}/root`, (instance, path) => {
+        if (capsuleIds.has(instance.id)) {
+          errors.push(validationError(`${path}/id`, 'unique', `duplicate capsule id "${instance.id}" in screen "${screen.id}"`, 'Give every capsule in a screen a unique id'))
+        }
+        capsuleIds.add(instance.id)
+      })
+
+      errors.push(...validateScreenActions(project, screen, `/screens/${i}`, checkScreen))
+    })
+
+    const navigation = project.navigation || {}
+    if (navigation.initialScreen) checkScreen(navigation.initialScreen, '/navigation/initialScreen')
+    navigation.tabs?.forEach((tab, i) => checkScreen(tab.screen, `/navigation/tabs/${i}/screen`))
+  }
+
+  return { valid: errors.length === 0, errors }
+}
+
+// Actions and {{state.x}} templates must point at things that exist in the screen or project
+function validateScreenActions(project, screen, screenPath, checkScreen) {
+  const errors = []
+  const state = screenState(screen)
+  const keys = Object.keys(state)
+  const endpoints = Object.keys(project.api?.endpoints || {})
+  const stateHint = keys.length > 0 ? `Declare it in the screen's "state" or use one of: ${keys.join(', ')}` : 'Declare it in the screen\'s "state"'
+  const capsuleOfType = (id, capsuleId) => findCapsule(screen.root, id)?.capsuleId === capsuleId
+
+  walkCapsules(screen.root, `${screenPath}/root`, (instance, path) => {
+    for (const prop of ACTION_PROPS) {
+      parseActions(instance.props[prop]).forEach(action => {
+        const actionPath = `${path}/props/${prop}`
+        const key = action.key && memberName(action.key)
+
+        if (action.type === 'navigate') checkScreen(action.screen, actionPath)
+        if ((action.type === 'setState' || action.type === 'toggle') && !state[key]) {
+          errors.push(validationError(actionPath, 'reference', `unknown state field "${action.key}"`, stateHint))
+        }
+        if (action.type === 'toggle' && state[key] && state[key].type !== 'boolean') {
+          errors.push(validationError(actionPath, 'type', `"${action.key}" is not a boolean and can't be toggled`, 'Use setState instead'))
+        }
+        if (action.type === 'showModal' && !MODAL_CAPSULES.some(capsuleId => capsuleOfType(action.modal, capsuleId))) {
+          errors.push(validationError(actionPath, 'reference', `unknown modal "${action.modal}"`, 'Reference the id of a modal or bottom-sheet capsule on this screen'))
+        }
+        if (action.type === 'submitForm' && !capsuleOfType(action.form, 'form')) {
+          errors.push(validationError(actionPath, 'reference', `unknown form "${action.form}"`, 'Reference the id of a form capsule on this screen'))
+        }
+        if (action.type === 'callApi' && !endpoints.includes(action.endpoint)) {
+          errors.push(validationError(actionPath, 'reference', `unknown endpoint "${action.endpoint}"`, endpoints.length > 0 ? `Use one of: ${endpoints.join(', ')}` : 'Declare it in "api.endpoints"'))
+        }
+        if (action.type === 'callApi' && action.resultKey && !state[memberName(action.resultKey)]) {
+          errors.push(validationError(actionPath, 'reference', `unknown state field "${action.resultKey}"`, stateHint))
+        }
+      })
+    }
+
+    if (instance.capsuleId === 'input' && instance.props.validation) {
+      const { pattern, match, minLength, maxLength } = instance.props.validation
+      const validationPath = `${path}/props/validation`
+      if (pattern !== undefined && !isRegExp(pattern)) {
+        errors.push(validationError(`${validationPath}/pattern`, 'pattern', `"${pattern}" is not a valid regular expression`, 'Use a JavaScript regular expression without the surrounding slashes'))
+      }
+      if (match !== undefined && (match === instance.id || !capsuleOfType(match, 'input'))) {
+        errors.push(validationError(`${validationPath}/match`, 'reference', `unknown input "${match}"`, 'Reference the id of another input on this screen'))
+      }
+      if (minLength > maxLength) {
+        errors.push(validationError(`${validationPath}/minLength`, 'range', `minLength ${minLength} is more than maxLength ${maxLength}`, 'Lower minLength or raise maxLength'))
+      }
+    }
+
+    if (DATA_CAPSULES.includes(instance.capsuleId)) {
+      const source = dataSource(instance)
+      const sourcePath = `${path}/props/dataSource`
+      if (source.state && state[memberName(source.state)]?.type !== 'array') {
+        errors.push(validationError(sourcePath, 'reference', state[memberName(source.state)] ? `"${source.state}" is not an array` : `unknown state field "${source.state}"`, 'Reference a state field of type "array"'))
+      }
+      if (source.endpoint && !endpoints.includes(source.endpoint)) {
+        errors.push(validationError(sourcePath, 'reference', `unknown endpoint "${source.endpoint}"`, endpoints.length > 0 ? `Use one of: ${endpoints.join(', ')}` : 'Declare it in "api.endpoints"'))
+      }
+    }
+
+    for (const [prop, value] of Object.entries(instance.props)) {
+      if (typeof value !== 'string') continue
+      for (const match of value.matchAll(/\{\{\s*state\.([A-Za-z][A-Za-z0-9]*)\s*\}\}/g)) {
+        if (!state[memberName(match[1])]) {
+          errors.push(validationError(`${path}/props/${escapePointer(prop)}`, 'reference', `unknown state field "${match[1]}"`, stateHint))
+        }
+      }
+    }
+  })
+
+  return errors
+}
+
+function isRegExp(pattern) {
+  try {
+    new RegExp(pattern)
+    return true
+  } catch {
+    return false
+  }
+}
+
+function validateNode(value, node, path, errors) {
+  if (node.$ref) {
+    return validateNode(value, resolveRef(node.$ref), path, errors)
+  }
+
+  if (node.anyOf) {
+    const attempts = node.anyOf.map(option => {
+      const optionErrors = []
+      validateNode(value, option, path, optionErrors)
+      return optionErrors
+    })
+    if (attempts.some(optionErrors => optionErrors.length === 0)) return
+
+    // When only one option has the right shape, its errors are the useful ones
+    const sameType = attempts.filter(optionErrors => !optionErrors.some(e => e.path === (path || '/') && e.rule === 'type'))
+    if (sameType.length === 1) {
+      errors.push(...sameType[0])
+    } else {
+      errors.push(validationError(path, 'anyOf', 'does not match any of the allowed shapes', 'Check the allowed shapes for this field in GET /schema'))
+    }
+    return
+  }
+
+  if (node.enum && !node.enum.includes(value)) {
+    const options = node.enum.length > 12 ? `${node.enum.slice(0, 12).join(', ')}, ... (see GET /schema)` : node.enum.join(', ')
+    errors.push(validationError(path, 'enum', `${JSON.stringify(value)} is not an allowed value`, `Use one of: ${options}`))
+    return
+  }
+
+  if (node.const !== undefined && value !== node.const) {
+    errors.push(validationError(path, 'const', `must be ${JSON.stringify(node.const)}`, `Use ${JSON.stringify(node.const)}`))
+    return
+  }
+
+  if (node.type && !matchesType(value, node.type)) {
+    errors.push(validationError(path, 'type', `must be ${node.type}, got ${typeOf(value)}`, `Provide a value of type ${node.type}`))
+    return
+  }
+
+  if (typeof value === 'string') {
+    if (node.minLength !== undefined && value.length < node.minLength) {
+      errors.push(validationError(path, 'minLength', `must be at least ${node.minLength} characters`, 'Provide a non-empty value'))
+    }
+    if (node.pattern && !new RegExp(node.pattern).test(value)) {
+      errors.push(validationError(path, 'pattern', `${JSON.stringify(value)} does not match ${node.pattern}`, PATTERN_HINTS[node.pattern] || `Match the pattern ${node.pattern}`))
+    }
+  }
+
+  if (typeof value === 'number' && node.minimum !== undefined && value < node.minimum) {
+    errors.push(validationError(path, 'minimum', `must be at least ${node.minimum}`, `Use a value of ${node.minimum} or more`))
+  }
+
+  if (Array.isArray(value)) {
+    if (node.minItems !== undefined && value.length < node.minItems) {
+      errors.push(validationError(path, 'minItems', `must contain at least ${node.minItems} item(s)`, 'Add at least one entry'))
+    }
+    if (node.uniqueItems && new Set(value.map(v => JSON.stringify(v))).size !== value.length) {
+      errors.push(validationError(path, 'uniqueItems', 'must not contain duplicates', 'Remove the repeated entries'))
+    }
+    if (node.items) {
+      value.forEach((item, i) => validateNode(item, node.items, `${path}/${i}`, errors))
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    if (node.propertyNames) {
+      for (const key of Object.keys(value)) {
+        validateNode(key, node.propertyNames, `${path}/${escapePointer(key)}`, errors)
+      }
+    }
+    for (const key of node.required || []) {
+      if (value[key] === undefined) {
+        errors.push(validationError(`${path}/${escapePointer(key)}`, 'required', `missing required property "${key}"`, `Add "${key}" to this object`))
+      }
+    }
+    for (const [key, child] of Object.entries(value)) {
+      const childPath = `${path}/${escapePointer(key)}`
+      if (node.properties?.[key]) {
+        validateNode(child, node.properties[key], childPath, errors)
+      } else if (node.additionalProperties === false) {
+        errors.push(validationError(childPath, 'additionalProperties', `unknown property "${key}"`, 'Remove this property'))
+      } else if (typeof node.additionalProperties === 'object') {
+        validateNode(child, node.additionalProperties, childPath, errors)
+      }
+    }
+  }
+
+  // Conditional parts, e.g. the props schema of each registered capsule
+  for (const part of node.allOf || []) {
+    if (part.if) {
+      const conditionErrors = []
+      validateNode(value, part.if, path, conditionErrors)
+      if (conditionErrors.length === 0 && part.then) validateNode(value, part.then, path, errors)
+    } else {
+      validateNode(value, part, path, errors)
+    }
+  }
+}
+
+function resolveRef(ref) {
+  // Only local refs ("#/definitions/Name") are used in the schema
+  return ref.slice(2).split('/').reduce((node, key) => node[key], schema)
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value)
+  return actual === type || (type === 'number' && actual === 'integer')
+}
+
+function typeOf(value) {
+  if (value === null) return 'null'
+  if (Array.isArray(value)) return 'array'
+  if (Number.isInteger(value)) return 'integer'
+  return typeof value
+}
+
+function escapePointer(key) {
+  return String(key).replace(/~/g, '~0').replace(/\//g, '~1')
+}
+
+function validationError(path, rule, message, hint) {
+  return { path: path || '/', rule, message, hint }
+}
+
 // ============================================
 // CODE GENERATORS
 // ============================================
 
 function generateSwiftUI(project) {
   const files = []
-  const appName = project.name.replace(/\s+/g, '')
+  const appName = typeName(project.name)
+  const ios = project.platformConfig?.ios || {}
+  const config = {
+    bundleId: bundleIdentifier(ios.bundleId || `com.hublab.${appName.toLowerCase()}`),
+    displayName: ios.displayName || project.name,
+    deploymentTarget: ios.deploymentTarget || '17.0',
+    teamId: ios.teamId || '',
+    version: project.version || '1.0.0'
+  }
 
   // App entry point
   files.push({
-    path: `${appName}App.swift`,
+    path: `${appName}/${appName}App.swift`,
     language: 'swift',
     content: `import SwiftUI
 
@@ -92,32 +645,87 @@ struct ${appName}App: App {
 }`
   })
 
+  const nav = navigationModel(project)
+  const routeCases = project.screens.map(s => `    case ${memberName(s.id)}`).join('\n')
+  const routeViews = project.screens.map(s => `        case .${memberName(s.id)}: ${typeName(s.id)}View()`).join('\n')
+  const tabRoutes = nav.tabs.map(tab => `.${memberName(tab.screen.id)}`).join(', ')
+
+  // Router shared by every screen: tab selection plus one path per tab
+  // (a stack-navigated app is a single "tab" rooted at the initial screen)
+  files.push({
+    path: `${appName}/Navigation/Router.swift`,
+    language: 'swift',
+    content: `import SwiftUI
+
+enum Route: Hashable {
+${routeCases}
+
+    static let tabs: [Route] = [${tabRoutes}]
+
+    @ViewBuilder
+    var view: some View {
+        switch self {
+${routeViews}
+        }
+    }
+}
+
+@Observable
+final class Router {
+    var selectedTab: Route = .${memberName(nav.initial.id)}
+    var paths: [Route: NavigationPath] = [:]
+
+    func navigate(to route: Route) {
+        if Route.tabs.contains(route) {
+            selectedTab = route
+        } else {
+            paths[selectedTab, default: NavigationPath()].append(route)
+        }
+    }
+
+    func back() {
+        guard let path = paths[selectedTab], !path.isEmpty else { return }
+        paths[selectedTab]?.removeLast()
+    }
+
+    func path(for tab: Route) -> Binding<NavigationPath> {
+        Binding(
+            get: { self.paths[tab] ?? NavigationPath() },
+            set: { self.paths[tab] = $0 }
+        )
+    }
+}`
+  })
+
   // ContentView with navigation
-  const navType = project.navigation?.type || 'stack'
+  const stack = screen => `NavigationStack(path: router.path(for: .${memberName(screen.id)})) {
+                ${typeName(screen.id)}View()
+                    .navigationDestination(for: Route.self) { $0.view }
+            }`
   let contentBody = ''
 
-  if (navType === 'tabs' && project.screens.length > 1) {
-    const tabs = project.screens.map(s => {
-      const viewName = capitalize(s.id) + 'View'
-      return `            ${viewName}()
-                .tabItem {
-                    Label("${s.name}", systemImage: "star")
-                }`
-    }).join('\n')
-    contentBody = `TabView {\n${tabs}\n        }`
+  if (nav.type === 'tabs') {
+    const tabs = nav.tabs.map(tab => `            ${stack(tab.screen)}
+            .tabItem {
+                Label(${swiftString(tab.label)}, systemImage: ${swiftString(iconName(tab.icon, 'sf'))})
+            }
+            .tag(Route.${memberName(tab.screen.id)})`).join('\n')
+    contentBody = `TabView(selection: $router.selectedTab) {\n${tabs}\n        }`
   } else {
-    const initialView = capitalize(project.screens[0]?.id || 'Home') + 'View'
-    contentBody = `NavigationStack {\n            ${initialView}()\n        }`
+    contentBody = stack(nav.initial).replace(/\n {4}/g, '\n')
   }
 
   files.push({
-    path: 'ContentView.swift',
+    path: `${appName}/ContentView.swift`,
     language: 'swift',
     content: `import SwiftUI
 
 struct ContentView: View {
+    @State private var router = Router()
+
     var body: some View {
         ${contentBody}
+        .environment(router)
     }
 }
 
@@ -126,20 +734,65 @@ struct ContentView: View {
 }`
   })
 
+  if (Object.keys(project.api?.endpoints || {}).length > 0) {
+    files.push(generateSwiftAPIClient(project, appName))
+  }
+
   // Generate each screen
+  const screenContents = []
   for (const screen of project.screens) {
-    const viewName = capitalize(screen.id) + 'View'
-    const content = generateSwiftUIComponent(screen.root, project.theme)
+    const cached = cachedScreen('ios', project, screen)
+    if (cached.files) {
+      screenContents.push(cached.content)
+      files.push(...cached.files)
+      continue
+    }
+    const firstFile = files.length
+    const viewName = typeName(screen.id) + 'View'
+    const modelName = typeName(screen.id) + 'Model'
+    const state = screenState(screen)
+    const content = generateSwiftUIComponent(screen.root, { project, screen, nav, state })
+    screenContents.push(content)
+    const imports = [
+      'SwiftUI',
+      ...Object.entries(SWIFT_SCREEN_IMPORTS).filter(([, marker]) => content.includes(marker)).map(([framework]) => framework),
+      ...capsuleImports(screen.root, 'ios')
+    ].filter((name, i, all) => all.indexOf(name) === i)
+    const fields = Object.entries(state).map(([key, field]) => `    var ${key}: ${swiftType(field)} = ${swiftLiteral(field.default, field)}`)
+    const records = Object.values(state).filter(field => field.model).map(field => `${swiftRecordModel(field)}\n\n`).join('')
+    const validation = swiftValidation(screen)
+    const model = fields.length > 0
+      ? `${records}@Observable
+final class ${modelName} {
+${fields.join('\n')}${validation ? `\n\n${validation}` : ''}
+}
+
+`
+      : ''
+    const loaders = Object.entries(state).filter(([, field]) => field.endpoint).map(([key, field]) => {
+      const { method, path } = endpointFor({ endpoint: field.endpoint }, { project })
+      return `                if let result = try? await APIClient.shared.send(${swiftString(method)}, ${swiftString(path)}, body: nil, as: ${swiftType(field)}.self) { model.${key} = result }`
+    })
+    const task = loaders.length > 0
+      ? `
+            .task {
+                model.isLoading = true
+${loaders.join('\n')}
+                model.isLoading = false
+            }`
+      : ''
 
     files.push({
-      path: `${viewName}.swift`,
+      path: `${appName}/Screens/${viewName}.swift`,
       language: 'swift',
-      content: `import SwiftUI
+      content: `${imports.map(framework => `import ${framework}`).join('\n')}
+
+${model}struct ${viewName}: View {
+    @Environment(Router.self) private var router${model ? `\n    @State private var model = ${modelName}()` : ''}
 
-struct ${viewName}: View {
     var body: some View {
         ${content}
-            .navigationTitle("${screen.name}")
+            .navigationTitle(${swiftString(screen.name)})${task}
     }
 }
 
@@ -147,528 +800,12915 @@ struct ${viewName}: View {
     NavigationStack {
         ${viewName}()
     }
+    .environment(Router())
 }`
     })
+    cached.save(screenContents.at(-1), files.slice(firstFile))
   }
 
-  return files
-}
+  for (const [name, content] of Object.entries(SWIFT_COMPONENTS)) {
+    if (screenContents.some(c => c.includes(`${name}(`))) {
+      files.push({ path: `${appName}/Components/${name}.swift`, language: 'swift', content })
+    }
+  }
 
-function generateSwiftUIComponent(instance, theme) {
-  if (!instance) return 'EmptyView()'
+  files.push(generateSwiftTheme(appName, themeTokens(project.theme)))
+  files.push(...generateXcodeResources(appName, project))
+  const usage = Object.entries(platformRequirements(project, 'ios').usage)
+    .map(([key, text]) => `\n    <key>${key}</key>\n    <string>${xmlEscape(text)}</string>`).join('')
 
-  const { capsuleId, props, children } = instance
-  const childContent = children?.map(c => generateSwiftUIComponent(c, theme)).join('\n                ') || ''
+  files.push({
+    path: `${appName}/Info.plist`,
+    language: 'xml',
+    content: `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE plist PUBLIC "-//Apple//DTD PLIST 1.0//EN" "http://www.apple.com/DTDs/PropertyList-1.0.dtd">
+<plist version="1.0">
+<dict>
+    <key>CFBundleDevelopmentRegion</key>
+    <string>$(DEVELOPMENT_LANGUAGE)</string>
+    <key>CFBundleDisplayName</key>
+    <string>${xmlEscape(config.displayName)}</string>
+    <key>CFBundleExecutable</key>
+    <string>$(EXECUTABLE_NAME)</string>
+    <key>CFBundleIdentifier</key>
+    <string>$(PRODUCT_BUNDLE_IDENTIFIER)</string>
+    <key>CFBundleInfoDictionaryVersion</key>
+    <string>6.0</string>
+    <key>CFBundleName</key>
+    <string>$(PRODUCT_NAME)</string>
+    <key>CFBundlePackageType</key>
+    <string>APPL</string>
+    <key>CFBundleShortVersionString</key>
+    <string>$(MARKETING_VERSION)</string>
+    <key>CFBundleVersion</key>
+    <string>$(CURRENT_PROJECT_VERSION)</string>
+    <key>LSRequiresIPhoneOS</key>
+    <true/>
+    <key>UIApplicationSceneManifest</key>
+    <dict>
+        <key>UIApplicationSupportsMultipleScenes</key>
+        <true/>
+    </dict>
+    <key>UILaunchScreen</key>
+    <dict/>
+    <key>UISupportedInterfaceOrientations</key>
+    <array>
+        <string>UIInterfaceOrientationPortrait</string>
+        <string>UIInterfaceOrientationLandscapeLeft</string>
+        <string>UIInterfaceOrientationLandscapeRight</string>
+    </array>${usage}
+</dict>
+</plist>`
+  })
 
-  switch (capsuleId) {
-    case 'button':
-      return `Button(action: { /* ${props.onPress || 'action'} */ }) {
-            Text("${props.text || 'Button'}")
-        }
-        .buttonStyle(.borderedProminent)`
+  files.push({
+    path: `${appName}.xcodeproj/project.pbxproj`,
+    language: 'text',
+    content: generateXcodeProject(appName, files.map(f => f.path), config)
+  })
 
-    case 'text':
-      return `Text("${props.content || props.text || ''}")`
+  return files
+}
 
-    case 'input':
-      return `TextField("${props.placeholder || ''}", text: .constant(""))
-            .textFieldStyle(.roundedBorder)`
+function generateSwiftAPIClient(project, appName) {
+  return {
+    path: `${appName}/Networking/APIClient.swift`,
+    language: 'swift',
+    content: `import Foundation
 
-    case 'card':
-      return `VStack(alignment: .leading, spacing: 16) {
-            ${props.title ? `Text("${props.title}").font(.headline)` : ''}
-            ${childContent}
+final class APIClient {
+    static let shared = APIClient()
+
+    let baseURL = URL(string: ${swiftString(project.api?.baseUrl || 'https://api.example.com')})!
+
+    @discardableResult
+    func send(_ method: String, _ path: String, body: [String: Any]? = nil) async throws -> Data {
+        var request = URLRequest(url: baseURL.appendingPathComponent(path))
+        request.httpMethod = method
+        if let body {
+            request.setValue("application/json", forHTTPHeaderField: "Content-Type")
+            request.httpBody = try JSONSerialization.data(withJSONObject: body)
         }
-        .padding()
-        .background(Color(.systemBackground))
-        .cornerRadius(12)
-        .shadow(radius: 4)`
 
-    case 'list':
-      return `List {
-            ForEach(0..<5, id: \\.self) { index in
-                Text("Item \\(index + 1)")
-            }
+        let (data, response) = try await URLSession.shared.data(for: request)
+        guard let http = response as? HTTPURLResponse, (200..<300).contains(http.statusCode) else {
+            throw URLError(.badServerResponse)
         }
-        .listStyle(.plain)`
+        return data
+    }
 
-    case 'progress':
-      const value = (props.value || 50) / 100
-      return `ProgressView(value: ${value})
-            .progressViewStyle(.linear)`
+    func send<T: Decodable>(_ method: String, _ path: String, body: [String: Any]? = nil, as type: T.Type) async throws -> T {
+        try JSONDecoder().decode(T.self, from: await send(method, path, body: body))
+    }
+}`
+  }
+}
 
-    case 'switch':
-      return `Toggle("${props.label || ''}", isOn: .constant(${props.checked || false}))`
+function generateXcodeResources(appName, project) {
+  const tokens = themeTokens(project.theme)
+  const primary = tokens.colors.find(color => color.name === 'primary')
 
-    case 'chart':
-      return `// Chart - requires iOS 16+ and Charts framework
-        Chart {
-            // Add chart data
-        }
-        .frame(height: 200)`
+  return [
+    {
+      path: `${appName}/Assets.xcassets/Contents.json`,
+      language: 'json',
+      content: JSON.stringify({ info: { author: 'xcode', version: 1 } }, null, 2)
+    },
+    swiftColorAsset(appName, 'AccentColor', primary.light, primary.dark),
+    ...tokens.colors.map(color => swiftColorAsset(appName, typeName(color.name), color.light, color.dark)),
+    {
+      path: `${appName}/Assets.xcassets/AppIcon.appiconset/Contents.json`,
+      language: 'json',
+      content: JSON.stringify({
+        images: [{ idiom: 'universal', platform: 'ios', size: '1024x1024' }],
+        info: { author: 'xcode', version: 1 }
+      }, null, 2)
+    }
+  ]
+}
 
-    case 'searchbar':
-      return `TextField("${props.placeholder || 'Search...'}", text: .constant(""))
-            .textFieldStyle(.roundedBorder)
-            .overlay(
-                HStack {
-                    Image(systemName: "magnifyingglass")
-                        .foregroundColor(.gray)
-                        .padding(.leading, 8)
-                    Spacer()
-                }
-            )`
+// Minimal single-target iOS app project. Object ids are derived from the
+// file paths so regenerating the same project yields an identical pbxproj.
+function generateXcodeProject(appName, paths, config) {
+  const id = seed => createHash('sha1').update(`${appName}:${seed}`).digest('hex').slice(0, 24).toUpperCase()
+  const fileTypes = { swift: 'sourcecode.swift', xcassets: 'folder.assetcatalog', plist: 'text.plist.xml' }
+  const entries = [...new Set(paths
+    .filter(p => p.startsWith(`${appName}/`))
+    .map(p => p.slice(appName.length + 1).replace(/^(.*?\.xcassets)\/.*$/, '$1')))]
+    .filter(p => fileTypes[p.split('.').pop()])
+  const sources = entries.filter(p => p.endsWith('.swift'))
+  const resources = entries.filter(p => p.endsWith('.xcassets'))
+  const fileName = p => p.split('/').pop()
+  const dirName = p => p.split('/').slice(0, -1).join('/')
+  const dirs = [...new Set(entries.flatMap(p => p.split('/').slice(0, -1).map((_, i, parts) => parts.slice(0, i + 1).join('/'))))]
+  const groupChildren = dir => [
+    ...dirs.filter(d => dirName(d) === dir).map(d => id(`group:${d}`)),
+    ...entries.filter(p => dirName(p) === dir).map(p => id(`ref:${p}`))
+  ]
 
-    case 'slider':
-      return `Slider(value: .constant(${(props.value || 50) / 100}), in: ${props.min || 0}...${props.max || 100})`
+  const buildFile = (p, phase) => `\t\t${id(`build:${p}`)} /* ${fileName(p)} in ${phase} */ = {isa = PBXBuildFile; fileRef = ${id(`ref:${p}`)} /* ${fileName(p)} */; };`
+  const fileRef = (p, type) => `\t\t${id(`ref:${p}`)} /* ${fileName(p)} */ = {isa = PBXFileReference; lastKnownFileType = ${type}; path = ${pbxString(fileName(p))}; sourceTree = "<group>"; };`
+  const list = (items, indent = '\t\t\t\t') => items.map(item => `${indent}${item},`).join('\n')
 
-    case 'divider':
-      return `Divider()`
+  const targetSettings = buildType => `\t\t\tbuildSettings = {
+\t\t\t\tASSETCATALOG_COMPILER_APPICON_NAME = AppIcon;
+\t\t\t\tASSETCATALOG_COMPILER_GLOBAL_ACCENT_COLOR_NAME = AccentColor;
+\t\t\t\tCODE_SIGN_STYLE = Automatic;
+\t\t\t\tCURRENT_PROJECT_VERSION = 1;
+\t\t\t\tDEVELOPMENT_TEAM = ${pbxString(config.teamId)};
+\t\t\t\tENABLE_PREVIEWS = YES;
+\t\t\t\tGENERATE_INFOPLIST_FILE = NO;
+\t\t\t\tINFOPLIST_FILE = ${pbxString(`${appName}/Info.plist`)};
+\t\t\t\tIPHONEOS_DEPLOYMENT_TARGET = ${pbxString(config.deploymentTarget)};
+\t\t\t\tLD_RUNPATH_SEARCH_PATHS = (
+\t\t\t\t\t"$(inherited)",
+\t\t\t\t\t"@executable_path/Frameworks",
+\t\t\t\t);
+\t\t\t\tMARKETING_VERSION = ${pbxString(config.version)};
+\t\t\t\tPRODUCT_BUNDLE_IDENTIFIER = ${pbxString(config.bundleId)};
+\t\t\t\tPRODUCT_NAME = "$(TARGET_NAME)";
+\t\t\t\tSDKROOT = iphoneos;
+\t\t\t\tSWIFT_EMIT_LOC_STRINGS = YES;
+\t\t\t\tSWIFT_VERSION = 5.0;
+\t\t\t\tTARGETED_DEVICE_FAMILY = "1,2";${buildType === 'Release' ? '\n\t\t\t\tVALIDATE_PRODUCT = YES;' : ''}
+\t\t\t};`
 
-    default:
-      if (children && children.length > 0) {
-        return `VStack(spacing: 16) {
-            ${childContent}
-        }`
-      }
-      return `// TODO: ${capsuleId}
-        Text("${capsuleId}")`
-  }
-}
+  const projectSettings = buildType => buildType === 'Debug'
+    ? `\t\t\tbuildSettings = {
+\t\t\t\tALWAYS_SEARCH_USER_PATHS = NO;
+\t\t\t\tCLANG_ENABLE_MODULES = YES;
+\t\t\t\tDEBUG_INFORMATION_FORMAT = dwarf;
+\t\t\t\tENABLE_TESTABILITY = YES;
+\t\t\t\tGCC_OPTIMIZATION_LEVEL = 0;
+\t\t\t\tIPHONEOS_DEPLOYMENT_TARGET = ${pbxString(config.deploymentTarget)};
+\t\t\t\tONLY_ACTIVE_ARCH = YES;
+\t\t\t\tSDKROOT = iphoneos;
+\t\t\t\tSWIFT_ACTIVE_COMPILATION_CONDITIONS = DEBUG;
+\t\t\t\tSWIFT_OPTIMIZATION_LEVEL = "-Onone";
+\t\t\t};`
+    : `\t\t\tbuildSettings = {
+\t\t\t\tALWAYS_SEARCH_USER_PATHS = NO;
+\t\t\t\tCLANG_ENABLE_MODULES = YES;
+\t\t\t\tDEBUG_INFORMATION_FORMAT = "dwarf-with-dsym";
+\t\t\t\tIPHONEOS_DEPLOYMENT_TARGET = ${pbxString(config.deploymentTarget)};
+\t\t\t\tSDKROOT = iphoneos;
+\t\t\t\tSWIFT_COMPILATION_MODE = wholemodule;
+\t\t\t\tVALIDATE_PRODUCT = YES;
+\t\t\t};`
 
-function generateJetpackCompose(project) {
-  const files = []
-  const packageName = project.platformConfig?.android?.packageName || 'com.hublab.app'
-  const appName = project.name.replace(/\s+/g, '')
+  return `// !$*UTF8*$!
+{
+\tarchiveVersion = 1;
+\tclasses = {
+\t};
+\tobjectVersion = 56;
+\tobjects = {
 
-  // MainActivity
-  files.push({
-    path: 'MainActivity.kt',
-    language: 'kotlin',
-    content: `package ${packageName}
+/* Begin PBXBuildFile section */
+${sources.map(p => buildFile(p, 'Sources')).join('\n')}
+${resources.map(p => buildFile(p, 'Resources')).join('\n')}
+/* End PBXBuildFile section */
 
-import android.os.Bundle
-import androidx.activity.ComponentActivity
-import androidx.activity.compose.setContent
-import androidx.compose.material3.*
-import androidx.compose.runtime.*
-import ${packageName}.ui.theme.${appName}Theme
+/* Begin PBXFileReference section */
+\t\t${id('product')} /* ${appName}.app */ = {isa = PBXFileReference; explicitFileType = wrapper.application; includeInIndex = 0; path = ${pbxString(`${appName}.app`)}; sourceTree = BUILT_PRODUCTS_DIR; };
+${entries.map(p => fileRef(p, fileTypes[p.split('.').pop()])).join('\n')}
+/* End PBXFileReference section */
 
-class MainActivity : ComponentActivity() {
-    override fun onCreate(savedInstanceState: Bundle?) {
-        super.onCreate(savedInstanceState)
-        setContent {
-            ${appName}Theme {
-                Surface(color = MaterialTheme.colorScheme.background) {
-                    ${capitalize(project.screens[0]?.id || 'Main')}Screen()
-                }
-            }
-        }
-    }
-}`
-  })
+/* Begin PBXFrameworksBuildPhase section */
+\t\t${id('frameworks')} /* Frameworks */ = {
+\t\t\tisa = PBXFrameworksBuildPhase;
+\t\t\tbuildActionMask = 2147483647;
+\t\t\tfiles = (
+\t\t\t);
+\t\t\trunOnlyForDeploymentPostprocessing = 0;
+\t\t};
+/* End PBXFrameworksBuildPhase section */
 
-  // Generate screens
-  for (const screen of project.screens) {
-    const screenName = capitalize(screen.id) + 'Screen'
-    const content = generateComposeComponent(screen.root, project.theme)
+/* Begin PBXGroup section */
+\t\t${id('group:main')} = {
+\t\t\tisa = PBXGroup;
+\t\t\tchildren = (
+${list([id('group:app'), id('group:products')])}
+\t\t\t);
+\t\t\tsourceTree = "<group>";
+\t\t};
+\t\t${id('group:products')} /* Products */ = {
+\t\t\tisa = PBXGroup;
+\t\t\tchildren = (
+${list([id('product')])}
+\t\t\t);
+\t\t\tname = Products;
+\t\t\tsourceTree = "<group>";
+\t\t};
+\t\t${id('group:app')} /* ${appName} */ = {
+\t\t\tisa = PBXGroup;
+\t\t\tchildren = (
+${list(groupChildren(''))}
+\t\t\t);
+\t\t\tpath = ${pbxString(appName)};
+\t\t\tsourceTree = "<group>";
+\t\t};
+${dirs.map(dir => `\t\t${id(`group:${dir}`)} /* ${fileName(dir)} */ = {
+\t\t\tisa = PBXGroup;
+\t\t\tchildren = (
+${list(groupChildren(dir))}
+\t\t\t);
+\t\t\tpath = ${pbxString(fileName(dir))};
+\t\t\tsourceTree = "<group>";
+\t\t};`).join('\n')}
+/* End PBXGroup section */
 
-    files.push({
-      path: `${screenName}.kt`,
-      language: 'kotlin',
-      content: `package ${packageName}.screens
+/* Begin PBXNativeTarget section */
+\t\t${id('target')} /* ${appName} */ = {
+\t\t\tisa = PBXNativeTarget;
+\t\t\tbuildConfigurationList = ${id('configs:target')};
+\t\t\tbuildPhases = (
+${list([id('sources'), id('frameworks'), id('resources')])}
+\t\t\t);
+\t\t\tbuildRules = (
+\t\t\t);
+\t\t\tdependencies = (
+\t\t\t);
+\t\t\tname = ${pbxString(appName)};
+\t\t\tproductName = ${pbxString(appName)};
+\t\t\tproductReference = ${id('product')};
+\t\t\tproductType = "com.apple.product-type.application";
+\t\t};
+/* End PBXNativeTarget section */
 
-import androidx.compose.foundation.layout.*
-import androidx.compose.foundation.lazy.LazyColumn
-import androidx.compose.material3.*
-import androidx.compose.runtime.*
-import androidx.compose.ui.Alignment
-import androidx.compose.ui.Modifier
-import androidx.compose.ui.unit.dp
+/* Begin PBXProject section */
+\t\t${id('project')} /* Project object */ = {
+\t\t\tisa = PBXProject;
+\t\t\tattributes = {
+\t\t\t\tBuildIndependentTargetsInParallel = 1;
+\t\t\t\tLastSwiftUpdateCheck = 1500;
+\t\t\t\tLastUpgradeCheck = 1500;
+\t\t\t};
+\t\t\tbuildConfigurationList = ${id('configs:project')};
+\t\t\tcompatibilityVersion = "Xcode 14.0";
+\t\t\tdevelopmentRegion = en;
+\t\t\thasScannedForEncodings = 0;
+\t\t\tknownRegions = (
+\t\t\t\ten,
+\t\t\t\tBase,
+\t\t\t);
+\t\t\tmainGroup = ${id('group:main')};
+\t\t\tproductRefGroup = ${id('group:products')};
+\t\t\tprojectDirPath = "";
+\t\t\tprojectRoot = "";
+\t\t\ttargets = (
+${list([id('target')])}
+\t\t\t);
+\t\t};
+/* End PBXProject section */
 
-@Composable
-fun ${screenName}() {
-    Column(
-        modifier = Modifier
-            .fillMaxSize()
-            .padding(16.dp)
-    ) {
-        ${content}
-    }
-}`
-    })
-  }
+/* Begin PBXResourcesBuildPhase section */
+\t\t${id('resources')} /* Resources */ = {
+\t\t\tisa = PBXResourcesBuildPhase;
+\t\t\tbuildActionMask = 2147483647;
+\t\t\tfiles = (
+${list(resources.map(p => id(`build:${p}`)))}
+\t\t\t);
+\t\t\trunOnlyForDeploymentPostprocessing = 0;
+\t\t};
+/* End PBXResourcesBuildPhase section */
 
-  return files
+/* Begin PBXSourcesBuildPhase section */
+\t\t${id('sources')} /* Sources */ = {
+\t\t\tisa = PBXSourcesBuildPhase;
+\t\t\tbuildActionMask = 2147483647;
+\t\t\tfiles = (
+${list(sources.map(p => id(`build:${p}`)))}
+\t\t\t);
+\t\t\trunOnlyForDeploymentPostprocessing = 0;
+\t\t};
+/* End PBXSourcesBuildPhase section */
+
+/* Begin XCBuildConfiguration section */
+${['Debug', 'Release'].map(buildType => `\t\t${id(`config:project:${buildType}`)} /* ${buildType} */ = {
+\t\t\tisa = XCBuildConfiguration;
+${projectSettings(buildType)}
+\t\t\tname = ${buildType};
+\t\t};
+\t\t${id(`config:target:${buildType}`)} /* ${buildType} */ = {
+\t\t\tisa = XCBuildConfiguration;
+${targetSettings(buildType)}
+\t\t\tname = ${buildType};
+\t\t};`).join('\n')}
+/* End XCBuildConfiguration section */
+
+/* Begin XCConfigurationList section */
+${['project', 'target'].map(owner => `\t\t${id(`configs:${owner}`)} = {
+\t\t\tisa = XCConfigurationList;
+\t\t\tbuildConfigurations = (
+${list(['Debug', 'Release'].map(buildType => id(`config:${owner}:${buildType}`)))}
+\t\t\t);
+\t\t\tdefaultConfigurationIsVisible = 0;
+\t\t\tdefaultConfigurationName = Release;
+\t\t};`).join('\n')}
+/* End XCConfigurationList section */
+\t};
+\trootObject = ${id('project')} /* Project object */;
+}
+`
 }
 
-function generateComposeComponent(instance, theme) {
-  if (!instance) return 'Text("Empty")'
+function generateSwiftUIComponent(instance, ctx) {
+  if (!instance) return 'EmptyView()'
+  return swiftAccessibility(swiftUIComponent(instance, ctx), instance, ctx)
+}
 
+function swiftUIComponent(instance, ctx) {
   const { capsuleId, props, children } = instance
-  const childContent = children?.map(c => generateComposeComponent(c, theme)).join('\n        Spacer(Modifier.height(8.dp))\n        ') || ''
+  const childContent = children?.map(c => generateSwiftUIComponent(c, ctx)).join('\n                ') || ''
 
   switch (capsuleId) {
-    case 'button':
-      return `Button(onClick = { /* ${props.onPress || 'action'} */ }) {
-            Text("${props.text || 'Button'}")
-        }`
+    case 'button': {
+      const actions = parseActions(props.onPress)
+      const label = `Text(${swiftText(props.text || 'Button', ctx)})`
+      const disabled = ctx.form ? `\n        .disabled(!model.${ctx.form.valid})` : ''
 
-    case 'text':
-      return `Text("${props.content || props.text || ''}")`
+      // Pushing a non-tab screen is a plain NavigationLink onto the current stack
+      if (actions.length === 1 && actions[0].type === 'navigate' && !ctx.nav.tabs.some(tab => tab.screen.id === actions[0].screen)) {
+        return `NavigationLink(value: Route.${memberName(actions[0].screen)}) {
+            ${label}
+        }
+        .buttonStyle(.borderedProminent)${disabled}`
+      }
+      return `Button(action: { ${swiftUIActions(props.onPress, ctx)} }) {
+            ${label}
+        }
+        .buttonStyle(.borderedProminent)${disabled}`
+    }
 
-    case 'input':
-      return `var text by remember { mutableStateOf("") }
-        OutlinedTextField(
-            value = text,
-            onValueChange = { text = it },
-            label = { Text("${props.label || ''}") },
-            placeholder = { Text("${props.placeholder || ''}") },
-            modifier = Modifier.fillMaxWidth()
-        )`
+    case 'text': {
+      const variant = textStyle(props.variant)
+      return `Text(${swiftText(props.content || props.text || '', ctx)})
+            .font(Font.theme.${variant})${variant === 'caption' ? '\n            .foregroundStyle(Color.theme.textSecondary)' : ''}`
+    }
+
+    case 'input': {
+      const key = bindingKey(instance)
+      // The placeholder is the field's title; a label shows above the field
+      // and VoiceOver reads it as the field's name instead
+      const { label } = accessibilityOf(instance)
+      const field = `${props.type === 'password' ? 'SecureField' : 'TextField'}(${swiftString(props.placeholder || '')}, text: $model.${key})
+            .textFieldStyle(.roundedBorder)${label && label !== props.placeholder ? `\n            .accessibilityLabel(${swiftText(label, ctx)})` : ''}`
+      const title = props.label && `Text(${swiftText(props.label, ctx)})
+                .font(Font.theme.caption)
+                .foregroundStyle(Color.theme.textSecondary)
+                .accessibilityHidden(true)`
+      const validated = fieldValidation(instance, ctx)
+      if (!validated && !title) return field
+
+      // A validation error shows below once the field has been edited
+      return `VStack(alignment: .leading, spacing: 4) {${title ? `
+            ${title}` : ''}
+            ${field.replace(/\n/g, '\n    ')}${validated ? `
+                .onChange(of: model.${key}) {
+                    if !model.touched.contains(${swiftString(key)}) { model.touched.append(${swiftString(key)}) }
+                }
+            if model.touched.contains(${swiftString(key)}), let error = model.${key}Error {
+                Text(error)
+                    .font(Font.theme.caption)
+                    .foregroundStyle(Color.theme.error)
+            }` : ''}
+        }`
+    }
 
     case 'card':
-      return `Card(modifier = Modifier.fillMaxWidth()) {
-            Column(modifier = Modifier.padding(16.dp)) {
-                ${props.title ? `Text("${props.title}", style = MaterialTheme.typography.titleMedium)` : ''}
-                ${childContent}
+      return `VStack(alignment: .leading, spacing: Spacing.md) {
+            ${props.title ? `Text(${swiftText(props.title, ctx)}).font(Font.theme.subheading)` : ''}
+            ${childContent}
+        }
+        .padding(Spacing.md)
+        .background(Color.theme.surface)
+        .clipShape(RoundedRectangle(cornerRadius: Radius.lg))
+        .shadow(radius: Elevation.md)`
+
+    case 'list': {
+      const { key, item, itemCtx } = dataBinding(instance, ctx)
+      const template = itemTemplate(instance, item).map(c => generateSwiftUIComponent(c, itemCtx)).join('\n                ')
+      return `List(model.${key}, id: \\.self) { item in
+            VStack(alignment: .leading, spacing: 4) {
+                ${template}
+            }
+        }
+        .listStyle(.plain)`
+    }
+
+    case 'carousel': {
+      const { key, item, itemCtx } = dataBinding(instance, ctx)
+      const template = itemTemplate(instance, item).map(c => generateSwiftUIComponent(c, itemCtx)).join('\n                        ')
+      return `ScrollView(.horizontal, showsIndicators: false) {
+            LazyHStack(spacing: 12) {
+                ForEach(model.${key}, id: \\.self) { item in
+                    VStack(alignment: .leading, spacing: 8) {
+                        ${template}
+                    }
+                    .padding()
+                    .frame(width: 240, alignment: .leading)
+                    .background(Color.theme.surface)
+                    .clipShape(RoundedRectangle(cornerRadius: Radius.lg))
+                }
             }
         }`
+    }
 
-    case 'list':
-      return `LazyColumn {
-            items(5) { index ->
-                ListItem(headlineContent = { Text("Item \${index + 1}") })
+    case 'table':
+    case 'data-table': {
+      const { key, item, itemCtx } = dataBinding(instance, ctx)
+      const columns = tableColumns(instance, item)
+      const grid = `Grid(alignment: .leading, horizontalSpacing: 16, verticalSpacing: 8) {
+            GridRow {
+                ${columns.map(c => `Text(${swiftString(c.label)}).bold()`).join('\n                ')}
+            }
+            Divider()
+            ForEach(model.${key}, id: \\.self) { item in
+                GridRow {
+                    ${columns.map(c => `Text(${swiftText(c.template, itemCtx)})`).join('\n                    ')}
+                }
             }
         }`
+      // Wide data tables scroll sideways instead of squeezing their columns
+      return capsuleId === 'data-table' ? `ScrollView(.horizontal) {\n            ${grid}\n        }` : grid
+    }
 
     case 'progress':
-      const value = (props.value || 50) / 100
-      return `LinearProgressIndicator(
-            progress = { ${value}f },
-            modifier = Modifier.fillMaxWidth()
-        )`
+      const value = num(props.value, 50) / 100
+      return `ProgressView(value: ${value})
+            .progressViewStyle(.linear)`
 
     case 'switch':
-      return `var checked by remember { mutableStateOf(${props.checked || false}) }
-        Row(verticalAlignment = Alignment.CenterVertically) {
-            Text("${props.label || ''}")
-            Spacer(Modifier.weight(1f))
-            Switch(checked = checked, onCheckedChange = { checked = it })
-        }`
+      return `Toggle(${swiftText(props.label || '', ctx)}, isOn: $model.${bindingKey(instance)})`
+
+    case 'chart': {
+      const { key, item } = dataBinding(instance, ctx)
+      const axes = chartAxes(instance, item)
+      const mark = { bar: 'BarMark', line: 'LineMark', area: 'AreaMark', point: 'PointMark' }[axes.type]
+      const rows = axes.x
+        ? `model.${key}, id: \\.self) { item in`
+        : `Array(model.${key}.enumerated()), id: \\.offset) { index, item in`
+      return `Chart(${rows}
+            ${mark}(
+                x: .value(${swiftString(axes.xLabel)}, ${axes.x || 'index'}),
+                y: .value(${swiftString(axes.yLabel)}, ${axes.y || '0'})
+            )
+        }
+        .frame(height: 200)`
+    }
+
+    case 'searchbar': {
+      const key = bindingKey(instance)
+      return `HStack(spacing: 8) {
+            Image(systemName: "magnifyingglass")
+                .foregroundStyle(.secondary)
+            TextField(${swiftString(props.placeholder || 'Search...')}, text: $model.${key})
+                .textInputAutocapitalization(.never)
+            if !model.${key}.isEmpty {
+                Button(action: { model.${key} = "" }) {
+                    Image(systemName: "xmark.circle.fill")
+                        .foregroundStyle(.secondary)
+                }
+            }
+        }
+        .padding(10)
+        .background(Color.theme.surface, in: RoundedRectangle(cornerRadius: Radius.md))`
+    }
 
     case 'slider':
-      return `var value by remember { mutableFloatStateOf(${(props.value || 50) / 100}f) }
-        Slider(
-            value = value,
-            onValueChange = { value = it },
-            valueRange = ${props.min || 0}f..${props.max || 100}f
-        )`
+      return `Slider(value: $model.${bindingKey(instance)}, in: ${num(props.min, 0)}...${num(props.max, 100)})`
 
     case 'divider':
-      return `HorizontalDivider()`
+      return `Divider()`
 
-    case 'searchbar':
-      return `var query by remember { mutableStateOf("") }
-        OutlinedTextField(
-            value = query,
-            onValueChange = { query = it },
-            placeholder = { Text("${props.placeholder || 'Search...'}") },
-            leadingIcon = { Icon(Icons.Default.Search, "Search") },
-            modifier = Modifier.fillMaxWidth()
-        )`
+    case 'modal':
+    case 'bottom-sheet':
+      return `Color.clear
+            .frame(height: 0)
+            .sheet(isPresented: Binding(
+                get: { model.activeModal == ${swiftString(instance.id)} },
+                set: { if !$0 { model.activeModal = nil } }
+            )) {
+                NavigationStack {
+                    VStack(spacing: 16) {
+                        ${childContent}
+                    }
+                    .padding()
+                    .navigationTitle(${swiftText(props.title || '', ctx)})
+                    .toolbar {
+                        Button("Close") { model.activeModal = nil }
+                    }
+                }${capsuleId === 'bottom-sheet' ? '\n                .presentationDetents([.medium, .large])' : ''}
+            }`
 
-    default:
-      if (children && children.length > 0) {
-        return `Column {
-            ${childContent}
+    case 'image': {
+      const ratio = aspectRatio(props.aspectRatio)
+      const { label } = accessibilityOf(instance)
+      return `AsyncImage(url: URL(string: ${swiftString(props.src || props.url || '')})) { image in
+            image
+                .resizable()
+                .scaledToFill()
+        } placeholder: {
+            Color.gray.opacity(0.15)
+        }
+        .frame(maxWidth: .infinity)
+        ${ratio ? `.aspectRatio(${ratio}, contentMode: .fit)` : '.frame(height: 200)'}
+        .clipShape(RoundedRectangle(cornerRadius: ${num(props.cornerRadius, 12)}))${label ? `
+        .accessibilityLabel(${swiftText(label, ctx)})` : ''}`
+    }
+
+    case 'form': {
+      // A form without its own button gets a submit button running onSubmit;
+      // with validated inputs, its buttons wait for them to be valid
+      const formCtx = formContext(instance, ctx)
+      const submit = !children?.some(c => c.capsuleId === 'button')
+        ? `
+            Button(action: { ${swiftUIActions(props.onSubmit, ctx)} }) {
+                Text(${swiftText(props.submitText || 'Submit', ctx)})
+                    .frame(maxWidth: .infinity)
+            }
+            .buttonStyle(.borderedProminent)${formCtx.form ? `\n            .disabled(!model.${formCtx.form.valid})` : ''}`
+        : ''
+      return `VStack(alignment: .leading, spacing: 12) {
+            ${formCtx.form ? children.map(c => generateSwiftUIComponent(c, formCtx)).join('\n                ') : childContent}${submit}
         }`
-      }
-      return `// TODO: ${capsuleId}
-        Text("${capsuleId}")`
-  }
-}
+    }
 
-function generateReact(project) {
-  const files = []
-  const appName = project.name.replace(/\s+/g, '')
+    case 'navigation': {
+      const links = navigationLinks(instance, ctx).map(link => `Button(action: { router.navigate(to: .${memberName(link.screen)}) }) {
+                ${link.icon ? `Label(${swiftString(link.label)}, systemImage: ${swiftString(iconName(link.icon, 'sf'))})` : `Text(${swiftString(link.label)})`}
+            }`)
+      return `HStack(spacing: 16) {
+            Text(${swiftText(props.title || ctx.screen.name, ctx)})
+                .font(.headline)
+            Spacer()
+            ${links.join('\n            ')}
+        }
+        .padding(.vertical, 8)`
+    }
 
-  // App.tsx
-  const imports = project.screens.map(s =>
-    `import ${capitalize(s.id)}Page from './pages/${s.id}'`
-  ).join('\n')
+    case 'auth-screen': {
+      const key = bindingKey(instance)
+      const signUp = ctx.project.screens.some(s => s.id === props.signUpScreen)
+        ? `
+            Button(${swiftString(props.signUpText || 'Create an account')}) { router.navigate(to: .${memberName(props.signUpScreen)}) }`
+        : ''
+      return `VStack(spacing: 16) {
+            Text(${swiftText(props.title || 'Sign in', ctx)})
+                .font(.title.bold())
+            TextField("Email", text: $model.${key}Email)
+                .textContentType(.emailAddress)
+                .keyboardType(.emailAddress)
+                .textInputAutocapitalization(.never)
+                .textFieldStyle(.roundedBorder)
+            SecureField("Password", text: $model.${key}Password)
+                .textContentType(.password)
+                .textFieldStyle(.roundedBorder)
+            Button(action: { ${swiftUIActions(props.onSubmit, ctx)} }) {
+                Text(${swiftText(props.submitText || 'Sign in', ctx)})
+                    .frame(maxWidth: .infinity)
+            }
+            .buttonStyle(.borderedProminent)
+            .disabled(model.${key}Email.isEmpty || model.${key}Password.isEmpty)${signUp}
+        }`
+    }
 
-  files.push({
-    path: 'App.tsx',
-    language: 'typescript',
-    content: `import React from 'react'
-${imports}
+    case 'skeleton':
+      return `VStack(alignment: .leading, spacing: 8) {
+            ForEach(0..<${Math.max(1, Math.round(num(props.lines, 3)))}, id: \\.self) { _ in
+                RoundedRectangle(cornerRadius: Radius.sm)
+                    .fill(Color.gray.opacity(0.2))
+                    .frame(height: 14)
+            }
+        }
+        .phaseAnimator([0.4, 1.0]) { content, opacity in
+            content.opacity(opacity)
+        }`
 
-export default function App() {
-  return (
-    <div className="min-h-screen bg-gray-50">
-      <${capitalize(project.screens[0]?.id || 'Home')}Page />
-    </div>
-  )
-}`
-  })
+    case 'tabs': {
+      const key = bindingKey(instance)
+      const sections = capsuleSections(instance)
+      const panes = sections.map((section, i) => `${i === 0 ? 'if' : '} else if'} model.${key} == ${i} {
+                ${generateSwiftUIComponent(section.child, ctx)}`).join('\n            ')
+      return `VStack(spacing: 12) {
+            Picker("", selection: $model.${key}) {
+                ${sections.map((section, i) => `Text(${swiftString(section.label)}).tag(${i}.0)`).join('\n                ')}
+            }
+            .pickerStyle(.segmented)
+            ${panes}${sections.length > 0 ? '\n            }' : ''}
+        }`
+    }
 
-  // Generate pages
-  for (const screen of project.screens) {
-    const pageName = capitalize(screen.id) + 'Page'
-    const content = generateReactComponent(screen.root, project.theme)
+    case 'accordion':
+      return `VStack(spacing: 8) {
+            ${capsuleSections(instance).map(section => `DisclosureGroup(${swiftString(section.label)}) {
+                ${generateSwiftUIComponent(section.child, ctx)}
+            }`).join('\n            Divider()\n            ')}
+        }`
 
-    files.push({
-      path: `pages/${screen.id}.tsx`,
-      language: 'typescript',
-      content: `import React from 'react'
+    case 'dropdown':
+      return `Picker(${swiftText(props.label || props.placeholder || 'Select', ctx)}, selection: $model.${bindingKey(instance)}) {
+            ${capsuleOptions(props).map(o => `Text(${swiftString(o.label)}).tag(${swiftString(o.value)})`).join('\n            ')}
+        }
+        .pickerStyle(.menu)`
 
-export default function ${pageName}() {
-  return (
-    <div className="container mx-auto p-4">
-      <h1 className="text-2xl font-bold mb-4">${screen.name}</h1>
-      ${content}
-    </div>
-  )
-}`
-    })
-  }
+    case 'datepicker':
+    case 'calendar':
+      return `DatePicker(${swiftText(props.label || 'Date', ctx)}, selection: $model.${bindingKey(instance)}, displayedComponents: .date)${capsuleId === 'calendar' ? '\n            .datePickerStyle(.graphical)' : ''}`
 
-  // Tailwind config
-  files.push({
-    path: 'tailwind.config.js',
-    language: 'javascript',
-    content: `module.exports = {
-  content: ['./src/**/*.{js,ts,jsx,tsx}'],
-  theme: {
-    extend: {
-      colors: {
-        primary: '${project.theme?.colors?.primary || '#6366F1'}',
-        secondary: '${project.theme?.colors?.secondary || '#8B5CF6'}',
-      }
+    case 'tooltip':
+      return `Tooltip(text: ${swiftText(props.text || props.content || '', ctx)}) {
+            ${childContent || 'Image(systemName: "info.circle")'}
+        }`
+
+    case 'popover':
+      return `PopoverButton(title: ${swiftText(props.title || props.label || 'More', ctx)}) {
+            ${childContent}
+        }`
+
+    case 'rating': {
+      const key = bindingKey(instance)
+      return `HStack(spacing: 4) {
+            ForEach(1...${Math.max(1, Math.round(num(props.max, 5)))}, id: \\.self) { star in
+                Image(systemName: Double(star) <= model.${key} ? "star.fill" : "star")
+                    .foregroundStyle(.yellow)
+                    .onTapGesture { model.${key} = Double(star) }
+            }
+        }
+        .accessibilityValue("\\(Int(model.${key})) stars")`
     }
-  },
-  plugins: []
-}`
-  })
 
-  return files
-}
+    case 'stepper': {
+      const key = bindingKey(instance)
+      return `Stepper(value: $model.${key}, in: ${num(props.min, 0)}...${num(props.max, 100)}, step: ${num(props.step, 1)}) {
+            Text("${swiftString(props.label || 'Value').slice(1, -1)}: \\(model.${key}.formatted())")
+        }`
+    }
 
-function generateReactComponent(instance, theme) {
-  if (!instance) return '<div />'
+    case 'chip': {
+      const key = bindingKey(instance)
+      return `Button(action: { model.${key}.toggle() }) {
+            Text(${swiftText(props.label || props.text || '', ctx)})
+                .font(.subheadline)
+                .padding(.horizontal, 12)
+                .padding(.vertical, 6)
+                .background(model.${key} ? Color.accentColor : Color.secondary.opacity(0.15), in: Capsule())
+                .foregroundStyle(model.${key} ? Color.white : Color.primary)
+        }
+        .buttonStyle(.plain)`
+    }
 
-  const { capsuleId, props, children } = instance
-  const childContent = children?.map(c => generateReactComponent(c, theme)).join('\n        ') || ''
-  const primary = theme?.colors?.primary || '#6366F1'
+    case 'file-upload':
+      return `FileUploadButton(title: ${swiftText(props.label || 'Upload file', ctx)}, fileName: $model.${bindingKey(instance)})`
 
-  switch (capsuleId) {
-    case 'button':
-      return `<button
-        onClick={() => { /* ${props.onPress || 'action'} */ }}
-        className="px-4 py-2 bg-primary text-white rounded-lg hover:opacity-90"
-      >
-        ${props.text || 'Button'}
-      </button>`
+    case 'timeline': {
+      const { key, item, itemCtx } = dataBinding(instance, ctx)
+      const template = itemTemplate(instance, item).map(c => generateSwiftUIComponent(c, itemCtx)).join('\n                    ')
+      return `VStack(alignment: .leading, spacing: 0) {
+            ForEach(model.${key}, id: \\.self) { item in
+                HStack(alignment: .top, spacing: 12) {
+                    VStack(spacing: 0) {
+                        Circle()
+                            .fill(Color.accentColor)
+                            .frame(width: 10, height: 10)
+                        Rectangle()
+                            .fill(Color.secondary.opacity(0.3))
+                            .frame(width: 2)
+                    }
+                    VStack(alignment: .leading, spacing: 4) {
+                    ${template}
+                    }
+                    .padding(.bottom, 16)
+                }
+            }
+        }`
+    }
 
-    case 'text':
-      return `<p>${props.content || props.text || ''}</p>`
+    case 'color-picker':
+      return `ColorPicker(${swiftText(props.label || 'Color', ctx)}, selection: $model.${bindingKey(instance)})`
 
-    case 'input':
-      return `<input
-        type="${props.type || 'text'}"
-        placeholder="${props.placeholder || ''}"
-        className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-primary"
-      />`
+    case 'rich-text-editor':
+      return `TextEditor(text: $model.${bindingKey(instance)})
+            .frame(minHeight: 160)
+            .padding(4)
+            .overlay(RoundedRectangle(cornerRadius: Radius.md).stroke(Color.secondary.opacity(0.3)))`
 
-    case 'card':
-      return `<div className="bg-white rounded-xl shadow-md p-4">
-        ${props.title ? `<h3 className="text-lg font-semibold mb-2">${props.title}</h3>` : ''}
-        ${childContent}
-      </div>`
+    case 'signature':
+      return 'SignaturePad()'
 
-    case 'list':
-      return `<ul className="divide-y">
-        {[1, 2, 3, 4, 5].map(i => (
-          <li key={i} className="py-3">Item {i}</li>
-        ))}
-      </ul>`
+    case 'map': {
+      const { latitude, longitude, delta } = mapRegion(props)
+      const center = `CLLocationCoordinate2D(latitude: ${latitude}, longitude: ${longitude})`
+      return `Map(initialPosition: .region(MKCoordinateRegion(
+            center: ${center},
+            span: MKCoordinateSpan(latitudeDelta: ${Number(delta.toFixed(5))}, longitudeDelta: ${Number(delta.toFixed(5))})
+        ))) {
+            Marker(${swiftText(props.title || props.label || '', ctx)}, coordinate: ${center})
+        }
+        .frame(height: ${num(props.height, 240)})
+        .clipShape(RoundedRectangle(cornerRadius: Radius.lg))`
+    }
 
-    case 'progress':
-      return `<div className="w-full bg-gray-200 rounded-full h-2">
-        <div className="bg-primary h-2 rounded-full" style={{ width: '${props.value || 50}%' }} />
-      </div>`
+    case 'video':
+      return `VideoPlayerView(url: ${swiftString(props.src || props.url || '')})`
 
-    case 'switch':
-      return `<label className="flex items-center gap-2">
-        <input type="checkbox" className="toggle" ${props.checked ? 'defaultChecked' : ''} />
-        <span>${props.label || ''}</span>
-      </label>`
+    case 'audio':
+      return `AudioPlayerView(url: ${swiftString(props.src || props.url || '')}, title: ${swiftText(props.title || 'Audio', ctx)})`
 
-    default:
-      if (children && children.length > 0) {
-        return `<div className="space-y-4">
-        ${childContent}
-      </div>`
-      }
-      return `<div>{/* TODO: ${capsuleId} */}</div>`
-  }
-}
+    case 'kanban': {
+      const { key, item, itemCtx } = dataBinding(instance, ctx)
+      const { groupBy, columns } = kanbanColumns(instance, item, ctx)
+      const template = itemTemplate(instance, item).map(c => generateSwiftUIComponent(c, itemCtx)).join('\n                            ')
+      return `ScrollView(.horizontal, showsIndicators: false) {
+            HStack(alignment: .top, spacing: 12) {
+                ${columns.map(column => `VStack(alignment: .leading, spacing: 8) {
+                    Text(${swiftString(column.label)})
+                        .font(.headline)
+                    ForEach(model.${key}${groupBy ? `.filter { $0.${groupBy} == ${swiftString(column.value)} }` : ''}, id: \\.self) { item in
+                        VStack(alignment: .leading, spacing: 4) {
+                            ${template}
+                        }
+                        .padding(12)
+                        .frame(maxWidth: .infinity, alignment: .leading)
+                        .background(Color.theme.background, in: RoundedRectangle(cornerRadius: Radius.md))
+                    }
+                }
+                .padding(12)
+                .frame(width: 260, alignment: .topLeading)
+                .background(Color.theme.surface, in: RoundedRectangle(cornerRadius: Radius.lg))`).join('\n                ')}
+            }
+        }`
+    }
 
-function capitalize(str) {
-  return str.charAt(0).toUpperCase() + str.slice(1)
-}
+    case 'chat': {
+      const { key, item, itemCtx } = dataBinding(instance, ctx)
+      const { text, mine } = chatFields(instance, item)
+      const body = instance.children?.length > 0
+        ? `VStack(alignment: .leading, spacing: 4) {
+                            ${itemTemplate(instance, item).map(c => generateSwiftUIComponent(c, itemCtx)).join('\n                            ')}
+                        }`
+        : `Text(${swiftText(text, itemCtx)})`
+      const draft = `${bindingKey(instance)}Draft`
+      return `VStack(spacing: 8) {
+            ScrollView {
+                LazyVStack(spacing: 8) {
+                    ForEach(model.${key}, id: \\.self) { item in
+                        HStack {${mine ? `
+                            if ${mine} { Spacer() }` : ''}
+                            ${body}
+                                .padding(10)
+                                .background(${mine ? `${mine} ? Color.accentColor : ` : ''}Color.theme.surface, in: RoundedRectangle(cornerRadius: Radius.lg))
+                                .foregroundStyle(${mine ? `${mine} ? Color.white : ` : ''}Color.primary)
+                            ${mine ? `if !${mine} { Spacer() }` : 'Spacer()'}
+                        }
+                    }
+                }
+            }
+            .frame(minHeight: 240)
+            HStack {
+                TextField(${swiftString(props.placeholder || 'Message')}, text: $model.${draft})
+                    .textFieldStyle(.roundedBorder)
+                Button(action: { ${props.onSend ? `${swiftUIActions(props.onSend, ctx)}; ` : ''}model.${draft} = "" }) {
+                    Image(systemName: "paperplane.fill")
+                }
+                .disabled(model.${draft}.isEmpty)
+            }
+        }`
+    }
 
-function countCapsules(instance) {
-  if (!instance) return 0
-  let count = 1
-  if (instance.children) {
-    for (const child of instance.children) {
-      count += countCapsules(child)
+    case 'qrcode':
+      return `QRCodeView(value: ${swiftText(props.value || props.text || props.url || '', ctx)})`
+
+    case 'scanner':
+      return `CodeScannerButton(title: ${swiftText(props.label || 'Scan code', ctx)}, result: $model.${bindingKey(instance)})`
+
+    case 'pdf-viewer':
+      return `PDFKitView(url: ${swiftString(props.src || props.url || '')})
+            .frame(height: ${num(props.height, 400)})
+            .clipShape(RoundedRectangle(cornerRadius: Radius.lg))`
+
+    case 'notifications': {
+      const { key, item, itemCtx } = dataBinding(instance, ctx)
+      const template = itemTemplate(instance, item).map(c => generateSwiftUIComponent(c, itemCtx)).join('\n                    ')
+      return `VStack(alignment: .leading, spacing: 12) {
+            Button {
+                Task { _ = try? await UNUserNotificationCenter.current().requestAuthorization(options: [.alert, .badge, .sound]) }
+            } label: {
+                Label("Enable notifications", systemImage: "bell.badge")
+            }
+            .buttonStyle(.bordered)
+            ForEach(model.${key}, id: \\.self) { item in
+                HStack(alignment: .top, spacing: 12) {
+                    Image(systemName: "bell.fill")
+                        .foregroundStyle(Color.accentColor)
+                    VStack(alignment: .leading, spacing: 4) {
+                    ${template}
+                    }
+                }
+                .padding(12)
+                .frame(maxWidth: .infinity, alignment: .leading)
+                .background(Color.theme.surface, in: RoundedRectangle(cornerRadius: Radius.lg))
+            }
+        }`
     }
-  }
-  return count
-}
 
-// ============================================
-// ROUTES
-// ============================================
+    case 'webview':
+      return `WebPageView(url: ${swiftString(props.src || props.url || '')})
+            .frame(height: ${num(props.height, 400)})`
 
-app.get('/', (req, res) => {
-  res.json({
-    name: 'HubLab API',
-    version: '1.0.0',
-    endpoints: {
-      'GET /schema': 'JSON Schema for projects',
-      'POST /generate': 'Generate native code from project JSON',
+    case 'biometrics': {
+      const key = bindingKey(instance)
+      const onSuccess = props.onSuccess ? `\n                if model.${key} { ${swiftUIActions(props.onSuccess, ctx)} }` : ''
+      return `Button(action: {
+            Task {
+                let context = LAContext()
+                model.${key} = (try? await context.evaluatePolicy(.deviceOwnerAuthentication, localizedReason: ${swiftString(props.reason || 'Unlock the app')})) ?? false${onSuccess}
+            }
+        }) {
+            Label(${swiftText(props.label || 'Unlock', ctx)}, systemImage: "faceid")
+        }
+        .buttonStyle(.borderedProminent)`
+    }
+
+    case 'location':
+      return `LocationReader(coordinate: $model.${bindingKey(instance)})`
+
+    case 'camera':
+      return `CameraCapture(title: ${swiftText(props.label || 'Take photo', ctx)})`
+
+    case 'social-share':
+      return `ShareLink(item: ${swiftText(props.url || props.text || '', ctx)}${props.title ? `, subject: Text(${swiftText(props.title, ctx)})` : ''}) {
+            Label(${swiftText(props.label || 'Share', ctx)}, systemImage: "square.and.arrow.up")
+        }`
+
+    case 'row':
+    case 'column': {
+      const horizontal = capsuleId === 'row'
+      const gap = layoutSpacing(props.gap, ctx, horizontal ? 'sm' : 'md')
+      const align = crossAlignment(props.alignment, horizontal ? 'center' : 'start')
+      // SwiftUI stacks have no weights, so flexible children share the free space evenly
+      const items = stackChildren(instance).map(({ child, spacer, flex }) => {
+        const code = generateSwiftUIComponent(child, ctx)
+        return flex > 0 && !spacer ? `${code}\n                .frame(${horizontal ? 'maxWidth' : 'maxHeight'}: .infinity)` : code
+      }).join('\n                ')
+      return `${horizontal ? 'HStack' : 'VStack'}(alignment: ${SWIFT_ALIGNMENT[horizontal ? 'vertical' : 'horizontal'][align]}, spacing: ${swiftSpacing(gap)}) {
+                ${items}
+        }${swiftPadding(props.padding, ctx)}`
+    }
+
+    case 'zstack':
+      return `ZStack(alignment: ${swiftLayerAlignment(props.alignment)}) {
+                ${childContent}
+        }${swiftPadding(props.padding, ctx)}`
+
+    case 'grid': {
+      const gap = swiftSpacing(layoutSpacing(props.gap, ctx, 'md'))
+      return `LazyVGrid(columns: Array(repeating: GridItem(.flexible(), spacing: ${gap}), count: ${gridColumns(instance)}), alignment: .leading, spacing: ${gap}) {
+                ${childContent}
+        }${swiftPadding(props.padding, ctx)}`
+    }
+
+    case 'spacer': {
+      const size = layoutSpacing(props.size, ctx)
+      return size ? `Spacer(minLength: 0)
+            .frame(width: ${swiftSpacing(size)}, height: ${swiftSpacing(size)})` : 'Spacer()'
+    }
+
+    case 'scroll-view': {
+      const horizontal = props.direction === 'horizontal'
+      const gap = swiftSpacing(layoutSpacing(props.gap, ctx, horizontal ? 'sm' : 'md'))
+      const height = num(props.height, null)
+      return `ScrollView${horizontal ? '(.horizontal, showsIndicators: false)' : ''} {
+            ${horizontal ? 'HStack(alignment: .top' : 'VStack(alignment: .leading'}, spacing: ${gap}) {
+                ${childContent}
+            }${swiftPadding(props.padding, ctx).replace('\n', '\n    ')}${horizontal ? '' : '\n            .frame(maxWidth: .infinity, alignment: .leading)'}
+        }${height !== null ? `\n        .frame(height: ${height})` : ''}`
+    }
+
+    case 'safe-area':
+      // Content stays inside the safe area while the background bleeds to the edges
+      return `VStack(alignment: .leading, spacing: ${swiftSpacing(layoutSpacing(props.gap, ctx, 'md'))}) {
+                ${childContent}
+        }${swiftPadding(props.padding, ctx)}
+        .frame(maxWidth: .infinity, maxHeight: .infinity, alignment: .topLeading)
+        .background(Color.theme.background.ignoresSafeArea())`
+
+    default:
+      if (hasCapsuleTemplate(capsuleId, 'ios')) return renderCapsuleTemplate(instance, 'ios', ctx)
+      if (children && children.length > 0) {
+        return `VStack(spacing: 16) {
+            ${childContent}
+        }`
+      }
+      return `// TODO: ${comment(capsuleId)}
+        Text(${swiftString(capsuleId)})`
+  }
+}
+
+// Frameworks a screen imports when its generated body uses them
+const SWIFT_SCREEN_IMPORTS = {
+  Charts: 'Chart(',
+  MapKit: 'Map(initialPosition',
+  LocalAuthentication: 'LAContext(',
+  UserNotifications: 'UNUserNotificationCenter'
+}
+
+// Reusable views emitted into Components/ when a screen uses them
+const SWIFT_COMPONENTS = {
+  Tooltip: `import SwiftUI
+
+// Touch screens have no hover, so the tip opens as a small popover on tap
+struct Tooltip<Content: View>: View {
+    let text: String
+    @ViewBuilder var content: Content
+    @State private var isShown = false
+
+    var body: some View {
+        content
+            .onTapGesture { isShown.toggle() }
+            .popover(isPresented: $isShown) {
+                Text(text)
+                    .font(.footnote)
+                    .padding()
+                    .presentationCompactAdaptation(.popover)
+            }
+            .accessibilityHint(text)
+    }
+}`,
+
+  PopoverButton: `import SwiftUI
+
+struct PopoverButton<Content: View>: View {
+    let title: String
+    @ViewBuilder var content: Content
+    @State private var isShown = false
+
+    var body: some View {
+        Button(title) { isShown.toggle() }
+            .buttonStyle(.bordered)
+            .popover(isPresented: $isShown) {
+                VStack(alignment: .leading, spacing: 12) {
+                    content
+                }
+                .padding()
+                .presentationCompactAdaptation(.popover)
+            }
+    }
+}`,
+
+  FileUploadButton: `import SwiftUI
+import UniformTypeIdentifiers
+
+struct FileUploadButton: View {
+    let title: String
+    @Binding var fileName: String
+    @State private var isImporting = false
+
+    var body: some View {
+        HStack {
+            Button(action: { isImporting = true }) {
+                Label(title, systemImage: "paperclip")
+            }
+            .buttonStyle(.bordered)
+            Text(fileName.isEmpty ? "No file selected" : fileName)
+                .foregroundStyle(.secondary)
+                .lineLimit(1)
+        }
+        .fileImporter(isPresented: $isImporting, allowedContentTypes: [.item]) { result in
+            if case .success(let url) = result { fileName = url.lastPathComponent }
+        }
+    }
+}`,
+
+  SignaturePad: `import SwiftUI
+
+struct SignaturePad: View {
+    @State private var strokes: [[CGPoint]] = [[]]
+
+    var body: some View {
+        VStack(alignment: .trailing, spacing: 8) {
+            Canvas { context, _ in
+                for stroke in strokes where stroke.count > 1 {
+                    var path = Path()
+                    path.addLines(stroke)
+                    context.stroke(path, with: .color(.primary), lineWidth: 2)
+                }
+            }
+            .frame(height: 160)
+            .background(Color.theme.surface, in: RoundedRectangle(cornerRadius: Radius.lg))
+            .gesture(
+                DragGesture(minimumDistance: 0)
+                    .onChanged { value in strokes[strokes.count - 1].append(value.location) }
+                    .onEnded { _ in strokes.append([]) }
+            )
+            Button("Clear") { strokes = [[]] }
+                .font(.footnote)
+        }
+    }
+}`,
+
+  VideoPlayerView: `import SwiftUI
+import AVKit
+
+struct VideoPlayerView: View {
+    let url: String
+    @State private var player: AVPlayer?
+
+    var body: some View {
+        VideoPlayer(player: player)
+            .aspectRatio(16 / 9, contentMode: .fit)
+            .clipShape(RoundedRectangle(cornerRadius: Radius.lg))
+            .onAppear {
+                if player == nil, let url = URL(string: url) { player = AVPlayer(url: url) }
+            }
+            .onDisappear { player?.pause() }
+    }
+}`,
+
+  AudioPlayerView: `import SwiftUI
+import AVFoundation
+
+struct AudioPlayerView: View {
+    let url: String
+    let title: String
+    @State private var player: AVPlayer?
+    @State private var isPlaying = false
+
+    var body: some View {
+        HStack(spacing: 12) {
+            Button(action: toggle) {
+                Image(systemName: isPlaying ? "pause.circle.fill" : "play.circle.fill")
+                    .font(.largeTitle)
+            }
+            Text(title)
+                .font(.headline)
+            Spacer()
+        }
+        .padding()
+        .background(Color.theme.surface, in: RoundedRectangle(cornerRadius: Radius.lg))
+        .onDisappear { player?.pause() }
+    }
+
+    private func toggle() {
+        if player == nil, let url = URL(string: url) { player = AVPlayer(url: url) }
+        isPlaying ? player?.pause() : player?.play()
+        isPlaying.toggle()
+    }
+}`,
+
+  QRCodeView: `import SwiftUI
+import CoreImage.CIFilterBuiltins
+
+struct QRCodeView: View {
+    let value: String
+
+    var body: some View {
+        if let image = makeImage() {
+            Image(uiImage: image)
+                .interpolation(.none)
+                .resizable()
+                .scaledToFit()
+                .frame(width: 200, height: 200)
+                .accessibilityLabel(value)
+        }
+    }
+
+    private func makeImage() -> UIImage? {
+        let filter = CIFilter.qrCodeGenerator()
+        filter.message = Data(value.utf8)
+        guard let output = filter.outputImage,
+              let cgImage = CIContext().createCGImage(output, from: output.extent) else { return nil }
+        return UIImage(cgImage: cgImage)
+    }
+}`,
+
+  CodeScannerButton: `import SwiftUI
+import VisionKit
+
+struct CodeScannerButton: View {
+    let title: String
+    @Binding var result: String
+    @State private var isScanning = false
+
+    var body: some View {
+        VStack(alignment: .leading, spacing: 8) {
+            Button(action: { isScanning = true }) {
+                Label(title, systemImage: "qrcode.viewfinder")
+            }
+            .buttonStyle(.bordered)
+            .disabled(!DataScannerViewController.isSupported)
+            if !result.isEmpty {
+                Text(result)
+                    .font(.footnote.monospaced())
+            }
+        }
+        .sheet(isPresented: $isScanning) {
+            DataScanner { code in
+                result = code
+                isScanning = false
+            }
+            .ignoresSafeArea()
+        }
+    }
+}
+
+private struct DataScanner: UIViewControllerRepresentable {
+    let onScan: (String) -> Void
+
+    func makeUIViewController(context: Context) -> DataScannerViewController {
+        let scanner = DataScannerViewController(recognizedDataTypes: [.barcode()], isHighlightingEnabled: true)
+        scanner.delegate = context.coordinator
+        try? scanner.startScanning()
+        return scanner
+    }
+
+    func updateUIViewController(_ uiViewController: DataScannerViewController, context: Context) {}
+
+    func makeCoordinator() -> Coordinator { Coordinator(onScan: onScan) }
+
+    final class Coordinator: NSObject, DataScannerViewControllerDelegate {
+        let onScan: (String) -> Void
+
+        init(onScan: @escaping (String) -> Void) { self.onScan = onScan }
+
+        func dataScanner(_ dataScanner: DataScannerViewController, didAdd addedItems: [RecognizedItem], allItems: [RecognizedItem]) {
+            for case .barcode(let barcode) in addedItems {
+                if let payload = barcode.payloadStringValue { onScan(payload); return }
+            }
+        }
+    }
+}`,
+
+  PDFKitView: `import SwiftUI
+import PDFKit
+
+struct PDFKitView: UIViewRepresentable {
+    let url: String
+
+    func makeUIView(context: Context) -> PDFView {
+        let view = PDFView()
+        view.autoScales = true
+        if let url = URL(string: url) {
+            Task.detached {
+                let document = PDFDocument(url: url)
+                await MainActor.run { view.document = document }
+            }
+        }
+        return view
+    }
+
+    func updateUIView(_ uiView: PDFView, context: Context) {}
+}`,
+
+  WebPageView: `import SwiftUI
+import WebKit
+
+struct WebPageView: UIViewRepresentable {
+    let url: String
+
+    func makeUIView(context: Context) -> WKWebView {
+        let view = WKWebView()
+        if let url = URL(string: url) { view.load(URLRequest(url: url)) }
+        return view
+    }
+
+    func updateUIView(_ uiView: WKWebView, context: Context) {}
+}`,
+
+  LocationReader: `import SwiftUI
+import CoreLocation
+import CoreLocationUI
+
+// Asks for the current location once and stores it as "latitude, longitude"
+struct LocationReader: View {
+    @Binding var coordinate: String
+    @State private var locator = Locator()
+
+    var body: some View {
+        VStack(alignment: .leading, spacing: 8) {
+            LocationButton(.currentLocation) {
+                locator.request { location in
+                    coordinate = String(format: "%.5f, %.5f", location.coordinate.latitude, location.coordinate.longitude)
+                }
+            }
+            .foregroundStyle(.white)
+            .clipShape(Capsule())
+            if !coordinate.isEmpty {
+                Text(coordinate)
+                    .font(.footnote.monospaced())
+            }
+        }
+    }
+}
+
+private final class Locator: NSObject, CLLocationManagerDelegate {
+    private let manager = CLLocationManager()
+    private var completion: ((CLLocation) -> Void)?
+
+    override init() {
+        super.init()
+        manager.delegate = self
+    }
+
+    func request(_ completion: @escaping (CLLocation) -> Void) {
+        self.completion = completion
+        manager.requestLocation()
+    }
+
+    func locationManager(_ manager: CLLocationManager, didUpdateLocations locations: [CLLocation]) {
+        if let location = locations.last { completion?(location) }
+    }
+
+    func locationManager(_ manager: CLLocationManager, didFailWithError error: Error) {}
+}`,
+
+  CameraCapture: `import SwiftUI
+import UIKit
+
+struct CameraCapture: View {
+    let title: String
+    @State private var image: UIImage?
+    @State private var isCapturing = false
+
+    var body: some View {
+        VStack(spacing: 12) {
+            if let image {
+                Image(uiImage: image)
+                    .resizable()
+                    .scaledToFit()
+                    .frame(maxHeight: 240)
+                    .clipShape(RoundedRectangle(cornerRadius: Radius.lg))
+            }
+            Button(action: { isCapturing = true }) {
+                Label(title, systemImage: "camera")
+            }
+            .buttonStyle(.bordered)
+            .disabled(!UIImagePickerController.isSourceTypeAvailable(.camera))
+        }
+        .fullScreenCover(isPresented: $isCapturing) {
+            ImagePicker(image: $image)
+                .ignoresSafeArea()
+        }
+    }
+}
+
+private struct ImagePicker: UIViewControllerRepresentable {
+    @Binding var image: UIImage?
+    @Environment(\\.dismiss) private var dismiss
+
+    func makeUIViewController(context: Context) -> UIImagePickerController {
+        let picker = UIImagePickerController()
+        picker.sourceType = .camera
+        picker.delegate = context.coordinator
+        return picker
+    }
+
+    func updateUIViewController(_ uiViewController: UIImagePickerController, context: Context) {}
+
+    func makeCoordinator() -> Coordinator { Coordinator(self) }
+
+    final class Coordinator: NSObject, UIImagePickerControllerDelegate, UINavigationControllerDelegate {
+        let parent: ImagePicker
+
+        init(_ parent: ImagePicker) { self.parent = parent }
+
+        func imagePickerController(_ picker: UIImagePickerController, didFinishPickingMediaWithInfo info: [UIImagePickerController.InfoKey: Any]) {
+            parent.image = info[.originalImage] as? UIImage
+            parent.dismiss()
+        }
+
+        func imagePickerControllerDidCancel(_ picker: UIImagePickerController) {
+            parent.dismiss()
+        }
+    }
+}`
+}
+
+function generateJetpackCompose(project) {
+  const files = []
+  const android = project.platformConfig?.android || {}
+  const packageName = packageIdentifier(android.packageName || 'com.hublab.app')
+  const appName = typeName(project.name)
+  const sourceDir = `app/src/main/java/${packageName.replace(/\./g, '/')}`
+  const config = {
+    minSdk: num(android.minSdk, 26),
+    targetSdk: num(android.targetSdk, 34),
+    versionCode: num(android.versionCode, 1),
+    versionName: project.version || '1.0.0'
+  }
+
+  files.push(...generateGradleProject(project, packageName, config))
+
+  // MainActivity; BiometricPrompt needs a FragmentActivity
+  const activity = projectCapsules(project).has('biometrics') ? 'androidx.fragment.app.FragmentActivity' : 'androidx.activity.ComponentActivity'
+  files.push({
+    path: `${sourceDir}/MainActivity.kt`,
+    language: 'kotlin',
+    content: `package ${packageName}
+
+import android.os.Bundle
+import androidx.activity.compose.setContent
+import androidx.compose.material3.*
+import androidx.compose.runtime.*
+import ${activity}
+import ${packageName}.navigation.AppNavigation
+import ${packageName}.ui.theme.${appName}Theme
+
+class MainActivity : ${activity.split('.').pop()}() {
+    override fun onCreate(savedInstanceState: Bundle?) {
+        super.onCreate(savedInstanceState)
+        setContent {
+            ${appName}Theme {
+                Surface(color = MaterialTheme.colorScheme.background) {
+                    AppNavigation()
+                }
+            }
+        }
+    }
+}`
+  })
+
+  files.push(generateComposeTheme(project, packageName, appName, sourceDir))
+
+  const nav = navigationModel(project)
+  files.push(generateComposeNavigation(project, nav, packageName, sourceDir))
+
+  if (Object.keys(project.api?.endpoints || {}).length > 0) {
+    files.push(generateKotlinApiClient(project, packageName, sourceDir))
+  }
+
+  // Generate screens
+  const screenContents = []
+  for (const screen of project.screens) {
+    const cached = cachedScreen('android', project, screen)
+    if (cached.files) {
+      screenContents.push(cached.content)
+      files.push(...cached.files)
+      continue
+    }
+    const firstFile = files.length
+    const screenName = typeName(screen.id) + 'Screen'
+    const state = screenState(screen)
+    const content = generateComposeComponent(screen.root, { project, screen, nav, state })
+    screenContents.push(content)
+    const hasState = Object.keys(state).length > 0
+
+    if (hasState) {
+      files.push(generateComposeViewModel(project, screen, state, packageName, sourceDir))
+    }
+
+    // Imports only some capsules need, keyed by a marker in the generated code
+    const imports = [
+      'androidx.compose.foundation.layout.*',
+      'androidx.compose.foundation.lazy.LazyColumn',
+      'androidx.compose.foundation.lazy.items',
+      'androidx.compose.material.icons.Icons',
+      'androidx.compose.material.icons.filled.*',
+      'androidx.compose.material3.*',
+      'androidx.compose.runtime.*',
+      'androidx.compose.ui.Alignment',
+      'androidx.compose.ui.Modifier',
+      'androidx.compose.ui.text.input.PasswordVisualTransformation',
+      'androidx.compose.ui.unit.dp',
+      'androidx.lifecycle.viewmodel.compose.viewModel',
+      'androidx.navigation.NavController',
+      ...[
+        ...COMPOSE_SCREEN_IMPORTS.filter(([, marker]) => content.includes(marker)).map(([name]) => name),
+        ...Object.keys(COMPOSE_COMPONENTS).filter(name => content.includes(`${name}(`)).map(name => `${packageName}.components.${name}`),
+        ...capsuleImports(screen.root, 'android')
+      ]
+    ].filter((name, i, all) => all.indexOf(name) === i).sort()
+    const experimental = COMPOSE_EXPERIMENTAL.some(marker => content.includes(marker))
+    const appImports = [
+      content.includes('ApiClient.') && `${packageName}.data.ApiClient`,
+      `${packageName}.navigation.Routes`,
+      `${packageName}.navigation.navigateTo`,
+      content.includes('AppTheme.') && `${packageName}.ui.theme.AppTheme`
+    ].filter(Boolean)
+
+    files.push({
+      path: `${sourceDir}/screens/${screenName}.kt`,
+      language: 'kotlin',
+      content: `package ${packageName}.screens
+
+${[...imports, ...appImports].map(name => `import ${name}`).join('\n')}
+${experimental ? '\n@OptIn(ExperimentalMaterial3Api::class)' : ''}
+@Composable
+fun ${screenName}(${hasState
+    ? `
+    navController: NavController,
+    viewModel: ${typeName(screen.id)}ViewModel = viewModel()
+) {
+    val state by viewModel.state.collectAsState()
+`
+    : 'navController: NavController) {'}
+    Column(
+        modifier = Modifier
+            .fillMaxSize()
+            .padding(16.dp)
+    ) {
+        ${content}
+    }
+}`
+    })
+    cached.save(screenContents.at(-1), files.slice(firstFile))
+  }
+
+  for (const [name, content] of Object.entries(COMPOSE_COMPONENTS)) {
+    if (screenContents.some(c => c.includes(`${name}(`))) {
+      // Components share the screens' theme tokens, imported after the library imports
+      const importsEnd = content.indexOf('\n\n')
+      const themed = content.includes('AppTheme.')
+        ? `${content.slice(0, importsEnd)}\nimport ${packageName}.ui.theme.AppTheme${content.slice(importsEnd)}`
+        : content
+      files.push({
+        path: `${sourceDir}/components/${name}.kt`,
+        language: 'kotlin',
+        content: `package ${packageName}.components\n\n${themed}`
+      })
+    }
+  }
+
+  return files
+}
+
+function generateComposeViewModel(project, screen, state, packageName, sourceDir) {
+  const name = typeName(screen.id)
+  const validation = kotlinValidation(screen)
+  const fields = Object.entries(state).map(([key, field]) => `    val ${key}: ${kotlinType(field)} = ${kotlinLiteral(field.default, field)}`)
+  const records = Object.values(state).filter(field => field.model).map(field => `data class ${field.model}(
+${Object.entries(field.fields).map(([key, f]) => `    val ${key}: ${kotlinType(f)} = ${kotlinLiteral(undefined, f)}`).join(',\n')}
+)
+
+`).join('')
+  // Data capsules backed by an endpoint load as soon as the screen is created
+  const loaders = Object.entries(state).filter(([, field]) => field.endpoint).map(([key, field]) => {
+    const { method, path } = endpointFor({ endpoint: field.endpoint }, { project })
+    return `        callApi(${kotlinString(method)}, ${kotlinString(path)}) { response -> copy(${key} = ${kotlinDecode(key, field)}) }`
+  })
+  const callApi = state.isLoading
+    ? `
+
+    fun callApi(
+        method: String,
+        path: String,
+        body: Map<String, Any?>? = null,
+        onResult: ${name}UiState.(String) -> ${name}UiState = { this }
+    ) {
+        viewModelScope.launch {
+            update { copy(isLoading = true) }
+            val response = runCatching { ApiClient.send(method, path, body) }.getOrNull()
+            update { (if (response != null) onResult(response) else this).copy(isLoading = false) }
+        }
+    }`
+    : ''
+
+  return {
+    path: `${sourceDir}/screens/${name}ViewModel.kt`,
+    language: 'kotlin',
+    content: `package ${packageName}.screens
+
+import androidx.lifecycle.ViewModel${callApi ? '\nimport androidx.lifecycle.viewModelScope' : ''}
+import kotlinx.coroutines.flow.MutableStateFlow
+import kotlinx.coroutines.flow.StateFlow
+import kotlinx.coroutines.flow.asStateFlow
+import kotlinx.coroutines.flow.update${callApi ? `\nimport kotlinx.coroutines.launch\nimport ${packageName}.data.ApiClient` : ''}
+
+${records}data class ${name}UiState(
+${fields.join(',\n')}
+)${validation ? ` {\n${validation}\n}` : ''}
+
+class ${name}ViewModel : ViewModel() {
+    private val _state = MutableStateFlow(${name}UiState())
+    val state: StateFlow<${name}UiState> = _state.asStateFlow()
+${loaders.length > 0 ? `\n    init {\n${loaders.join('\n')}\n    }\n` : ''}
+    fun update(transform: ${name}UiState.() -> ${name}UiState) {
+        _state.update { it.transform() }
+    }${callApi}
+}`
+  }
+}
+
+function generateKotlinApiClient(project, packageName, sourceDir) {
+  return {
+    path: `${sourceDir}/data/ApiClient.kt`,
+    language: 'kotlin',
+    content: `package ${packageName}.data
+
+import java.io.IOException
+import java.net.HttpURLConnection
+import java.net.URL
+import kotlinx.coroutines.Dispatchers
+import kotlinx.coroutines.withContext
+import org.json.JSONArray
+import org.json.JSONObject
+
+object ApiClient {
+    private const val BASE_URL = ${kotlinString((project.api?.baseUrl || 'https://api.example.com').replace(/\/$/, ''))}
+
+    suspend fun send(method: String, path: String, body: Map<String, Any?>? = null): String = withContext(Dispatchers.IO) {
+        val connection = URL(BASE_URL + path).openConnection() as HttpURLConnection
+        try {
+            connection.requestMethod = method
+            if (body != null) {
+                connection.doOutput = true
+                connection.setRequestProperty("Content-Type", "application/json")
+                connection.outputStream.use { it.write(JSONObject(body).toString().toByteArray()) }
+            }
+            val code = connection.responseCode
+            if (code !in 200..299) throw IOException("HTTP $code")
+            connection.inputStream.bufferedReader().use { it.readText() }
+        } finally {
+            connection.disconnect()
+        }
+    }
+
+    fun parseList(json: String): List<String> {
+        val array = JSONArray(json)
+        return List(array.length()) { array.get(it).toString() }
+    }
+
+    fun parseObjects(json: String): List<JSONObject> {
+        val array = JSONArray(json)
+        return List(array.length()) { array.getJSONObject(it) }
+    }
+
+    fun parseMap(json: String): Map<String, String> {
+        val obj = JSONObject(json)
+        return obj.keys().asSequence().associateWith { obj.get(it).toString() }
+    }
+}`
+  }
+}
+
+function generateGradleProject(project, packageName, config) {
+  const appLabel = project.platformConfig?.android?.appName || project.name
+  const requirements = platformRequirements(project, 'android')
+  if (Object.keys(project.api?.endpoints || {}).length > 0) requirements.permissions.add('INTERNET')
+
+  return [
+    {
+      path: 'settings.gradle.kts',
+      language: 'kotlin',
+      content: `pluginManagement {
+    repositories {
+        google()
+        mavenCentral()
+        gradlePluginPortal()
+    }
+}
+
+dependencyResolutionManagement {
+    repositoriesMode.set(RepositoriesMode.FAIL_ON_PROJECT_REPOS)
+    repositories {
+        google()
+        mavenCentral()
+    }
+}
+
+rootProject.name = ${kotlinString(project.name)}
+include(":app")`
+    },
+    {
+      path: 'build.gradle.kts',
+      language: 'kotlin',
+      content: `plugins {
+    id("com.android.application") version "8.5.2" apply false
+    id("org.jetbrains.kotlin.android") version "2.0.20" apply false
+    id("org.jetbrains.kotlin.plugin.compose") version "2.0.20" apply false
+}`
+    },
+    {
+      path: 'gradle.properties',
+      language: 'properties',
+      content: `org.gradle.jvmargs=-Xmx2048m -Dfile.encoding=UTF-8
+android.useAndroidX=true
+android.nonTransitiveRClass=true
+kotlin.code.style=official`
+    },
+    {
+      path: 'gradle/wrapper/gradle-wrapper.properties',
+      language: 'properties',
+      content: `distributionBase=GRADLE_USER_HOME
+distributionPath=wrapper/dists
+distributionUrl=https\\://services.gradle.org/distributions/gradle-8.9-bin.zip
+zipStoreBase=GRADLE_USER_HOME
+zipStorePath=wrapper/dists`
+    },
+    {
+      path: 'app/build.gradle.kts',
+      language: 'kotlin',
+      content: `plugins {
+    id("com.android.application")
+    id("org.jetbrains.kotlin.android")
+    id("org.jetbrains.kotlin.plugin.compose")
+}
+
+android {
+    namespace = "${packageName}"
+    compileSdk = ${Math.max(config.targetSdk, 34)}
+
+    defaultConfig {
+        applicationId = "${packageName}"
+        minSdk = ${config.minSdk}
+        targetSdk = ${config.targetSdk}
+        versionCode = ${config.versionCode}
+        versionName = ${kotlinString(config.versionName)}
+    }
+
+    buildTypes {
+        release {
+            isMinifyEnabled = false
+        }
+    }
+
+    compileOptions {
+        sourceCompatibility = JavaVersion.VERSION_17
+        targetCompatibility = JavaVersion.VERSION_17
+    }
+
+    kotlinOptions {
+        jvmTarget = "17"
+    }
+
+    buildFeatures {
+        compose = true
+    }
+}
+
+dependencies {
+    val composeBom = platform("androidx.compose:compose-bom:2024.09.00")
+    implementation(composeBom)
+
+    implementation("androidx.core:core-ktx:1.13.1")
+    implementation("androidx.lifecycle:lifecycle-runtime-ktx:2.8.6")
+    implementation("androidx.activity:activity-compose:1.9.2")
+    implementation("androidx.compose.ui:ui")
+    implementation("androidx.compose.ui:ui-tooling-preview")
+    implementation("androidx.compose.material3:material3")
+    implementation("androidx.compose.material:material-icons-extended")
+    implementation("androidx.navigation:navigation-compose:2.8.0")
+    implementation("androidx.lifecycle:lifecycle-viewmodel-compose:2.8.6")
+${[...requirements.dependencies].map(d => `    implementation("${d}")\n`).join('')}
+    debugImplementation("androidx.compose.ui:ui-tooling")
+}`
+    },
+    {
+      path: 'app/src/main/AndroidManifest.xml',
+      language: 'xml',
+      content: `<?xml version="1.0" encoding="utf-8"?>
+<manifest xmlns:android="http://schemas.android.com/apk/res/android">
+
+${[...requirements.permissions].sort().map(p => `    <uses-permission android:name="android.permission.${p}" />\n`).join('')}${requirements.permissions.size > 0 ? '\n' : ''}    <application
+        android:allowBackup="true"
+        android:label="@string/app_name"
+        android:supportsRtl="true"
+        android:theme="@style/Theme.App">
+        <activity
+            android:name=".MainActivity"
+            android:exported="true"
+            android:theme="@style/Theme.App">
+            <intent-filter>
+                <action android:name="android.intent.action.MAIN" />
+                <category android:name="android.intent.category.LAUNCHER" />
+            </intent-filter>
+        </activity>
+    </application>
+
+</manifest>`
+    },
+    {
+      path: 'app/src/main/res/values/strings.xml',
+      language: 'xml',
+      content: `<?xml version="1.0" encoding="utf-8"?>
+<resources>
+    <string name="app_name">${androidResourceString(appLabel)}</string>
+</resources>`
+    },
+    {
+      path: 'app/src/main/res/values/themes.xml',
+      language: 'xml',
+      content: `<?xml version="1.0" encoding="utf-8"?>
+<resources>
+    <style name="Theme.App" parent="android:Theme.Material.Light.NoActionBar" />
+</resources>`
+    }
+  ]
+}
+
+function generateComposeNavigation(project, nav, packageName, sourceDir) {
+  const routes = project.screens.map(s => `    const val ${constantName(s.id)} = ${kotlinString(s.id)}`).join('\n')
+  const titles = project.screens.map(s => `    Routes.${constantName(s.id)} to ${kotlinString(s.name)}`).join(',\n')
+  const tabs = nav.tabs.map(tab => `    TabItem(Routes.${constantName(tab.screen.id)}, ${kotlinString(tab.label)}, Icons.Filled.${iconName(tab.icon, 'material')})`).join(',\n')
+  const destinations = project.screens.map(s => `            composable(Routes.${constantName(s.id)}) { ${typeName(s.id)}Screen(navController) }`).join('\n')
+  const bottomBar = nav.type === 'tabs'
+    ? `
+        bottomBar = {
+            NavigationBar {
+                tabItems.forEach { tab ->
+                    NavigationBarItem(
+                        selected = currentRoute == tab.route,
+                        onClick = { navController.navigateTo(tab.route) },
+                        icon = { Icon(tab.icon, contentDescription = tab.label) },
+                        label = { Text(tab.label) }
+                    )
+                }
+            }
+        },`
+    : ''
+
+  return {
+    path: `${sourceDir}/navigation/AppNavigation.kt`,
+    language: 'kotlin',
+    content: `package ${packageName}.navigation
+
+import androidx.compose.foundation.layout.padding
+import androidx.compose.material.icons.Icons
+import androidx.compose.material.icons.automirrored.filled.ArrowBack
+import androidx.compose.material.icons.filled.*
+import androidx.compose.material3.*
+import androidx.compose.runtime.Composable
+import androidx.compose.runtime.getValue
+import androidx.compose.ui.Modifier
+import androidx.compose.ui.graphics.vector.ImageVector
+import androidx.navigation.NavController
+import androidx.navigation.NavGraph.Companion.findStartDestination
+import androidx.navigation.compose.NavHost
+import androidx.navigation.compose.composable
+import androidx.navigation.compose.currentBackStackEntryAsState
+import androidx.navigation.compose.rememberNavController
+import ${packageName}.screens.*
+
+object Routes {
+${routes}
+}
+
+private val titles = mapOf(
+${titles}
+)
+
+data class TabItem(val route: String, val label: String, val icon: ImageVector)
+
+val tabItems: List<TabItem> = listOf(${tabs ? `\n${tabs}\n` : ''})
+
+// Tabs keep their own back stack; any other route is pushed on top
+fun NavController.navigateTo(route: String) {
+    if (tabItems.any { it.route == route }) {
+        navigate(route) {
+            popUpTo(graph.findStartDestination().id) { saveState = true }
+            launchSingleTop = true
+            restoreState = true
+        }
+    } else {
+        navigate(route)
+    }
+}
+
+@OptIn(ExperimentalMaterial3Api::class)
+@Composable
+fun AppNavigation() {
+    val navController = rememberNavController()
+    val backStackEntry by navController.currentBackStackEntryAsState()
+    val currentRoute = backStackEntry?.destination?.route
+
+    Scaffold(
+        topBar = {
+            TopAppBar(
+                title = { Text(titles[currentRoute] ?: "") },
+                navigationIcon = {
+                    if (navController.previousBackStackEntry != null && tabItems.none { it.route == currentRoute }) {
+                        IconButton(onClick = { navController.popBackStack() }) {
+                            Icon(Icons.AutoMirrored.Filled.ArrowBack, contentDescription = "Back")
+                        }
+                    }
+                }
+            )
+        },${bottomBar}
+    ) { innerPadding ->
+        NavHost(
+            navController = navController,
+            startDestination = Routes.${constantName(nav.initial.id)},
+            modifier = Modifier.padding(innerPadding)
+        ) {
+${destinations}
+        }
+    }
+}`
+  }
+}
+
+function generateComposeComponent(instance, ctx) {
+  if (!instance) return 'Text("Empty")'
+  return composeAccessibility(composeComponent(instance, ctx), instance, ctx)
+}
+
+function composeComponent(instance, ctx) {
+  const { capsuleId, props, children } = instance
+  const childContent = children?.map(c => generateComposeComponent(c, ctx)).join('\n        Spacer(Modifier.height(8.dp))\n        ') || ''
+
+  switch (capsuleId) {
+    case 'button':
+      return `Button(onClick = { ${composeActions(props.onPress, ctx)} }${ctx.form ? `, enabled = state.${ctx.form.valid}` : ''}) {
+            Text(${kotlinText(props.text || 'Button', ctx)})
+        }`
+
+    case 'text': {
+      const variant = textStyle(props.variant)
+      const { heading } = accessibilityOf(instance)
+      return `Text(
+            ${kotlinText(props.content || props.text || '', ctx)},
+            style = MaterialTheme.typography.${MATERIAL_TEXT_STYLES[variant][0]}${variant === 'caption' ? ',\n            color = AppTheme.colors.textSecondary' : ''}${heading ? ',\n            modifier = Modifier.semantics { heading() }' : ''}
+        )`
+    }
+
+    case 'input': {
+      const key = bindingKey(instance)
+      // A validated field shows its error once it has been edited
+      const touched = `${kotlinString(key)} in state.touched`
+      const validation = fieldValidation(instance, ctx)
+        ? `
+            isError = ${touched} && state.${key}Error != null,
+            supportingText = if (${touched} && state.${key}Error != null) {
+                { Text(state.${key}Error.orEmpty()) }
+            } else null,`
+        : ''
+      // An accessibility label other than the visible one
+      const { label } = accessibilityOf(instance)
+      const description = label !== (props.label || null) && label
+      return `OutlinedTextField(
+            value = state.${key},
+            onValueChange = { viewModel.update { copy(${key} = it${validation ? `, touched = (touched + ${kotlinString(key)}).distinct()` : ''}) } },
+            ${props.label ? `label = { Text(${kotlinText(props.label, ctx)}) },
+            ` : ''}placeholder = { Text(${kotlinString(props.placeholder || '')}) },${props.type === 'password' ? '\n            visualTransformation = PasswordVisualTransformation(),' : ''}${validation}
+            modifier = Modifier.fillMaxWidth()${description ? `.semantics { contentDescription = ${kotlinText(description, ctx)} }` : ''}
+        )`
+    }
+
+    case 'card':
+      return `Card(
+            modifier = Modifier.fillMaxWidth(),
+            shape = RoundedCornerShape(AppTheme.radii.lg),
+            colors = CardDefaults.cardColors(containerColor = MaterialTheme.colorScheme.surface),
+            elevation = CardDefaults.cardElevation(defaultElevation = AppTheme.elevation.md)
+        ) {
+            Column(
+                modifier = Modifier.padding(AppTheme.spacing.md),
+                verticalArrangement = Arrangement.spacedBy(AppTheme.spacing.sm)
+            ) {
+                ${props.title ? `Text(${kotlinText(props.title, ctx)}, style = MaterialTheme.typography.titleMedium)` : ''}
+                ${childContent}
+            }
+        }`
+
+    case 'list': {
+      const { key, item, itemCtx } = dataBinding(instance, ctx)
+      const template = itemTemplate(instance, item).map(c => generateComposeComponent(c, itemCtx)).join('\n                ')
+      return `LazyColumn {
+            items(state.${key}) { item ->
+                Column(modifier = Modifier.padding(vertical = 8.dp)) {
+                ${template}
+                }
+                HorizontalDivider()
+            }
+        }`
+    }
+
+    case 'carousel': {
+      const { key, item, itemCtx } = dataBinding(instance, ctx)
+      const template = itemTemplate(instance, item).map(c => generateComposeComponent(c, itemCtx)).join('\n                    ')
+      return `LazyRow(horizontalArrangement = Arrangement.spacedBy(12.dp)) {
+            items(state.${key}) { item ->
+                Card(modifier = Modifier.width(240.dp)) {
+                    Column(modifier = Modifier.padding(16.dp)) {
+                    ${template}
+                    }
+                }
+            }
+        }`
+    }
+
+    case 'table':
+    case 'data-table': {
+      const { key, item, itemCtx } = dataBinding(instance, ctx)
+      const columns = tableColumns(instance, item)
+      // Wide data tables scroll sideways with fixed-width columns
+      const wide = capsuleId === 'data-table'
+      const cell = wide ? 'Modifier.width(160.dp)' : 'Modifier.weight(1f)'
+      return `Column(modifier = Modifier.fillMaxWidth()${wide ? '.horizontalScroll(rememberScrollState())' : ''}) {
+            Row(modifier = Modifier.padding(vertical = 8.dp)) {
+                ${columns.map(c => `Text(${kotlinString(c.label)}, modifier = ${cell}, style = MaterialTheme.typography.labelLarge)`).join('\n                ')}
+            }
+            HorizontalDivider()
+            state.${key}.forEach { item ->
+                Row(modifier = Modifier.padding(vertical = 8.dp)) {
+                    ${columns.map(c => `Text(${kotlinText(c.template, itemCtx)}, modifier = ${cell})`).join('\n                    ')}
+                }
+            }
+        }`
+    }
+
+    case 'chart': {
+      const { key, item } = dataBinding(instance, ctx)
+      const axes = chartAxes(instance, item)
+      const y = axes.y || '0.0'
+      if (axes.type === 'line' || axes.type === 'area') {
+        return `Box {
+            val lineColor = MaterialTheme.colorScheme.primary
+            Canvas(modifier = Modifier.fillMaxWidth().height(200.dp)) {
+                val values = state.${key}.map { item -> ${y} }
+                val max = values.maxOrNull()?.takeIf { it > 0 } ?: 1.0
+                val step = if (values.size > 1) size.width / (values.size - 1) else 0f
+                val path = Path()
+                values.forEachIndexed { index, value ->
+                    val x = index * step
+                    val y = size.height * (1 - value / max).toFloat()
+                    if (index == 0) path.moveTo(x, y) else path.lineTo(x, y)
+                }
+                drawPath(path, color = lineColor, style = Stroke(width = 3.dp.toPx()))
+            }
+        }`
+      }
+      return `Row(
+            modifier = Modifier.fillMaxWidth().height(200.dp),
+            horizontalArrangement = Arrangement.spacedBy(8.dp),
+            verticalAlignment = Alignment.Bottom
+        ) {
+            val max = state.${key}.maxOfOrNull { item -> ${y} }?.takeIf { it > 0 } ?: 1.0
+            state.${key}.${axes.x ? 'forEach { item ->' : 'forEachIndexed { index, item ->'}
+                Column(
+                    modifier = Modifier.weight(1f),
+                    horizontalAlignment = Alignment.CenterHorizontally
+                ) {
+                    Box(
+                        modifier = Modifier
+                            .fillMaxWidth()
+                            .height((170 * ${y} / max).dp)
+                            .background(MaterialTheme.colorScheme.primary, RoundedCornerShape(AppTheme.radii.sm))
+                    )
+                    Text(${axes.x ? `"\${${axes.x}}"` : '"${index + 1}"'}, style = MaterialTheme.typography.labelSmall, maxLines = 1)
+                }
+            }
+        }`
+    }
+
+    case 'progress':
+      const value = num(props.value, 50) / 100
+      return `LinearProgressIndicator(
+            progress = { ${value}f },
+            modifier = Modifier.fillMaxWidth()
+        )`
+
+    case 'switch': {
+      const key = bindingKey(instance)
+      return `Row(verticalAlignment = Alignment.CenterVertically) {
+            Text(${kotlinText(props.label || '', ctx)})
+            Spacer(Modifier.weight(1f))
+            Switch(checked = state.${key}, onCheckedChange = { viewModel.update { copy(${key} = it) } })
+        }`
+    }
+
+    case 'slider': {
+      const key = bindingKey(instance)
+      return `Slider(
+            value = state.${key}.toFloat(),
+            onValueChange = { viewModel.update { copy(${key} = it.toDouble()) } },
+            valueRange = ${num(props.min, 0)}f..${num(props.max, 100)}f
+        )`
+    }
+
+    case 'divider':
+      return `HorizontalDivider()`
+
+    case 'modal':
+      return `if (state.activeModal == ${kotlinString(instance.id)}) {
+            AlertDialog(
+                onDismissRequest = { viewModel.update { copy(activeModal = null) } },
+                title = { Text(${kotlinText(props.title || '', ctx)}) },
+                text = {
+                    Column {
+                        ${childContent}
+                    }
+                },
+                confirmButton = {
+                    TextButton(onClick = { viewModel.update { copy(activeModal = null) } }) {
+                        Text("Close")
+                    }
+                }
+            )
+        }`
+
+    case 'searchbar': {
+      const key = bindingKey(instance)
+      return `OutlinedTextField(
+            value = state.${key},
+            onValueChange = { viewModel.update { copy(${key} = it) } },
+            placeholder = { Text(${kotlinString(props.placeholder || 'Search...')}) },
+            leadingIcon = { Icon(Icons.Default.Search, "Search") },
+            modifier = Modifier.fillMaxWidth()
+        )`
+    }
+
+    case 'image': {
+      const ratio = aspectRatio(props.aspectRatio)
+      const { label } = accessibilityOf(instance)
+      return `AsyncImage(
+            model = ${kotlinString(props.src || props.url || '')},
+            contentDescription = ${label ? kotlinText(label, ctx) : 'null'},
+            contentScale = ContentScale.Crop,
+            modifier = Modifier
+                .fillMaxWidth()
+                ${ratio ? `.aspectRatio(${ratio}f)` : '.height(200.dp)'}
+                .clip(RoundedCornerShape(${num(props.cornerRadius, 12)}.dp))
+        )`
+    }
+
+    case 'form': {
+      // A form without its own button gets a submit button running onSubmit;
+      // with validated inputs, its buttons wait for them to be valid
+      const formCtx = formContext(instance, ctx)
+      const submit = !children?.some(c => c.capsuleId === 'button')
+        ? `
+            Button(onClick = { ${composeActions(props.onSubmit, ctx)} }, ${formCtx.form ? `enabled = state.${formCtx.form.valid}, ` : ''}modifier = Modifier.fillMaxWidth()) {
+                Text(${kotlinText(props.submitText || 'Submit', ctx)})
+            }`
+        : ''
+      return `Column(verticalArrangement = Arrangement.spacedBy(12.dp)) {
+            ${children?.map(c => generateComposeComponent(c, formCtx)).join('\n            ') || ''}${submit}
+        }`
+    }
+
+    case 'navigation': {
+      const links = navigationLinks(instance, ctx).map(link => `TextButton(onClick = { navController.navigateTo(Routes.${constantName(link.screen)}) }) {
+                ${link.icon ? `Icon(Icons.Default.${iconName(link.icon, 'material')}, contentDescription = null)
+                Spacer(Modifier.width(4.dp))
+                ` : ''}Text(${kotlinString(link.label)})
+            }`)
+      return `Row(
+            modifier = Modifier.fillMaxWidth().padding(vertical = 8.dp),
+            verticalAlignment = Alignment.CenterVertically
+        ) {
+            Text(${kotlinText(props.title || ctx.screen.name, ctx)}, style = MaterialTheme.typography.titleMedium)
+            Spacer(Modifier.weight(1f))
+            ${links.join('\n            ')}
+        }`
+    }
+
+    case 'auth-screen': {
+      const key = bindingKey(instance)
+      const signUp = ctx.project.screens.some(s => s.id === props.signUpScreen)
+        ? `
+            TextButton(onClick = { navController.navigateTo(Routes.${constantName(props.signUpScreen)}) }) {
+                Text(${kotlinString(props.signUpText || 'Create an account')})
+            }`
+        : ''
+      return `Column(verticalArrangement = Arrangement.spacedBy(16.dp)) {
+            Text(${kotlinText(props.title || 'Sign in', ctx)}, style = MaterialTheme.typography.headlineMedium)
+            OutlinedTextField(
+                value = state.${key}Email,
+                onValueChange = { viewModel.update { copy(${key}Email = it) } },
+                label = { Text("Email") },
+                singleLine = true,
+                keyboardOptions = KeyboardOptions(keyboardType = KeyboardType.Email),
+                modifier = Modifier.fillMaxWidth()
+            )
+            OutlinedTextField(
+                value = state.${key}Password,
+                onValueChange = { viewModel.update { copy(${key}Password = it) } },
+                label = { Text("Password") },
+                singleLine = true,
+                visualTransformation = PasswordVisualTransformation(),
+                keyboardOptions = KeyboardOptions(keyboardType = KeyboardType.Password),
+                modifier = Modifier.fillMaxWidth()
+            )
+            Button(
+                onClick = { ${composeActions(props.onSubmit, ctx)} },
+                enabled = state.${key}Email.isNotEmpty() && state.${key}Password.isNotEmpty(),
+                modifier = Modifier.fillMaxWidth()
+            ) {
+                Text(${kotlinText(props.submitText || 'Sign in', ctx)})
+            }${signUp}
+        }`
+    }
+
+    case 'skeleton':
+      return `Column(verticalArrangement = Arrangement.spacedBy(8.dp)) {
+            val alpha by rememberInfiniteTransition(label = "skeleton").animateFloat(
+                initialValue = 0.4f,
+                targetValue = 1f,
+                animationSpec = infiniteRepeatable(tween(800), RepeatMode.Reverse),
+                label = "alpha"
+            )
+            repeat(${Math.max(1, Math.round(num(props.lines, 3)))}) {
+                Box(
+                    modifier = Modifier
+                        .fillMaxWidth()
+                        .height(14.dp)
+                        .alpha(alpha)
+                        .background(MaterialTheme.colorScheme.surfaceVariant, RoundedCornerShape(AppTheme.radii.sm))
+                )
+            }
+        }`
+
+    case 'tabs': {
+      const key = bindingKey(instance)
+      const sections = capsuleSections(instance)
+      return `Column {
+            TabRow(selectedTabIndex = state.${key}.toInt()) {
+                ${sections.map((section, i) => `Tab(
+                    selected = state.${key}.toInt() == ${i},
+                    onClick = { viewModel.update { copy(${key} = ${i}.0) } },
+                    text = { Text(${kotlinString(section.label)}) }
+                )`).join('\n                ')}
+            }
+            Spacer(Modifier.height(12.dp))
+            when (state.${key}.toInt()) {
+                ${sections.map((section, i) => `${i} -> {
+                    ${generateComposeComponent(section.child, ctx)}
+                }`).join('\n                ')}
+            }
+        }`
+    }
+
+    case 'accordion':
+      return `Column {
+            ${capsuleSections(instance).map(section => `Column {
+                var expanded by remember { mutableStateOf(false) }
+                Row(
+                    modifier = Modifier
+                        .fillMaxWidth()
+                        .clickable { expanded = !expanded }
+                        .padding(vertical = 12.dp),
+                    verticalAlignment = Alignment.CenterVertically
+                ) {
+                    Text(${kotlinString(section.label)}, modifier = Modifier.weight(1f), style = MaterialTheme.typography.titleSmall)
+                    Icon(if (expanded) Icons.Default.ExpandLess else Icons.Default.ExpandMore, contentDescription = null)
+                }
+                AnimatedVisibility(visible = expanded) {
+                    Column(modifier = Modifier.padding(bottom = 12.dp)) {
+                        ${generateComposeComponent(section.child, ctx)}
+                    }
+                }
+                HorizontalDivider()
+            }`).join('\n            ')}
+        }`
+
+    case 'dropdown': {
+      const key = bindingKey(instance)
+      return `Box {
+            var expanded by remember { mutableStateOf(false) }
+            ExposedDropdownMenuBox(expanded = expanded, onExpandedChange = { expanded = it }) {
+                OutlinedTextField(
+                    value = state.${key},
+                    onValueChange = {},
+                    readOnly = true,
+                    label = { Text(${kotlinText(props.label || props.placeholder || 'Select', ctx)}) },
+                    trailingIcon = { ExposedDropdownMenuDefaults.TrailingIcon(expanded = expanded) },
+                    modifier = Modifier.menuAnchor().fillMaxWidth()
+                )
+                ExposedDropdownMenu(expanded = expanded, onDismissRequest = { expanded = false }) {
+                    ${capsuleOptions(props).map(o => `DropdownMenuItem(
+                        text = { Text(${kotlinString(o.label)}) },
+                        onClick = {
+                            viewModel.update { copy(${key} = ${kotlinString(o.value)}) }
+                            expanded = false
+                        }
+                    )`).join('\n                    ')}
+                }
+            }
+        }`
+    }
+
+    case 'datepicker': {
+      const key = bindingKey(instance)
+      return `Box {
+            var open by remember { mutableStateOf(false) }
+            val pickerState = rememberDatePickerState(initialSelectedDateMillis = state.${key})
+            OutlinedButton(onClick = { open = true }) {
+                Icon(Icons.Default.CalendarMonth, contentDescription = null)
+                Spacer(Modifier.width(8.dp))
+                Text(state.${key}?.let { DateFormat.getDateInstance().format(Date(it)) } ?: ${kotlinText(props.label || 'Select a date', ctx)})
+            }
+            if (open) {
+                DatePickerDialog(
+                    onDismissRequest = { open = false },
+                    confirmButton = {
+                        TextButton(onClick = {
+                            viewModel.update { copy(${key} = pickerState.selectedDateMillis) }
+                            open = false
+                        }) { Text("OK") }
+                    },
+                    dismissButton = { TextButton(onClick = { open = false }) { Text("Cancel") } }
+                ) {
+                    DatePicker(state = pickerState)
+                }
+            }
+        }`
+    }
+
+    case 'calendar': {
+      const key = bindingKey(instance)
+      return `Box {
+            val pickerState = rememberDatePickerState(initialSelectedDateMillis = state.${key})
+            LaunchedEffect(pickerState.selectedDateMillis) {
+                viewModel.update { copy(${key} = pickerState.selectedDateMillis) }
+            }
+            DatePicker(state = pickerState, title = null)
+        }`
+    }
+
+    case 'tooltip':
+      return `TooltipBox(
+            positionProvider = TooltipDefaults.rememberPlainTooltipPositionProvider(),
+            tooltip = { PlainTooltip { Text(${kotlinText(props.text || props.content || '', ctx)}) } },
+            state = rememberTooltipState()
+        ) {
+            ${childContent || `Icon(Icons.Default.Info, contentDescription = ${kotlinText(props.text || props.content || '', ctx)})`}
+        }`
+
+    case 'popover':
+      return `Box {
+            var expanded by remember { mutableStateOf(false) }
+            OutlinedButton(onClick = { expanded = true }) {
+                Text(${kotlinText(props.title || props.label || 'More', ctx)})
+            }
+            DropdownMenu(expanded = expanded, onDismissRequest = { expanded = false }) {
+                Column(modifier = Modifier.padding(16.dp)) {
+                    ${childContent}
+                }
+            }
+        }`
+
+    case 'rating': {
+      const key = bindingKey(instance)
+      return `Row {
+            for (star in 1..${Math.max(1, Math.round(num(props.max, 5)))}) {
+                IconButton(onClick = { viewModel.update { copy(${key} = star.toDouble()) } }) {
+                    Icon(
+                        if (star <= state.${key}) Icons.Default.Star else Icons.Default.StarBorder,
+                        contentDescription = "$star stars",
+                        tint = Color(0xFFFFB400)
+                    )
+                }
+            }
+        }`
+    }
+
+    case 'stepper': {
+      const key = bindingKey(instance)
+      const step = num(props.step, 1)
+      const literal = n => kotlinLiteral(n, { type: 'number' })
+      return `Row(verticalAlignment = Alignment.CenterVertically) {
+            Text(${kotlinText(props.label || 'Value', ctx)}, modifier = Modifier.weight(1f))
+            IconButton(onClick = { viewModel.update { copy(${key} = (${key} - ${literal(step)}).coerceAtLeast(${literal(num(props.min, 0))})) } }) {
+                Icon(Icons.Default.Remove, contentDescription = "Decrease")
+            }
+            Text(${Number.isInteger(step) ? `state.${key}.toInt().toString()` : `state.${key}.toString()`})
+            IconButton(onClick = { viewModel.update { copy(${key} = (${key} + ${literal(step)}).coerceAtMost(${literal(num(props.max, 100))})) } }) {
+                Icon(Icons.Default.Add, contentDescription = "Increase")
+            }
+        }`
+    }
+
+    case 'chip': {
+      const key = bindingKey(instance)
+      return `FilterChip(
+            selected = state.${key},
+            onClick = { viewModel.update { copy(${key} = !${key}) } },
+            label = { Text(${kotlinText(props.label || props.text || '', ctx)}) }
+        )`
+    }
+
+    case 'file-upload': {
+      const key = bindingKey(instance)
+      return `Row(verticalAlignment = Alignment.CenterVertically) {
+            val launcher = rememberLauncherForActivityResult(ActivityResultContracts.GetContent()) { uri ->
+                if (uri != null) viewModel.update { copy(${key} = uri.lastPathSegment ?: uri.toString()) }
+            }
+            OutlinedButton(onClick = { launcher.launch("*/*") }) {
+                Icon(Icons.Default.AttachFile, contentDescription = null)
+                Spacer(Modifier.width(8.dp))
+                Text(${kotlinText(props.label || 'Upload file', ctx)})
+            }
+            Spacer(Modifier.width(12.dp))
+            Text(state.${key}.ifEmpty { "No file selected" }, style = MaterialTheme.typography.bodySmall, maxLines = 1)
+        }`
+    }
+
+    case 'timeline': {
+      const { key, item, itemCtx } = dataBinding(instance, ctx)
+      const template = itemTemplate(instance, item).map(c => generateComposeComponent(c, itemCtx)).join('\n                    ')
+      return `Column {
+            state.${key}.forEach { item ->
+                Row(modifier = Modifier.height(IntrinsicSize.Min)) {
+                    Column(horizontalAlignment = Alignment.CenterHorizontally) {
+                        Box(Modifier.size(10.dp).background(MaterialTheme.colorScheme.primary, CircleShape))
+                        Box(Modifier.width(2.dp).weight(1f).background(MaterialTheme.colorScheme.outlineVariant))
+                    }
+                    Spacer(Modifier.width(12.dp))
+                    Column(modifier = Modifier.padding(bottom = 16.dp)) {
+                    ${template}
+                    }
+                }
+            }
+        }`
+    }
+
+    case 'bottom-sheet':
+      return `if (state.activeModal == ${kotlinString(instance.id)}) {
+            ModalBottomSheet(onDismissRequest = { viewModel.update { copy(activeModal = null) } }) {
+                Column(
+                    modifier = Modifier.padding(start = 16.dp, end = 16.dp, bottom = 32.dp),
+                    verticalArrangement = Arrangement.spacedBy(12.dp)
+                ) {
+                    ${props.title ? `Text(${kotlinText(props.title, ctx)}, style = MaterialTheme.typography.titleLarge)\n                    ` : ''}${childContent}
+                }
+            }
+        }`
+
+    case 'color-picker': {
+      const key = bindingKey(instance)
+      const swatches = Array.isArray(props.swatches) ? props.swatches.filter(s => /^#[0-9A-Fa-f]{6}$/.test(s)) : DEFAULT_SWATCHES
+      return `Column(verticalArrangement = Arrangement.spacedBy(8.dp)) {
+            Text(${kotlinText(props.label || 'Color', ctx)})
+            Row(horizontalArrangement = Arrangement.spacedBy(8.dp)) {
+                listOf(${swatches.map(kotlinString).join(', ')}).forEach { hex ->
+                    Box(
+                        modifier = Modifier
+                            .size(32.dp)
+                            .background(Color(android.graphics.Color.parseColor(hex)), CircleShape)
+                            .border(if (state.${key}.equals(hex, ignoreCase = true)) 3.dp else 0.dp, MaterialTheme.colorScheme.onSurface, CircleShape)
+                            .clickable { viewModel.update { copy(${key} = hex) } }
+                    )
+                }
+            }
+        }`
+    }
+
+    case 'rich-text-editor': {
+      const key = bindingKey(instance)
+      return `OutlinedTextField(
+            value = state.${key},
+            onValueChange = { viewModel.update { copy(${key} = it) } },
+            label = { Text(${kotlinText(props.label || '', ctx)}) },
+            minLines = 6,
+            modifier = Modifier.fillMaxWidth()
+        )`
+    }
+
+    case 'signature':
+      return 'SignaturePad()'
+
+    case 'map': {
+      const { latitude, longitude } = mapRegion(props)
+      const label = props.title || props.label || 'Location'
+      return `Card(modifier = Modifier.fillMaxWidth()) {
+            val uriHandler = LocalUriHandler.current
+            Column(modifier = Modifier.padding(16.dp), verticalArrangement = Arrangement.spacedBy(8.dp)) {
+                Row(verticalAlignment = Alignment.CenterVertically) {
+                    Icon(Icons.Default.Map, contentDescription = null)
+                    Spacer(Modifier.width(8.dp))
+                    Text(${kotlinText(label, ctx)}, style = MaterialTheme.typography.titleMedium)
+                }
+                Text("${latitude}, ${longitude}", style = MaterialTheme.typography.bodySmall)
+                OutlinedButton(onClick = { uriHandler.openUri(${kotlinString(`geo:${latitude},${longitude}?q=${latitude},${longitude}(${encodeURIComponent(String(label))})`)}) }) {
+                    Text("Open in Maps")
+                }
+            }
+        }`
+    }
+
+    case 'video':
+      return `VideoPlayer(url = ${kotlinString(props.src || props.url || '')})`
+
+    case 'audio':
+      return `AudioPlayer(url = ${kotlinString(props.src || props.url || '')}, title = ${kotlinText(props.title || 'Audio', ctx)})`
+
+    case 'kanban': {
+      const { key, item, itemCtx } = dataBinding(instance, ctx)
+      const { groupBy, columns } = kanbanColumns(instance, item, ctx)
+      const template = itemTemplate(instance, item).map(c => generateComposeComponent(c, itemCtx)).join('\n                            ')
+      return `Row(
+            modifier = Modifier.horizontalScroll(rememberScrollState()),
+            horizontalArrangement = Arrangement.spacedBy(12.dp)
+        ) {
+            ${columns.map(column => `Card(
+                modifier = Modifier.width(260.dp),
+                colors = CardDefaults.cardColors(containerColor = MaterialTheme.colorScheme.surfaceVariant)
+            ) {
+                Column(modifier = Modifier.padding(12.dp), verticalArrangement = Arrangement.spacedBy(8.dp)) {
+                    Text(${kotlinString(column.label)}, style = MaterialTheme.typography.titleMedium)
+                    state.${key}${groupBy ? `.filter { it.${groupBy} == ${kotlinString(column.value)} }` : ''}.forEach { item ->
+                        Card(modifier = Modifier.fillMaxWidth()) {
+                            Column(modifier = Modifier.padding(12.dp)) {
+                            ${template}
+                            }
+                        }
+                    }
+                }
+            }`).join('\n            ')}
+        }`
+    }
+
+    case 'chat': {
+      const { key, item, itemCtx } = dataBinding(instance, ctx)
+      const { text, mine } = chatFields(instance, item)
+      const body = instance.children?.length > 0
+        ? itemTemplate(instance, item).map(c => generateComposeComponent(c, itemCtx)).join('\n                            ')
+        : `Text(${kotlinText(text, itemCtx)})`
+      const draft = `${bindingKey(instance)}Draft`
+      return `Column(verticalArrangement = Arrangement.spacedBy(8.dp)) {
+            LazyColumn(
+                modifier = Modifier.fillMaxWidth().heightIn(min = 240.dp, max = 480.dp),
+                verticalArrangement = Arrangement.spacedBy(8.dp)
+            ) {
+                items(state.${key}) { item ->
+                    Row(
+                        modifier = Modifier.fillMaxWidth(),
+                        horizontalArrangement = ${mine ? `if (${mine}) Arrangement.End else ` : ''}Arrangement.Start
+                    ) {
+                        Surface(
+                            shape = RoundedCornerShape(AppTheme.radii.lg),
+                            color = ${mine ? `if (${mine}) MaterialTheme.colorScheme.primary else ` : ''}MaterialTheme.colorScheme.surfaceVariant,
+                            contentColor = ${mine ? `if (${mine}) MaterialTheme.colorScheme.onPrimary else ` : ''}MaterialTheme.colorScheme.onSurfaceVariant
+                        ) {
+                            Column(modifier = Modifier.padding(10.dp)) {
+                            ${body}
+                            }
+                        }
+                    }
+                }
+            }
+            Row(verticalAlignment = Alignment.CenterVertically) {
+                OutlinedTextField(
+                    value = state.${draft},
+                    onValueChange = { viewModel.update { copy(${draft} = it) } },
+                    placeholder = { Text(${kotlinString(props.placeholder || 'Message')}) },
+                    modifier = Modifier.weight(1f)
+                )
+                IconButton(
+                    onClick = { ${props.onSend ? `${composeActions(props.onSend, ctx)}; ` : ''}viewModel.update { copy(${draft} = "") } },
+                    enabled = state.${draft}.isNotEmpty()
+                ) {
+                    Icon(Icons.Default.Send, contentDescription = "Send")
+                }
+            }
+        }`
+    }
+
+    case 'qrcode':
+      return `QrCode(value = ${kotlinText(props.value || props.text || props.url || '', ctx)})`
+
+    case 'scanner': {
+      const key = bindingKey(instance)
+      return `Column(verticalArrangement = Arrangement.spacedBy(8.dp)) {
+            val context = LocalContext.current
+            OutlinedButton(onClick = {
+                GmsBarcodeScanning.getClient(context).startScan()
+                    .addOnSuccessListener { barcode -> viewModel.update { copy(${key} = barcode.rawValue ?: "") } }
+            }) {
+                Icon(Icons.Default.QrCodeScanner, contentDescription = null)
+                Spacer(Modifier.width(8.dp))
+                Text(${kotlinText(props.label || 'Scan code', ctx)})
+            }
+            if (state.${key}.isNotEmpty()) {
+                Text(state.${key}, style = MaterialTheme.typography.bodySmall)
+            }
+        }`
+    }
+
+    case 'pdf-viewer':
+      return `Box {
+            val uriHandler = LocalUriHandler.current
+            OutlinedButton(onClick = { uriHandler.openUri(${kotlinString(props.src || props.url || '')}) }) {
+                Icon(Icons.Default.PictureAsPdf, contentDescription = null)
+                Spacer(Modifier.width(8.dp))
+                Text(${kotlinText(props.label || props.title || 'Open PDF', ctx)})
+            }
+        }`
+
+    case 'notifications': {
+      const { key, item, itemCtx } = dataBinding(instance, ctx)
+      const template = itemTemplate(instance, item).map(c => generateComposeComponent(c, itemCtx)).join('\n                        ')
+      return `Column(verticalArrangement = Arrangement.spacedBy(8.dp)) {
+            val launcher = rememberLauncherForActivityResult(ActivityResultContracts.RequestPermission()) {}
+            OutlinedButton(onClick = {
+                if (Build.VERSION.SDK_INT >= Build.VERSION_CODES.TIRAMISU) launcher.launch(Manifest.permission.POST_NOTIFICATIONS)
+            }) {
+                Icon(Icons.Default.NotificationsActive, contentDescription = null)
+                Spacer(Modifier.width(8.dp))
+                Text("Enable notifications")
+            }
+            state.${key}.forEach { item ->
+                ListItem(
+                    leadingContent = { Icon(Icons.Default.Notifications, contentDescription = null) },
+                    headlineContent = {
+                        Column {
+                        ${template}
+                        }
+                    }
+                )
+            }
+        }`
+    }
+
+    case 'webview':
+      return `AndroidView(
+            factory = { context ->
+                WebView(context).apply {
+                    webViewClient = WebViewClient()
+                    settings.javaScriptEnabled = true
+                    loadUrl(${kotlinString(props.src || props.url || '')})
+                }
+            },
+            modifier = Modifier.fillMaxWidth().height(${num(props.height, 400)}.dp)
+        )`
+
+    case 'biometrics': {
+      const key = bindingKey(instance)
+      return `Box {
+            val context = LocalContext.current
+            Button(onClick = {
+                val activity = context as FragmentActivity
+                val callback = object : BiometricPrompt.AuthenticationCallback() {
+                    override fun onAuthenticationSucceeded(result: BiometricPrompt.AuthenticationResult) {
+                        viewModel.update { copy(${key} = true) }${props.onSuccess ? `
+                        ${composeActions(props.onSuccess, ctx)}` : ''}
+                    }
+                }
+                BiometricPrompt(activity, ContextCompat.getMainExecutor(activity), callback).authenticate(
+                    BiometricPrompt.PromptInfo.Builder()
+                        .setTitle(${kotlinString(props.reason || 'Unlock the app')})
+                        .setNegativeButtonText("Cancel")
+                        .build()
+                )
+            }) {
+                Icon(Icons.Default.Fingerprint, contentDescription = null)
+                Spacer(Modifier.width(8.dp))
+                Text(${kotlinText(props.label || 'Unlock', ctx)})
+            }
+        }`
+    }
+
+    case 'location': {
+      const key = bindingKey(instance)
+      return `LocationButton(
+            label = ${kotlinText(props.label || 'Use my location', ctx)},
+            coordinate = state.${key},
+            onLocation = { viewModel.update { copy(${key} = it) } }
+        )`
+    }
+
+    case 'camera':
+      return `Column(verticalArrangement = Arrangement.spacedBy(12.dp)) {
+            var photo by remember { mutableStateOf<Bitmap?>(null) }
+            val launcher = rememberLauncherForActivityResult(ActivityResultContracts.TakePicturePreview()) { photo = it }
+            photo?.let {
+                Image(
+                    bitmap = it.asImageBitmap(),
+                    contentDescription = null,
+                    modifier = Modifier.fillMaxWidth().heightIn(max = 240.dp).clip(RoundedCornerShape(AppTheme.radii.lg))
+                )
+            }
+            OutlinedButton(onClick = { launcher.launch(null) }) {
+                Icon(Icons.Default.CameraAlt, contentDescription = null)
+                Spacer(Modifier.width(8.dp))
+                Text(${kotlinText(props.label || 'Take photo', ctx)})
+            }
+        }`
+
+    case 'social-share':
+      return `Box {
+            val context = LocalContext.current
+            OutlinedButton(onClick = {
+                val intent = Intent(Intent.ACTION_SEND).apply {
+                    type = "text/plain"
+                    putExtra(Intent.EXTRA_TEXT, ${kotlinText(props.url || props.text || '', ctx)})${props.title ? `
+                    putExtra(Intent.EXTRA_SUBJECT, ${kotlinText(props.title, ctx)})` : ''}
+                }
+                context.startActivity(Intent.createChooser(intent, null))
+            }) {
+                Icon(Icons.Default.Share, contentDescription = null)
+                Spacer(Modifier.width(8.dp))
+                Text(${kotlinText(props.label || 'Share', ctx)})
+            }
+        }`
+
+    case 'row':
+    case 'column': {
+      const horizontal = capsuleId === 'row'
+      const gap = composeSpacing(layoutSpacing(props.gap, ctx, horizontal ? 'sm' : 'md'))
+      const align = crossAlignment(props.alignment, horizontal ? 'center' : 'start')
+      const items = stackChildren(instance).map(({ child, spacer, flex }) => {
+        if (spacer) return 'Spacer(Modifier.weight(1f))'
+        const code = generateComposeComponent(child, ctx)
+        return flex > 0 ? `Box(Modifier.weight(${flex}f)) {\n                ${code}\n            }` : code
+      }).join('\n            ')
+      return `${horizontal ? 'Row' : 'Column'}(
+            modifier = Modifier.fillMaxWidth()${composePadding(props.padding, ctx)},
+            ${horizontal ? 'horizontalArrangement' : 'verticalArrangement'} = Arrangement.spacedBy(${gap}),
+            ${horizontal ? 'verticalAlignment' : 'horizontalAlignment'} = ${COMPOSE_ALIGNMENT[horizontal ? 'vertical' : 'horizontal'][align]}
+        ) {
+            ${items}
+        }`
+    }
+
+    case 'zstack':
+      return `Box(${props.padding !== undefined ? `
+            modifier = Modifier${composePadding(props.padding, ctx)},` : ''}
+            contentAlignment = ${composeLayerAlignment(props.alignment)}
+        ) {
+            ${children?.map(c => generateComposeComponent(c, ctx)).join('\n            ') || ''}
+        }`
+
+    case 'grid': {
+      // Static children are laid out in rows up front; a lazy grid can't nest in the screen's column
+      const columns = gridColumns(instance)
+      const gap = composeSpacing(layoutSpacing(props.gap, ctx, 'md'))
+      const rows = []
+      for (let i = 0; i < (children || []).length; i += columns) rows.push(children.slice(i, i + columns))
+      const cells = row => [
+        ...row.map(c => `Box(Modifier.weight(1f)) {\n                    ${generateComposeComponent(c, ctx)}\n                }`),
+        ...Array(columns - row.length).fill('Spacer(Modifier.weight(1f))')
+      ].join('\n                ')
+      return `Column(
+            modifier = Modifier.fillMaxWidth()${composePadding(props.padding, ctx)},
+            verticalArrangement = Arrangement.spacedBy(${gap})
+        ) {
+            ${rows.map(row => `Row(horizontalArrangement = Arrangement.spacedBy(${gap})) {
+                ${cells(row)}
+            }`).join('\n            ')}
+        }`
+    }
+
+    case 'spacer': {
+      // A flexible spacer needs a row or column to share space in; elsewhere it is a medium gap
+      const size = layoutSpacing(props.size, ctx, 'md')
+      return `Spacer(Modifier.size(${composeSpacing(size)}))`
+    }
+
+    case 'scroll-view': {
+      const horizontal = props.direction === 'horizontal'
+      const gap = composeSpacing(layoutSpacing(props.gap, ctx, horizontal ? 'sm' : 'md'))
+      const height = num(props.height, null)
+      return `${horizontal ? 'Row' : 'Column'}(
+            modifier = Modifier
+                .fillMaxWidth()${height !== null ? `\n                .heightIn(max = ${height}.dp)` : ''}
+                .${horizontal ? 'horizontalScroll' : 'verticalScroll'}(rememberScrollState())${composePadding(props.padding, ctx) ? `\n                ${composePadding(props.padding, ctx)}` : ''},
+            ${horizontal ? 'horizontalArrangement' : 'verticalArrangement'} = Arrangement.spacedBy(${gap})
+        ) {
+            ${children?.map(c => generateComposeComponent(c, ctx)).join('\n            ') || ''}
+        }`
+    }
+
+    case 'safe-area':
+      return `Column(
+            modifier = Modifier
+                .fillMaxSize()
+                .background(MaterialTheme.colorScheme.background)
+                .safeDrawingPadding()${composePadding(props.padding, ctx) ? `\n                ${composePadding(props.padding, ctx)}` : ''},
+            verticalArrangement = Arrangement.spacedBy(${composeSpacing(layoutSpacing(props.gap, ctx, 'md'))})
+        ) {
+            ${children?.map(c => generateComposeComponent(c, ctx)).join('\n            ') || ''}
+        }`
+
+    default:
+      if (hasCapsuleTemplate(capsuleId, 'android')) return renderCapsuleTemplate(instance, 'android', ctx)
+      if (children && children.length > 0) {
+        return `Column {
+            ${childContent}
+        }`
+      }
+      return `// TODO: ${comment(capsuleId)}
+        Text(${kotlinString(capsuleId)})`
+  }
+}
+
+// Imports only some capsules need, keyed by a marker in the generated code
+const COMPOSE_SCREEN_IMPORTS = [
+  ['android.Manifest', 'Manifest.permission'],
+  ['android.content.Intent', 'Intent('],
+  ['android.graphics.Bitmap', 'Bitmap?'],
+  ['android.os.Build', 'Build.VERSION'],
+  ['android.webkit.WebView', 'WebView('],
+  ['android.webkit.WebViewClient', 'WebViewClient('],
+  ['androidx.activity.compose.rememberLauncherForActivityResult', 'rememberLauncherForActivityResult('],
+  ['androidx.activity.result.contract.ActivityResultContracts', 'ActivityResultContracts.'],
+  ['androidx.biometric.BiometricPrompt', 'BiometricPrompt('],
+  ['androidx.compose.animation.AnimatedVisibility', 'AnimatedVisibility('],
+  ['androidx.compose.animation.core.*', 'rememberInfiniteTransition('],
+  ['androidx.compose.foundation.Canvas', 'Canvas('],
+  ['androidx.compose.foundation.Image', '.asImageBitmap('],
+  ['androidx.compose.foundation.background', '.background('],
+  ['androidx.compose.foundation.border', '.border('],
+  ['androidx.compose.foundation.clickable', '.clickable '],
+  ['androidx.compose.foundation.horizontalScroll', '.horizontalScroll('],
+  ['androidx.compose.foundation.lazy.LazyRow', 'LazyRow('],
+  ['androidx.compose.foundation.rememberScrollState', 'rememberScrollState('],
+  ['androidx.compose.foundation.shape.CircleShape', 'CircleShape'],
+  ['androidx.compose.foundation.shape.RoundedCornerShape', 'RoundedCornerShape('],
+  ['androidx.compose.foundation.text.KeyboardOptions', 'KeyboardOptions('],
+  ['androidx.compose.foundation.verticalScroll', '.verticalScroll('],
+  ['androidx.compose.ui.draw.alpha', '.alpha('],
+  ['androidx.compose.ui.draw.clip', '.clip('],
+  ['androidx.compose.ui.graphics.Color', 'Color(0x'],
+  ['androidx.compose.ui.graphics.Color', 'Color(android'],
+  ['androidx.compose.ui.graphics.Path', 'Path()'],
+  ['androidx.compose.ui.graphics.asImageBitmap', '.asImageBitmap('],
+  ['androidx.compose.ui.graphics.drawscope.Stroke', 'Stroke('],
+  ['androidx.compose.ui.layout.ContentScale', 'ContentScale.'],
+  ['androidx.compose.ui.platform.LocalContext', 'LocalContext.'],
+  ['androidx.compose.ui.platform.LocalUriHandler', 'LocalUriHandler.'],
+  ['androidx.compose.ui.semantics.*', '.semantics'],
+  ['androidx.compose.ui.semantics.*', 'clearAndSetSemantics'],
+  ['androidx.compose.ui.text.input.KeyboardType', 'KeyboardType.'],
+  ['androidx.compose.ui.viewinterop.AndroidView', 'AndroidView('],
+  ['androidx.core.content.ContextCompat', 'ContextCompat.'],
+  ['androidx.fragment.app.FragmentActivity', 'FragmentActivity'],
+  ['coil.compose.AsyncImage', 'AsyncImage('],
+  ['com.google.mlkit.vision.codescanner.GmsBarcodeScanning', 'GmsBarcodeScanning.'],
+  ['java.text.DateFormat', 'DateFormat.'],
+  ['java.util.Date', 'Date(it)']
+]
+
+// Material 3 APIs that still need an opt-in
+const COMPOSE_EXPERIMENTAL = ['ExposedDropdownMenuBox(', 'rememberDatePickerState(', 'TooltipBox(', 'ModalBottomSheet(']
+
+// Reusable composables emitted into components/ when a screen uses them
+const COMPOSE_COMPONENTS = {
+  SignaturePad: `import androidx.compose.foundation.Canvas
+import androidx.compose.foundation.background
+import androidx.compose.foundation.gestures.detectDragGestures
+import androidx.compose.foundation.layout.*
+import androidx.compose.foundation.shape.RoundedCornerShape
+import androidx.compose.material3.*
+import androidx.compose.runtime.*
+import androidx.compose.ui.Alignment
+import androidx.compose.ui.Modifier
+import androidx.compose.ui.geometry.Offset
+import androidx.compose.ui.graphics.Path
+import androidx.compose.ui.graphics.drawscope.Stroke
+import androidx.compose.ui.input.pointer.pointerInput
+import androidx.compose.ui.unit.dp
+
+@Composable
+fun SignaturePad() {
+    val strokes = remember { mutableStateListOf<List<Offset>>() }
+    var current by remember { mutableStateOf(listOf<Offset>()) }
+    val ink = MaterialTheme.colorScheme.onSurface
+
+    Column(horizontalAlignment = Alignment.End) {
+        Canvas(
+            modifier = Modifier
+                .fillMaxWidth()
+                .height(160.dp)
+                .background(MaterialTheme.colorScheme.surfaceVariant, RoundedCornerShape(AppTheme.radii.lg))
+                .pointerInput(Unit) {
+                    detectDragGestures(
+                        onDragStart = { current = listOf(it) },
+                        onDrag = { change, _ -> current = current + change.position },
+                        onDragEnd = {
+                            strokes.add(current)
+                            current = emptyList()
+                        }
+                    )
+                }
+        ) {
+            (strokes + listOf(current)).filter { it.size > 1 }.forEach { points ->
+                val path = Path().apply {
+                    moveTo(points.first().x, points.first().y)
+                    points.drop(1).forEach { lineTo(it.x, it.y) }
+                }
+                drawPath(path, color = ink, style = Stroke(width = 2.dp.toPx()))
+            }
+        }
+        TextButton(onClick = { strokes.clear() }) {
+            Text("Clear")
+        }
+    }
+}`,
+
+  VideoPlayer: `import androidx.compose.foundation.layout.aspectRatio
+import androidx.compose.foundation.layout.fillMaxWidth
+import androidx.compose.runtime.Composable
+import androidx.compose.runtime.DisposableEffect
+import androidx.compose.runtime.remember
+import androidx.compose.ui.Modifier
+import androidx.compose.ui.platform.LocalContext
+import androidx.compose.ui.viewinterop.AndroidView
+import androidx.media3.common.MediaItem
+import androidx.media3.exoplayer.ExoPlayer
+import androidx.media3.ui.PlayerView
+
+@Composable
+fun VideoPlayer(url: String) {
+    val context = LocalContext.current
+    val player = remember(url) {
+        ExoPlayer.Builder(context).build().apply {
+            setMediaItem(MediaItem.fromUri(url))
+            prepare()
+        }
+    }
+    DisposableEffect(player) {
+        onDispose { player.release() }
+    }
+
+    AndroidView(
+        factory = { PlayerView(it).apply { this.player = player } },
+        modifier = Modifier
+            .fillMaxWidth()
+            .aspectRatio(16f / 9f)
+    )
+}`,
+
+  AudioPlayer: `import androidx.compose.foundation.layout.*
+import androidx.compose.material.icons.Icons
+import androidx.compose.material.icons.filled.*
+import androidx.compose.material3.*
+import androidx.compose.runtime.*
+import androidx.compose.ui.Alignment
+import androidx.compose.ui.Modifier
+import androidx.compose.ui.platform.LocalContext
+import androidx.compose.ui.unit.dp
+import androidx.media3.common.MediaItem
+import androidx.media3.exoplayer.ExoPlayer
+
+@Composable
+fun AudioPlayer(url: String, title: String) {
+    val context = LocalContext.current
+    var isPlaying by remember { mutableStateOf(false) }
+    val player = remember(url) {
+        ExoPlayer.Builder(context).build().apply {
+            setMediaItem(MediaItem.fromUri(url))
+            prepare()
+        }
+    }
+    DisposableEffect(player) {
+        onDispose { player.release() }
+    }
+
+    Card(modifier = Modifier.fillMaxWidth()) {
+        Row(modifier = Modifier.padding(12.dp), verticalAlignment = Alignment.CenterVertically) {
+            IconButton(onClick = {
+                if (isPlaying) player.pause() else player.play()
+                isPlaying = !isPlaying
+            }) {
+                Icon(if (isPlaying) Icons.Default.Pause else Icons.Default.PlayArrow, contentDescription = if (isPlaying) "Pause" else "Play")
+            }
+            Text(title, style = MaterialTheme.typography.titleMedium)
+        }
+    }
+}`,
+
+  QrCode: `import android.graphics.Bitmap
+import androidx.compose.foundation.Image
+import androidx.compose.foundation.layout.size
+import androidx.compose.runtime.Composable
+import androidx.compose.runtime.remember
+import androidx.compose.ui.Modifier
+import androidx.compose.ui.graphics.asImageBitmap
+import androidx.compose.ui.unit.dp
+import com.google.zxing.BarcodeFormat
+import com.google.zxing.qrcode.QRCodeWriter
+
+@Composable
+fun QrCode(value: String) {
+    val bitmap = remember(value) {
+        val size = 512
+        val matrix = QRCodeWriter().encode(value.ifEmpty { " " }, BarcodeFormat.QR_CODE, size, size)
+        Bitmap.createBitmap(size, size, Bitmap.Config.RGB_565).apply {
+            for (x in 0 until size) {
+                for (y in 0 until size) {
+                    setPixel(x, y, if (matrix[x, y]) android.graphics.Color.BLACK else android.graphics.Color.WHITE)
+                }
+            }
+        }
+    }
+
+    Image(
+        bitmap = bitmap.asImageBitmap(),
+        contentDescription = value,
+        modifier = Modifier.size(200.dp)
+    )
+}`,
+
+  LocationButton: `import android.Manifest
+import android.annotation.SuppressLint
+import android.content.Context
+import android.location.LocationManager
+import androidx.activity.compose.rememberLauncherForActivityResult
+import androidx.activity.result.contract.ActivityResultContracts
+import androidx.compose.foundation.layout.*
+import androidx.compose.material.icons.Icons
+import androidx.compose.material.icons.filled.MyLocation
+import androidx.compose.material3.*
+import androidx.compose.runtime.Composable
+import androidx.compose.ui.Modifier
+import androidx.compose.ui.platform.LocalContext
+import androidx.compose.ui.unit.dp
+
+// Asks for coarse location once and reports the last known fix as "latitude, longitude"
+@SuppressLint("MissingPermission")
+@Composable
+fun LocationButton(label: String, coordinate: String, onLocation: (String) -> Unit) {
+    val context = LocalContext.current
+    val launcher = rememberLauncherForActivityResult(ActivityResultContracts.RequestPermission()) { granted ->
+        if (!granted) return@rememberLauncherForActivityResult
+        val manager = context.getSystemService(Context.LOCATION_SERVICE) as LocationManager
+        manager.getProviders(true)
+            .mapNotNull { manager.getLastKnownLocation(it) }
+            .maxByOrNull { it.time }
+            ?.let { onLocation("%.5f, %.5f".format(it.latitude, it.longitude)) }
+    }
+
+    Column(verticalArrangement = Arrangement.spacedBy(8.dp)) {
+        OutlinedButton(onClick = { launcher.launch(Manifest.permission.ACCESS_COARSE_LOCATION) }) {
+            Icon(Icons.Default.MyLocation, contentDescription = null)
+            Spacer(Modifier.width(8.dp))
+            Text(label)
+        }
+        if (coordinate.isNotEmpty()) {
+            Text(coordinate, style = MaterialTheme.typography.bodySmall)
+        }
+    }
+}`
+}
+
+// options.desktop switches to hash routing (pages load from disk in a
+// desktop shell) and follows the Go menu of the native menu bar
+function generateReact(project, options = {}) {
+  const files = [...generateViteProject(project)]
+
+  const nav = navigationModel(project)
+
+  // App.tsx
+  const imports = project.screens.map(s =>
+    `import ${typeName(s.id)}Page from './pages/${s.id}'`
+  ).join('\n')
+  const routes = project.screens.map(s =>
+    `          <Route path="/${s.id}" element={<${typeName(s.id)}Page />} />`
+  ).join('\n')
+  const tabIcons = [...new Set(nav.tabs.map(tab => iconName(tab.icon, 'web')))]
+  const router = options.desktop ? 'HashRouter' : 'BrowserRouter'
+  const tabBar = nav.type === 'tabs'
+    ? `
+        <nav className="fixed bottom-0 inset-x-0 bg-surface border-t flex">
+          {tabs.map(tab => (
+            <NavLink
+              key={tab.path}
+              to={tab.path}
+              className={({ isActive }) =>
+                \`flex-1 flex flex-col items-center py-2 text-xs \${isActive ? 'text-primary' : 'text-text-secondary'}\`
+              }
+            >
+              <tab.icon className="w-5 h-5" />
+              {tab.label}
+            </NavLink>
+          ))}
+        </nav>`
+    : ''
+
+  files.push({
+    path: 'src/App.tsx',
+    language: 'typescript',
+    content: `import React from 'react'
+import { ${router}, Navigate, ${nav.type === 'tabs' ? 'NavLink, ' : ''}Route, Routes } from 'react-router-dom'
+${nav.type === 'tabs' ? `import { ${tabIcons.join(', ')} } from 'lucide-react'\n` : ''}${options.desktop ? "import { MenuNavigation } from './desktop'\n" : ''}${imports}
+${nav.type === 'tabs' ? `
+const tabs = [
+${nav.tabs.map(tab => `  { path: '/${tab.screen.id}', label: ${jsString(tab.label)}, icon: ${iconName(tab.icon, 'web')} }`).join(',\n')}
+]
+` : ''}
+export default function App() {
+  return (
+    <${router}>${options.desktop ? '\n      <MenuNavigation />' : ''}
+      <div className="min-h-screen bg-background${nav.type === 'tabs' ? ' pb-16' : ''}">
+        <Routes>
+          <Route path="/" element={<Navigate to="/${nav.initial.id}" replace />} />
+${routes}
+        </Routes>${tabBar}
+      </div>
+    </${router}>
+  )
+}`
+  })
+
+  if (Object.keys(project.api?.endpoints || {}).length > 0) {
+    files.push(generateReactApiClient(project))
+  }
+
+  // Generate pages
+  const pageContents = []
+  for (const screen of project.screens) {
+    const cached = cachedScreen('web', project, screen)
+    if (cached.files) {
+      pageContents.push(cached.content)
+      files.push(...cached.files)
+      continue
+    }
+    const firstFile = files.length
+    const pageName = typeName(screen.id) + 'Page'
+    const state = screenState(screen)
+    const content = generateReactComponent(screen.root, { project, screen, nav, state })
+    const isRoot = screen.id === nav.initial.id || nav.tabs.some(tab => tab.screen.id === screen.id)
+    const backButton = isRoot
+      ? ''
+      : `
+      <button onClick={() => navigate(-1)} className="text-primary mb-2">&larr; Back</button>`
+    const usesRouter = !isRoot || content.includes('navigate(')
+    const hasState = Object.keys(state).length > 0
+    // Data capsules backed by an endpoint load when the page mounts
+    const loaders = Object.entries(state)
+      .filter(([, field]) => field.endpoint)
+      .map(([key, field]) => reactActions({ type: 'callApi', endpoint: field.endpoint, resultKey: key }, { project, screen, state }).replace(/\n {8}/g, '\n    '))
+    const { fields: validated, forms } = screenValidation(screen)
+    const hooks = [
+      usesRouter && '  const navigate = useNavigate()',
+      hasState && '  const [state, dispatch] = useReducer(reducer, initialState)',
+      validated.length > 0 && '  const errors = validate(state)',
+      ...forms.map(form => `  const ${form.valid} = ${form.fields.map(key => `!errors.${key}`).join(' && ')}`),
+      loaders.length > 0 && `\n  useEffect(() => {\n    ${loaders.join('\n    ')}\n  }, [])`
+    ].filter(Boolean)
+    const reactHooks = [hasState && 'useReducer', loaders.length > 0 && 'useEffect'].filter(Boolean)
+    const icons = REACT_ICONS.filter(name => content.includes(`<${name} `))
+    const components = Object.keys(REACT_COMPONENTS).filter(name => content.includes(`<${name} `))
+    const pageImports = [
+      usesRouter && "import { useNavigate } from 'react-router-dom'",
+      icons.length > 0 && `import { ${icons.join(', ')} } from 'lucide-react'`,
+      content.includes('<QRCodeSVG ') && "import { QRCodeSVG } from 'qrcode.react'",
+      (content.includes('callApi(') || loaders.length > 0) && "import { callApi } from '../api'",
+      ...components.map(name => `import ${name} from '../components/${name}'`),
+      ...capsuleImports(screen.root, 'web')
+    ].filter(Boolean)
+    pageContents.push(content)
+
+    files.push({
+      path: `src/pages/${screen.id}.tsx`,
+      language: 'typescript',
+      content: `import React${reactHooks.length > 0 ? `, { ${reactHooks.join(', ')} }` : ''} from 'react'
+${pageImports.map(line => `${line}\n`).join('')}${hasState ? `\n${generateReactReducer(state)}\n` : ''}${validated.length > 0 ? `\n${reactValidation(screen)}\n` : ''}
+export default function ${pageName}() {
+${hooks.length > 0 ? `${hooks.join('\n')}\n\n` : ''}  return (
+    <div className="container mx-auto p-4">${backButton}
+      <h1 className="text-2xl font-bold mb-4">${jsxText(screen.name)}</h1>
+      ${content}
+    </div>
+  )
+}`
+    })
+    cached.save(pageContents.at(-1), files.slice(firstFile))
+  }
+
+  for (const [name, content] of Object.entries(REACT_COMPONENTS)) {
+    if (pageContents.some(c => c.includes(`<${name} `))) {
+      files.push({ path: `src/components/${name}.tsx`, language: 'typescript', content })
+    }
+  }
+
+  // Tailwind config
+  files.push({
+    path: 'tailwind.config.js',
+    language: 'javascript',
+    content: `/** @type {import('tailwindcss').Config} */
+export default {
+  content: ['./index.html', './src/**/*.{js,ts,jsx,tsx}'],
+  theme: {
+    extend: ${JSON.stringify(tailwindTheme(themeTokens(project.theme)), null, 2).replace(/\n/g, '\n    ')}
+  },
+  plugins: []
+}`
+  })
+
+  return files
+}
+
+function generateReactReducer(state) {
+  const fields = Object.entries(state)
+  // Inputs with validation mark themselves touched when they lose focus
+  const touch = Boolean(state.touched)
+  const records = fields.filter(([, field]) => field.model).map(([, field]) => `interface ${field.model} {
+${Object.entries(field.fields).map(([key, f]) => `  ${key}: ${tsType(f)}`).join('\n')}
+}
+
+`).join('')
+
+  return `${records}interface State {
+${fields.map(([key, field]) => `  ${key}: ${tsType(field)}`).join('\n')}
+}
+
+const initialState: State = {
+${fields.map(([key, field]) => `  ${key}: ${JSON.stringify(field.default ?? null)}`).join(',\n')}
+}
+
+type Action =
+  | { type: 'set'; key: keyof State; value: State[keyof State] }
+  | { type: 'toggle'; key: keyof State }${touch ? `
+  | { type: 'touch'; key: string }` : ''}
+
+function reducer(state: State, action: Action): State {
+  switch (action.type) {
+    case 'set':
+      return { ...state, [action.key]: action.value }
+    case 'toggle':
+      return { ...state, [action.key]: !state[action.key] }${touch ? `
+    case 'touch':
+      return state.touched.includes(action.key) ? state : { ...state, touched: [...state.touched, action.key] }` : ''}
+  }
+}`
+}
+
+function generateReactApiClient(project) {
+  return {
+    path: 'src/api.ts',
+    language: 'typescript',
+    content: `const BASE_URL = ${jsString((project.api?.baseUrl || 'https://api.example.com').replace(/\/$/, ''))}
+
+export async function callApi(method: string, path: string, body?: unknown): Promise<unknown> {
+  const response = await fetch(BASE_URL + path, {
+    method,
+    headers: body === undefined ? undefined : { 'Content-Type': 'application/json' },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  })
+  if (!response.ok) {
+    throw new Error(\`HTTP \${response.status}\`)
+  }
+
+  const text = await response.text()
+  try {
+    return JSON.parse(text)
+  } catch {
+    return text
+  }
+}`
+  }
+}
+
+function generateViteProject(project) {
+  const packageJson = {
+    name: project.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'hublab-app',
+    private: true,
+    version: project.version || '1.0.0',
+    type: 'module',
+    scripts: {
+      dev: 'vite',
+      build: 'tsc && vite build',
+      preview: 'vite preview'
+    },
+    dependencies: {
+      'lucide-react': '^0.441.0',
+      react: '^18.3.1',
+      'react-dom': '^18.3.1',
+      'react-router-dom': '^6.26.2',
+      ...platformRequirements(project, 'web').packages
+    },
+    devDependencies: {
+      '@types/react': '^18.3.5',
+      '@types/react-dom': '^18.3.0',
+      '@vitejs/plugin-react': '^4.3.1',
+      autoprefixer: '^10.4.20',
+      postcss: '^8.4.45',
+      tailwindcss: '^3.4.10',
+      typescript: '^5.5.4',
+      vite: '^5.4.3'
+    }
+  }
+
+  return [
+    {
+      path: 'package.json',
+      language: 'json',
+      content: JSON.stringify(packageJson, null, 2)
+    },
+    {
+      path: 'index.html',
+      language: 'html',
+      content: `<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1.0${projectCapsules(project).has('safe-area') ? ', viewport-fit=cover' : ''}" />
+    <title>${xmlEscape(project.platformConfig?.web?.title || project.name)}</title>
+  </head>
+  <body>
+    <div id="root"></div>
+    <script type="module" src="/src/main.tsx"></script>
+  </body>
+</html>`
+    },
+    {
+      path: 'vite.config.ts',
+      language: 'typescript',
+      content: `import { defineConfig } from 'vite'
+import react from '@vitejs/plugin-react'
+
+export default defineConfig({
+  plugins: [react()]
+})`
+    },
+    {
+      path: 'tsconfig.json',
+      language: 'json',
+      content: JSON.stringify({
+        compilerOptions: {
+          target: 'ES2020',
+          lib: ['ES2020', 'DOM', 'DOM.Iterable'],
+          module: 'ESNext',
+          moduleResolution: 'bundler',
+          jsx: 'react-jsx',
+          strict: true,
+          skipLibCheck: true,
+          isolatedModules: true,
+          noEmit: true
+        },
+        include: ['src']
+      }, null, 2)
+    },
+    {
+      path: 'postcss.config.js',
+      language: 'javascript',
+      content: `export default {
+  plugins: {
+    tailwindcss: {},
+    autoprefixer: {}
+  }
+}`
+    },
+    {
+      path: 'src/main.tsx',
+      language: 'typescript',
+      content: `import React from 'react'
+import ReactDOM from 'react-dom/client'
+import App from './App'
+import './index.css'
+
+ReactDOM.createRoot(document.getElementById('root')!).render(
+  <React.StrictMode>
+    <App />
+  </React.StrictMode>
+)`
+    },
+    {
+      path: 'src/index.css',
+      language: 'css',
+      content: generateThemeCss(themeTokens(project.theme))
+    },
+    {
+      path: 'src/vite-env.d.ts',
+      language: 'typescript',
+      content: `/// <reference types="vite/client" />`
+    }
+  ]
+}
+
+function generateReactComponent(instance, ctx) {
+  if (!instance) return '<div />'
+  return reactAccessibility(reactComponent(instance, ctx), instance)
+}
+
+function reactComponent(instance, ctx) {
+  const { capsuleId, props, children } = instance
+  const childContent = children?.map(c => generateReactComponent(c, ctx)).join('\n        ') || ''
+
+  switch (capsuleId) {
+    case 'button':
+      return `<button
+        type="button"
+        onClick={() => {
+          ${reactActions(props.onPress, ctx)}
+        }}${ctx.form ? `\n        disabled={!${ctx.form.valid}}` : ''}
+        className="px-4 py-2 bg-primary text-white rounded-lg hover:opacity-90${ctx.form ? ' disabled:opacity-50' : ''}"
+      >
+        ${reactText(props.text || 'Button', ctx)}
+      </button>`
+
+    case 'text': {
+      const variant = textStyle(props.variant)
+      const { heading } = accessibilityOf(instance)
+      const tag = heading ? `h${heading}` : 'p'
+      return `<${tag} className="text-${variant}${variant === 'caption' ? ' text-text-secondary' : ''}">${reactText(props.content || props.text || '', ctx)}</${tag}>`
+    }
+
+    case 'input': {
+      const key = bindingKey(instance)
+      const validated = fieldValidation(instance, ctx)
+      // The error shows once the field has been left (touched)
+      const touched = `state.touched.includes('${key}')`
+      // A visible label wraps the field; an accessibility label alone names it
+      const { label } = accessibilityOf(instance)
+      const input = `<input
+        type=${jsxAttr(props.type || 'text')}
+        placeholder=${jsxAttr(props.placeholder || '')}
+        value={state.${key}}
+        onChange={e => dispatch({ type: 'set', key: '${key}', value: e.target.value })}${validated ? `
+        onBlur={() => dispatch({ type: 'touch', key: '${key}' })}
+        aria-invalid={${touched} && errors.${key} !== null}` : ''}${label && label !== props.label ? `
+        aria-label=${jsxAttr(label)}` : ''}
+        className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-primary"
+      />`
+      const field = props.label
+        ? `<label className="block">
+        <span className="block mb-1 text-caption text-text-secondary">${reactText(props.label, ctx)}</span>
+        ${input.replace(/\n/g, '\n  ')}
+      </label>`
+        : input
+      if (!validated) return field
+
+      return `<div>
+        ${field.replace(/\n/g, '\n  ')}
+        {${touched} && errors.${key} && <p className="mt-1 text-caption text-error">{errors.${key}}</p>}
+      </div>`
+    }
+
+    case 'searchbar': {
+      const key = bindingKey(instance)
+      return `<input
+        type="search"
+        placeholder=${jsxAttr(props.placeholder || 'Search...')}
+        value={state.${key}}
+        onChange={e => dispatch({ type: 'set', key: '${key}', value: e.target.value })}
+        className="w-full px-3 py-2 border rounded-full focus:ring-2 focus:ring-primary"
+      />`
+    }
+
+    case 'slider': {
+      const key = bindingKey(instance)
+      return `<input
+        type="range"
+        min={${num(props.min, 0)}}
+        max={${num(props.max, 100)}}
+        value={state.${key}}
+        onChange={e => dispatch({ type: 'set', key: '${key}', value: Number(e.target.value) })}
+        className="w-full accent-primary"
+      />`
+    }
+
+    case 'modal':
+      return `{state.activeModal === ${jsString(instance.id)} && (
+        <div
+          className="fixed inset-0 z-50 flex items-center justify-center bg-black/50"
+          onClick={() => dispatch({ type: 'set', key: 'activeModal', value: null })}
+        >
+          <div className="bg-surface rounded-xl p-6 w-full max-w-md space-y-4" onClick={e => e.stopPropagation()}>
+            ${props.title ? `<h2 className="text-lg font-semibold">${reactText(props.title, ctx)}</h2>` : ''}
+            ${childContent}
+            <button
+              onClick={() => dispatch({ type: 'set', key: 'activeModal', value: null })}
+              className="px-4 py-2 border rounded-lg"
+            >
+              Close
+            </button>
+          </div>
+        </div>
+      )}`
+
+    case 'card':
+      return `<div className="bg-surface rounded-lg shadow-md p-md space-y-sm">
+        ${props.title ? `<h3 className="text-subheading">${reactText(props.title, ctx)}</h3>` : ''}
+        ${childContent}
+      </div>`
+
+    case 'list': {
+      const { key, item, itemCtx } = dataBinding(instance, ctx)
+      const template = itemTemplate(instance, item).map(c => generateReactComponent(c, itemCtx)).join('\n            ')
+      return `<ul className="divide-y">
+        {state.${key}.map((item, index) => (
+          <li key={index} className="py-3 space-y-1">
+            ${template}
+          </li>
+        ))}
+      </ul>`
+    }
+
+    case 'carousel': {
+      const { key, item, itemCtx } = dataBinding(instance, ctx)
+      const template = itemTemplate(instance, item).map(c => generateReactComponent(c, itemCtx)).join('\n            ')
+      return `<div className="flex gap-3 overflow-x-auto snap-x pb-2">
+        {state.${key}.map((item, index) => (
+          <div key={index} className="snap-start shrink-0 w-60 bg-surface rounded-xl shadow p-4 space-y-2">
+            ${template}
+          </div>
+        ))}
+      </div>`
+    }
+
+    case 'table':
+    case 'data-table': {
+      const { key, item, itemCtx } = dataBinding(instance, ctx)
+      const columns = tableColumns(instance, item)
+      const table = `<table className="w-full text-left text-sm">
+        <thead>
+          <tr>
+            ${columns.map(c => `<th className="py-2 pr-4 font-semibold">${jsxText(c.label)}</th>`).join('\n            ')}
+          </tr>
+        </thead>
+        <tbody>
+          {state.${key}.map((item, index) => (
+            <tr key={index} className="border-t">
+              ${columns.map(c => `<td className="py-2 pr-4">${reactText(c.template, itemCtx)}</td>`).join('\n              ')}
+            </tr>
+          ))}
+        </tbody>
+      </table>`
+      // Wide data tables scroll sideways instead of squeezing their columns
+      return capsuleId === 'data-table' ? `<div className="overflow-x-auto">\n        ${table}\n      </div>` : table
+    }
+
+    case 'chart': {
+      const { key, item } = dataBinding(instance, ctx)
+      const axes = chartAxes(instance, item)
+      const y = axes.y || '0'
+      const max = `(Math.max(...state.${key}.map(item => ${y})) || 1)`
+      if (axes.type === 'line' || axes.type === 'area') {
+        return `<svg viewBox="0 0 100 100" preserveAspectRatio="none" className="w-full h-48 text-primary">
+        <polyline
+          fill="none"
+          stroke="currentColor"
+          strokeWidth={2}
+          vectorEffect="non-scaling-stroke"
+          points={state.${key}
+            .map((item, index) => \`\${(index / Math.max(state.${key}.length - 1, 1)) * 100},\${100 - (${y} / ${max}) * 100}\`)
+            .join(' ')}
+        />
+      </svg>`
+      }
+      return `<div className="flex items-end gap-2 h-48">
+        {state.${key}.map((item, index) => (
+          <div key={index} className="flex-1 h-full flex flex-col justify-end items-center">
+            <div className="w-full bg-primary rounded-t" style={{ height: \`\${(${y} / ${max}) * 85}%\` }} />
+            <span className="text-xs text-text-secondary mt-1 truncate">{${axes.x || 'index + 1'}}</span>
+          </div>
+        ))}
+      </div>`
+    }
+
+    case 'progress':
+      return `<div className="w-full bg-gray-200 rounded-full h-2">
+        <div className="bg-primary h-2 rounded-full" style={{ width: '${num(props.value, 50)}%' }} />
+      </div>`
+
+    case 'switch': {
+      const key = bindingKey(instance)
+      return `<label className="flex items-center gap-2">
+        <input
+          type="checkbox"
+          className="toggle"
+          checked={state.${key}}
+          onChange={() => dispatch({ type: 'toggle', key: '${key}' })}
+        />
+        <span>${reactText(props.label || '', ctx)}</span>
+      </label>`
+    }
+
+    case 'image': {
+      const ratio = aspectRatio(props.aspectRatio)
+      // A decorative image gets an empty alt so screen readers skip it
+      const { label, hidden } = accessibilityOf(instance)
+      return `<img
+        src=${jsxAttr(props.src || props.url || '')}${hidden || label ? `\n        alt=${jsxAttr(hidden ? '' : label)}` : ''}
+        className="w-full object-cover rounded-xl${ratio ? '' : ' h-52'}"${ratio ? `\n        style={{ aspectRatio: ${ratio} }}` : ''}
+      />`
+    }
+
+    case 'form': {
+      // A form without its own button gets a submit button running onSubmit;
+      // with validated inputs, it only submits once they are valid
+      const { form } = formContext(instance, ctx)
+      const submit = !children?.some(c => c.capsuleId === 'button')
+        ? `
+        <button type="submit"${form ? ` disabled={!${form.valid}}` : ''} className="w-full px-4 py-2 bg-primary text-white rounded-lg hover:opacity-90${form ? ' disabled:opacity-50' : ''}">
+          ${reactText(props.submitText || 'Submit', ctx)}
+        </button>`
+        : ''
+      return `<form
+        onSubmit={e => {
+          e.preventDefault()${form ? `\n          if (!${form.valid}) return` : ''}
+          ${reactActions(props.onSubmit, ctx)}
+        }}
+        className="space-y-3"
+      >
+        ${form ? children.map(c => generateReactComponent(c, { ...ctx, form })).join('\n        ') : childContent}${submit}
+      </form>`
+    }
+
+    case 'navigation':
+      return `<nav className="flex items-center gap-4 py-2">
+        <span className="font-semibold">${reactText(props.title || ctx.screen.name, ctx)}</span>
+        <div className="flex-1" />
+        ${navigationLinks(instance, ctx).map(link => `<button type="button" onClick={() => navigate('/${link.screen}')} className="text-primary hover:underline">
+          ${jsxText(link.label)}
+        </button>`).join('\n        ')}
+      </nav>`
+
+    case 'auth-screen': {
+      const key = bindingKey(instance)
+      const signUp = ctx.project.screens.some(s => s.id === props.signUpScreen)
+        ? `
+        <button type="button" onClick={() => navigate('/${props.signUpScreen}')} className="w-full text-sm text-primary">
+          ${jsxText(props.signUpText || 'Create an account')}
+        </button>`
+        : ''
+      return `<form
+        onSubmit={e => {
+          e.preventDefault()
+          ${reactActions(props.onSubmit, ctx)}
+        }}
+        className="space-y-4 max-w-sm"
+      >
+        <h2 className="text-2xl font-bold">${reactText(props.title || 'Sign in', ctx)}</h2>
+        <input
+          type="email"
+          autoComplete="email"
+          placeholder="Email"
+          value={state.${key}Email}
+          onChange={e => dispatch({ type: 'set', key: '${key}Email', value: e.target.value })}
+          className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-primary"
+        />
+        <input
+          type="password"
+          autoComplete="current-password"
+          placeholder="Password"
+          value={state.${key}Password}
+          onChange={e => dispatch({ type: 'set', key: '${key}Password', value: e.target.value })}
+          className="w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-primary"
+        />
+        <button
+          type="submit"
+          disabled={!state.${key}Email || !state.${key}Password}
+          className="w-full px-4 py-2 bg-primary text-white rounded-lg hover:opacity-90 disabled:opacity-50"
+        >
+          ${reactText(props.submitText || 'Sign in', ctx)}
+        </button>${signUp}
+      </form>`
+    }
+
+    case 'skeleton':
+      return `<div className="space-y-2 animate-pulse" aria-hidden="true">
+        {Array.from({ length: ${Math.max(1, Math.round(num(props.lines, 3)))} }, (_, index) => (
+          <div key={index} className="h-3.5 bg-gray-200 rounded" />
+        ))}
+      </div>`
+
+    case 'tabs': {
+      const key = bindingKey(instance)
+      const sections = capsuleSections(instance)
+      return `<div>
+        <div role="tablist" className="flex border-b mb-3">
+          ${sections.map((section, i) => `<button
+            type="button"
+            role="tab"
+            aria-selected={state.${key} === ${i}}
+            onClick={() => dispatch({ type: 'set', key: '${key}', value: ${i} })}
+            className={\`px-4 py-2 -mb-px border-b-2 \${state.${key} === ${i} ? 'border-primary text-primary' : 'border-transparent text-text-secondary'}\`}
+          >
+            ${jsxText(section.label)}
+          </button>`).join('\n          ')}
+        </div>
+        ${sections.map((section, i) => `{state.${key} === ${i} && (
+          <div role="tabpanel">
+            ${generateReactComponent(section.child, ctx)}
+          </div>
+        )}`).join('\n        ')}
+      </div>`
+    }
+
+    case 'accordion':
+      return `<div className="divide-y border rounded-lg bg-surface">
+        ${capsuleSections(instance).map(section => `<details className="p-3">
+          <summary className="cursor-pointer font-medium">${jsxText(section.label)}</summary>
+          <div className="pt-3">
+            ${generateReactComponent(section.child, ctx)}
+          </div>
+        </details>`).join('\n        ')}
+      </div>`
+
+    case 'dropdown': {
+      const key = bindingKey(instance)
+      return `<label className="block space-y-1">
+        <span className="text-sm font-medium">${reactText(props.label || props.placeholder || 'Select', ctx)}</span>
+        <select
+          value={state.${key}}
+          onChange={e => dispatch({ type: 'set', key: '${key}', value: e.target.value })}
+          className="w-full px-3 py-2 border rounded-lg bg-surface"
+        >
+          ${capsuleOptions(props).map(o => `<option value=${jsxAttr(o.value)}>${jsxText(o.label)}</option>`).join('\n          ')}
+        </select>
+      </label>`
+    }
+
+    case 'datepicker': {
+      const key = bindingKey(instance)
+      return `<label className="block space-y-1">
+        <span className="text-sm font-medium">${reactText(props.label || 'Date', ctx)}</span>
+        <input
+          type="date"
+          value={state.${key}}
+          onChange={e => dispatch({ type: 'set', key: '${key}', value: e.target.value })}
+          className="w-full px-3 py-2 border rounded-lg"
+        />
+      </label>`
+    }
+
+    case 'calendar': {
+      const key = bindingKey(instance)
+      return `<Calendar value={state.${key}} onChange={value => dispatch({ type: 'set', key: '${key}', value })} />`
+    }
+
+    case 'tooltip':
+      return `<span className="relative inline-flex group">
+        ${childContent || `<Info className="w-5 h-5 text-text-secondary" tabIndex={0} aria-label=${jsxAttr(props.text || props.content || '')} />`}
+        <span
+          role="tooltip"
+          className="pointer-events-none absolute bottom-full left-1/2 -translate-x-1/2 mb-2 whitespace-nowrap rounded bg-gray-900 px-2 py-1 text-xs text-white opacity-0 transition group-hover:opacity-100 group-focus-within:opacity-100"
+        >
+          ${reactText(props.text || props.content || '', ctx)}
+        </span>
+      </span>`
+
+    case 'popover':
+      return `<Popover title=${jsxAttr(props.title || props.label || 'More')}>
+        ${childContent}
+      </Popover>`
+
+    case 'rating': {
+      const key = bindingKey(instance)
+      const stars = Array.from({ length: Math.max(1, Math.round(num(props.max, 5))) }, (_, i) => i + 1)
+      return `<div className="flex gap-1" role="radiogroup" aria-label="Rating">
+        {[${stars.join(', ')}].map(star => (
+          <button
+            key={star}
+            type="button"
+            role="radio"
+            aria-checked={star === state.${key}}
+            aria-label={\`\${star} stars\`}
+            onClick={() => dispatch({ type: 'set', key: '${key}', value: star })}
+            className={\`text-2xl \${star <= state.${key} ? 'text-yellow-400' : 'text-gray-300'}\`}
+          >
+            ★
+          </button>
+        ))}
+      </div>`
+    }
+
+    case 'stepper': {
+      const key = bindingKey(instance)
+      const step = num(props.step, 1)
+      return `<div className="flex items-center gap-3">
+        <span className="flex-1">${reactText(props.label || 'Value', ctx)}</span>
+        <button
+          type="button"
+          aria-label="Decrease"
+          onClick={() => dispatch({ type: 'set', key: '${key}', value: Math.max(${num(props.min, 0)}, state.${key} - ${step}) })}
+          className="w-8 h-8 border rounded-full"
+        >
+          −
+        </button>
+        <span className="w-8 text-center">{state.${key}}</span>
+        <button
+          type="button"
+          aria-label="Increase"
+          onClick={() => dispatch({ type: 'set', key: '${key}', value: Math.min(${num(props.max, 100)}, state.${key} + ${step}) })}
+          className="w-8 h-8 border rounded-full"
+        >
+          +
+        </button>
+      </div>`
+    }
+
+    case 'chip': {
+      const key = bindingKey(instance)
+      return `<button
+        type="button"
+        aria-pressed={state.${key}}
+        onClick={() => dispatch({ type: 'toggle', key: '${key}' })}
+        className={\`px-3 py-1 rounded-full text-sm border \${state.${key} ? 'bg-primary text-white border-primary' : 'bg-surface text-text-primary'}\`}
+      >
+        ${reactText(props.label || props.text || '', ctx)}
+      </button>`
+    }
+
+    case 'divider':
+      return '<hr className="my-2" />'
+
+    case 'file-upload': {
+      const key = bindingKey(instance)
+      return `<label className="flex items-center gap-3">
+        <span className="flex items-center gap-2 px-4 py-2 border rounded-lg cursor-pointer hover:bg-background">
+          <Paperclip className="w-4 h-4" />
+          ${reactText(props.label || 'Upload file', ctx)}
+        </span>
+        <input
+          type="file"
+          className="sr-only"
+          onChange={e => dispatch({ type: 'set', key: '${key}', value: e.target.files?.[0]?.name ?? '' })}
+        />
+        <span className="text-sm text-text-secondary truncate">{state.${key} || 'No file selected'}</span>
+      </label>`
+    }
+
+    case 'timeline': {
+      const { key, item, itemCtx } = dataBinding(instance, ctx)
+      const template = itemTemplate(instance, item).map(c => generateReactComponent(c, itemCtx)).join('\n            ')
+      return `<ol className="border-l-2 border-gray-200 ml-1">
+        {state.${key}.map((item, index) => (
+          <li key={index} className="relative pl-4 pb-4 space-y-1">
+            <span className="absolute -left-[7px] top-1.5 w-3 h-3 rounded-full bg-primary" />
+            ${template}
+          </li>
+        ))}
+      </ol>`
+    }
+
+    case 'bottom-sheet':
+      return `{state.activeModal === ${jsString(instance.id)} && (
+        <div
+          className="fixed inset-0 z-50 flex items-end bg-black/50"
+          onClick={() => dispatch({ type: 'set', key: 'activeModal', value: null })}
+        >
+          <div className="bg-surface rounded-t-2xl p-6 w-full max-h-[85vh] overflow-y-auto space-y-4" onClick={e => e.stopPropagation()}>
+            <div className="mx-auto h-1.5 w-10 rounded-full bg-gray-300" />
+            ${props.title ? `<h2 className="text-lg font-semibold">${reactText(props.title, ctx)}</h2>` : ''}
+            ${childContent}
+          </div>
+        </div>
+      )}`
+
+    case 'color-picker': {
+      const key = bindingKey(instance)
+      return `<label className="flex items-center gap-3">
+        <input
+          type="color"
+          value={state.${key}}
+          onChange={e => dispatch({ type: 'set', key: '${key}', value: e.target.value })}
+          className="h-10 w-14 rounded border"
+        />
+        <span>${reactText(props.label || 'Color', ctx)}</span>
+      </label>`
+    }
+
+    case 'rich-text-editor': {
+      const key = bindingKey(instance)
+      return `<RichTextEditor value={state.${key}} onChange={value => dispatch({ type: 'set', key: '${key}', value })} />`
+    }
+
+    case 'signature':
+      return '<SignaturePad />'
+
+    case 'map': {
+      const { latitude, longitude, delta } = mapRegion(props)
+      const half = delta / 2
+      const bbox = [longitude - half, latitude - half, longitude + half, latitude + half].map(n => Number(n.toFixed(5))).join(',')
+      return `<iframe
+        title=${jsxAttr(props.title || props.label || 'Map')}
+        src=${jsxAttr(`https://www.openstreetmap.org/export/embed.html?bbox=${bbox}&layer=mapnik&marker=${latitude},${longitude}`)}
+        loading="lazy"
+        className="w-full rounded-xl border"
+        style={{ height: ${num(props.height, 240)} }}
+      />`
+    }
+
+    case 'video':
+      return `<video
+        src=${jsxAttr(props.src || props.url || '')}
+        controls${props.poster ? `\n        poster=${jsxAttr(props.poster)}` : ''}
+        className="w-full aspect-video rounded-xl bg-black"
+      />`
+
+    case 'audio':
+      return `<div className="space-y-2 p-4 bg-surface rounded-xl shadow-sm">
+        <p className="font-medium">${reactText(props.title || 'Audio', ctx)}</p>
+        <audio src=${jsxAttr(props.src || props.url || '')} controls className="w-full" />
+      </div>`
+
+    case 'kanban': {
+      const { key, item, itemCtx } = dataBinding(instance, ctx)
+      const { groupBy, columns } = kanbanColumns(instance, item, ctx)
+      const template = itemTemplate(instance, item).map(c => generateReactComponent(c, itemCtx)).join('\n              ')
+      return `<div className="flex gap-3 overflow-x-auto pb-2">
+        ${columns.map(column => `<section className="shrink-0 w-64 bg-gray-100 rounded-xl p-3 space-y-2">
+          <h3 className="font-semibold">${jsxText(column.label)}</h3>
+          {state.${key}${groupBy ? `.filter(item => item.${groupBy} === ${jsString(column.value)})` : ''}.map((item, index) => (
+            <div key={index} className="bg-surface rounded-lg shadow-sm p-3 space-y-1">
+              ${template}
+            </div>
+          ))}
+        </section>`).join('\n        ')}
+      </div>`
+    }
+
+    case 'chat': {
+      const { key, item, itemCtx } = dataBinding(instance, ctx)
+      const { text, mine } = chatFields(instance, item)
+      const body = instance.children?.length > 0
+        ? itemTemplate(instance, item).map(c => generateReactComponent(c, itemCtx)).join('\n              ')
+        : reactText(text, itemCtx)
+      const draft = `${bindingKey(instance)}Draft`
+      return `<div className="space-y-2">
+        <div className="min-h-60 max-h-[480px] overflow-y-auto space-y-2">
+          {state.${key}.map((item, index) => (
+            <div key={index} className=${mine ? `{\`flex \${${mine} ? 'justify-end' : 'justify-start'}\`}` : '"flex justify-start"'}>
+              <div className=${mine ? `{\`max-w-[75%] rounded-2xl px-3 py-2 \${${mine} ? 'bg-primary text-white' : 'bg-gray-100'}\`}` : '"max-w-[75%] rounded-2xl px-3 py-2 bg-gray-100"'}>
+              ${body}
+              </div>
+            </div>
+          ))}
+        </div>
+        <form
+          onSubmit={e => {
+            e.preventDefault()
+            ${props.onSend ? `${reactActions(props.onSend, ctx)}\n            ` : ''}dispatch({ type: 'set', key: '${draft}', value: '' })
+          }}
+          className="flex gap-2"
+        >
+          <input
+            placeholder=${jsxAttr(props.placeholder || 'Message')}
+            value={state.${draft}}
+            onChange={e => dispatch({ type: 'set', key: '${draft}', value: e.target.value })}
+            className="flex-1 px-3 py-2 border rounded-full focus:ring-2 focus:ring-primary"
+          />
+          <button type="submit" aria-label="Send" disabled={!state.${draft}} className="p-2 bg-primary text-white rounded-full disabled:opacity-50">
+            <Send className="w-5 h-5" />
+          </button>
+        </form>
+      </div>`
+    }
+
+    case 'qrcode':
+      return `<QRCodeSVG value={${jsValue(String(props.value || props.text || props.url || ''), ctx)}} size={200} />`
+
+    case 'scanner': {
+      const key = bindingKey(instance)
+      return `<label className="block space-y-1">
+        <span className="flex items-center gap-2 text-sm font-medium">
+          <ScanLine className="w-4 h-4" />
+          ${reactText(props.label || 'Enter code', ctx)}
+        </span>
+        <input
+          value={state.${key}}
+          onChange={e => dispatch({ type: 'set', key: '${key}', value: e.target.value })}
+          className="w-full px-3 py-2 border rounded-lg font-mono"
+        />
+      </label>`
+    }
+
+    case 'pdf-viewer':
+    case 'webview':
+      return `<iframe
+        title=${jsxAttr(props.title || props.label || (capsuleId === 'webview' ? 'Web page' : 'PDF'))}
+        src=${jsxAttr(props.src || props.url || '')}
+        className="w-full rounded-xl border"
+        style={{ height: ${num(props.height, 400)} }}
+      />`
+
+    case 'notifications': {
+      const { key, item, itemCtx } = dataBinding(instance, ctx)
+      const template = itemTemplate(instance, item).map(c => generateReactComponent(c, itemCtx)).join('\n              ')
+      return `<div className="space-y-2">
+        <button
+          type="button"
+          onClick={() => { void Notification.requestPermission() }}
+          className="px-4 py-2 border rounded-lg"
+        >
+          Enable notifications
+        </button>
+        {state.${key}.map((item, index) => (
+          <div key={index} className="flex gap-3 p-3 bg-surface rounded-xl shadow-sm">
+            <Bell className="w-5 h-5 text-primary shrink-0" />
+            <div className="space-y-1">
+              ${template}
+            </div>
+          </div>
+        ))}
+      </div>`
+    }
+
+    case 'biometrics':
+      return `<button
+        type="button"
+        disabled
+        title="Biometric unlock is only available in the mobile apps"
+        className="flex items-center gap-2 px-4 py-2 bg-primary text-white rounded-lg opacity-50 cursor-not-allowed"
+      >
+        <Fingerprint className="w-5 h-5" />
+        ${reactText(props.label || 'Unlock', ctx)}
+      </button>`
+
+    case 'location': {
+      const key = bindingKey(instance)
+      return `<div className="space-y-1">
+        <button
+          type="button"
+          onClick={() => navigator.geolocation.getCurrentPosition(position => dispatch({
+            type: 'set',
+            key: '${key}',
+            value: \`\${position.coords.latitude.toFixed(5)}, \${position.coords.longitude.toFixed(5)}\`
+          }))}
+          className="flex items-center gap-2 px-4 py-2 border rounded-lg"
+        >
+          <MapPin className="w-4 h-4" />
+          ${reactText(props.label || 'Use my location', ctx)}
+        </button>
+        {state.${key} && <p className="text-sm font-mono text-text-secondary">{state.${key}}</p>}
+      </div>`
+    }
+
+    case 'camera':
+      return `<CameraCapture label=${jsxAttr(props.label || 'Take photo')} />`
+
+    case 'social-share': {
+      const shared = jsValue(String(props.url || props.text || ''), ctx)
+      const data = `{ ${props.title ? `title: ${jsValue(String(props.title), ctx)}, ` : ''}${props.url ? 'url' : 'text'}: ${shared} }`
+      return `<button
+        type="button"
+        onClick={() => {
+          if (navigator.share) void navigator.share(${data})
+          else void navigator.clipboard.writeText(${shared})
+        }}
+        className="flex items-center gap-2 px-4 py-2 border rounded-lg"
+      >
+        <Share2 className="w-4 h-4" />
+        ${reactText(props.label || 'Share', ctx)}
+      </button>`
+    }
+
+    case 'row':
+    case 'column': {
+      const horizontal = capsuleId === 'row'
+      const gap = reactSpacing('gap', layoutSpacing(props.gap, ctx, horizontal ? 'sm' : 'md'))
+      // Columns stretch their children unless an alignment is given
+      const align = horizontal || props.alignment ? ` ${REACT_ALIGNMENT.items[crossAlignment(props.alignment, 'center')]}` : ''
+      const items = stackChildren(instance).map(({ child, spacer, flex }) => {
+        if (spacer) return '<div className="flex-1" />'
+        const code = generateReactComponent(child, ctx)
+        return flex > 0 ? `<div className="min-w-0" style={{ flex: ${flex} }}>\n          ${code}\n        </div>` : code
+      }).join('\n        ')
+      return `<div className="flex${horizontal ? '' : ' flex-col'} ${gap}${align}${reactPadding(props.padding, ctx)}">
+        ${items}
+      </div>`
+    }
+
+    case 'zstack': {
+      // Every layer sits in the same grid cell; the first fills it and the rest are placed on top
+      const { vertical, horizontal } = layerAlignment(props.alignment)
+      const layer = i => i === 0 ? 'col-start-1 row-start-1' : `col-start-1 row-start-1 ${REACT_ALIGNMENT.self[vertical]} ${REACT_ALIGNMENT.justifySelf[horizontal]}`
+      return `<div className="grid${reactPadding(props.padding, ctx)}">
+        ${children?.map((c, i) => `<div className="${layer(i)}">
+          ${generateReactComponent(c, ctx)}
+        </div>`).join('\n        ') || ''}
+      </div>`
+    }
+
+    case 'grid':
+      return `<div className="grid grid-cols-${gridColumns(instance)} ${reactSpacing('gap', layoutSpacing(props.gap, ctx, 'md'))}${reactPadding(props.padding, ctx)}">
+        ${childContent}
+      </div>`
+
+    case 'spacer': {
+      const size = layoutSpacing(props.size, ctx)
+      return size ? `<div className="shrink-0 ${reactSpacing('w', size)} ${reactSpacing('h', size)}" />` : '<div className="flex-1" />'
+    }
+
+    case 'scroll-view': {
+      const horizontal = props.direction === 'horizontal'
+      const gap = reactSpacing('gap', layoutSpacing(props.gap, ctx, horizontal ? 'sm' : 'md'))
+      const height = num(props.height, null)
+      const items = horizontal
+        ? children?.map(c => `<div className="shrink-0">
+          ${generateReactComponent(c, ctx)}
+        </div>`).join('\n        ') || ''
+        : childContent
+      return `<div className="flex${horizontal ? ' overflow-x-auto' : ' flex-col overflow-y-auto'} ${gap}${height !== null ? ` max-h-[${height}px]` : ''}${reactPadding(props.padding, ctx)}">
+        ${items}
+      </div>`
+    }
+
+    case 'safe-area':
+      return `<div className="min-h-screen bg-background pt-[env(safe-area-inset-top)] pr-[env(safe-area-inset-right)] pb-[env(safe-area-inset-bottom)] pl-[env(safe-area-inset-left)]">
+        <div className="flex flex-col ${reactSpacing('gap', layoutSpacing(props.gap, ctx, 'md'))}${reactPadding(props.padding, ctx)}">
+          ${childContent}
+        </div>
+      </div>`
+
+    default:
+      if (hasCapsuleTemplate(capsuleId, 'web')) return renderCapsuleTemplate(instance, 'web', ctx)
+      if (children && children.length > 0) {
+        return `<div className="space-y-4">
+        ${childContent}
+      </div>`
+      }
+      return `<div>{/* TODO: ${comment(capsuleId)} */}</div>`
+  }
+}
+
+// lucide-react icons a page imports when its generated JSX uses them
+const REACT_ICONS = ['Bell', 'Fingerprint', 'Info', 'MapPin', 'Paperclip', 'ScanLine', 'Send', 'Share2']
+
+// Reusable components emitted into src/components/ when a page uses them
+const REACT_COMPONENTS = {
+  Calendar: `import React, { useState } from 'react'
+
+interface CalendarProps {
+  value: string
+  onChange: (value: string) => void
+}
+
+const WEEKDAYS = ['Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa', 'Su']
+
+// Dates are "yyyy-mm-dd" strings, the format <input type="date"> uses
+function isoDate(year: number, month: number, day: number) {
+  return \`\${year}-\${String(month + 1).padStart(2, '0')}-\${String(day).padStart(2, '0')}\`
+}
+
+export default function Calendar({ value, onChange }: CalendarProps) {
+  const initial = value ? new Date(\`\${value}T00:00:00\`) : new Date()
+  const [shown, setShown] = useState({ year: initial.getFullYear(), month: initial.getMonth() })
+  const days = new Date(shown.year, shown.month + 1, 0).getDate()
+  const offset = (new Date(shown.year, shown.month, 1).getDay() + 6) % 7
+  const title = new Date(shown.year, shown.month, 1).toLocaleDateString(undefined, { month: 'long', year: 'numeric' })
+  const shift = (delta: number) => setShown(({ year, month }) => {
+    const date = new Date(year, month + delta, 1)
+    return { year: date.getFullYear(), month: date.getMonth() }
+  })
+
+  return (
+    <div className="w-72 bg-surface rounded-xl shadow p-3">
+      <div className="flex items-center justify-between mb-2">
+        <button type="button" aria-label="Previous month" onClick={() => shift(-1)} className="px-2 text-lg">
+          &lsaquo;
+        </button>
+        <span className="font-semibold">{title}</span>
+        <button type="button" aria-label="Next month" onClick={() => shift(1)} className="px-2 text-lg">
+          &rsaquo;
+        </button>
+      </div>
+      <div className="grid grid-cols-7 gap-1 text-center text-sm">
+        {WEEKDAYS.map(day => (
+          <span key={day} className="text-text-secondary">{day}</span>
+        ))}
+        {Array.from({ length: offset }, (_, index) => (
+          <span key={\`blank-\${index}\`} />
+        ))}
+        {Array.from({ length: days }, (_, index) => {
+          const date = isoDate(shown.year, shown.month, index + 1)
+          return (
+            <button
+              key={date}
+              type="button"
+              aria-pressed={date === value}
+              onClick={() => onChange(date)}
+              className={\`rounded-full py-1 \${date === value ? 'bg-primary text-white' : 'hover:bg-gray-100'}\`}
+            >
+              {index + 1}
+            </button>
+          )
+        })}
+      </div>
+    </div>
+  )
+}`,
+
+  Popover: `import React, { useEffect, useRef, useState } from 'react'
+
+interface PopoverProps {
+  title: string
+  children: React.ReactNode
+}
+
+export default function Popover({ title, children }: PopoverProps) {
+  const [open, setOpen] = useState(false)
+  const ref = useRef<HTMLDivElement>(null)
+
+  // Clicking anywhere outside closes the popover
+  useEffect(() => {
+    if (!open) return
+    const close = (event: MouseEvent) => {
+      if (!ref.current?.contains(event.target as Node)) setOpen(false)
+    }
+    document.addEventListener('mousedown', close)
+    return () => document.removeEventListener('mousedown', close)
+  }, [open])
+
+  return (
+    <div ref={ref} className="relative inline-block">
+      <button type="button" aria-expanded={open} onClick={() => setOpen(!open)} className="px-4 py-2 border rounded-lg">
+        {title}
+      </button>
+      {open && (
+        <div className="absolute z-40 mt-2 w-64 bg-surface rounded-xl shadow-lg border p-4 space-y-2">
+          {children}
+        </div>
+      )}
+    </div>
+  )
+}`,
+
+  RichTextEditor: `import React, { useEffect, useRef } from 'react'
+
+interface RichTextEditorProps {
+  value: string
+  onChange: (value: string) => void
+}
+
+const COMMANDS = [
+  { command: 'bold', label: 'B', className: 'font-bold' },
+  { command: 'italic', label: 'I', className: 'italic' },
+  { command: 'underline', label: 'U', className: 'underline' },
+  { command: 'insertUnorderedList', label: '•', className: '' }
+]
+
+// The value is HTML; it is only written into the editor when it changes from outside
+export default function RichTextEditor({ value, onChange }: RichTextEditorProps) {
+  const ref = useRef<HTMLDivElement>(null)
+
+  useEffect(() => {
+    if (ref.current && ref.current.innerHTML !== value) ref.current.innerHTML = value
+  }, [value])
+
+  return (
+    <div className="border rounded-lg bg-surface">
+      <div className="flex gap-1 border-b p-1">
+        {COMMANDS.map(({ command, label, className }) => (
+          <button
+            key={command}
+            type="button"
+            aria-label={command}
+            onMouseDown={e => {
+              e.preventDefault()
+              document.execCommand(command)
+              onChange(ref.current?.innerHTML ?? '')
+            }}
+            className={\`w-8 h-8 rounded hover:bg-gray-100 \${className}\`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+      <div
+        ref={ref}
+        contentEditable
+        suppressContentEditableWarning
+        onInput={e => onChange(e.currentTarget.innerHTML)}
+        className="min-h-40 p-3 focus:outline-none"
+      />
+    </div>
+  )
+}`,
+
+  SignaturePad: `import React, { useRef } from 'react'
+
+export default function SignaturePad() {
+  const canvas = useRef<HTMLCanvasElement>(null)
+  const drawing = useRef(false)
+
+  // Pointer position in canvas pixels, which differ from CSS pixels
+  const point = (event: React.PointerEvent<HTMLCanvasElement>): [number, number] => {
+    const rect = event.currentTarget.getBoundingClientRect()
+    return [
+      (event.clientX - rect.left) * (event.currentTarget.width / rect.width),
+      (event.clientY - rect.top) * (event.currentTarget.height / rect.height)
+    ]
+  }
+
+  return (
+    <div className="space-y-1">
+      <canvas
+        ref={canvas}
+        width={600}
+        height={200}
+        className="w-full h-40 bg-gray-100 rounded-xl touch-none"
+        onPointerDown={e => {
+          const context = e.currentTarget.getContext('2d')
+          if (!context) return
+          drawing.current = true
+          e.currentTarget.setPointerCapture(e.pointerId)
+          context.lineWidth = 2
+          context.lineCap = 'round'
+          context.beginPath()
+          context.moveTo(...point(e))
+        }}
+        onPointerMove={e => {
+          if (!drawing.current) return
+          const context = e.currentTarget.getContext('2d')
+          context?.lineTo(...point(e))
+          context?.stroke()
+        }}
+        onPointerUp={() => {
+          drawing.current = false
+        }}
+      />
+      <div className="text-right">
+        <button
+          type="button"
+          onClick={() => {
+            const element = canvas.current
+            element?.getContext('2d')?.clearRect(0, 0, element.width, element.height)
+          }}
+          className="text-sm text-primary"
+        >
+          Clear
+        </button>
+      </div>
+    </div>
+  )
+}`,
+
+  CameraCapture: `import React, { useEffect, useRef, useState } from 'react'
+
+interface CameraCaptureProps {
+  label: string
+}
+
+// Live camera preview; capturing freezes the current frame as the photo
+export default function CameraCapture({ label }: CameraCaptureProps) {
+  const video = useRef<HTMLVideoElement>(null)
+  const [stream, setStream] = useState<MediaStream | null>(null)
+  const [photo, setPhoto] = useState<string | null>(null)
+
+  useEffect(() => () => stream?.getTracks().forEach(track => track.stop()), [stream])
+
+  const start = async () => {
+    const media = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } })
+    setPhoto(null)
+    setStream(media)
+    if (video.current) video.current.srcObject = media
+  }
+
+  const capture = () => {
+    const element = video.current
+    if (!element) return
+    const canvas = document.createElement('canvas')
+    canvas.width = element.videoWidth
+    canvas.height = element.videoHeight
+    canvas.getContext('2d')?.drawImage(element, 0, 0)
+    setPhoto(canvas.toDataURL('image/jpeg'))
+    setStream(null)
+  }
+
+  return (
+    <div className="space-y-3">
+      {photo && <img src={photo} alt="" className="w-full max-h-60 object-cover rounded-xl" />}
+      <video ref={video} autoPlay playsInline muted className={stream ? 'w-full rounded-xl' : 'hidden'} />
+      <button
+        type="button"
+        onClick={stream ? capture : () => { start().catch(() => setStream(null)) }}
+        className="px-4 py-2 border rounded-lg"
+      >
+        {stream ? 'Capture' : label}
+      </button>
+    </div>
+  )
+}`
+}
+
+function generateFlutter(project) {
+  const files = []
+  const identity = flutterIdentity(project)
+  const nav = navigationModel(project)
+
+  files.push(...generateFlutterProject(project, identity))
+  files.push(generateFlutterTheme(themeTokens(project.theme)))
+  files.push(generateFlutterNavigation(project, nav))
+
+  files.push({
+    path: 'lib/main.dart',
+    language: 'dart',
+    content: `import 'package:flutter/material.dart';
+
+import 'navigation.dart';
+import 'theme.dart';
+
+void main() {
+  runApp(const App());
+}
+
+class App extends StatelessWidget {
+  const App({super.key});
+
+  @override
+  Widget build(BuildContext context) {
+    return MaterialApp(
+      title: ${dartString(project.name)},
+      theme: AppTheme.light,
+      darkTheme: AppTheme.dark,
+      home: rootScreen,
+      routes: routes,
+    );
+  }
+}`
+  })
+
+  if (Object.keys(project.api?.endpoints || {}).length > 0) {
+    files.push(generateDartApiClient(project))
+  }
+
+  // Generate screens
+  const screenContents = []
+  for (const screen of project.screens) {
+    const cached = cachedScreen('flutter', project, screen)
+    if (cached.files) {
+      screenContents.push(cached.content)
+      files.push(...cached.files)
+      continue
+    }
+    const firstFile = files.length
+    const state = screenState(screen)
+    // Modals and bottom sheets are collected here and layered over the screen
+    const ctx = { project, screen, nav, state, overlays: [] }
+    const content = generateFlutterComponent(screen.root, ctx)
+    screenContents.push([content, ...ctx.overlays].join('\n'))
+    files.push(generateFlutterScreen(screen, ctx, content))
+    cached.save(screenContents.at(-1), files.slice(firstFile))
+  }
+
+  for (const [name, content] of Object.entries(FLUTTER_COMPONENTS)) {
+    if (screenContents.some(c => c.includes(`${name}(`))) {
+      files.push({ path: `lib/components/${dartFileName(name)}.dart`, language: 'dart', content })
+    }
+  }
+
+  return files
+}
+
+// pubspec name, plus the --org `flutter create` derives the Android and iOS app ids from
+function flutterIdentity(project) {
+  const slug = String(project.name).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '')
+  const name = /^[a-z]/.test(slug) && !RESERVED_WORDS.has(slug) ? slug : `hublab_${slug}`.replace(/_+$/, '')
+  const android = packageIdentifier(project.platformConfig?.android?.packageName || 'com.hublab.app').split('.')
+  const org = android.length > 1 ? android.slice(0, -1).join('.') : 'com.hublab'
+  return { name, org, applicationId: `${org}.${name}` }
+}
+
+// snake_case file name of a Dart type: "BarChart" -> "bar_chart"
+function dartFileName(name) {
+  return name.replace(/([a-z0-9])([A-Z])/g, '$1_$2').replace(/-/g, '_').toLowerCase()
+}
+
+function generateFlutterProject(project, identity) {
+  const android = platformRequirements(project, 'android')
+  const requirements = platformRequirements(project, 'flutter')
+  const packages = { ...requirements.packages }
+  const permissions = new Set([...android.permissions, ...requirements.permissions])
+  if (Object.keys(project.api?.endpoints || {}).length > 0) {
+    packages.http = '^1.2.2'
+    permissions.add('INTERNET')
+  }
+  const usage = Object.entries(platformRequirements(project, 'ios').usage)
+  const label = project.platformConfig?.android?.appName || project.name
+  const build = num(project.platformConfig?.android?.versionCode, 1)
+
+  const files = [
+    {
+      path: 'pubspec.yaml',
+      language: 'yaml',
+      content: `name: ${identity.name}
+description: ${JSON.stringify(project.description || `${project.name}, generated by HubLab.`)}
+publish_to: 'none'
+version: ${JSON.stringify(`${project.version || '1.0.0'}+${build}`)}
+
+environment:
+  sdk: ^3.6.0
+
+dependencies:
+  flutter:
+    sdk: flutter
+${Object.keys(packages).sort().map(name => `  ${name}: ${packages[name]}\n`).join('')}
+dev_dependencies:
+  flutter_test:
+    sdk: flutter
+  flutter_lints: ^5.0.0
+
+flutter:
+  uses-material-design: true`
+    },
+    {
+      path: 'analysis_options.yaml',
+      language: 'yaml',
+      content: `include: package:flutter_lints/flutter.yaml
+
+linter:
+  rules:
+    prefer_const_constructors: false
+    prefer_const_literals_to_create_immutables: false`
+    }
+  ]
+
+  // flutter create keeps these when it adds the platform runners, so they
+  // are only written when a capsule needs a permission or usage description
+  if (permissions.size > 0) {
+    files.push({
+      path: 'android/app/src/main/AndroidManifest.xml',
+      language: 'xml',
+      content: `<manifest xmlns:android="http://schemas.android.com/apk/res/android">
+
+${[...permissions].sort().map(p => `    <uses-permission android:name="android.permission.${p}" />\n`).join('')}
+    <application
+        android:label="${xmlEscape(label)}"
+        android:name="\${applicationName}"
+        android:icon="@mipmap/ic_launcher">
+        <activity
+            android:name=".MainActivity"
+            android:exported="true"
+            android:launchMode="singleTop"
+            android:theme="@style/LaunchTheme"
+            android:configChanges="orientation|keyboardHidden|keyboard|screenSize|smallestScreenSize|locale|layoutDirection|fontScale|screenLayout|density|uiMode"
+            android:hardwareAccelerated="true"
+            android:windowSoftInputMode="adjustResize">
+            <meta-data
+                android:name="io.flutter.embedding.android.NormalTheme"
+                android:resource="@style/NormalTheme" />
+            <intent-filter>
+                <action android:name="android.intent.action.MAIN" />
+                <category android:name="android.intent.category.LAUNCHER" />
+            </intent-filter>
+        </activity>
+        <meta-data
+            android:name="flutterEmbedding"
+            android:value="2" />
+    </application>
+
+</manifest>`
+    })
+  }
+
+  // local_auth shows the system prompt, which needs a FragmentActivity
+  if (projectCapsules(project).has('biometrics')) {
+    files.push({
+      path: `android/app/src/main/kotlin/${identity.applicationId.replace(/\./g, '/')}/MainActivity.kt`,
+      language: 'kotlin',
+      content: `package ${identity.applicationId}
+
+import io.flutter.embedding.android.FlutterFragmentActivity
+
+class MainActivity : FlutterFragmentActivity()`
+    })
+  }
+
+  if (usage.length > 0) {
+    files.push({
+      path: 'ios/Runner/Info.plist',
+      language: 'xml',
+      content: `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE plist PUBLIC "-//Apple//DTD PLIST 1.0//EN" "http://www.apple.com/DTDs/PropertyList-1.0.dtd">
+<plist version="1.0">
+<dict>
+    <key>CFBundleDevelopmentRegion</key>
+    <string>$(DEVELOPMENT_LANGUAGE)</string>
+    <key>CFBundleDisplayName</key>
+    <string>${xmlEscape(project.platformConfig?.ios?.displayName || project.name)}</string>
+    <key>CFBundleExecutable</key>
+    <string>$(EXECUTABLE_NAME)</string>
+    <key>CFBundleIdentifier</key>
+    <string>$(PRODUCT_BUNDLE_IDENTIFIER)</string>
+    <key>CFBundleInfoDictionaryVersion</key>
+    <string>6.0</string>
+    <key>CFBundleName</key>
+    <string>${identity.name}</string>
+    <key>CFBundlePackageType</key>
+    <string>APPL</string>
+    <key>CFBundleShortVersionString</key>
+    <string>$(FLUTTER_BUILD_NAME)</string>
+    <key>CFBundleSignature</key>
+    <string>????</string>
+    <key>CFBundleVersion</key>
+    <string>$(FLUTTER_BUILD_NUMBER)</string>
+    <key>LSRequiresIPhoneOS</key>
+    <true/>
+    <key>UILaunchStoryboardName</key>
+    <string>LaunchScreen</string>
+    <key>UIMainStoryboardFile</key>
+    <string>Main</string>
+    <key>UISupportedInterfaceOrientations</key>
+    <array>
+        <string>UIInterfaceOrientationPortrait</string>
+        <string>UIInterfaceOrientationLandscapeLeft</string>
+        <string>UIInterfaceOrientationLandscapeRight</string>
+    </array>
+    <key>CADisableMinimumFrameDurationOnPhone</key>
+    <true/>
+    <key>UIApplicationSupportsIndirectInputEvents</key>
+    <true/>${usage.map(([key, text]) => `\n    <key>${key}</key>\n    <string>${xmlEscape(text)}</string>`).join('')}
+</dict>
+</plist>`
+    })
+  }
+
+  return files
+}
+
+function generateFlutterNavigation(project, nav) {
+  const screenImports = project.screens.map(s => `import 'screens/${dartFileName(s.id)}_screen.dart';`).sort().join('\n')
+  const routes = project.screens.map(s => `  static const ${memberName(s.id)} = ${dartString(`/${s.id}`)};`).join('\n')
+  const builders = project.screens.map(s => `  Routes.${memberName(s.id)}: (context) => const ${typeName(s.id)}Screen(),`).join('\n')
+  const tabs = nav.type === 'tabs'
+  const shell = tabs
+    ? `
+
+// Tab screens switch in place; any other route is pushed on top of the tabs
+const tabRoutes = [${nav.tabs.map(tab => `Routes.${memberName(tab.screen.id)}`).join(', ')}];
+final selectedTab = ValueNotifier<int>(0);
+
+void navigateTo(BuildContext context, String route) {
+  final tab = tabRoutes.indexOf(route);
+  if (tab < 0) {
+    Navigator.of(context).pushNamed(route);
+    return;
+  }
+  Navigator.of(context).popUntil((route) => route.isFirst);
+  selectedTab.value = tab;
+}
+
+class TabShell extends StatelessWidget {
+  const TabShell({super.key});
+
+  @override
+  Widget build(BuildContext context) {
+    return ValueListenableBuilder<int>(
+      valueListenable: selectedTab,
+      builder: (context, index, _) => Scaffold(
+        body: IndexedStack(
+          index: index,
+          children: const [
+${nav.tabs.map(tab => `            ${typeName(tab.screen.id)}Screen(),`).join('\n')}
+          ],
+        ),
+        bottomNavigationBar: NavigationBar(
+          selectedIndex: index,
+          onDestinationSelected: (value) => selectedTab.value = value,
+          destinations: const [
+${nav.tabs.map(tab => `            NavigationDestination(icon: Icon(Icons.${dartFileName(iconName(tab.icon, 'material'))}), label: ${dartString(tab.label)}),`).join('\n')}
+          ],
+        ),
+      ),
+    );
+  }
+}`
+    : `
+
+void navigateTo(BuildContext context, String route) {
+  Navigator.of(context).pushNamed(route);
+}`
+
+  return {
+    path: 'lib/navigation.dart',
+    language: 'dart',
+    content: `import 'package:flutter/material.dart';
+
+${screenImports}
+
+abstract final class Routes {
+${routes}
+}
+
+final Map<String, WidgetBuilder> routes = {
+${builders}
+};
+
+const Widget rootScreen = ${tabs ? 'TabShell' : `${typeName(nav.initial.id)}Screen`}();${shell}`
+  }
+}
+
+function generateDartApiClient(project) {
+  return {
+    path: 'lib/api_client.dart',
+    language: 'dart',
+    content: `import 'dart:convert';
+
+import 'package:http/http.dart' as http;
+
+abstract final class ApiClient {
+  static const baseUrl = ${dartString((project.api?.baseUrl || 'https://api.example.com').replace(/\/$/, ''))};
+
+  // Sends a JSON request and returns the decoded response (or the raw text)
+  static Future<dynamic> send(String method, String path, [Object? body]) async {
+    final request = http.Request(method, Uri.parse(baseUrl + path));
+    if (body != null) {
+      request.headers['Content-Type'] = 'application/json';
+      request.body = jsonEncode(body);
+    }
+    final response = await http.Response.fromStream(await request.send());
+    if (response.statusCode < 200 || response.statusCode > 299) {
+      throw http.ClientException('HTTP \${response.statusCode}', request.url);
+    }
+    try {
+      return jsonDecode(response.body);
+    } on FormatException {
+      return response.body;
+    }
+  }
+}`
+  }
+}
+
+function generateFlutterScreen(screen, ctx, content) {
+  const name = `${typeName(screen.id)}Screen`
+  const code = [content, ...ctx.overlays].join('\n')
+  const fields = Object.entries(ctx.state)
+  // Data capsules backed by an endpoint load as soon as the screen is shown
+  const loaders = fields.filter(([, field]) => field.endpoint)
+    .map(([key, field]) => flutterActions({ type: 'callApi', endpoint: field.endpoint, resultKey: key }, ctx))
+  const callApi = ctx.state.isLoading
+    ? `
+
+  Future<void> callApi(String method, String path, {Object? body, void Function(dynamic result)? onResult}) async {
+    setState(() => isLoading = true);
+    try {
+      final result = await ApiClient.send(method, path, body);
+      if (mounted && onResult != null) setState(() => onResult(result));
+    } finally {
+      if (mounted) setState(() => isLoading = false);
+    }
+  }`
+    : ''
+
+  // Imports only some capsules need, keyed by a marker in the generated code
+  const imports = [
+    "import 'package:flutter/material.dart';",
+    ...[...FLUTTER_SCREEN_IMPORTS.filter(([, marker]) => code.includes(marker)).map(([name]) => name), ...capsuleImports(screen.root, 'flutter')]
+      .filter((name, i, all) => all.indexOf(name) === i)
+      .map(name => `import '${name}';`)
+  ].sort()
+  const appImports = [
+    callApi && "import '../api_client.dart';",
+    ...Object.keys(FLUTTER_COMPONENTS).filter(c => code.includes(`${c}(`)).map(c => `import '../components/${dartFileName(c)}.dart';`),
+    code.includes('navigateTo(') && "import '../navigation.dart';",
+    "import '../theme.dart';"
+  ].filter(Boolean).sort()
+
+  const body = `ListView(
+        padding: const EdgeInsets.all(Spacing.md),
+        children: [
+          ${content},
+        ],
+      )`
+  const scaffold = `Scaffold(
+      appBar: AppBar(title: Text(${dartString(screen.name)})),
+      body: ${ctx.overlays.length > 0 ? `Stack(
+        children: [
+          ${body.replace(/\n/g, '\n    ')},
+          ${ctx.overlays.join(',\n          ')},
+        ],
+      )` : body},
+    )`
+  const models = Object.values(ctx.state).filter(field => field.model).map(field => `${dartRecordModel(field)}\n\n`).join('')
+
+  const widget = fields.length > 0
+    ? `${models}class ${name} extends StatefulWidget {
+  const ${name}({super.key});
+
+  @override
+  State<${name}> createState() => _${name}State();
+}
+
+class _${name}State extends State<${name}> {
+${fields.map(([key, field]) => {
+    const value = dartLiteral(field.default, field)
+    return `  ${dartType(field)} ${key}${value === 'null' ? '' : ` = ${value}`};`
+  }).join('\n')}${loaders.length > 0 ? `
+
+  @override
+  void initState() {
+    super.initState();
+    ${loaders.join('\n    ')}
+  }` : ''}${callApi}
+
+  @override
+  Widget build(BuildContext context) {
+    return ${scaffold};
+  }
+}`
+    : `class ${name} extends StatelessWidget {
+  const ${name}({super.key});
+
+  @override
+  Widget build(BuildContext context) {
+    return ${scaffold};
+  }
+}`
+
+  return {
+    path: `lib/screens/${dartFileName(screen.id)}_screen.dart`,
+    language: 'dart',
+    content: `${imports.join('\n')}
+
+${appImports.join('\n')}
+
+${widget}`
+  }
+}
+
+// A Dart list literal, one element per line with trailing commas
+function dartList(items, indent = '          ') {
+  return items.length > 0 ? `[\n${items.map(item => `${indent}${item},`).join('\n')}\n${indent.slice(2)}]` : '[]'
+}
+
+// Capsules that fill the width they are given; inside a Row they need an
+// Expanded, or Flutter can't lay them out
+const FLUTTER_FILL_CAPSULES = [
+  'input', 'searchbar', 'card', 'list', 'table', 'data-table', 'chart', 'progress', 'switch', 'slider',
+  'dropdown', 'form', 'auth-screen', 'tabs', 'accordion', 'timeline', 'rich-text-editor', 'chat',
+  'notifications', 'map', 'webview', 'video', 'audio', 'signature', 'skeleton', 'column', 'grid'
+]
+
+function generateFlutterComponent(instance, ctx) {
+  if (!instance) return 'const SizedBox.shrink()'
+  return flutterAccessibility(flutterComponent(instance, ctx), instance, ctx)
+}
+
+function flutterComponent(instance, ctx) {
+  const { capsuleId, props, children } = instance
+  const childWidgets = children?.map(c => generateFlutterComponent(c, ctx)) || []
+  const actions = value => flutterActions(value, ctx).replace(/\n/g, '\n            ')
+
+  switch (capsuleId) {
+    case 'button':
+      return `FilledButton(
+          onPressed: () {
+            ${actions(props.onPress)}
+          },
+          child: Text(${dartText(props.text || 'Button', ctx)}),
+        )`
+
+    case 'text': {
+      const variant = textStyle(props.variant)
+      const style = `Theme.of(context).textTheme.${MATERIAL_TEXT_STYLES[variant][0]}`
+      return `Text(
+          ${dartText(props.content || props.text || '', ctx)},
+          style: ${variant === 'caption' ? `${style}?.copyWith(color: AppColors.of(context).textSecondary)` : style},
+        )`
+    }
+
+    case 'input': {
+      const key = bindingKey(instance)
+      const keyboard = { email: 'TextInputType.emailAddress', number: 'TextInputType.number', tel: 'TextInputType.phone', url: 'TextInputType.url' }[props.type]
+      const field = `BoundTextField(
+          value: ${key},
+          onChanged: (value) => setState(() => ${key} = value),
+          decoration: InputDecoration(${props.label ? `
+            labelText: ${dartText(props.label, ctx)},` : ''}
+            hintText: ${dartString(props.placeholder || '')},
+            border: const OutlineInputBorder(),
+          ),${props.type === 'password' ? '\n          obscureText: true,' : ''}${keyboard ? `\n          keyboardType: ${keyboard},` : ''}
+        )`
+      // An accessibility label other than the visible one
+      const { label } = accessibilityOf(instance)
+      return label && label !== props.label
+        ? `Semantics(
+          label: ${dartText(label, ctx)},
+          child: ${field},
+        )`
+        : field
+    }
+
+    case 'searchbar': {
+      const key = bindingKey(instance)
+      return `BoundTextField(
+          value: ${key},
+          onChanged: (value) => setState(() => ${key} = value),
+          decoration: InputDecoration(
+            prefixIcon: const Icon(Icons.search),
+            hintText: ${dartString(props.placeholder || 'Search...')},
+            border: OutlineInputBorder(borderRadius: BorderRadius.circular(Radii.full)),
+          ),
+        )`
+    }
+
+    case 'card': {
+      const items = [
+        props.title && `Text(${dartText(props.title, ctx)}, style: Theme.of(context).textTheme.titleMedium)`,
+        ...childWidgets
+      ].filter(Boolean)
+      return `Card(
+          color: Theme.of(context).colorScheme.surface,
+          elevation: Elevation.md,
+          shape: RoundedRectangleBorder(borderRadius: BorderRadius.circular(Radii.lg)),
+          child: Padding(
+            padding: const EdgeInsets.all(Spacing.md),
+            child: Column(
+              crossAxisAlignment: CrossAxisAlignment.start,
+              spacing: Spacing.sm,
+              children: ${dartList(items, '                ')},
+            ),
+          ),
+        )`
+    }
+
+    case 'image': {
+      const ratio = aspectRatio(props.aspectRatio)
+      const { label } = accessibilityOf(instance)
+      const image = `Image.network(
+            ${dartString(props.src || props.url || '')},
+            fit: BoxFit.cover,
+            width: double.infinity,${ratio ? '' : '\n            height: 200,'}${label ? `\n            semanticLabel: ${dartText(label, ctx)},` : ''}
+            errorBuilder: (context, error, stackTrace) => Container(height: 200, color: Theme.of(context).colorScheme.surfaceContainerHighest),
+          )`
+      return `ClipRRect(
+          borderRadius: BorderRadius.circular(${props.cornerRadius !== undefined ? num(props.cornerRadius, 12) : 'Radii.lg'}),
+          child: ${ratio ? `AspectRatio(aspectRatio: ${ratio}, child: ${image})` : image},
+        )`
+    }
+
+    case 'list': {
+      const { key, item, itemCtx } = dataBinding(instance, ctx)
+      const template = itemTemplate(instance, item).map(child => generateFlutterComponent(child, itemCtx))
+      return `Column(
+          crossAxisAlignment: CrossAxisAlignment.stretch,
+          children: [
+            for (final item in ${key})
+              Container(
+                padding: const EdgeInsets.symmetric(vertical: Spacing.sm),
+                decoration: BoxDecoration(border: Border(bottom: BorderSide(color: Theme.of(context).dividerColor))),
+                child: Column(
+                  crossAxisAlignment: CrossAxisAlignment.start,
+                  spacing: Spacing.xs,
+                  children: ${dartList(template, '                    ')},
+                ),
+              ),
+          ],
+        )`
+    }
+
+    case 'carousel': {
+      const { key, item, itemCtx } = dataBinding(instance, ctx)
+      const template = itemTemplate(instance, item).map(child => generateFlutterComponent(child, itemCtx))
+      return `SingleChildScrollView(
+          scrollDirection: Axis.horizontal,
+          child: Row(
+            crossAxisAlignment: CrossAxisAlignment.start,
+            spacing: Spacing.sm,
+            children: [
+              for (final item in ${key})
+                SizedBox(
+                  width: 240,
+                  child: Card(
+                    child: Padding(
+                      padding: const EdgeInsets.all(Spacing.md),
+                      child: Column(
+                        crossAxisAlignment: CrossAxisAlignment.start,
+                        spacing: Spacing.sm,
+                        children: ${dartList(template, '                          ')},
+                      ),
+                    ),
+                  ),
+                ),
+            ],
+          ),
+        )`
+    }
+
+    case 'table':
+    case 'data-table': {
+      const { key, item, itemCtx } = dataBinding(instance, ctx)
+      const columns = tableColumns(instance, item)
+      return `SingleChildScrollView(
+          scrollDirection: Axis.horizontal,
+          child: DataTable(
+            columns: [
+${columns.map(column => `              DataColumn(label: Text(${dartString(column.label)})),`).join('\n')}
+            ],
+            rows: [
+              for (final item in ${key})
+                DataRow(cells: [
+${columns.map(column => `                  DataCell(Text(${dartText(column.template, itemCtx)})),`).join('\n')}
+                ]),
+            ],
+          ),
+        )`
+    }
+
+    case 'chart': {
+      const { key, item } = dataBinding(instance, ctx)
+      const axes = chartAxes(instance, item)
+      const values = `[for (final item in ${key}) ${axes.y || '0.0'}]`
+      if (axes.type === 'line' || axes.type === 'area') {
+        return `LineChart(values: ${values}${axes.type === 'area' ? ', fill: true' : ''})`
+      }
+      const label = axes.x && (item.fields[axes.xLabel].type === 'string' ? axes.x : `${axes.x}.toString()`)
+      const labels = axes.x ? `[for (final item in ${key}) ${label}]` : `[for (var i = 1; i <= ${key}.length; i++) '$i']`
+      return `BarChart(
+          values: ${values},
+          labels: ${labels},
+        )`
+    }
+
+    case 'progress': {
+      const value = Math.min(Math.max(num(props.value, 50), 0), 100) / 100
+      return `LinearProgressIndicator(value: ${value}, minHeight: 8, borderRadius: BorderRadius.circular(Radii.full))`
+    }
+
+    case 'switch': {
+      const key = bindingKey(instance)
+      return `SwitchListTile(
+          title: Text(${dartText(props.label || '', ctx)}),
+          value: ${key},
+          onChanged: (value) => setState(() => ${key} = value),
+          contentPadding: EdgeInsets.zero,
+        )`
+    }
+
+    case 'slider': {
+      const key = bindingKey(instance)
+      const min = num(props.min, 0)
+      const max = num(props.max, 100)
+      return `Slider(
+          value: ${key}.clamp(${dartNumber(min)}, ${dartNumber(max)}).toDouble(),
+          min: ${dartNumber(min)},
+          max: ${dartNumber(max)},
+          onChanged: (value) => setState(() => ${key} = value),
+        )`
+    }
+
+    case 'modal':
+    case 'bottom-sheet': {
+      const sheet = capsuleId === 'bottom-sheet'
+      const close = 'setState(() => activeModal = null)'
+      const items = [
+        props.title && `Text(${dartText(props.title, ctx)}, style: Theme.of(context).textTheme.titleLarge)`,
+        ...childWidgets,
+        !sheet && `TextButton(onPressed: () => ${close}, child: const Text('Close'))`
+      ].filter(Boolean)
+      // Tapping the scrim closes it; taps on the panel itself are swallowed
+      ctx.overlays?.push(`if (activeModal == ${dartString(instance.id)})
+            Positioned.fill(
+              child: GestureDetector(
+                onTap: () => ${close},
+                child: ColoredBox(
+                  color: Colors.black54,
+                  child: Padding(
+                    padding: ${sheet ? 'EdgeInsets.zero' : 'const EdgeInsets.all(Spacing.lg)'},
+                    child: Align(
+                    alignment: ${sheet ? 'Alignment.bottomCenter' : 'Alignment.center'},
+                    child: GestureDetector(
+                      onTap: () {},
+                      child: Material(
+                        color: Theme.of(context).colorScheme.surface,
+                        borderRadius: ${sheet ? 'const BorderRadius.vertical(top: Radius.circular(Radii.lg))' : 'BorderRadius.circular(Radii.lg)'},
+                        child: Container(
+                          ${sheet ? 'width: double.infinity' : 'constraints: const BoxConstraints(maxWidth: 400)'},
+                          padding: const EdgeInsets.all(Spacing.lg),
+                          child: Column(
+                            mainAxisSize: MainAxisSize.min,
+                            crossAxisAlignment: CrossAxisAlignment.start,
+                            spacing: Spacing.md,
+                            children: ${dartList(items, '                              ')},
+                          ),
+                        ),
+                      ),
+                    ),
+                  ),
+                  ),
+                ),
+              ),
+            )`)
+      return 'const SizedBox.shrink()'
+    }
+
+    case 'form': {
+      const submit = !children?.some(c => c.capsuleId === 'button') && `FilledButton(
+            onPressed: () {
+              ${actions(props.onSubmit).replace(/\n/g, '\n  ')}
+            },
+            child: Text(${dartText(props.submitText || 'Submit', ctx)}),
+          )`
+      return `Column(
+          crossAxisAlignment: CrossAxisAlignment.stretch,
+          spacing: Spacing.md,
+          children: ${dartList([...childWidgets, submit].filter(Boolean), '            ')},
+        )`
+    }
+
+    case 'navigation': {
+      const links = navigationLinks(instance, ctx).map(link =>
+        `TextButton(onPressed: () => navigateTo(context, Routes.${memberName(link.screen)}), child: Text(${dartString(link.label)}))`)
+      return `Row(
+          children: ${dartList([
+            `Text(${dartText(props.title || ctx.screen.name, ctx)}, style: Theme.of(context).textTheme.titleMedium)`,
+            'const Spacer()',
+            ...links
+          ], '            ')},
+        )`
+    }
+
+    case 'auth-screen': {
+      const key = bindingKey(instance)
+      const signUp = props.signUpScreen && ctx.project.screens.some(s => s.id === props.signUpScreen)
+      const items = [
+        `Text(${dartText(props.title || 'Sign in', ctx)}, style: Theme.of(context).textTheme.headlineMedium)`,
+        `BoundTextField(
+              value: ${key}Email,
+              onChanged: (value) => setState(() => ${key}Email = value),
+              decoration: const InputDecoration(labelText: 'Email', border: OutlineInputBorder()),
+              keyboardType: TextInputType.emailAddress,
+              autofillHints: const [AutofillHints.email],
+            )`,
+        `BoundTextField(
+              value: ${key}Password,
+              onChanged: (value) => setState(() => ${key}Password = value),
+              decoration: const InputDecoration(labelText: 'Password', border: OutlineInputBorder()),
+              obscureText: true,
+              autofillHints: const [AutofillHints.password],
+            )`,
+        `FilledButton(
+              onPressed: ${key}Email.isEmpty || ${key}Password.isEmpty ? null : () {
+                ${actions(props.onSubmit).replace(/\n/g, '\n    ')}
+              },
+              child: Text(${dartText(props.submitText || 'Sign in', ctx)}),
+            )`,
+        signUp && `TextButton(onPressed: () => navigateTo(context, Routes.${memberName(props.signUpScreen)}), child: Text(${dartString(props.signUpText || 'Create an account')}))`
+      ].filter(Boolean)
+      return `Column(
+          crossAxisAlignment: CrossAxisAlignment.stretch,
+          spacing: Spacing.md,
+          children: ${dartList(items, '            ')},
+        )`
+    }
+
+    case 'skeleton':
+      return `Skeleton(lines: ${Math.max(1, Math.round(num(props.lines, 3)))})`
+
+    case 'tabs': {
+      const key = bindingKey(instance)
+      const sections = capsuleSections(instance)
+      return `Column(
+          crossAxisAlignment: CrossAxisAlignment.stretch,
+          spacing: Spacing.sm,
+          children: [
+            SegmentedButton<int>(
+              segments: const [
+${sections.map((section, i) => `                ButtonSegment(value: ${i}, label: Text(${dartString(section.label)})),`).join('\n')}
+              ],
+              selected: {${key}.toInt()},
+              onSelectionChanged: (selection) => setState(() => ${key} = selection.first.toDouble()),
+              showSelectedIcon: false,
+            ),
+${sections.map((section, i) => `            if (${key} == ${i}) ${section.child ? generateFlutterComponent(section.child, ctx) : 'const SizedBox.shrink()'},`).join('\n')}
+          ],
+        )`
+    }
+
+    case 'accordion': {
+      const sections = capsuleSections(instance)
+      return `Column(
+          children: [
+${sections.map(section => `            ExpansionTile(
+              title: Text(${dartString(section.label)}),
+              expandedCrossAxisAlignment: CrossAxisAlignment.start,
+              childrenPadding: const EdgeInsets.all(Spacing.md),
+              children: [${section.child ? generateFlutterComponent(section.child, ctx) : ''}],
+            ),`).join('\n')}
+          ],
+        )`
+    }
+
+    case 'dropdown': {
+      const key = bindingKey(instance)
+      return `DropdownMenu<String>(
+          label: Text(${dartText(props.label || props.placeholder || 'Select', ctx)}),
+          initialSelection: ${key},
+          expandedInsets: EdgeInsets.zero,
+          onSelected: (value) => setState(() => ${key} = value ?? ${key}),
+          dropdownMenuEntries: const [
+${capsuleOptions(props).map(option => `            DropdownMenuEntry(value: ${dartString(option.value)}, label: ${dartString(option.label)}),`).join('\n')}
+          ],
+        )`
+    }
+
+    case 'datepicker': {
+      const key = bindingKey(instance)
+      return `OutlinedButton.icon(
+          icon: const Icon(Icons.calendar_today),
+          label: Text(${key} == null ? ${dartText(props.label || 'Select date', ctx)} : MaterialLocalizations.of(context).formatMediumDate(${key}!)),
+          onPressed: () async {
+            final picked = await showDatePicker(context: context, initialDate: ${key} ?? DateTime.now(), firstDate: DateTime(1900), lastDate: DateTime(2100));
+            if (picked != null && mounted) setState(() => ${key} = picked);
+          },
+        )`
+    }
+
+    case 'calendar': {
+      const key = bindingKey(instance)
+      return `CalendarDatePicker(
+          initialDate: ${key} ?? DateTime.now(),
+          firstDate: DateTime(1900),
+          lastDate: DateTime(2100),
+          onDateChanged: (value) => setState(() => ${key} = value),
+        )`
+    }
+
+    case 'tooltip': {
+      const child = childWidgets.length > 1
+        ? `Column(crossAxisAlignment: CrossAxisAlignment.start, children: ${dartList(childWidgets, '            ')})`
+        : childWidgets[0] || 'const Icon(Icons.info_outline)'
+      return `Tooltip(
+          message: ${dartText(props.text || props.content || '', ctx)},
+          triggerMode: TooltipTriggerMode.tap,
+          child: ${child},
+        )`
+    }
+
+    case 'popover':
+      return `MenuAnchor(
+          menuChildren: [
+            SizedBox(
+              width: 280,
+              child: Padding(
+                padding: const EdgeInsets.all(Spacing.md),
+                child: Column(
+                  mainAxisSize: MainAxisSize.min,
+                  crossAxisAlignment: CrossAxisAlignment.start,
+                  spacing: Spacing.sm,
+                  children: ${dartList(childWidgets, '                    ')},
+                ),
+              ),
+            ),
+          ],
+          builder: (context, controller, child) => TextButton(
+            onPressed: () => controller.isOpen ? controller.close() : controller.open(),
+            child: Text(${dartText(props.title || props.label || 'More', ctx)}),
+          ),
+        )`
+
+    case 'rating': {
+      const key = bindingKey(instance)
+      return `Row(
+          mainAxisSize: MainAxisSize.min,
+          children: [
+            for (var star = 1; star <= ${Math.max(1, Math.round(num(props.max, 5)))}; star++)
+              IconButton(
+                onPressed: () => setState(() => ${key} = star.toDouble()),
+                icon: Icon(star <= ${key} ? Icons.star : Icons.star_border, color: Colors.amber),
+                tooltip: '$star stars',
+              ),
+          ],
+        )`
+    }
+
+    case 'stepper': {
+      const key = bindingKey(instance)
+      const min = dartNumber(num(props.min, 0))
+      const max = dartNumber(num(props.max, 100))
+      const step = num(props.step, 1)
+      return `Row(
+          children: [
+            Expanded(child: Text(${dartText(props.label || 'Value', ctx)})),
+            IconButton.outlined(
+              onPressed: () => setState(() => ${key} = (${key} - ${dartNumber(step)}).clamp(${min}, ${max}).toDouble()),
+              icon: const Icon(Icons.remove),
+              tooltip: 'Decrease',
+            ),
+            SizedBox(width: 48, child: Text(${key}.toStringAsFixed(${Number.isInteger(step) ? 0 : 1}), textAlign: TextAlign.center)),
+            IconButton.outlined(
+              onPressed: () => setState(() => ${key} = (${key} + ${dartNumber(step)}).clamp(${min}, ${max}).toDouble()),
+              icon: const Icon(Icons.add),
+              tooltip: 'Increase',
+            ),
+          ],
+        )`
+    }
+
+    case 'chip': {
+      const key = bindingKey(instance)
+      return `FilterChip(
+          label: Text(${dartText(props.label || props.text || '', ctx)}),
+          selected: ${key},
+          onSelected: (value) => setState(() => ${key} = value),
+        )`
+    }
+
+    case 'divider':
+      return 'const Divider()'
+
+    case 'file-upload': {
+      const key = bindingKey(instance)
+      return `Row(
+          spacing: Spacing.sm,
+          children: [
+            OutlinedButton.icon(
+              icon: const Icon(Icons.attach_file),
+              label: Text(${dartText(props.label || 'Choose file', ctx)}),
+              onPressed: () async {
+                final result = await FilePicker.platform.pickFiles();
+                if (result != null && mounted) setState(() => ${key} = result.files.single.name);
+              },
+            ),
+            Expanded(child: Text(${key}.isEmpty ? 'No file selected' : ${key}, overflow: TextOverflow.ellipsis)),
+          ],
+        )`
+    }
+
+    case 'timeline': {
+      const { key, item, itemCtx } = dataBinding(instance, ctx)
+      const template = itemTemplate(instance, item).map(child => generateFlutterComponent(child, itemCtx))
+      return `Column(
+          crossAxisAlignment: CrossAxisAlignment.stretch,
+          children: [
+            for (final item in ${key})
+              Container(
+                margin: const EdgeInsets.only(left: Spacing.xs),
+                padding: const EdgeInsets.only(left: Spacing.md, bottom: Spacing.md),
+                decoration: BoxDecoration(border: Border(left: BorderSide(color: Theme.of(context).colorScheme.primary, width: 2))),
+                child: Column(
+                  crossAxisAlignment: CrossAxisAlignment.start,
+                  spacing: Spacing.xs,
+                  children: ${dartList(template, '                    ')},
+                ),
+              ),
+          ],
+        )`
+    }
+
+    case 'color-picker': {
+      const key = bindingKey(instance)
+      const swatches = Array.isArray(props.swatches) ? props.swatches.filter(s => /^#[0-9A-Fa-f]{6}$/.test(s)) : DEFAULT_SWATCHES
+      return `Column(
+          crossAxisAlignment: CrossAxisAlignment.start,
+          spacing: Spacing.sm,
+          children: [
+            Text(${dartText(props.label || 'Color', ctx)}),
+            Wrap(
+              spacing: Spacing.sm,
+              runSpacing: Spacing.sm,
+              children: [
+                for (final swatch in const [${swatches.map(composeColor).join(', ')}])
+                  Semantics(
+                    button: true,
+                    selected: swatch == ${key},
+                    child: GestureDetector(
+                      onTap: () => setState(() => ${key} = swatch),
+                      child: Container(
+                        width: 36,
+                        height: 36,
+                        decoration: BoxDecoration(
+                          color: swatch,
+                          shape: BoxShape.circle,
+                          border: Border.all(color: swatch == ${key} ? Theme.of(context).colorScheme.onSurface : Colors.transparent, width: 3),
+                        ),
+                      ),
+                    ),
+                  ),
+              ],
+            ),
+          ],
+        )`
+    }
+
+    case 'rich-text-editor': {
+      const key = bindingKey(instance)
+      return `BoundTextField(
+          value: ${key},
+          onChanged: (value) => setState(() => ${key} = value),
+          decoration: InputDecoration(
+            hintText: ${dartString(props.placeholder || 'Start writing...')},
+            border: const OutlineInputBorder(),
+          ),
+          minLines: 6,
+          maxLines: 12,
+        )`
+    }
+
+    case 'signature':
+      return 'SignaturePad()'
+
+    case 'map': {
+      const { latitude, longitude, delta } = mapRegion(props)
+      const zoom = Number(Math.log2(360 / delta).toFixed(2))
+      return `SizedBox(
+          height: 240,
+          child: ClipRRect(
+            borderRadius: BorderRadius.circular(Radii.lg),
+            child: FlutterMap(
+              options: MapOptions(initialCenter: LatLng(${latitude}, ${longitude}), initialZoom: ${zoom}),
+              children: [
+                TileLayer(urlTemplate: 'https://tile.openstreetmap.org/{z}/{x}/{y}.png', userAgentPackageName: ${dartString(flutterIdentity(ctx.project).applicationId)}),
+                MarkerLayer(markers: [
+                  Marker(point: LatLng(${latitude}, ${longitude}), child: const Icon(Icons.location_pin, color: Colors.red, size: 36)),
+                ]),
+              ],
+            ),
+          ),
+        )`
+    }
+
+    case 'video':
+      return `VideoPlayerView(url: ${dartString(props.src || props.url || '')})`
+
+    case 'audio':
+      return `AudioPlayerView(url: ${dartString(props.src || props.url || '')}, title: ${dartText(props.title || 'Audio', ctx)})`
+
+    case 'kanban': {
+      const { key, item, itemCtx } = dataBinding(instance, ctx)
+      const { groupBy, columns } = kanbanColumns(instance, item, ctx)
+      const template = itemTemplate(instance, item).map(child => generateFlutterComponent(child, itemCtx))
+      return `SingleChildScrollView(
+          scrollDirection: Axis.horizontal,
+          child: Row(
+            crossAxisAlignment: CrossAxisAlignment.start,
+            spacing: Spacing.sm,
+            children: [
+${columns.map(column => `              Container(
+                width: 256,
+                padding: const EdgeInsets.all(Spacing.sm),
+                decoration: BoxDecoration(
+                  color: Theme.of(context).colorScheme.surfaceContainerHighest,
+                  borderRadius: BorderRadius.circular(Radii.lg),
+                ),
+                child: Column(
+                  crossAxisAlignment: CrossAxisAlignment.stretch,
+                  spacing: Spacing.sm,
+                  children: [
+                    Text(${dartString(column.label)}, style: Theme.of(context).textTheme.titleSmall),
+                    for (final item in ${groupBy ? `${key}.where((item) => item.${groupBy} == ${dartString(column.value)})` : key})
+                      Card(
+                        margin: EdgeInsets.zero,
+                        child: Padding(
+                          padding: const EdgeInsets.all(Spacing.sm),
+                          child: Column(
+                            crossAxisAlignment: CrossAxisAlignment.start,
+                            spacing: Spacing.xs,
+                            children: ${dartList(template, '                              ')},
+                          ),
+                        ),
+                      ),
+                  ],
+                ),
+              ),`).join('\n')}
+            ],
+          ),
+        )`
+    }
+
+    case 'chat': {
+      const { key, item, itemCtx } = dataBinding(instance, ctx)
+      const draft = `${bindingKey(instance)}Draft`
+      const { text, mine } = chatFields(instance, item)
+      const bubble = text
+        ? `Text(${dartText(text, itemCtx)}${mine ? `, style: TextStyle(color: ${mine} ? Theme.of(context).colorScheme.onPrimary : null)` : ''})`
+        : `Column(crossAxisAlignment: CrossAxisAlignment.start, children: ${dartList(itemTemplate(instance, item).map(child => generateFlutterComponent(child, itemCtx)), '                      ')})`
+      return `Column(
+          crossAxisAlignment: CrossAxisAlignment.stretch,
+          spacing: Spacing.sm,
+          children: [
+            for (final item in ${key})
+              Align(
+                alignment: ${mine ? `${mine} ? Alignment.centerRight : Alignment.centerLeft` : 'Alignment.centerLeft'},
+                child: Container(
+                  constraints: const BoxConstraints(maxWidth: 280),
+                  padding: const EdgeInsets.symmetric(horizontal: Spacing.md, vertical: Spacing.sm),
+                  decoration: BoxDecoration(
+                    color: ${mine ? `${mine} ? Theme.of(context).colorScheme.primary : ` : ''}Theme.of(context).colorScheme.surfaceContainerHighest,
+                    borderRadius: BorderRadius.circular(Radii.lg),
+                  ),
+                  child: ${bubble},
+                ),
+              ),
+            Row(
+              spacing: Spacing.sm,
+              children: [
+                Expanded(
+                  child: BoundTextField(
+                    value: ${draft},
+                    onChanged: (value) => setState(() => ${draft} = value),
+                    decoration: InputDecoration(
+                      hintText: ${dartString(props.placeholder || 'Message')},
+                      border: OutlineInputBorder(borderRadius: BorderRadius.circular(Radii.full)),
+                    ),
+                  ),
+                ),
+                IconButton.filled(
+                  onPressed: ${draft}.isEmpty ? null : () {
+                    ${actions(props.onSend).replace(/\n/g, '\n        ')}
+                    setState(() => ${draft} = '');
+                  },
+                  icon: const Icon(Icons.send),
+                  tooltip: 'Send',
+                ),
+              ],
+            ),
+          ],
+        )`
+    }
+
+    case 'qrcode':
+      return `QrImageView(data: ${dartText(props.value || props.text || props.url || '', ctx)}, size: ${num(props.size, 200)})`
+
+    case 'scanner': {
+      const key = bindingKey(instance)
+      return `Column(
+          crossAxisAlignment: CrossAxisAlignment.start,
+          spacing: Spacing.xs,
+          children: [
+            CodeScannerButton(
+              label: ${dartText(props.label || 'Scan code', ctx)},
+              onScanned: (code) => setState(() => ${key} = code),
+            ),
+            if (${key}.isNotEmpty) Text(${key}),
+          ],
+        )`
+    }
+
+    case 'pdf-viewer':
+      return `OutlinedButton.icon(
+          icon: const Icon(Icons.picture_as_pdf),
+          label: Text(${dartText(props.title || 'Open PDF', ctx)}),
+          onPressed: () => launchUrl(Uri.parse(${dartString(props.src || props.url || '')})),
+        )`
+
+    case 'webview':
+      return `WebPageView(url: ${dartString(props.src || props.url || '')}, height: ${num(props.height, 400)})`
+
+    case 'notifications': {
+      const { key, item, itemCtx } = dataBinding(instance, ctx)
+      const template = itemTemplate(instance, item).map(child => generateFlutterComponent(child, itemCtx))
+      return `Column(
+          crossAxisAlignment: CrossAxisAlignment.stretch,
+          spacing: Spacing.sm,
+          children: [
+            OutlinedButton(
+              onPressed: () => Permission.notification.request(),
+              child: const Text('Enable notifications'),
+            ),
+            for (final item in ${key})
+              Card(
+                margin: EdgeInsets.zero,
+                child: Padding(
+                  padding: const EdgeInsets.all(Spacing.md),
+                  child: Row(
+                    crossAxisAlignment: CrossAxisAlignment.start,
+                    spacing: Spacing.md,
+                    children: [
+                      Icon(Icons.notifications, color: Theme.of(context).colorScheme.primary),
+                      Expanded(
+                        child: Column(
+                          crossAxisAlignment: CrossAxisAlignment.start,
+                          spacing: Spacing.xs,
+                          children: ${dartList(template, '                            ')},
+                        ),
+                      ),
+                    ],
+                  ),
+                ),
+              ),
+          ],
+        )`
+    }
+
+    case 'biometrics': {
+      const key = bindingKey(instance)
+      return `FilledButton.icon(
+          icon: const Icon(Icons.fingerprint),
+          label: Text(${dartText(props.label || 'Unlock', ctx)}),
+          onPressed: () async {
+            final unlocked = await LocalAuthentication().authenticate(localizedReason: ${dartString(props.reason || 'Unlock the app')});
+            if (!unlocked || !mounted) return;
+            setState(() => ${key} = true);
+            ${actions(props.onSuccess)}
+          },
+        )`
+    }
+
+    case 'location': {
+      const key = bindingKey(instance)
+      return `Column(
+          crossAxisAlignment: CrossAxisAlignment.start,
+          spacing: Spacing.xs,
+          children: [
+            OutlinedButton.icon(
+              icon: const Icon(Icons.my_location),
+              label: Text(${dartText(props.label || 'Use my location', ctx)}),
+              onPressed: () async {
+                final permission = await Geolocator.requestPermission();
+                if (permission == LocationPermission.denied || permission == LocationPermission.deniedForever) return;
+                final position = await Geolocator.getCurrentPosition();
+                if (mounted) setState(() => ${key} = '\${position.latitude.toStringAsFixed(5)}, \${position.longitude.toStringAsFixed(5)}');
+              },
+            ),
+            if (${key}.isNotEmpty) Text(${key}, style: TextStyle(fontFamily: 'monospace', color: AppColors.of(context).textSecondary)),
+          ],
+        )`
+    }
+
+    case 'camera':
+      return `CameraCapture(label: ${dartText(props.label || 'Take photo', ctx)})`
+
+    case 'social-share':
+      return `OutlinedButton.icon(
+          icon: const Icon(Icons.share),
+          label: Text(${dartText(props.label || 'Share', ctx)}),
+          onPressed: () => Share.share(${dartText(props.url || props.text || '', ctx)}${props.title ? `, subject: ${dartText(props.title, ctx)}` : ''}),
+        )`
+
+    case 'row':
+    case 'column': {
+      const horizontal = capsuleId === 'row'
+      const gap = flutterSpacing(layoutSpacing(props.gap, ctx, horizontal ? 'sm' : 'md'))
+      const align = crossAlignment(props.alignment, horizontal ? 'center' : 'start')
+      // Screens scroll vertically, so a column has no height to share: its
+      // flexible children keep their natural height and flexible spacers
+      // become a medium gap
+      const items = stackChildren(instance).map(({ child, spacer, flex }) => {
+        if (spacer) return horizontal ? 'const Spacer()' : 'const SizedBox(height: Spacing.md)'
+        const widget = generateFlutterComponent(child, ctx)
+        if (!horizontal) return widget
+        if (flex > 0) return `Expanded(flex: ${Math.max(1, Math.round(flex))}, child: ${widget})`
+        return FLUTTER_FILL_CAPSULES.includes(child.capsuleId) ? `Expanded(child: ${widget})` : widget
+      })
+      return flutterPadding(`${horizontal ? 'Row' : 'Column'}(
+          crossAxisAlignment: ${FLUTTER_ALIGNMENT[align]},
+          spacing: ${gap},
+          children: ${dartList(items, '            ')},
+        )`, props.padding, ctx)
+    }
+
+    case 'zstack':
+      return flutterPadding(`Stack(
+          alignment: ${flutterLayerAlignment(props.alignment)},
+          children: ${dartList(childWidgets, '            ')},
+        )`, props.padding, ctx)
+
+    case 'grid': {
+      const columns = gridColumns(instance)
+      const gap = flutterSpacing(layoutSpacing(props.gap, ctx, 'sm'))
+      const rows = []
+      for (let i = 0; i < childWidgets.length; i += columns) {
+        const cells = childWidgets.slice(i, i + columns).map(widget => `Expanded(child: ${widget})`)
+        while (cells.length < columns) cells.push('const Spacer()')
+        rows.push(`Row(
+              crossAxisAlignment: CrossAxisAlignment.start,
+              spacing: ${gap},
+              children: ${dartList(cells, '                ')},
+            )`)
+      }
+      return flutterPadding(`Column(
+          crossAxisAlignment: CrossAxisAlignment.stretch,
+          spacing: ${gap},
+          children: ${dartList(rows, '            ')},
+        )`, props.padding, ctx)
+    }
+
+    case 'spacer': {
+      const size = layoutSpacing(props.size, ctx, 'md')
+      return `const SizedBox.square(dimension: ${flutterSpacing(size)})`
+    }
+
+    case 'scroll-view': {
+      const horizontal = props.direction === 'horizontal'
+      const gap = flutterSpacing(layoutSpacing(props.gap, ctx, horizontal ? 'sm' : 'md'))
+      const padding = layoutSpacing(props.padding, ctx)
+      const height = num(props.height, null)
+      const scroll = `SingleChildScrollView(${horizontal ? '\n          scrollDirection: Axis.horizontal,' : ''}${padding ? `\n          padding: const EdgeInsets.all(${flutterSpacing(padding)}),` : ''}
+          child: ${horizontal ? 'Row' : 'Column'}(
+            crossAxisAlignment: CrossAxisAlignment.start,
+            spacing: ${gap},
+            children: ${dartList(childWidgets, '              ')},
+          ),
+        )`
+      return height !== null ? `ConstrainedBox(constraints: const BoxConstraints(maxHeight: ${height}), child: ${scroll})` : scroll
+    }
+
+    case 'safe-area':
+      return `ColoredBox(
+          color: Theme.of(context).scaffoldBackgroundColor,
+          child: SafeArea(
+            child: ${flutterPadding(`Column(
+              crossAxisAlignment: CrossAxisAlignment.stretch,
+              spacing: ${flutterSpacing(layoutSpacing(props.gap, ctx, 'md'))},
+              children: ${dartList(childWidgets, '                ')},
+            )`, props.padding, ctx)},
+          ),
+        )`
+
+    default:
+      if (hasCapsuleTemplate(capsuleId, 'flutter')) return renderCapsuleTemplate(instance, 'flutter', ctx)
+      if (childWidgets.length > 0) {
+        return `Column(
+          crossAxisAlignment: CrossAxisAlignment.start,
+          spacing: Spacing.md,
+          children: ${dartList(childWidgets, '            ')},
+        )`
+      }
+      return `// TODO: Implement ${comment(capsuleId)}
+        Text(${dartString(capsuleId)})`
+  }
+}
+
+// Package imports some capsules need in a screen, keyed by a marker in the generated code
+const FLUTTER_SCREEN_IMPORTS = [
+  ['package:file_picker/file_picker.dart', 'FilePicker.'],
+  ['package:flutter_map/flutter_map.dart', 'FlutterMap('],
+  ['package:geolocator/geolocator.dart', 'Geolocator.'],
+  ['package:latlong2/latlong.dart', 'LatLng('],
+  ['package:local_auth/local_auth.dart', 'LocalAuthentication('],
+  ['package:permission_handler/permission_handler.dart', 'Permission.'],
+  ['package:qr_flutter/qr_flutter.dart', 'QrImageView('],
+  ['package:share_plus/share_plus.dart', 'Share.share('],
+  ['package:url_launcher/url_launcher.dart', 'launchUrl(']
+]
+
+// Reusable widgets copied into lib/components/ when a screen uses them
+const FLUTTER_COMPONENTS = {
+  BoundTextField: `import 'package:flutter/material.dart';
+
+// A text field driven by a state field: it reports edits through onChanged
+// and follows the value when the state changes elsewhere (e.g. cleared)
+class BoundTextField extends StatefulWidget {
+  const BoundTextField({
+    super.key,
+    required this.value,
+    required this.onChanged,
+    this.decoration = const InputDecoration(),
+    this.obscureText = false,
+    this.keyboardType,
+    this.autofillHints,
+    this.minLines,
+    this.maxLines = 1,
+  });
+
+  final String value;
+  final ValueChanged<String> onChanged;
+  final InputDecoration decoration;
+  final bool obscureText;
+  final TextInputType? keyboardType;
+  final Iterable<String>? autofillHints;
+  final int? minLines;
+  final int? maxLines;
+
+  @override
+  State<BoundTextField> createState() => _BoundTextFieldState();
+}
+
+class _BoundTextFieldState extends State<BoundTextField> {
+  late final controller = TextEditingController(text: widget.value);
+
+  @override
+  void didUpdateWidget(BoundTextField oldWidget) {
+    super.didUpdateWidget(oldWidget);
+    if (widget.value != controller.text) controller.text = widget.value;
+  }
+
+  @override
+  void dispose() {
+    controller.dispose();
+    super.dispose();
+  }
+
+  @override
+  Widget build(BuildContext context) {
+    return TextField(
+      controller: controller,
+      onChanged: widget.onChanged,
+      decoration: widget.decoration,
+      obscureText: widget.obscureText,
+      keyboardType: widget.keyboardType,
+      autofillHints: widget.autofillHints,
+      minLines: widget.minLines,
+      maxLines: widget.maxLines,
+    );
+  }
+}`,
+
+  BarChart: `import 'package:flutter/material.dart';
+
+import '../theme.dart';
+
+class BarChart extends StatelessWidget {
+  const BarChart({super.key, required this.values, required this.labels});
+
+  final List<double> values;
+  final List<String> labels;
+
+  @override
+  Widget build(BuildContext context) {
+    final max = values.fold<double>(0, (a, b) => a > b ? a : b);
+    return SizedBox(
+      height: 192,
+      child: Row(
+        crossAxisAlignment: CrossAxisAlignment.stretch,
+        spacing: Spacing.sm,
+        children: [
+          for (var i = 0; i < values.length; i++)
+            Expanded(
+              child: Column(
+                spacing: Spacing.xs,
+                children: [
+                  Expanded(
+                    child: FractionallySizedBox(
+                      alignment: Alignment.bottomCenter,
+                      heightFactor: max > 0 ? (values[i] / max).clamp(0.0, 1.0) : 0,
+                      widthFactor: 1,
+                      child: DecoratedBox(
+                        decoration: BoxDecoration(
+                          color: Theme.of(context).colorScheme.primary,
+                          borderRadius: const BorderRadius.vertical(top: Radius.circular(Radii.sm)),
+                        ),
+                      ),
+                    ),
+                  ),
+                  Text(
+                    i < labels.length ? labels[i] : '',
+                    style: Theme.of(context).textTheme.bodySmall,
+                    overflow: TextOverflow.ellipsis,
+                  ),
+                ],
+              ),
+            ),
+        ],
+      ),
+    );
+  }
+}`,
+
+  LineChart: `import 'package:flutter/material.dart';
+
+class LineChart extends StatelessWidget {
+  const LineChart({super.key, required this.values, this.fill = false});
+
+  final List<double> values;
+  final bool fill;
+
+  @override
+  Widget build(BuildContext context) {
+    return SizedBox(
+      height: 192,
+      width: double.infinity,
+      child: CustomPaint(painter: _LinePainter(values, fill, Theme.of(context).colorScheme.primary)),
+    );
+  }
+}
+
+class _LinePainter extends CustomPainter {
+  _LinePainter(this.values, this.fill, this.color);
+
+  final List<double> values;
+  final bool fill;
+  final Color color;
+
+  @override
+  void paint(Canvas canvas, Size size) {
+    if (values.isEmpty) return;
+    final max = values.fold<double>(0, (a, b) => a > b ? a : b);
+    final path = Path();
+    var x = 0.0;
+    for (var i = 0; i < values.length; i++) {
+      x = values.length == 1 ? 0 : size.width * i / (values.length - 1);
+      final y = size.height - (max > 0 ? values[i] / max : 0) * size.height;
+      if (i == 0) {
+        path.moveTo(x, y);
+      } else {
+        path.lineTo(x, y);
+      }
+    }
+    if (fill) {
+      final area = Path.from(path)
+        ..lineTo(x, size.height)
+        ..lineTo(0, size.height)
+        ..close();
+      canvas.drawPath(area, Paint()..color = color.withValues(alpha: 0.2));
+    }
+    canvas.drawPath(
+      path,
+      Paint()
+        ..color = color
+        ..style = PaintingStyle.stroke
+        ..strokeWidth = 2,
+    );
+  }
+
+  @override
+  bool shouldRepaint(_LinePainter oldDelegate) =>
+      oldDelegate.values != values || oldDelegate.fill != fill || oldDelegate.color != color;
+}`,
+
+  Skeleton: `import 'package:flutter/material.dart';
+
+import '../theme.dart';
+
+class Skeleton extends StatefulWidget {
+  const Skeleton({super.key, this.lines = 3});
+
+  final int lines;
+
+  @override
+  State<Skeleton> createState() => _SkeletonState();
+}
+
+class _SkeletonState extends State<Skeleton> with SingleTickerProviderStateMixin {
+  late final controller = AnimationController(vsync: this, duration: const Duration(milliseconds: 900))
+    ..repeat(reverse: true);
+
+  @override
+  void dispose() {
+    controller.dispose();
+    super.dispose();
+  }
+
+  @override
+  Widget build(BuildContext context) {
+    return ExcludeSemantics(
+      child: FadeTransition(
+        opacity: Tween<double>(begin: 0.4, end: 1).animate(controller),
+        child: Column(
+          crossAxisAlignment: CrossAxisAlignment.start,
+          spacing: Spacing.sm,
+          children: [
+            for (var i = 0; i < widget.lines; i++)
+              FractionallySizedBox(
+                widthFactor: i == widget.lines - 1 ? 0.6 : 1,
+                child: Container(
+                  height: 14,
+                  decoration: BoxDecoration(
+                    color: Theme.of(context).colorScheme.surfaceContainerHighest,
+                    borderRadius: BorderRadius.circular(Radii.sm),
+                  ),
+                ),
+              ),
+          ],
+        ),
+      ),
+    );
+  }
+}`,
+
+  SignaturePad: `import 'dart:ui' show PointMode;
+
+import 'package:flutter/material.dart';
+
+import '../theme.dart';
+
+class SignaturePad extends StatefulWidget {
+  const SignaturePad({super.key});
+
+  @override
+  State<SignaturePad> createState() => _SignaturePadState();
+}
+
+class _SignaturePadState extends State<SignaturePad> {
+  final strokes = <List<Offset>>[];
+
+  @override
+  Widget build(BuildContext context) {
+    final colors = Theme.of(context).colorScheme;
+    return Column(
+      crossAxisAlignment: CrossAxisAlignment.end,
+      children: [
+        Container(
+          height: 160,
+          width: double.infinity,
+          decoration: BoxDecoration(
+            color: colors.surfaceContainerHighest,
+            borderRadius: BorderRadius.circular(Radii.lg),
+          ),
+          child: GestureDetector(
+            onPanStart: (details) => setState(() => strokes.add([details.localPosition])),
+            onPanUpdate: (details) => setState(() => strokes.last.add(details.localPosition)),
+            child: CustomPaint(painter: _SignaturePainter(strokes, colors.onSurface)),
+          ),
+        ),
+        TextButton(onPressed: () => setState(strokes.clear), child: const Text('Clear')),
+      ],
+    );
+  }
+}
+
+class _SignaturePainter extends CustomPainter {
+  _SignaturePainter(this.strokes, this.color);
+
+  final List<List<Offset>> strokes;
+  final Color color;
+
+  @override
+  void paint(Canvas canvas, Size size) {
+    final paint = Paint()
+      ..color = color
+      ..strokeWidth = 3
+      ..strokeCap = StrokeCap.round;
+    for (final stroke in strokes) {
+      canvas.drawPoints(PointMode.polygon, stroke, paint);
+    }
+  }
+
+  // Strokes grow in place, so every gesture update repaints
+  @override
+  bool shouldRepaint(_SignaturePainter oldDelegate) => true;
+}`,
+
+  VideoPlayerView: `import 'package:flutter/material.dart';
+import 'package:video_player/video_player.dart';
+
+import '../theme.dart';
+
+class VideoPlayerView extends StatefulWidget {
+  const VideoPlayerView({super.key, required this.url});
+
+  final String url;
+
+  @override
+  State<VideoPlayerView> createState() => _VideoPlayerViewState();
+}
+
+class _VideoPlayerViewState extends State<VideoPlayerView> {
+  late final VideoPlayerController controller;
+
+  @override
+  void initState() {
+    super.initState();
+    controller = VideoPlayerController.networkUrl(Uri.parse(widget.url))
+      ..initialize().then((_) {
+        if (mounted) setState(() {});
+      });
+  }
+
+  @override
+  void dispose() {
+    controller.dispose();
+    super.dispose();
+  }
+
+  @override
+  Widget build(BuildContext context) {
+    return ClipRRect(
+      borderRadius: BorderRadius.circular(Radii.lg),
+      child: AspectRatio(
+        aspectRatio: controller.value.isInitialized ? controller.value.aspectRatio : 16 / 9,
+        child: Stack(
+          fit: StackFit.expand,
+          children: [
+            ColoredBox(color: Colors.black, child: VideoPlayer(controller)),
+            Center(
+              child: ValueListenableBuilder(
+                valueListenable: controller,
+                builder: (context, value, _) => IconButton.filled(
+                  onPressed: value.isPlaying ? controller.pause : controller.play,
+                  icon: Icon(value.isPlaying ? Icons.pause : Icons.play_arrow),
+                  tooltip: value.isPlaying ? 'Pause' : 'Play',
+                ),
+              ),
+            ),
+          ],
+        ),
+      ),
+    );
+  }
+}`,
+
+  AudioPlayerView: `import 'package:audioplayers/audioplayers.dart';
+import 'package:flutter/material.dart';
+
+import '../theme.dart';
+
+class AudioPlayerView extends StatefulWidget {
+  const AudioPlayerView({super.key, required this.url, required this.title});
+
+  final String url;
+  final String title;
+
+  @override
+  State<AudioPlayerView> createState() => _AudioPlayerViewState();
+}
+
+class _AudioPlayerViewState extends State<AudioPlayerView> {
+  final player = AudioPlayer();
+
+  @override
+  void dispose() {
+    player.dispose();
+    super.dispose();
+  }
+
+  @override
+  Widget build(BuildContext context) {
+    return Card(
+      child: Padding(
+        padding: const EdgeInsets.all(Spacing.md),
+        child: Row(
+          spacing: Spacing.md,
+          children: [
+            StreamBuilder<PlayerState>(
+              stream: player.onPlayerStateChanged,
+              builder: (context, snapshot) {
+                final playing = snapshot.data == PlayerState.playing;
+                return IconButton.filled(
+                  onPressed: () {
+                    if (playing) {
+                      player.pause();
+                    } else if (player.state == PlayerState.paused) {
+                      player.resume();
+                    } else {
+                      player.play(UrlSource(widget.url));
+                    }
+                  },
+                  icon: Icon(playing ? Icons.pause : Icons.play_arrow),
+                  tooltip: playing ? 'Pause' : 'Play',
+                );
+              },
+            ),
+            Expanded(child: Text(widget.title, style: Theme.of(context).textTheme.titleMedium)),
+          ],
+        ),
+      ),
+    );
+  }
+}`,
+
+  CodeScannerButton: `import 'package:flutter/material.dart';
+import 'package:mobile_scanner/mobile_scanner.dart';
+
+// Opens a full-screen camera and reports the first code it reads
+class CodeScannerButton extends StatelessWidget {
+  const CodeScannerButton({super.key, required this.label, required this.onScanned});
+
+  final String label;
+  final ValueChanged<String> onScanned;
+
+  @override
+  Widget build(BuildContext context) {
+    return OutlinedButton.icon(
+      icon: const Icon(Icons.qr_code_scanner),
+      label: Text(label),
+      onPressed: () async {
+        final code = await Navigator.of(context).push<String>(
+          MaterialPageRoute(builder: (context) => const _ScannerPage()),
+        );
+        if (code != null) onScanned(code);
+      },
+    );
+  }
+}
+
+class _ScannerPage extends StatefulWidget {
+  const _ScannerPage();
+
+  @override
+  State<_ScannerPage> createState() => _ScannerPageState();
+}
+
+class _ScannerPageState extends State<_ScannerPage> {
+  var done = false;
+
+  @override
+  Widget build(BuildContext context) {
+    return Scaffold(
+      appBar: AppBar(title: const Text('Scan code')),
+      body: MobileScanner(
+        onDetect: (capture) {
+          final code = capture.barcodes.firstOrNull?.rawValue;
+          if (code == null || done) return;
+          done = true;
+          Navigator.of(context).pop(code);
+        },
+      ),
+    );
+  }
+}`,
+
+  WebPageView: `import 'package:flutter/foundation.dart';
+import 'package:flutter/gestures.dart';
+import 'package:flutter/material.dart';
+import 'package:webview_flutter/webview_flutter.dart';
+
+import '../theme.dart';
+
+class WebPageView extends StatefulWidget {
+  const WebPageView({super.key, required this.url, this.height = 400});
+
+  final String url;
+  final double height;
+
+  @override
+  State<WebPageView> createState() => _WebPageViewState();
+}
+
+class _WebPageViewState extends State<WebPageView> {
+  late final controller = WebViewController()
+    ..setJavaScriptMode(JavaScriptMode.unrestricted)
+    ..loadRequest(Uri.parse(widget.url));
+
+  @override
+  Widget build(BuildContext context) {
+    return SizedBox(
+      height: widget.height,
+      child: ClipRRect(
+        borderRadius: BorderRadius.circular(Radii.lg),
+        // Vertical drags scroll the page rather than the screen around it
+        child: WebViewWidget(
+          controller: controller,
+          gestureRecognizers: {Factory<VerticalDragGestureRecognizer>(VerticalDragGestureRecognizer.new)},
+        ),
+      ),
+    );
+  }
+}`,
+
+  CameraCapture: `import 'dart:io';
+
+import 'package:flutter/material.dart';
+import 'package:image_picker/image_picker.dart';
+
+import '../theme.dart';
+
+class CameraCapture extends StatefulWidget {
+  const CameraCapture({super.key, required this.label});
+
+  final String label;
+
+  @override
+  State<CameraCapture> createState() => _CameraCaptureState();
+}
+
+class _CameraCaptureState extends State<CameraCapture> {
+  XFile? photo;
+
+  @override
+  Widget build(BuildContext context) {
+    return Column(
+      crossAxisAlignment: CrossAxisAlignment.start,
+      spacing: Spacing.sm,
+      children: [
+        if (photo != null)
+          ClipRRect(
+            borderRadius: BorderRadius.circular(Radii.lg),
+            child: Image.file(File(photo!.path), height: 200, width: double.infinity, fit: BoxFit.cover),
+          ),
+        OutlinedButton.icon(
+          icon: const Icon(Icons.photo_camera),
+          label: Text(widget.label),
+          onPressed: () async {
+            final picked = await ImagePicker().pickImage(source: ImageSource.camera);
+            if (picked != null && mounted) setState(() => photo = picked);
+          },
+        ),
+      ],
+    );
+  }
+}`
+}
+
+function generateReactNative(project) {
+  const files = [...generateExpoProject(project)]
+  const nav = navigationModel(project)
+
+  files.push(generateReactNativeTheme(themeTokens(project.theme)))
+  files.push(generateReactNativeStyles())
+  files.push(...generateReactNativeNavigation(project, nav))
+
+  if (Object.keys(project.api?.endpoints || {}).length > 0) {
+    files.push(generateReactApiClient(project))
+  }
+
+  // Generate screens
+  const screenContents = []
+  for (const screen of project.screens) {
+    const cached = cachedScreen('react-native', project, screen)
+    if (cached.files) {
+      screenContents.push(cached.content)
+      files.push(...cached.files)
+      continue
+    }
+    const firstFile = files.length
+    const state = screenState(screen)
+    const ctx = { project, screen, nav, state }
+    const content = generateReactNativeComponent(screen.root, ctx)
+    screenContents.push(content)
+    files.push(generateReactNativeScreen(screen, ctx, content))
+    cached.save(screenContents.at(-1), files.slice(firstFile))
+  }
+
+  for (const [name, content] of Object.entries(REACT_NATIVE_COMPONENTS)) {
+    if (screenContents.some(c => new RegExp(`<${name}\\s`).test(c))) {
+      files.push({ path: `src/components/${name}.tsx`, language: 'typescript', content })
+    }
+  }
+
+  return files
+}
+
+// Expo app config; app ids come from the iOS and Android platform config
+function generateExpoProject(project) {
+  const appName = typeName(project.name)
+  const requirements = platformRequirements(project, 'react-native')
+  const android = platformRequirements(project, 'android')
+  const usage = platformRequirements(project, 'ios').usage
+  const slug = project.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'hublab-app'
+
+  const packageJson = {
+    name: slug,
+    version: project.version || '1.0.0',
+    private: true,
+    main: 'index.ts',
+    scripts: {
+      start: 'expo start',
+      android: 'expo start --android',
+      ios: 'expo start --ios'
+    },
+    dependencies: Object.fromEntries(Object.entries({
+      '@expo/vector-icons': '^14.0.4',
+      '@react-navigation/bottom-tabs': '^7.2.0',
+      '@react-navigation/native': '^7.0.14',
+      '@react-navigation/native-stack': '^7.2.0',
+      expo: '~52.0.0',
+      'expo-status-bar': '~2.0.1',
+      react: '18.3.1',
+      'react-native': '0.76.9',
+      'react-native-safe-area-context': '4.12.0',
+      'react-native-screens': '~4.4.0',
+      ...requirements.packages
+    }).sort(([a], [b]) => a.localeCompare(b))),
+    devDependencies: {
+      '@babel/core': '^7.25.2',
+      '@types/react': '~18.3.12',
+      typescript: '^5.3.3'
+    }
+  }
+
+  const expo = {
+    name: project.platformConfig?.ios?.displayName || project.name,
+    slug,
+    version: project.version || '1.0.0',
+    orientation: 'portrait',
+    userInterfaceStyle: 'automatic',
+    ios: {
+      bundleIdentifier: bundleIdentifier(project.platformConfig?.ios?.bundleId || `com.hublab.${appName.toLowerCase()}`),
+      supportsTablet: true,
+      ...(Object.keys(usage).length > 0 && { infoPlist: usage })
+    },
+    android: {
+      package: packageIdentifier(project.platformConfig?.android?.packageName || 'com.hublab.app'),
+      versionCode: num(project.platformConfig?.android?.versionCode, 1),
+      ...(android.permissions.size > 0 && { permissions: [...android.permissions].map(permission => `android.permission.${permission}`) })
+    }
+  }
+
+  return [
+    {
+      path: 'package.json',
+      language: 'json',
+      content: JSON.stringify(packageJson, null, 2)
+    },
+    {
+      path: 'app.json',
+      language: 'json',
+      content: JSON.stringify({ expo }, null, 2)
+    },
+    {
+      path: 'babel.config.js',
+      language: 'javascript',
+      content: `module.exports = function (api) {
+  api.cache(true)
+  return {
+    presets: ['babel-preset-expo']
+  }
+}`
+    },
+    {
+      path: 'tsconfig.json',
+      language: 'json',
+      content: JSON.stringify({ extends: 'expo/tsconfig.base', compilerOptions: { strict: true } }, null, 2)
+    },
+    {
+      path: 'index.ts',
+      language: 'typescript',
+      content: `import { registerRootComponent } from 'expo'
+import App from './App'
+
+registerRootComponent(App)`
+    }
+  ]
+}
+
+// App.tsx with the navigators, and the route types screens navigate with.
+// Tab screens live in a bottom tab navigator; every other screen is pushed
+// on the root stack above the tabs
+function generateReactNativeNavigation(project, nav) {
+  const tabIds = nav.tabs.map(tab => tab.screen.id)
+  const stackScreens = project.screens.filter(s => !tabIds.includes(s.id))
+  const routeKey = id => /^[a-z][a-z0-9]*$/.test(id) ? id : `'${id}'`
+  const component = screen => `${typeName(screen.id)}Screen`
+  const options = screen => `{ title: ${jsString(screen.name)} }`
+  const tabs = nav.type === 'tabs'
+  const initial = tabs && tabIds.includes(nav.initial.id) ? 'Tabs' : nav.initial.id
+
+  const tabNavigator = tabs
+    ? `
+const Tab = createBottomTabNavigator<TabParamList>()
+
+function Tabs() {
+  const colors = useColors()
+  return (
+    <Tab.Navigator initialRouteName=${jsxAttr(tabIds.includes(nav.initial.id) ? nav.initial.id : tabIds[0])} screenOptions={{ tabBarActiveTintColor: colors.primary }}>
+${nav.tabs.map(tab => `      <Tab.Screen
+        name=${jsxAttr(tab.screen.id)}
+        component={${component(tab.screen)}}
+        options={{
+          title: ${jsString(tab.label)},
+          tabBarIcon: ({ color, size }) => <Ionicons name=${jsxAttr(iconName(tab.icon, 'ionicons'))} color={color} size={size} />
+        }}
+      />`).join('\n')}
+    </Tab.Navigator>
+  )
+}
+`
+    : ''
+
+  const app = {
+    path: 'App.tsx',
+    language: 'typescript',
+    content: `import React from 'react'
+import { DarkTheme, DefaultTheme, NavigationContainer } from '@react-navigation/native'
+${tabs ? "import { createBottomTabNavigator } from '@react-navigation/bottom-tabs'\n" : ''}import { createNativeStackNavigator } from '@react-navigation/native-stack'
+${tabs ? "import { Ionicons } from '@expo/vector-icons'\n" : ''}import { StatusBar } from 'expo-status-bar'
+import { useColorScheme } from 'react-native'
+import type { RootStackParamList${tabs ? ', TabParamList' : ''} } from './src/navigation'
+import { useColors } from './src/theme'
+${project.screens.map(screen => `import ${component(screen)} from './src/screens/${component(screen)}'`).join('\n')}
+
+const Stack = createNativeStackNavigator<RootStackParamList>()
+${tabNavigator}
+export default function App() {
+  const colors = useColors()
+  const base = useColorScheme() === 'dark' ? DarkTheme : DefaultTheme
+  const theme = {
+    ...base,
+    colors: {
+      ...base.colors,
+      primary: colors.primary,
+      background: colors.background,
+      card: colors.surface,
+      text: colors.textPrimary,
+      border: colors.border
+    }
+  }
+
+  return (
+    <NavigationContainer theme={theme}>
+      <Stack.Navigator initialRouteName=${jsxAttr(initial)}>
+${[
+    tabs && '        <Stack.Screen name="Tabs" component={Tabs} options={{ headerShown: false }} />',
+    ...stackScreens.map(screen => `        <Stack.Screen name=${jsxAttr(screen.id)} component={${component(screen)}} options={${options(screen)}} />`)
+  ].filter(Boolean).join('\n')}
+      </Stack.Navigator>
+      <StatusBar style="auto" />
+    </NavigationContainer>
+  )
+}`
+  }
+
+  const routes = screens => screens.map(screen => `  ${routeKey(screen.id)}: undefined`).join('\n')
+  const types = {
+    path: 'src/navigation.ts',
+    language: 'typescript',
+    content: `${tabs ? "import type { NavigatorScreenParams } from '@react-navigation/native'\n\n" : ''}${tabs ? `export type TabParamList = {
+${routes(nav.tabs.map(tab => tab.screen))}
+}
+
+` : ''}export type RootStackParamList = {
+${[tabs && '  Tabs: NavigatorScreenParams<TabParamList>', routes(stackScreens)].filter(Boolean).join('\n')}
+}
+
+// Lets useNavigation() check route names without a type argument
+declare global {
+  namespace ReactNavigation {
+    interface RootParamList extends RootStackParamList {}
+  }
+}`
+  }
+
+  return [app, types]
+}
+
+// Capsule styles every screen shares, built from the theme tokens
+function generateReactNativeStyles() {
+  return {
+    path: 'src/styles.ts',
+    language: 'typescript',
+    content: `import { Platform, StyleSheet } from 'react-native'
+import { elevation, makeStyles, radii, shadow, spacing, typography } from './theme'
+
+export const useStyles = makeStyles(colors => ({
+  screen: { flex: 1, backgroundColor: colors.background },
+  content: { padding: spacing.md, gap: spacing.md },
+  fill: { flex: 1 },
+  row: { flexDirection: 'row', alignItems: 'center', gap: spacing.sm },
+  field: { gap: spacing.xs },
+  mono: { fontFamily: Platform.select({ ios: 'Menlo', default: 'monospace' }) },
+
+  title: { ...typography.title, color: colors.textPrimary },
+  heading: { ...typography.heading, color: colors.textPrimary },
+  subheading: { ...typography.subheading, color: colors.textPrimary },
+  body: { ...typography.body, color: colors.textPrimary },
+  caption: { ...typography.caption, color: colors.textSecondary },
+  label: { ...typography.body, fontWeight: '500', color: colors.textPrimary },
+  link: { ...typography.body, color: colors.primary },
+
+  button: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: spacing.sm,
+    paddingHorizontal: spacing.md,
+    paddingVertical: spacing.sm + 2,
+    borderRadius: radii.md,
+    backgroundColor: colors.primary
+  },
+  buttonText: { ...typography.body, fontWeight: '600', color: '#FFFFFF' },
+  outlineButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'flex-start',
+    gap: spacing.sm,
+    paddingHorizontal: spacing.md,
+    paddingVertical: spacing.sm + 2,
+    borderRadius: radii.md,
+    borderWidth: 1,
+    borderColor: colors.border
+  },
+  outlineButtonText: { ...typography.body, color: colors.textPrimary },
+  roundButton: {
+    width: 32,
+    height: 32,
+    alignItems: 'center',
+    justifyContent: 'center',
+    borderRadius: radii.full,
+    borderWidth: 1,
+    borderColor: colors.border
+  },
+  pressed: { opacity: 0.8 },
+  disabled: { opacity: 0.5 },
+
+  input: {
+    fontSize: typography.body.fontSize,
+    color: colors.textPrimary,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    borderRadius: radii.md,
+    borderWidth: 1,
+    borderColor: colors.border
+  },
+  search: { borderRadius: radii.full },
+  multiline: { minHeight: 160, textAlignVertical: 'top' },
+
+  card: {
+    gap: spacing.sm,
+    padding: spacing.md,
+    borderRadius: radii.lg,
+    backgroundColor: colors.surface,
+    ...shadow(elevation.md)
+  },
+  divider: { height: StyleSheet.hairlineWidth, marginVertical: spacing.sm, backgroundColor: colors.border },
+  image: { width: '100%', borderRadius: radii.lg, backgroundColor: colors.surface },
+  media: { width: '100%', aspectRatio: 16 / 9, borderRadius: radii.lg, backgroundColor: '#000000' },
+  frame: { width: '100%', overflow: 'hidden', borderRadius: radii.lg, borderWidth: 1, borderColor: colors.border },
+
+  backdrop: { flex: 1, justifyContent: 'center', padding: spacing.lg, backgroundColor: 'rgba(0, 0, 0, 0.5)' },
+  dialog: { gap: spacing.md, padding: spacing.lg, borderRadius: radii.lg, backgroundColor: colors.surface },
+  sheetBackdrop: { flex: 1, justifyContent: 'flex-end', backgroundColor: 'rgba(0, 0, 0, 0.5)' },
+  sheet: {
+    maxHeight: '85%',
+    gap: spacing.md,
+    padding: spacing.lg,
+    borderTopLeftRadius: radii.lg,
+    borderTopRightRadius: radii.lg,
+    backgroundColor: colors.surface
+  },
+  sheetHandle: { alignSelf: 'center', width: 40, height: 5, borderRadius: radii.full, backgroundColor: colors.border },
+
+  listItem: {
+    gap: spacing.xs,
+    paddingVertical: spacing.sm + 4,
+    borderBottomWidth: StyleSheet.hairlineWidth,
+    borderBottomColor: colors.border
+  },
+  carousel: { gap: spacing.sm + 4 },
+  carouselItem: {
+    width: 240,
+    gap: spacing.sm,
+    padding: spacing.md,
+    borderRadius: radii.lg,
+    backgroundColor: colors.surface,
+    ...shadow(elevation.sm)
+  },
+  tableRow: {
+    flexDirection: 'row',
+    paddingVertical: spacing.sm,
+    borderTopWidth: StyleSheet.hairlineWidth,
+    borderTopColor: colors.border
+  },
+  tableCell: { flex: 1, minWidth: 96, paddingRight: spacing.md },
+  tableHeader: { ...typography.body, fontWeight: '600', color: colors.textPrimary },
+  timeline: { marginLeft: spacing.xs, borderLeftWidth: 2, borderLeftColor: colors.border },
+  timelineItem: { gap: spacing.xs, paddingLeft: spacing.md, paddingBottom: spacing.md },
+  timelineDot: {
+    position: 'absolute',
+    left: -7,
+    top: 6,
+    width: 12,
+    height: 12,
+    borderRadius: radii.full,
+    backgroundColor: colors.primary
+  },
+  kanban: { gap: spacing.sm + 4 },
+  kanbanColumn: { width: 256, gap: spacing.sm, padding: spacing.sm + 4, borderRadius: radii.lg, backgroundColor: colors.surface },
+  kanbanCard: {
+    gap: spacing.xs,
+    padding: spacing.sm + 4,
+    borderRadius: radii.md,
+    backgroundColor: colors.background,
+    ...shadow(elevation.sm)
+  },
+  messages: { minHeight: 240, gap: spacing.sm },
+  bubble: {
+    alignSelf: 'flex-start',
+    maxWidth: '75%',
+    paddingHorizontal: spacing.sm + 4,
+    paddingVertical: spacing.sm,
+    borderRadius: radii.lg,
+    backgroundColor: colors.surface
+  },
+  bubbleMine: { alignSelf: 'flex-end', backgroundColor: colors.primary },
+  bubbleText: { ...typography.body, color: colors.textPrimary },
+  bubbleTextMine: { color: '#FFFFFF' },
+  notification: {
+    flexDirection: 'row',
+    gap: spacing.sm + 4,
+    padding: spacing.sm + 4,
+    borderRadius: radii.lg,
+    backgroundColor: colors.surface,
+    ...shadow(elevation.sm)
+  },
+
+  progressTrack: { height: 8, overflow: 'hidden', borderRadius: radii.full, backgroundColor: colors.border },
+  progressFill: { height: '100%', borderRadius: radii.full, backgroundColor: colors.primary },
+  tabBar: { flexDirection: 'row', borderBottomWidth: StyleSheet.hairlineWidth, borderBottomColor: colors.border },
+  tab: { paddingHorizontal: spacing.md, paddingVertical: spacing.sm, borderBottomWidth: 2, borderBottomColor: 'transparent' },
+  tabSelected: { borderBottomColor: colors.primary },
+  tabText: { ...typography.body, color: colors.textSecondary },
+  tabTextSelected: { color: colors.primary },
+  chip: {
+    alignSelf: 'flex-start',
+    paddingHorizontal: spacing.sm + 4,
+    paddingVertical: spacing.xs,
+    borderRadius: radii.full,
+    borderWidth: 1,
+    borderColor: colors.border,
+    backgroundColor: colors.surface
+  },
+  chipSelected: { borderColor: colors.primary, backgroundColor: colors.primary },
+  chipText: { ...typography.caption, color: colors.textPrimary },
+  chipTextSelected: { color: '#FFFFFF' },
+  star: { fontSize: 28, color: colors.border },
+  starSelected: { color: '#FACC15' },
+  swatch: { width: 36, height: 36, borderRadius: radii.full, borderWidth: 3, borderColor: 'transparent' },
+  swatchSelected: { borderColor: colors.textPrimary }
+}))`
+  }
+}
+
+function generateReactNativeScreen(screen, ctx, content) {
+  const name = `${typeName(screen.id)}Screen`
+  const { state } = ctx
+  const hasState = Object.keys(state).length > 0
+  // Data capsules backed by an endpoint load when the screen mounts
+  const loaders = Object.entries(state)
+    .filter(([, field]) => field.endpoint)
+    .map(([key, field]) => reactActions({ type: 'callApi', endpoint: field.endpoint, resultKey: key }, ctx).replace(/\n {8}/g, '\n    '))
+  const usesNavigation = content.includes('navigation.')
+  const hooks = [
+    usesNavigation && '  const navigation = useNavigation()',
+    hasState && '  const [state, dispatch] = useReducer(reducer, initialState)',
+    '  const styles = useStyles()',
+    content.includes('colors.') && '  const colors = useColors()',
+    loaders.length > 0 && `\n  useEffect(() => {\n    ${loaders.join('\n    ')}\n  }, [])`
+  ].filter(Boolean)
+  const reactHooks = [hasState && 'useReducer', loaders.length > 0 && 'useEffect'].filter(Boolean)
+  const primitives = REACT_NATIVE_PRIMITIVES.filter(primitive => new RegExp(`<${primitive}[\\s>]|\\b${primitive}\\.`).test(content))
+  const themeImports = ['spacing', 'useColors'].filter(token => token === 'useColors' ? content.includes('colors.') : content.includes(`${token}.`))
+  const imports = [
+    `import { ${['ScrollView', ...primitives].sort().join(', ')} } from 'react-native'`,
+    usesNavigation && "import { useNavigation } from '@react-navigation/native'",
+    ...REACT_NATIVE_IMPORTS.filter(([, marker]) => content.includes(marker)).map(([line]) => line),
+    ...capsuleImports(screen.root, 'react-native'),
+    (content.includes('callApi(') || loaders.length > 0) && "import { callApi } from '../api'",
+    ...Object.keys(REACT_NATIVE_COMPONENTS).filter(c => new RegExp(`<${c}\\s`).test(content)).map(c => `import ${c} from '../components/${c}'`),
+    "import { useStyles } from '../styles'",
+    themeImports.length > 0 && `import { ${themeImports.join(', ')} } from '../theme'`
+  ].filter(Boolean)
+
+  return {
+    path: `src/screens/${name}.tsx`,
+    language: 'typescript',
+    content: `import React${reactHooks.length > 0 ? `, { ${reactHooks.join(', ')} }` : ''} from 'react'
+${imports.join('\n')}
+${hasState ? `\n${generateReactReducer(state)}\n` : ''}
+export default function ${name}() {
+${hooks.join('\n')}
+
+  return (
+    <ScrollView style={styles.screen} contentContainerStyle={styles.content}>
+      ${content}
+    </ScrollView>
+  )
+}`
+  }
+}
+
+// Core components a screen imports when its generated JSX uses them
+const REACT_NATIVE_PRIMITIVES = ['FlatList', 'Image', 'Linking', 'Modal', 'Pressable', 'Share', 'StyleSheet', 'Switch', 'Text', 'TextInput', 'View']
+
+// Package imports some capsules need in a screen, keyed by a marker in the generated code
+const REACT_NATIVE_IMPORTS = [
+  ["import { Ionicons } from '@expo/vector-icons'", '<Ionicons '],
+  ["import Slider from '@react-native-community/slider'", '<Slider'],
+  ["import { ResizeMode, Video } from 'expo-av'", '<Video'],
+  ["import * as DocumentPicker from 'expo-document-picker'", 'DocumentPicker.'],
+  ["import * as LocalAuthentication from 'expo-local-authentication'", 'LocalAuthentication.'],
+  ["import * as Location from 'expo-location'", 'Location.'],
+  ["import * as Notifications from 'expo-notifications'", 'Notifications.'],
+  ["import QRCode from 'react-native-qrcode-svg'", '<QRCode '],
+  ["import { SafeAreaView } from 'react-native-safe-area-context'", '<SafeAreaView'],
+  ["import { WebView } from 'react-native-webview'", '<WebView']
+]
+
+function generateReactNativeComponent(instance, ctx) {
+  if (!instance) return '<View />'
+  return reactNativeAccessibility(reactNativeComponent(instance, ctx), instance)
+}
+
+function reactNativeComponent(instance, ctx) {
+  const { capsuleId, props, children } = instance
+  const childContent = children?.map(c => generateReactNativeComponent(c, ctx)).join('\n        ') || ''
+  const actions = value => reactNativeActions(value, ctx)
+  const set = (key, value) => `dispatch({ type: 'set', key: '${key}', value: ${value} })`
+
+  switch (capsuleId) {
+    case 'button':
+      return `<Pressable
+        onPress={() => {
+          ${actions(props.onPress)}
+        }}
+        style={({ pressed }) => [styles.button, pressed && styles.pressed]}
+      >
+        <Text style={styles.buttonText}>${reactText(props.text || 'Button', ctx)}</Text>
+      </Pressable>`
+
+    case 'text': {
+      const variant = textStyle(props.variant)
+      return `<Text style={styles.${variant}}>${reactText(props.content || props.text || '', ctx)}</Text>`
+    }
+
+    case 'input': {
+      const key = bindingKey(instance)
+      const keyboard = { email: 'email-address', number: 'numeric', tel: 'phone-pad', url: 'url' }[props.type]
+      const { label } = accessibilityOf(instance)
+      return `<TextInput
+        value={state.${key}}
+        onChangeText={value => ${set(key, 'value')}}
+        placeholder=${jsxAttr(props.placeholder || '')}
+        placeholderTextColor={colors.textSecondary}${label ? `\n        accessibilityLabel=${jsxAttr(label)}` : ''}${keyboard ? `\n        keyboardType="${keyboard}"` : ''}${['email', 'url', 'password'].includes(props.type) ? '\n        autoCapitalize="none"' : ''}${props.type === 'password' ? '\n        secureTextEntry' : ''}
+        style={styles.input}
+      />`
+    }
+
+    case 'searchbar': {
+      const key = bindingKey(instance)
+      return `<TextInput
+        value={state.${key}}
+        onChangeText={value => ${set(key, 'value')}}
+        placeholder=${jsxAttr(props.placeholder || 'Search...')}
+        placeholderTextColor={colors.textSecondary}
+        returnKeyType="search"
+        style={[styles.input, styles.search]}
+      />`
+    }
+
+    case 'slider': {
+      const key = bindingKey(instance)
+      return `<Slider
+        minimumValue={${num(props.min, 0)}}
+        maximumValue={${num(props.max, 100)}}
+        value={state.${key}}
+        onValueChange={value => ${set(key, 'value')}}
+        minimumTrackTintColor={colors.primary}
+      />`
+    }
+
+    case 'modal':
+    case 'bottom-sheet': {
+      const sheet = capsuleId === 'bottom-sheet'
+      const close = set('activeModal', 'null')
+      // The inner Pressable takes the touch, so only taps on the backdrop close it
+      return `<Modal
+        visible={state.activeModal === ${jsString(instance.id)}}
+        transparent
+        animationType="${sheet ? 'slide' : 'fade'}"
+        onRequestClose={() => ${close}}
+      >
+        <Pressable style={styles.${sheet ? 'sheetBackdrop' : 'backdrop'}} onPress={() => ${close}}>
+          <Pressable style={styles.${sheet ? 'sheet' : 'dialog'}}>
+            ${[
+    sheet && '<View style={styles.sheetHandle} />',
+    props.title && `<Text style={styles.heading}>${reactText(props.title, ctx)}</Text>`,
+    childContent,
+    !sheet && `<Pressable onPress={() => ${close}} style={styles.outlineButton}>
+              <Text style={styles.outlineButtonText}>Close</Text>
+            </Pressable>`
+  ].filter(Boolean).join('\n            ')}
+          </Pressable>
+        </Pressable>
+      </Modal>`
+    }
+
+    case 'card':
+      return `<View style={styles.card}>
+        ${[props.title && `<Text style={styles.subheading}>${reactText(props.title, ctx)}</Text>`, childContent].filter(Boolean).join('\n        ')}
+      </View>`
+
+    // Screens already scroll, so lists render every row without scrolling themselves
+    case 'list': {
+      const { key, item, itemCtx } = dataBinding(instance, ctx)
+      const template = itemTemplate(instance, item).map(c => generateReactNativeComponent(c, itemCtx)).join('\n            ')
+      return `<FlatList
+        data={state.${key}}
+        keyExtractor={(_, index) => String(index)}
+        scrollEnabled={false}
+        renderItem={({ item }) => (
+          <View style={styles.listItem}>
+            ${template}
+          </View>
+        )}
+      />`
+    }
+
+    case 'carousel': {
+      const { key, item, itemCtx } = dataBinding(instance, ctx)
+      const template = itemTemplate(instance, item).map(c => generateReactNativeComponent(c, itemCtx)).join('\n            ')
+      return `<FlatList
+        horizontal
+        data={state.${key}}
+        keyExtractor={(_, index) => String(index)}
+        showsHorizontalScrollIndicator={false}
+        snapToInterval={252}
+        decelerationRate="fast"
+        contentContainerStyle={styles.carousel}
+        renderItem={({ item }) => (
+          <View style={styles.carouselItem}>
+            ${template}
+          </View>
+        )}
+      />`
+    }
+
+    case 'table':
+    case 'data-table': {
+      const { key, item, itemCtx } = dataBinding(instance, ctx)
+      const columns = tableColumns(instance, item)
+      const table = `<View>
+          <View style={styles.tableRow}>
+            ${columns.map(c => `<Text style={[styles.tableCell, styles.tableHeader]}>${jsxText(c.label)}</Text>`).join('\n            ')}
+          </View>
+          {state.${key}.map((item, index) => (
+            <View key={index} style={styles.tableRow}>
+              ${columns.map(c => `<Text style={[styles.tableCell, styles.body]}>${reactText(c.template, itemCtx)}</Text>`).join('\n              ')}
+            </View>
+          ))}
+        </View>`
+      // Wide data tables scroll sideways instead of squeezing their columns
+      return capsuleId === 'data-table'
+        ? `<ScrollView horizontal>\n        ${table}\n      </ScrollView>`
+        : table.replace(/\n {2}/g, '\n')
+    }
+
+    case 'chart': {
+      const { key, item } = dataBinding(instance, ctx)
+      const axes = chartAxes(instance, item)
+      const values = `state.${key}.map(item => ${axes.y || '0'})`
+      if (axes.type === 'line' || axes.type === 'area') {
+        return `<LineChart values={${values}}${axes.type === 'area' ? ' fill' : ''} />`
+      }
+      return `<BarChart
+        values={${values}}
+        labels={state.${key}.map((item, index) => ${axes.x ? `String(${axes.x})` : 'String(index + 1)'})}
+      />`
+    }
+
+    case 'progress': {
+      const value = Math.min(Math.max(num(props.value, 50), 0), 100)
+      return `<View style={styles.progressTrack}>
+        <View style={[styles.progressFill, { width: '${value}%' }]} />
+      </View>`
+    }
+
+    case 'switch': {
+      const key = bindingKey(instance)
+      return `<View style={styles.row}>
+        <Text style={[styles.body, styles.fill]}>${reactText(props.label || '', ctx)}</Text>
+        <Switch
+          value={state.${key}}
+          onValueChange={() => dispatch({ type: 'toggle', key: '${key}' })}
+          trackColor={{ true: colors.primary }}
+        />
+      </View>`
+    }
+
+    case 'image': {
+      const ratio = aspectRatio(props.aspectRatio)
+      const { label } = accessibilityOf(instance)
+      const radius = props.cornerRadius !== undefined ? `, borderRadius: ${num(props.cornerRadius, 12)}` : ''
+      return `<Image
+        source={{ uri: ${jsString(props.src || props.url || '')} }}${label ? `\n        accessibilityLabel=${jsxAttr(label)}` : ''}
+        resizeMode="cover"
+        style={[styles.image, { ${ratio ? `aspectRatio: ${ratio}` : 'height: 208'}${radius} }]}
+      />`
+    }
+
+    case 'form': {
+      // A form without its own button gets a submit button running onSubmit
+      const submit = !children?.some(c => c.capsuleId === 'button')
+        ? `
+        <Pressable
+          onPress={() => {
+            ${actions(props.onSubmit).replace(/\n/g, '\n    ')}
+          }}
+          style={({ pressed }) => [styles.button, pressed && styles.pressed]}
+        >
+          <Text style={styles.buttonText}>${reactText(props.submitText || 'Submit', ctx)}</Text>
+        </Pressable>`
+        : ''
+      return `<View style={styles.field}>
+        ${childContent}${submit}
+      </View>`
+    }
+
+    case 'navigation':
+      return `<View style={styles.row}>
+        <Text style={[styles.subheading, styles.fill]}>${reactText(props.title || ctx.screen.name, ctx)}</Text>
+        ${navigationLinks(instance, ctx).map(link => `<Pressable onPress={() => ${actions({ type: 'navigate', screen: link.screen })}}>
+          <Text style={styles.link}>${jsxText(link.label)}</Text>
+        </Pressable>`).join('\n        ')}
+      </View>`
+
+    case 'auth-screen': {
+      const key = bindingKey(instance)
+      const signUp = ctx.project.screens.some(s => s.id === props.signUpScreen)
+        ? `
+        <Pressable onPress={() => ${actions({ type: 'navigate', screen: props.signUpScreen })}}>
+          <Text style={styles.link}>${jsxText(props.signUpText || 'Create an account')}</Text>
+        </Pressable>`
+        : ''
+      const incomplete = `!state.${key}Email || !state.${key}Password`
+      return `<View style={styles.field}>
+        <Text style={styles.title}>${reactText(props.title || 'Sign in', ctx)}</Text>
+        <TextInput
+          value={state.${key}Email}
+          onChangeText={value => ${set(`${key}Email`, 'value')}}
+          placeholder="Email"
+          placeholderTextColor={colors.textSecondary}
+          keyboardType="email-address"
+          autoCapitalize="none"
+          autoComplete="email"
+          style={styles.input}
+        />
+        <TextInput
+          value={state.${key}Password}
+          onChangeText={value => ${set(`${key}Password`, 'value')}}
+          placeholder="Password"
+          placeholderTextColor={colors.textSecondary}
+          autoComplete="current-password"
+          secureTextEntry
+          style={styles.input}
+        />
+        <Pressable
+          disabled={${incomplete}}
+          onPress={() => {
+            ${actions(props.onSubmit).replace(/\n/g, '\n    ')}
+          }}
+          style={({ pressed }) => [styles.button, pressed && styles.pressed, (${incomplete}) && styles.disabled]}
+        >
+          <Text style={styles.buttonText}>${reactText(props.submitText || 'Sign in', ctx)}</Text>
+        </Pressable>${signUp}
+      </View>`
+    }
+
+    case 'skeleton':
+      return `<Skeleton lines={${Math.max(1, Math.round(num(props.lines, 3)))}} />`
+
+    case 'tabs': {
+      const key = bindingKey(instance)
+      const sections = capsuleSections(instance)
+      return `<View style={styles.field}>
+        <View style={styles.tabBar} accessibilityRole="tablist">
+          ${sections.map((section, i) => `<Pressable
+            accessibilityRole="tab"
+            accessibilityState={{ selected: state.${key} === ${i} }}
+            onPress={() => ${set(key, i)}}
+            style={[styles.tab, state.${key} === ${i} && styles.tabSelected]}
+          >
+            <Text style={[styles.tabText, state.${key} === ${i} && styles.tabTextSelected]}>${jsxText(section.label)}</Text>
+          </Pressable>`).join('\n          ')}
+        </View>
+        ${sections.map((section, i) => `{state.${key} === ${i} && (
+          ${generateReactNativeComponent(section.child, ctx)}
+        )}`).join('\n        ')}
+      </View>`
+    }
+
+    case 'accordion':
+      return `<View style={styles.card}>
+        ${capsuleSections(instance).map(section => `<AccordionSection title=${jsxAttr(section.label)}>
+          ${generateReactNativeComponent(section.child, ctx)}
+        </AccordionSection>`).join('\n        ')}
+      </View>`
+
+    case 'dropdown': {
+      const key = bindingKey(instance)
+      return `<Dropdown
+        label=${jsxAttr(String(props.label || props.placeholder || 'Select'))}
+        options={[
+          ${capsuleOptions(props).map(o => `{ label: ${jsString(o.label)}, value: ${jsString(o.value)} }`).join(',\n          ')}
+        ]}
+        value={state.${key}}
+        onChange={value => ${set(key, 'value')}}
+      />`
+    }
+
+    case 'datepicker': {
+      const key = bindingKey(instance)
+      return `<DateField label=${jsxAttr(String(props.label || 'Date'))} value={state.${key}} onChange={value => ${set(key, 'value')}} />`
+    }
+
+    case 'calendar': {
+      const key = bindingKey(instance)
+      return `<Calendar value={state.${key}} onChange={value => ${set(key, 'value')}} />`
+    }
+
+    case 'tooltip':
+      return `<Tooltip text={${jsValue(String(props.text || props.content || ''), ctx)}}>
+        ${childContent || `<Ionicons name="information-circle-outline" size={20} color={colors.textSecondary} />`}
+      </Tooltip>`
+
+    case 'popover':
+      return `<Popover title=${jsxAttr(String(props.title || props.label || 'More'))}>
+        ${childContent}
+      </Popover>`
+
+    case 'rating': {
+      const key = bindingKey(instance)
+      const stars = Array.from({ length: Math.max(1, Math.round(num(props.max, 5))) }, (_, i) => i + 1)
+      return `<View style={styles.row} accessibilityRole="radiogroup" accessibilityLabel="Rating">
+        {[${stars.join(', ')}].map(star => (
+          <Pressable
+            key={star}
+            accessibilityRole="radio"
+            accessibilityState={{ checked: star === state.${key} }}
+            accessibilityLabel={\`\${star} stars\`}
+            onPress={() => ${set(key, 'star')}}
+          >
+            <Text style={[styles.star, star <= state.${key} && styles.starSelected]}>★</Text>
+          </Pressable>
+        ))}
+      </View>`
+    }
+
+    case 'stepper': {
+      const key = bindingKey(instance)
+      const step = num(props.step, 1)
+      return `<View style={styles.row}>
+        <Text style={[styles.body, styles.fill]}>${reactText(props.label || 'Value', ctx)}</Text>
+        <Pressable
+          accessibilityLabel="Decrease"
+          onPress={() => ${set(key, `Math.max(${num(props.min, 0)}, state.${key} - ${step})`)}}
+          style={styles.roundButton}
+        >
+          <Text style={styles.body}>−</Text>
+        </Pressable>
+        <Text style={styles.body}>{state.${key}}</Text>
+        <Pressable
+          accessibilityLabel="Increase"
+          onPress={() => ${set(key, `Math.min(${num(props.max, 100)}, state.${key} + ${step})`)}}
+          style={styles.roundButton}
+        >
+          <Text style={styles.body}>+</Text>
+        </Pressable>
+      </View>`
+    }
+
+    case 'chip': {
+      const key = bindingKey(instance)
+      return `<Pressable
+        accessibilityState={{ selected: state.${key} }}
+        onPress={() => dispatch({ type: 'toggle', key: '${key}' })}
+        style={[styles.chip, state.${key} && styles.chipSelected]}
+      >
+        <Text style={[styles.chipText, state.${key} && styles.chipTextSelected]}>${reactText(props.label || props.text || '', ctx)}</Text>
+      </Pressable>`
+    }
+
+    case 'divider':
+      return '<View style={styles.divider} />'
+
+    case 'file-upload': {
+      const key = bindingKey(instance)
+      return `<View style={styles.row}>
+        <Pressable
+          onPress={async () => {
+            const result = await DocumentPicker.getDocumentAsync()
+            if (!result.canceled) ${set(key, 'result.assets[0].name')}
+          }}
+          style={styles.outlineButton}
+        >
+          <Ionicons name="attach" size={18} color={colors.textPrimary} />
+          <Text style={styles.outlineButtonText}>${reactText(props.label || 'Choose file', ctx)}</Text>
+        </Pressable>
+        <Text numberOfLines={1} style={[styles.caption, styles.fill]}>{state.${key} || 'No file selected'}</Text>
+      </View>`
+    }
+
+    case 'timeline': {
+      const { key, item, itemCtx } = dataBinding(instance, ctx)
+      const template = itemTemplate(instance, item).map(c => generateReactNativeComponent(c, itemCtx)).join('\n            ')
+      return `<View style={styles.timeline}>
+        {state.${key}.map((item, index) => (
+          <View key={index} style={styles.timelineItem}>
+            <View style={styles.timelineDot} />
+            ${template}
+          </View>
+        ))}
+      </View>`
+    }
+
+    case 'color-picker': {
+      const key = bindingKey(instance)
+      const swatches = Array.isArray(props.swatches) ? props.swatches.filter(s => /^#[0-9A-Fa-f]{6}$/.test(s)) : DEFAULT_SWATCHES
+      return `<View style={styles.field}>
+        <Text style={styles.label}>${reactText(props.label || 'Color', ctx)}</Text>
+        <View style={styles.row}>
+          {[${swatches.map(s => jsString(s.toUpperCase())).join(', ')}].map(swatch => (
+            <Pressable
+              key={swatch}
+              accessibilityLabel={swatch}
+              accessibilityState={{ selected: state.${key} === swatch }}
+              onPress={() => ${set(key, 'swatch')}}
+              style={[styles.swatch, { backgroundColor: swatch }, state.${key} === swatch && styles.swatchSelected]}
+            />
+          ))}
+        </View>
+      </View>`
+    }
+
+    case 'rich-text-editor': {
+      const key = bindingKey(instance)
+      return `<TextInput
+        value={state.${key}}
+        onChangeText={value => ${set(key, 'value')}}
+        placeholder=${jsxAttr(props.placeholder || 'Start writing...')}
+        placeholderTextColor={colors.textSecondary}
+        multiline
+        style={[styles.input, styles.multiline]}
+      />`
+    }
+
+    case 'signature':
+      return '<SignaturePad />'
+
+    // OpenStreetMap's embed page, as on the web; native maps need a Google Maps key on Android
+    case 'map': {
+      const { latitude, longitude, delta } = mapRegion(props)
+      const half = delta / 2
+      const bbox = [longitude - half, latitude - half, longitude + half, latitude + half].map(n => Number(n.toFixed(5))).join(',')
+      return `<View style={[styles.frame, { height: ${num(props.height, 240)} }]}>
+        <WebView source={{ uri: ${jsString(`https://www.openstreetmap.org/export/embed.html?bbox=${bbox}&layer=mapnik&marker=${latitude},${longitude}`)} }} />
+      </View>`
+    }
+
+    case 'video':
+      return `<Video
+        source={{ uri: ${jsString(props.src || props.url || '')} }}${props.poster ? `\n        posterSource={{ uri: ${jsString(props.poster)} }}\n        usePoster` : ''}
+        useNativeControls
+        resizeMode={ResizeMode.CONTAIN}
+        style={styles.media}
+      />`
+
+    case 'audio':
+      return `<AudioPlayer url=${jsxAttr(props.src || props.url || '')} title=${jsxAttr(String(props.title || 'Audio'))} />`
+
+    case 'kanban': {
+      const { key, item, itemCtx } = dataBinding(instance, ctx)
+      const { groupBy, columns } = kanbanColumns(instance, item, ctx)
+      const template = itemTemplate(instance, item).map(c => generateReactNativeComponent(c, itemCtx)).join('\n              ')
+      return `<ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.kanban}>
+        ${columns.map(column => `<View style={styles.kanbanColumn}>
+          <Text style={styles.subheading}>${jsxText(column.label)}</Text>
+          {state.${key}${groupBy ? `.filter(item => item.${groupBy} === ${jsString(column.value)})` : ''}.map((item, index) => (
+            <View key={index} style={styles.kanbanCard}>
+              ${template}
+            </View>
+          ))}
+        </View>`).join('\n        ')}
+      </ScrollView>`
+    }
+
+    case 'chat': {
+      const { key, item, itemCtx } = dataBinding(instance, ctx)
+      const { text, mine } = chatFields(instance, item)
+      const body = instance.children?.length > 0
+        ? itemTemplate(instance, item).map(c => generateReactNativeComponent(c, itemCtx)).join('\n              ')
+        : `<Text style={${mine ? `[styles.bubbleText, ${mine} && styles.bubbleTextMine]` : 'styles.bubbleText'}}>${reactText(text, itemCtx)}</Text>`
+      const draft = `${bindingKey(instance)}Draft`
+      return `<View style={styles.field}>
+        <View style={styles.messages}>
+          {state.${key}.map((item, index) => (
+            <View key={index} style={${mine ? `[styles.bubble, ${mine} && styles.bubbleMine]` : 'styles.bubble'}}>
+              ${body}
+            </View>
+          ))}
+        </View>
+        <View style={styles.row}>
+          <TextInput
+            value={state.${draft}}
+            onChangeText={value => ${set(draft, 'value')}}
+            placeholder=${jsxAttr(props.placeholder || 'Message')}
+            placeholderTextColor={colors.textSecondary}
+            style={[styles.input, styles.search, styles.fill]}
+          />
+          <Pressable
+            accessibilityLabel="Send"
+            disabled={!state.${draft}}
+            onPress={() => {
+              ${props.onSend ? `${actions(props.onSend).replace(/\n/g, '\n      ')}\n              ` : ''}${set(draft, "''")}
+            }}
+            style={[styles.roundButton, !state.${draft} && styles.disabled]}
+          >
+            <Ionicons name="send" size={16} color={colors.primary} />
+          </Pressable>
+        </View>
+      </View>`
+    }
+
+    case 'qrcode':
+      return `<QRCode value={${jsValue(String(props.value || props.text || props.url || ''), ctx)}} size={${num(props.size, 200)}} />`
+
+    case 'scanner': {
+      const key = bindingKey(instance)
+      return `<CodeScanner label=${jsxAttr(String(props.label || 'Scan code'))} value={state.${key}} onScan={value => ${set(key, 'value')}} />`
+    }
+
+    case 'pdf-viewer':
+      return `<Pressable onPress={() => Linking.openURL(${jsString(props.src || props.url || '')})} style={styles.outlineButton}>
+        <Ionicons name="document-text-outline" size={18} color={colors.textPrimary} />
+        <Text style={styles.outlineButtonText}>${reactText(props.title || 'Open PDF', ctx)}</Text>
+      </Pressable>`
+
+    case 'webview':
+      return `<View style={[styles.frame, { height: ${num(props.height, 400)} }]}>
+        <WebView source={{ uri: ${jsString(props.src || props.url || '')} }} />
+      </View>`
+
+    case 'notifications': {
+      const { key, item, itemCtx } = dataBinding(instance, ctx)
+      const template = itemTemplate(instance, item).map(c => generateReactNativeComponent(c, itemCtx)).join('\n              ')
+      return `<View style={styles.field}>
+        <Pressable onPress={() => Notifications.requestPermissionsAsync()} style={styles.outlineButton}>
+          <Text style={styles.outlineButtonText}>Enable notifications</Text>
+        </Pressable>
+        {state.${key}.map((item, index) => (
+          <View key={index} style={styles.notification}>
+            <Ionicons name="notifications" size={20} color={colors.primary} />
+            <View style={[styles.field, styles.fill]}>
+              ${template}
+            </View>
+          </View>
+        ))}
+      </View>`
+    }
+
+    case 'biometrics': {
+      const key = bindingKey(instance)
+      return `<Pressable
+        onPress={async () => {
+          const result = await LocalAuthentication.authenticateAsync({ promptMessage: ${jsString(props.reason || 'Unlock the app')} })
+          if (!result.success) return
+          ${set(key, 'true')}
+          ${actions(props.onSuccess)}
+        }}
+        style={({ pressed }) => [styles.button, pressed && styles.pressed]}
+      >
+        <Ionicons name="finger-print" size={20} color="#FFFFFF" />
+        <Text style={styles.buttonText}>${reactText(props.label || 'Unlock', ctx)}</Text>
+      </Pressable>`
+    }
+
+    case 'location': {
+      const key = bindingKey(instance)
+      return `<View style={styles.field}>
+        <Pressable
+          onPress={async () => {
+            const { granted } = await Location.requestForegroundPermissionsAsync()
+            if (!granted) return
+            const { coords } = await Location.getCurrentPositionAsync()
+            ${set(key, '`${coords.latitude.toFixed(5)}, ${coords.longitude.toFixed(5)}`')}
+          }}
+          style={styles.outlineButton}
+        >
+          <Ionicons name="locate" size={18} color={colors.textPrimary} />
+          <Text style={styles.outlineButtonText}>${reactText(props.label || 'Use my location', ctx)}</Text>
+        </Pressable>
+        {state.${key} !== '' && <Text style={[styles.caption, styles.mono]}>{state.${key}}</Text>}
+      </View>`
+    }
+
+    case 'camera':
+      return `<CameraCapture label=${jsxAttr(String(props.label || 'Take photo'))} />`
+
+    case 'social-share': {
+      const message = jsValue(String(props.url || props.text || ''), ctx)
+      return `<Pressable
+        onPress={() => Share.share({ message: ${message}${props.title ? `, title: ${jsValue(String(props.title), ctx)}` : ''} })}
+        style={styles.outlineButton}
+      >
+        <Ionicons name="share-outline" size={18} color={colors.textPrimary} />
+        <Text style={styles.outlineButtonText}>${reactText(props.label || 'Share', ctx)}</Text>
+      </Pressable>`
+    }
+
+    case 'row':
+    case 'column': {
+      const horizontal = capsuleId === 'row'
+      const gap = reactNativeSpacing(layoutSpacing(props.gap, ctx, horizontal ? 'sm' : 'md'))
+      // Columns stretch their children unless an alignment is given
+      const align = horizontal || props.alignment ? `, alignItems: '${REACT_NATIVE_ALIGNMENT[crossAlignment(props.alignment, 'center')]}'` : ''
+      // Screens scroll vertically, so inside a column flexible children keep
+      // their natural height and flexible spacers become a medium gap
+      const items = stackChildren(instance).map(({ child, spacer, flex }) => {
+        if (spacer) return horizontal ? '<View style={styles.fill} />' : '<View style={{ height: spacing.md }} />'
+        const code = generateReactNativeComponent(child, ctx)
+        return horizontal && flex > 0 ? `<View style={{ flex: ${flex}, minWidth: 0 }}>\n          ${code}\n        </View>` : code
+      }).join('\n        ')
+      return `<View style={{ ${horizontal ? "flexDirection: 'row', " : ''}gap: ${gap}${align}${reactNativePadding(props.padding, ctx)} }}>
+        ${items}
+      </View>`
+    }
+
+    case 'zstack': {
+      // The first layer sizes the stack; the others are laid over it
+      const { vertical, horizontal } = layerAlignment(props.alignment)
+      const layers = children?.map((c, i) => i === 0
+        ? generateReactNativeComponent(c, ctx)
+        : `<View pointerEvents="box-none" style={[StyleSheet.absoluteFill, { justifyContent: '${REACT_NATIVE_ALIGNMENT[vertical]}', alignItems: '${REACT_NATIVE_ALIGNMENT[horizontal]}' }]}>
+          ${generateReactNativeComponent(c, ctx)}
+        </View>`).join('\n        ') || ''
+      const padding = reactNativePadding(props.padding, ctx)
+      return `<View${padding ? ` style={{ ${padding.slice(2)} }}` : ''}>
+        ${layers}
+      </View>`
+    }
+
+    // Children are laid out in rows of equal-width cells; the last row is padded
+    case 'grid': {
+      const columns = gridColumns(instance)
+      const gap = reactNativeSpacing(layoutSpacing(props.gap, ctx, 'md'))
+      const cells = children?.map(c => generateReactNativeComponent(c, ctx)) || []
+      const rows = []
+      for (let i = 0; i < cells.length; i += columns) rows.push(cells.slice(i, i + columns))
+      return `<View style={{ gap: ${gap}${reactNativePadding(props.padding, ctx)} }}>
+        ${rows.map(row => `<View style={{ flexDirection: 'row', gap: ${gap} }}>
+          ${[...row.map(cell => `<View style={styles.fill}>
+            ${cell.replace(/\n/g, '\n    ')}
+          </View>`), ...Array.from({ length: columns - row.length }, () => '<View style={styles.fill} />')].join('\n          ')}
+        </View>`).join('\n        ')}
+      </View>`
+    }
+
+    case 'spacer': {
+      const size = layoutSpacing(props.size, ctx)
+      return size ? `<View style={{ width: ${reactNativeSpacing(size)}, height: ${reactNativeSpacing(size)} }} />` : '<View style={styles.fill} />'
+    }
+
+    case 'scroll-view': {
+      const horizontal = props.direction === 'horizontal'
+      const gap = reactNativeSpacing(layoutSpacing(props.gap, ctx, horizontal ? 'sm' : 'md'))
+      const height = num(props.height, null)
+      return `<ScrollView${horizontal ? ' horizontal' : ' nestedScrollEnabled'}${height !== null ? ` style={{ maxHeight: ${height} }}` : ''} contentContainerStyle={{ gap: ${gap}${reactNativePadding(props.padding, ctx)} }}>
+        ${childContent}
+      </ScrollView>`
+    }
+
+    // The navigation header already covers the top edge
+    case 'safe-area':
+      return `<SafeAreaView edges={['left', 'right', 'bottom']} style={{ gap: ${reactNativeSpacing(layoutSpacing(props.gap, ctx, 'md'))}${reactNativePadding(props.padding, ctx)} }}>
+        ${childContent}
+      </SafeAreaView>`
+
+    default:
+      if (hasCapsuleTemplate(capsuleId, 'react-native')) return renderCapsuleTemplate(instance, 'react-native', ctx)
+      if (children && children.length > 0) {
+        return `<View style={{ gap: spacing.md }}>
+        ${childContent}
+      </View>`
+      }
+      return `<View>{/* TODO: ${comment(capsuleId)} */}</View>`
+  }
+}
+
+// Reusable components emitted into src/components/ when a screen uses them
+const REACT_NATIVE_COMPONENTS = {
+  AccordionSection: `import React, { useState } from 'react'
+import { Pressable, Text, View } from 'react-native'
+import { Ionicons } from '@expo/vector-icons'
+import { makeStyles, spacing, typography, useColors } from '../theme'
+
+interface AccordionSectionProps {
+  title: string
+  children: React.ReactNode
+}
+
+const useStyles = makeStyles(colors => ({
+  header: { flexDirection: 'row', alignItems: 'center', paddingVertical: spacing.sm },
+  title: { ...typography.body, flex: 1, fontWeight: '500', color: colors.textPrimary },
+  body: { paddingBottom: spacing.sm }
+}))
+
+export default function AccordionSection({ title, children }: AccordionSectionProps) {
+  const [open, setOpen] = useState(false)
+  const styles = useStyles()
+  const colors = useColors()
+
+  return (
+    <View>
+      <Pressable accessibilityState={{ expanded: open }} onPress={() => setOpen(!open)} style={styles.header}>
+        <Text style={styles.title}>{title}</Text>
+        <Ionicons name={open ? 'chevron-up' : 'chevron-down'} size={18} color={colors.textSecondary} />
+      </Pressable>
+      {open && <View style={styles.body}>{children}</View>}
+    </View>
+  )
+}`,
+
+  AudioPlayer: `import React, { useEffect, useRef, useState } from 'react'
+import { Pressable, Text, View } from 'react-native'
+import { Ionicons } from '@expo/vector-icons'
+import { Audio } from 'expo-av'
+import { elevation, makeStyles, radii, shadow, spacing, typography, useColors } from '../theme'
+
+interface AudioPlayerProps {
+  url: string
+  title: string
+}
+
+const useStyles = makeStyles(colors => ({
+  player: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: spacing.sm + 4,
+    padding: spacing.md,
+    borderRadius: radii.lg,
+    backgroundColor: colors.surface,
+    ...shadow(elevation.sm)
+  },
+  title: { ...typography.body, flex: 1, fontWeight: '500', color: colors.textPrimary }
+}))
+
+// The sound is loaded on the first play and unloaded with the component
+export default function AudioPlayer({ url, title }: AudioPlayerProps) {
+  const sound = useRef<Audio.Sound | null>(null)
+  const [playing, setPlaying] = useState(false)
+  const styles = useStyles()
+  const colors = useColors()
+
+  useEffect(() => () => {
+    void sound.current?.unloadAsync()
+  }, [])
+
+  const toggle = async () => {
+    if (!sound.current) {
+      const { sound: loaded } = await Audio.Sound.createAsync({ uri: url })
+      loaded.setOnPlaybackStatusUpdate(status => {
+        if (status.isLoaded) setPlaying(status.isPlaying)
+      })
+      sound.current = loaded
+    }
+    if (playing) await sound.current.pauseAsync()
+    else await sound.current.playAsync()
+  }
+
+  return (
+    <View style={styles.player}>
+      <Pressable accessibilityLabel={playing ? 'Pause' : 'Play'} onPress={toggle}>
+        <Ionicons name={playing ? 'pause-circle' : 'play-circle'} size={40} color={colors.primary} />
+      </Pressable>
+      <Text style={styles.title}>{title}</Text>
+    </View>
+  )
+}`,
+
+  BarChart: `import React from 'react'
+import { Text, View } from 'react-native'
+import { makeStyles, radii, spacing, typography } from '../theme'
+
+interface BarChartProps {
+  values: number[]
+  labels: string[]
+}
+
+const useStyles = makeStyles(colors => ({
+  chart: { flexDirection: 'row', alignItems: 'flex-end', gap: spacing.sm, height: 192 },
+  column: { flex: 1, height: '100%', justifyContent: 'flex-end', alignItems: 'center' },
+  bar: { width: '100%', borderTopLeftRadius: radii.sm, borderTopRightRadius: radii.sm, backgroundColor: colors.primary },
+  label: { ...typography.caption, marginTop: spacing.xs, color: colors.textSecondary }
+}))
+
+export default function BarChart({ values, labels }: BarChartProps) {
+  const styles = useStyles()
+  const max = Math.max(...values) || 1
+
+  return (
+    <View style={styles.chart}>
+      {values.map((value, index) => (
+        <View key={index} style={styles.column}>
+          <View style={[styles.bar, { height: \`\${(value / max) * 85}%\` }]} />
+          <Text numberOfLines={1} style={styles.label}>{labels[index]}</Text>
+        </View>
+      ))}
+    </View>
+  )
+}`,
+
+  Calendar: `import React, { useState } from 'react'
+import { Pressable, Text, View } from 'react-native'
+import { elevation, makeStyles, radii, shadow, spacing, typography } from '../theme'
+
+interface CalendarProps {
+  value: string
+  onChange: (value: string) => void
+}
+
+const WEEKDAYS = ['Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa', 'Su']
+
+const useStyles = makeStyles(colors => ({
+  calendar: { width: 288, padding: spacing.sm + 4, borderRadius: radii.lg, backgroundColor: colors.surface, ...shadow(elevation.sm) },
+  header: { flexDirection: 'row', alignItems: 'center', justifyContent: 'space-between', marginBottom: spacing.sm },
+  title: { ...typography.body, fontWeight: '600', color: colors.textPrimary },
+  arrow: { ...typography.heading, paddingHorizontal: spacing.sm, color: colors.textPrimary },
+  grid: { flexDirection: 'row', flexWrap: 'wrap' },
+  cell: { width: '14.28%', aspectRatio: 1, alignItems: 'center', justifyContent: 'center', borderRadius: radii.full },
+  selected: { backgroundColor: colors.primary },
+  weekday: { ...typography.caption, color: colors.textSecondary },
+  day: { ...typography.body, color: colors.textPrimary },
+  selectedDay: { color: '#FFFFFF' }
+}))
+
+// Dates are "yyyy-mm-dd" strings, as on the web
+function isoDate(year: number, month: number, day: number) {
+  return \`\${year}-\${String(month + 1).padStart(2, '0')}-\${String(day).padStart(2, '0')}\`
+}
+
+export default function Calendar({ value, onChange }: CalendarProps) {
+  const styles = useStyles()
+  const initial = value ? new Date(\`\${value}T00:00:00\`) : new Date()
+  const [shown, setShown] = useState({ year: initial.getFullYear(), month: initial.getMonth() })
+  const days = new Date(shown.year, shown.month + 1, 0).getDate()
+  const offset = (new Date(shown.year, shown.month, 1).getDay() + 6) % 7
+  const title = new Date(shown.year, shown.month, 1).toLocaleDateString(undefined, { month: 'long', year: 'numeric' })
+  const shift = (delta: number) => setShown(({ year, month }) => {
+    const date = new Date(year, month + delta, 1)
+    return { year: date.getFullYear(), month: date.getMonth() }
+  })
+
+  return (
+    <View style={styles.calendar}>
+      <View style={styles.header}>
+        <Pressable accessibilityLabel="Previous month" onPress={() => shift(-1)}>
+          <Text style={styles.arrow}>‹</Text>
+        </Pressable>
+        <Text style={styles.title}>{title}</Text>
+        <Pressable accessibilityLabel="Next month" onPress={() => shift(1)}>
+          <Text style={styles.arrow}>›</Text>
+        </Pressable>
+      </View>
+      <View style={styles.grid}>
+        {WEEKDAYS.map(day => (
+          <View key={day} style={styles.cell}>
+            <Text style={styles.weekday}>{day}</Text>
+          </View>
+        ))}
+        {Array.from({ length: offset }, (_, index) => (
+          <View key={\`blank-\${index}\`} style={styles.cell} />
+        ))}
+        {Array.from({ length: days }, (_, index) => {
+          const date = isoDate(shown.year, shown.month, index + 1)
+          return (
+            <Pressable
+              key={date}
+              accessibilityState={{ selected: date === value }}
+              onPress={() => onChange(date)}
+              style={[styles.cell, date === value && styles.selected]}
+            >
+              <Text style={[styles.day, date === value && styles.selectedDay]}>{index + 1}</Text>
+            </Pressable>
+          )
+        })}
+      </View>
+    </View>
+  )
+}`,
+
+  CameraCapture: `import React, { useState } from 'react'
+import { Image, Pressable, Text, View } from 'react-native'
+import { Ionicons } from '@expo/vector-icons'
+import * as ImagePicker from 'expo-image-picker'
+import { makeStyles, radii, spacing, typography, useColors } from '../theme'
+
+interface CameraCaptureProps {
+  label: string
+}
+
+const useStyles = makeStyles(colors => ({
+  capture: { gap: spacing.sm + 4 },
+  photo: { width: '100%', height: 240, borderRadius: radii.lg },
+  button: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'flex-start',
+    gap: spacing.sm,
+    paddingHorizontal: spacing.md,
+    paddingVertical: spacing.sm + 2,
+    borderRadius: radii.md,
+    borderWidth: 1,
+    borderColor: colors.border
+  },
+  label: { ...typography.body, color: colors.textPrimary }
+}))
+
+// Takes a photo with the system camera and shows it above the button
+export default function CameraCapture({ label }: CameraCaptureProps) {
+  const [photo, setPhoto] = useState<string | null>(null)
+  const styles = useStyles()
+  const colors = useColors()
+
+  const capture = async () => {
+    const { granted } = await ImagePicker.requestCameraPermissionsAsync()
+    if (!granted) return
+    const result = await ImagePicker.launchCameraAsync({ quality: 0.8 })
+    if (!result.canceled) setPhoto(result.assets[0].uri)
+  }
+
+  return (
+    <View style={styles.capture}>
+      {photo && <Image source={{ uri: photo }} resizeMode="cover" style={styles.photo} />}
+      <Pressable onPress={capture} style={styles.button}>
+        <Ionicons name="camera" size={18} color={colors.textPrimary} />
+        <Text style={styles.label}>{label}</Text>
+      </Pressable>
+    </View>
+  )
+}`,
+
+  CodeScanner: `import React, { useState } from 'react'
+import { Modal, Pressable, Text, View } from 'react-native'
+import { Ionicons } from '@expo/vector-icons'
+import { CameraView, useCameraPermissions } from 'expo-camera'
+import { makeStyles, radii, spacing, typography, useColors } from '../theme'
+
+interface CodeScannerProps {
+  label: string
+  value: string
+  onScan: (value: string) => void
+}
+
+const useStyles = makeStyles(colors => ({
+  scanner: { gap: spacing.xs },
+  button: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'flex-start',
+    gap: spacing.sm,
+    paddingHorizontal: spacing.md,
+    paddingVertical: spacing.sm + 2,
+    borderRadius: radii.md,
+    borderWidth: 1,
+    borderColor: colors.border
+  },
+  label: { ...typography.body, color: colors.textPrimary },
+  value: { ...typography.caption, color: colors.textSecondary },
+  camera: { flex: 1 },
+  close: { position: 'absolute', top: 56, right: spacing.lg }
+}))
+
+// Full-screen camera that closes on the first QR code or barcode it reads
+export default function CodeScanner({ label, value, onScan }: CodeScannerProps) {
+  const [permission, requestPermission] = useCameraPermissions()
+  const [scanning, setScanning] = useState(false)
+  const styles = useStyles()
+  const colors = useColors()
+
+  const start = async () => {
+    const granted = permission?.granted || (await requestPermission()).granted
+    if (granted) setScanning(true)
+  }
+
+  return (
+    <View style={styles.scanner}>
+      <Pressable onPress={start} style={styles.button}>
+        <Ionicons name="scan" size={18} color={colors.textPrimary} />
+        <Text style={styles.label}>{label}</Text>
+      </Pressable>
+      {value !== '' && <Text selectable style={styles.value}>{value}</Text>}
+      <Modal visible={scanning} animationType="slide" onRequestClose={() => setScanning(false)}>
+        <CameraView
+          style={styles.camera}
+          facing="back"
+          onBarcodeScanned={scanning ? result => {
+            setScanning(false)
+            onScan(result.data)
+          } : undefined}
+        />
+        <Pressable accessibilityLabel="Close" onPress={() => setScanning(false)} style={styles.close}>
+          <Ionicons name="close-circle" size={36} color="#FFFFFF" />
+        </Pressable>
+      </Modal>
+    </View>
+  )
+}`,
+
+  DateField: `import React, { useState } from 'react'
+import { Platform, Pressable, Text, View } from 'react-native'
+import DateTimePicker from '@react-native-community/datetimepicker'
+import type { DateTimePickerEvent } from '@react-native-community/datetimepicker'
+import { makeStyles, radii, spacing, typography } from '../theme'
+
+interface DateFieldProps {
+  label: string
+  value: string
+  onChange: (value: string) => void
+}
+
+const useStyles = makeStyles(colors => ({
+  field: { flexDirection: 'row', alignItems: 'center', justifyContent: 'space-between', gap: spacing.sm },
+  label: { ...typography.body, fontWeight: '500', color: colors.textPrimary },
+  button: { paddingHorizontal: 12, paddingVertical: spacing.sm, borderRadius: radii.md, backgroundColor: colors.surface },
+  value: { ...typography.body, color: colors.textPrimary }
+}))
+
+// Dates are "yyyy-mm-dd" strings, as on the web
+function isoDate(date: Date) {
+  return \`\${date.getFullYear()}-\${String(date.getMonth() + 1).padStart(2, '0')}-\${String(date.getDate()).padStart(2, '0')}\`
+}
+
+// iOS shows the compact picker inline; Android opens the picker dialog on press
+export default function DateField({ label, value, onChange }: DateFieldProps) {
+  const [open, setOpen] = useState(false)
+  const styles = useStyles()
+  const date = value ? new Date(\`\${value}T00:00:00\`) : new Date()
+
+  const pick = (event: DateTimePickerEvent, picked?: Date) => {
+    setOpen(false)
+    if (event.type === 'set' && picked) onChange(isoDate(picked))
+  }
+
+  return (
+    <View style={styles.field}>
+      <Text style={styles.label}>{label}</Text>
+      {Platform.OS === 'ios' ? (
+        <DateTimePicker value={date} mode="date" display="compact" onChange={pick} />
+      ) : (
+        <Pressable onPress={() => setOpen(true)} style={styles.button}>
+          <Text style={styles.value}>{value ? date.toLocaleDateString() : 'Select date'}</Text>
+        </Pressable>
+      )}
+      {open && <DateTimePicker value={date} mode="date" onChange={pick} />}
+    </View>
+  )
+}`,
+
+  Dropdown: `import React, { useState } from 'react'
+import { Modal, Pressable, ScrollView, Text, View } from 'react-native'
+import { Ionicons } from '@expo/vector-icons'
+import { makeStyles, radii, spacing, typography, useColors } from '../theme'
+
+interface DropdownProps {
+  label: string
+  options: { label: string; value: string }[]
+  value: string
+  onChange: (value: string) => void
+}
+
+const useStyles = makeStyles(colors => ({
+  field: { gap: spacing.xs },
+  label: { ...typography.body, fontWeight: '500', color: colors.textPrimary },
+  select: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    borderRadius: radii.md,
+    borderWidth: 1,
+    borderColor: colors.border
+  },
+  value: { ...typography.body, flex: 1, color: colors.textPrimary },
+  backdrop: { flex: 1, justifyContent: 'center', padding: spacing.lg, backgroundColor: 'rgba(0, 0, 0, 0.5)' },
+  menu: { maxHeight: '70%', paddingVertical: spacing.sm, borderRadius: radii.lg, backgroundColor: colors.surface },
+  option: { flexDirection: 'row', alignItems: 'center', paddingHorizontal: spacing.md, paddingVertical: spacing.sm + 4 }
+}))
+
+// A select field; the options open in a menu over the screen
+export default function Dropdown({ label, options, value, onChange }: DropdownProps) {
+  const [open, setOpen] = useState(false)
+  const styles = useStyles()
+  const colors = useColors()
+  const selected = options.find(option => option.value === value)
+
+  return (
+    <View style={styles.field}>
+      <Text style={styles.label}>{label}</Text>
+      <Pressable accessibilityRole="combobox" onPress={() => setOpen(true)} style={styles.select}>
+        <Text style={styles.value}>{selected?.label ?? value}</Text>
+        <Ionicons name="chevron-down" size={18} color={colors.textSecondary} />
+      </Pressable>
+      <Modal visible={open} transparent animationType="fade" onRequestClose={() => setOpen(false)}>
+        <Pressable style={styles.backdrop} onPress={() => setOpen(false)}>
+          <View style={styles.menu}>
+            <ScrollView>
+              {options.map(option => (
+                <Pressable
+                  key={option.value}
+                  accessibilityState={{ selected: option.value === value }}
+                  onPress={() => {
+                    onChange(option.value)
+                    setOpen(false)
+                  }}
+                  style={styles.option}
+                >
+                  <Text style={styles.value}>{option.label}</Text>
+                  {option.value === value && <Ionicons name="checkmark" size={18} color={colors.primary} />}
+                </Pressable>
+              ))}
+            </ScrollView>
+          </View>
+        </Pressable>
+      </Modal>
+    </View>
+  )
+}`,
+
+  LineChart: `import React, { useState } from 'react'
+import { View } from 'react-native'
+import Svg, { Polygon, Polyline } from 'react-native-svg'
+import { useColors } from '../theme'
+
+interface LineChartProps {
+  values: number[]
+  fill?: boolean
+}
+
+const HEIGHT = 192
+
+// Points are spread over the measured width; the highest value touches the top
+export default function LineChart({ values, fill = false }: LineChartProps) {
+  const [width, setWidth] = useState(0)
+  const colors = useColors()
+  const max = Math.max(...values) || 1
+  const points = values
+    .map((value, index) => \`\${(index / Math.max(values.length - 1, 1)) * width},\${HEIGHT - (value / max) * (HEIGHT - 4)}\`)
+    .join(' ')
+
+  return (
+    <View style={{ height: HEIGHT }} onLayout={event => setWidth(event.nativeEvent.layout.width)}>
+      {width > 0 && (
+        <Svg width={width} height={HEIGHT}>
+          {fill && <Polygon points={\`0,\${HEIGHT} \${points} \${width},\${HEIGHT}\`} fill={colors.primary} fillOpacity={0.2} />}
+          <Polyline points={points} fill="none" stroke={colors.primary} strokeWidth={2} />
+        </Svg>
+      )}
+    </View>
+  )
+}`,
+
+  Popover: `import React, { useState } from 'react'
+import { Modal, Pressable, Text, View } from 'react-native'
+import { makeStyles, radii, spacing, typography } from '../theme'
+
+interface PopoverProps {
+  title: string
+  children: React.ReactNode
+}
+
+const useStyles = makeStyles(colors => ({
+  button: {
+    alignSelf: 'flex-start',
+    paddingHorizontal: spacing.md,
+    paddingVertical: spacing.sm + 2,
+    borderRadius: radii.md,
+    borderWidth: 1,
+    borderColor: colors.border
+  },
+  label: { ...typography.body, color: colors.textPrimary },
+  backdrop: { flex: 1, justifyContent: 'center', padding: spacing.lg, backgroundColor: 'rgba(0, 0, 0, 0.3)' },
+  panel: { gap: spacing.sm, padding: spacing.md, borderRadius: radii.lg, backgroundColor: colors.surface }
+}))
+
+// Tapping outside the panel closes it
+export default function Popover({ title, children }: PopoverProps) {
+  const [open, setOpen] = useState(false)
+  const styles = useStyles()
+
+  return (
+    <View>
+      <Pressable accessibilityState={{ expanded: open }} onPress={() => setOpen(true)} style={styles.button}>
+        <Text style={styles.label}>{title}</Text>
+      </Pressable>
+      <Modal visible={open} transparent animationType="fade" onRequestClose={() => setOpen(false)}>
+        <Pressable style={styles.backdrop} onPress={() => setOpen(false)}>
+          <Pressable style={styles.panel}>{children}</Pressable>
+        </Pressable>
+      </Modal>
+    </View>
+  )
+}`,
+
+  SignaturePad: `import React, { useRef, useState } from 'react'
+import { PanResponder, Pressable, Text, View } from 'react-native'
+import Svg, { Path } from 'react-native-svg'
+import { makeStyles, radii, spacing, typography, useColors } from '../theme'
+
+const useStyles = makeStyles(colors => ({
+  pad: { height: 160, overflow: 'hidden', borderRadius: radii.lg, backgroundColor: colors.surface },
+  clear: { alignSelf: 'flex-end', paddingVertical: spacing.xs },
+  clearText: { ...typography.caption, color: colors.primary }
+}))
+
+// Each stroke is an SVG path built from the touch positions
+export default function SignaturePad() {
+  const [paths, setPaths] = useState<string[]>([])
+  const styles = useStyles()
+  const colors = useColors()
+  const responder = useRef(PanResponder.create({
+    onStartShouldSetPanResponder: () => true,
+    onMoveShouldSetPanResponder: () => true,
+    onPanResponderGrant: event => {
+      const { locationX, locationY } = event.nativeEvent
+      setPaths(current => [...current, \`M\${locationX},\${locationY}\`])
+    },
+    onPanResponderMove: event => {
+      const { locationX, locationY } = event.nativeEvent
+      setPaths(current => [...current.slice(0, -1), \`\${current[current.length - 1]} L\${locationX},\${locationY}\`])
+    }
+  })).current
+
+  return (
+    <View>
+      <View style={styles.pad} {...responder.panHandlers}>
+        <Svg width="100%" height="100%">
+          {paths.map((path, index) => (
+            <Path key={index} d={path} stroke={colors.textPrimary} strokeWidth={2} strokeLinecap="round" fill="none" />
+          ))}
+        </Svg>
+      </View>
+      <Pressable onPress={() => setPaths([])} style={styles.clear}>
+        <Text style={styles.clearText}>Clear</Text>
+      </Pressable>
+    </View>
+  )
+}`,
+
+  Skeleton: `import React, { useEffect, useRef } from 'react'
+import { Animated, View } from 'react-native'
+import { makeStyles, radii, spacing } from '../theme'
+
+interface SkeletonProps {
+  lines: number
+}
+
+const useStyles = makeStyles(colors => ({
+  skeleton: { gap: spacing.sm },
+  line: { height: 14, borderRadius: radii.sm, backgroundColor: colors.border }
+}))
+
+// Placeholder lines that pulse while content loads
+export default function Skeleton({ lines }: SkeletonProps) {
+  const styles = useStyles()
+  const opacity = useRef(new Animated.Value(1)).current
+
+  useEffect(() => {
+    const pulse = Animated.loop(Animated.sequence([
+      Animated.timing(opacity, { toValue: 0.4, duration: 800, useNativeDriver: true }),
+      Animated.timing(opacity, { toValue: 1, duration: 800, useNativeDriver: true })
+    ]))
+    pulse.start()
+    return () => pulse.stop()
+  }, [opacity])
+
+  return (
+    <Animated.View accessibilityElementsHidden importantForAccessibility="no-hide-descendants" style={[styles.skeleton, { opacity }]}>
+      {Array.from({ length: lines }, (_, index) => (
+        <View key={index} style={[styles.line, index === lines - 1 && { width: '60%' }]} />
+      ))}
+    </Animated.View>
+  )
+}`,
+
+  Tooltip: `import React, { useState } from 'react'
+import { Pressable, Text, View } from 'react-native'
+import { makeStyles, radii, spacing, typography } from '../theme'
+
+interface TooltipProps {
+  text: string
+  children: React.ReactNode
+}
+
+const useStyles = makeStyles(() => ({
+  tooltip: { alignSelf: 'flex-start', gap: spacing.xs },
+  bubble: { paddingHorizontal: spacing.sm, paddingVertical: spacing.xs, borderRadius: radii.sm, backgroundColor: '#111827' },
+  text: { ...typography.caption, color: '#FFFFFF' }
+}))
+
+// Touch screens have no hover, so pressing the content toggles the text
+export default function Tooltip({ text, children }: TooltipProps) {
+  const [visible, setVisible] = useState(false)
+  const styles = useStyles()
+
+  return (
+    <View style={styles.tooltip}>
+      <Pressable accessibilityHint={text} onPress={() => setVisible(!visible)}>
+        {children}
+      </Pressable>
+      {visible && (
+        <View accessibilityRole="text" style={styles.bubble}>
+          <Text style={styles.text}>{text}</Text>
+        </View>
+      )}
+    </View>
+  )
+}`
+}
+
+// Desktop apps wrap the React output in an Electron (default) or Tauri shell
+// with the window, menu bar and native file/message dialogs around it
+function generateDesktop(project) {
+  const config = desktopConfig(project)
+  const web = generateReact(project, { desktop: true })
+  const shell = config.framework === 'tauri' ? generateTauriShell(project, config, web) : generateElectronShell(project, config, web)
+  const paths = new Set(shell.map(file => file.path))
+
+  return [...web.filter(file => !paths.has(file.path)), ...shell]
+}
+
+function desktopConfig(project) {
+  const desktop = project.platformConfig?.desktop || {}
+  const nav = navigationModel(project)
+  // The Go menu lists the tabs, or every screen of a stack app
+  const screens = nav.type === 'tabs' ? nav.tabs.map(tab => ({ path: `/${tab.screen.id}`, label: tab.label })) : project.screens.map(s => ({ path: `/${s.id}`, label: s.name }))
+
+  return {
+    framework: desktop.framework || 'electron',
+    title: desktop.windowTitle || project.platformConfig?.web?.title || project.name,
+    width: num(desktop.width, 1200),
+    height: num(desktop.height, 800),
+    minWidth: num(desktop.minWidth, 640),
+    minHeight: num(desktop.minHeight, 480),
+    resizable: desktop.resizable !== false,
+    appId: bundleIdentifier(desktop.appId || `com.hublab.${typeName(project.name).toLowerCase()}`),
+    screens
+  }
+}
+
+// package.json of the web build with the shell's scripts and dependencies merged in
+function desktopPackageJson(web, changes) {
+  const packageJson = JSON.parse(web.find(file => file.path === 'package.json').content)
+  const sorted = packages => Object.fromEntries(Object.entries(packages).sort(([a], [b]) => a.localeCompare(b)))
+  return {
+    path: 'package.json',
+    language: 'json',
+    content: JSON.stringify({
+      ...packageJson,
+      ...changes.fields,
+      scripts: { ...packageJson.scripts, ...changes.scripts },
+      dependencies: sorted({ ...packageJson.dependencies, ...changes.dependencies }),
+      devDependencies: sorted({ ...packageJson.devDependencies, ...changes.devDependencies })
+    }, null, 2)
+  }
+}
+
+// --- Electron ---
+
+function generateElectronShell(project, config, web) {
+  const tsconfig = JSON.parse(web.find(file => file.path === 'tsconfig.json').content)
+  const menuScreens = config.screens.map(screen => `  { path: '${screen.path}', label: ${jsString(screen.label)} }`).join(',\n')
+
+  return [
+    desktopPackageJson(web, {
+      fields: {
+        main: 'dist-electron/main.js',
+        build: {
+          appId: config.appId,
+          productName: config.title,
+          directories: { output: 'release' },
+          files: ['dist', 'dist-electron']
+        }
+      },
+      scripts: { build: 'tsc && vite build && electron-builder' },
+      devDependencies: {
+        '@types/node': '^20.16.10',
+        electron: '^32.2.0',
+        'electron-builder': '^25.1.8',
+        'vite-plugin-electron': '^0.28.8'
+      }
+    }),
+    {
+      path: 'vite.config.ts',
+      language: 'typescript',
+      content: `import { defineConfig } from 'vite'
+import react from '@vitejs/plugin-react'
+import electron from 'vite-plugin-electron/simple'
+
+// Relative asset paths so the built pages load from disk
+export default defineConfig({
+  base: './',
+  plugins: [
+    react(),
+    electron({
+      main: { entry: 'electron/main.ts' },
+      preload: { input: 'electron/preload.ts' }
+    })
+  ]
+})`
+    },
+    {
+      path: 'tsconfig.json',
+      language: 'json',
+      content: JSON.stringify({ ...tsconfig, include: ['src', 'electron'] }, null, 2)
+    },
+    {
+      path: 'electron/main.ts',
+      language: 'typescript',
+      content: `import { app, BrowserWindow, dialog, ipcMain, Menu, shell } from 'electron'
+import type { IpcMainInvokeEvent, MenuItemConstructorOptions } from 'electron'
+import { readFile, writeFile } from 'node:fs/promises'
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url))
+
+// Screens of the Go menu
+const screens = [
+${menuScreens}
+]
+
+let mainWindow: BrowserWindow | null = null
+
+function createWindow() {
+  mainWindow = new BrowserWindow({
+    title: ${jsString(config.title)},
+    width: ${config.width},
+    height: ${config.height},
+    minWidth: ${config.minWidth},
+    minHeight: ${config.minHeight},
+    resizable: ${config.resizable},
+    webPreferences: {
+      preload: path.join(__dirname, 'preload.mjs'),
+      contextIsolation: true,
+      nodeIntegration: false,
+      // ES module preload scripts can't run sandboxed
+      sandbox: false
+    }
+  })
+
+  // Web links that open a new window go to the default browser instead;
+  // other schemes could start any program registered for them
+  mainWindow.webContents.setWindowOpenHandler(({ url }) => {
+    if (['http:', 'https:'].includes(new URL(url).protocol)) shell.openExternal(url)
+    return { action: 'deny' }
+  })
+
+  if (process.env.VITE_DEV_SERVER_URL) {
+    mainWindow.loadURL(process.env.VITE_DEV_SERVER_URL)
+  } else {
+    mainWindow.loadFile(path.join(__dirname, '../dist/index.html'))
+  }
+  mainWindow.on('closed', () => {
+    mainWindow = null
+  })
+}
+
+function createMenu() {
+  const template: MenuItemConstructorOptions[] = [
+    ...(process.platform === 'darwin' ? [{ role: 'appMenu' as const }] : []),
+    { role: 'fileMenu' },
+    { role: 'editMenu' },
+    {
+      label: 'Go',
+      submenu: screens.map((screen, i) => ({
+        label: screen.label,
+        accelerator: i < 9 ? \`CmdOrCtrl+\${i + 1}\` : undefined,
+        click: () => mainWindow?.webContents.send('navigate', screen.path)
+      }))
+    },
+    { role: 'viewMenu' },
+    { role: 'windowMenu' }
+  ]
+  Menu.setApplicationMenu(Menu.buildFromTemplate(template))
+}
+
+// Native dialogs, called from the pages through window.desktop (see preload.ts)
+function windowOf(event: IpcMainInvokeEvent) {
+  return BrowserWindow.fromWebContents(event.sender) ?? undefined
+}
+
+ipcMain.handle('dialog:open', async (event, extensions?: string[]) => {
+  const filters = extensions ? [{ name: 'Files', extensions }] : []
+  const options = { properties: ['openFile' as const], filters }
+  const parent = windowOf(event)
+  const result = parent ? await dialog.showOpenDialog(parent, options) : await dialog.showOpenDialog(options)
+  if (result.canceled || result.filePaths.length === 0) return null
+
+  const [filePath] = result.filePaths
+  return { path: filePath, contents: await readFile(filePath, 'utf8') }
+})
+
+ipcMain.handle('dialog:save', async (event, contents: string, defaultPath?: string) => {
+  const parent = windowOf(event)
+  const result = parent ? await dialog.showSaveDialog(parent, { defaultPath }) : await dialog.showSaveDialog({ defaultPath })
+  if (result.canceled || !result.filePath) return null
+
+  await writeFile(result.filePath, contents)
+  return result.filePath
+})
+
+ipcMain.handle('dialog:message', async (event, title: string, message: string) => {
+  const parent = windowOf(event)
+  if (parent) {
+    await dialog.showMessageBox(parent, { title, message })
+  } else {
+    await dialog.showMessageBox({ title, message })
+  }
+})
+
+app.whenReady().then(() => {
+  createMenu()
+  createWindow()
+
+  app.on('activate', () => {
+    if (BrowserWindow.getAllWindows().length === 0) createWindow()
+  })
+})
+
+app.on('window-all-closed', () => {
+  if (process.platform !== 'darwin') app.quit()
+})`
+    },
+    {
+      path: 'electron/preload.ts',
+      language: 'typescript',
+      content: `import { contextBridge, ipcRenderer } from 'electron'
+import type { IpcRendererEvent } from 'electron'
+
+contextBridge.exposeInMainWorld('desktop', {
+  openFile: (extensions?: string[]) => ipcRenderer.invoke('dialog:open', extensions),
+  saveFile: (contents: string, defaultPath?: string) => ipcRenderer.invoke('dialog:save', contents, defaultPath),
+  message: (title: string, message: string) => ipcRenderer.invoke('dialog:message', title, message),
+  onNavigate: (callback: (path: string) => void) => {
+    const listener = (_event: IpcRendererEvent, path: string) => callback(path)
+    ipcRenderer.on('navigate', listener)
+    return () => {
+      ipcRenderer.removeListener('navigate', listener)
+    }
+  }
+})`
+    },
+    {
+      path: 'src/desktop.ts',
+      language: 'typescript',
+      content: `import { useEffect } from 'react'
+import { useNavigate } from 'react-router-dom'
+
+export interface OpenedFile {
+  path: string
+  contents: string
+}
+
+// Exposed by electron/preload.ts
+interface DesktopBridge {
+  openFile(extensions?: string[]): Promise<OpenedFile | null>
+  saveFile(contents: string, defaultPath?: string): Promise<string | null>
+  message(title: string, message: string): Promise<void>
+  onNavigate(callback: (path: string) => void): () => void
+}
+
+declare global {
+  interface Window {
+    desktop: DesktopBridge
+  }
+}
+
+// Native open/save/message dialogs; openFile and saveFile resolve to null when cancelled
+export const desktop = {
+  openFile: (extensions?: string[]) => window.desktop.openFile(extensions),
+  saveFile: (contents: string, defaultPath?: string) => window.desktop.saveFile(contents, defaultPath),
+  message: (title: string, message: string) => window.desktop.message(title, message)
+}
+
+// Follows the Go menu of the menu bar
+export function MenuNavigation() {
+  const navigate = useNavigate()
+  useEffect(() => window.desktop.onNavigate(path => navigate(path)), [navigate])
+  return null
+}`
+    }
+  ]
+}
+
+// --- Tauri ---
+
+// Scripts only from the app bundle; images, media, frames and API calls may
+// reach the web over https
+const TAURI_CSP = [
+  "default-src 'self'",
+  "style-src 'self' 'unsafe-inline'",
+  "img-src 'self' data: https:",
+  "media-src 'self' https:",
+  'frame-src https:',
+  "connect-src 'self' ipc: http://ipc.localhost https:"
+].join('; ')
+
+function generateTauriShell(project, config, web) {
+  const crate = project.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'hublab-app'
+  const menuScreens = config.screens.map(screen => `    ("${screen.path}", ${JSON.stringify(screen.label)}),`).join('\n')
+
+  return [
+    desktopPackageJson(web, {
+      scripts: { tauri: 'tauri' },
+      dependencies: {
+        '@tauri-apps/api': '^2.1.1',
+        '@tauri-apps/plugin-dialog': '^2.0.1'
+      },
+      devDependencies: { '@tauri-apps/cli': '^2.1.0' }
+    }),
+    {
+      path: 'vite.config.ts',
+      language: 'typescript',
+      content: `import { defineConfig } from 'vite'
+import react from '@vitejs/plugin-react'
+
+// The Tauri CLI starts the dev server on a fixed port (see src-tauri/tauri.conf.json)
+export default defineConfig({
+  plugins: [react()],
+  clearScreen: false,
+  server: {
+    port: 5173,
+    strictPort: true,
+    watch: { ignored: ['**/src-tauri/**'] }
+  }
+})`
+    },
+    {
+      path: 'src/desktop.ts',
+      language: 'typescript',
+      content: `import { useEffect } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { invoke } from '@tauri-apps/api/core'
+import { listen } from '@tauri-apps/api/event'
+import { message } from '@tauri-apps/plugin-dialog'
+
+export interface OpenedFile {
+  path: string
+  contents: string
+}
+
+// Native open/save/message dialogs; openFile and saveFile resolve to null when
+// cancelled. The commands in src-tauri/src/main.rs show the open and save
+// dialogs themselves, so only files the user picks are read or written
+export const desktop = {
+  async openFile(extensions?: string[]): Promise<OpenedFile | null> {
+    return invoke<OpenedFile | null>('open_text_file', { extensions })
+  },
+  async saveFile(contents: string, defaultPath?: string): Promise<string | null> {
+    return invoke<string | null>('save_text_file', { contents, defaultPath })
+  },
+  async message(title: string, text: string): Promise<void> {
+    await message(text, { title })
+  }
+}
+
+// Follows the Go menu of the menu bar
+export function MenuNavigation() {
+  const navigate = useNavigate()
+  useEffect(() => {
+    const unlisten = listen<string>('navigate', event => navigate(event.payload))
+    return () => {
+      unlisten.then(stop => stop())
+    }
+  }, [navigate])
+  return null
+}`
+    },
+    {
+      path: 'src-tauri/Cargo.toml',
+      language: 'toml',
+      content: `[package]
+name = "${crate}"
+version = "${project.version || '1.0.0'}"
+edition = "2021"
+
+[build-dependencies]
+tauri-build = { version = "2", features = [] }
+
+[dependencies]
+tauri = { version = "2", features = [] }
+tauri-plugin-dialog = "2"
+serde = { version = "1", features = ["derive"] }`
+    },
+    {
+      path: 'src-tauri/build.rs',
+      language: 'rust',
+      content: `fn main() {
+    tauri_build::build()
+}`
+    },
+    {
+      path: 'src-tauri/tauri.conf.json',
+      language: 'json',
+      content: JSON.stringify({
+        $schema: 'https://schema.tauri.app/config/2',
+        productName: config.title,
+        version: project.version || '1.0.0',
+        identifier: config.appId,
+        build: {
+          beforeDevCommand: 'npm run dev',
+          devUrl: 'http://localhost:5173',
+          beforeBuildCommand: 'npm run build',
+          frontendDist: '../dist'
+        },
+        app: {
+          windows: [{
+            label: 'main',
+            title: config.title,
+            width: config.width,
+            height: config.height,
+            minWidth: config.minWidth,
+            minHeight: config.minHeight,
+            resizable: config.resizable
+          }],
+          security: { csp: TAURI_CSP, devCsp: TAURI_CSP.replace("connect-src 'self'", "connect-src 'self' ws://localhost:5173") }
+        },
+        // No icon list: the project ships without icons, and `tauri icon`
+        // creates them (see OPEN_INSTRUCTIONS)
+        bundle: {
+          active: true,
+          targets: 'all'
+        }
+      }, null, 2)
+    },
+    {
+      path: 'src-tauri/capabilities/default.json',
+      language: 'json',
+      content: JSON.stringify({
+        $schema: '../gen/schemas/desktop-schema.json',
+        identifier: 'default',
+        description: 'Permissions of the main window',
+        windows: ['main'],
+        permissions: ['core:default', 'dialog:allow-message']
+      }, null, 2)
+    },
+    {
+      path: 'src-tauri/src/main.rs',
+      language: 'rust',
+      content: `// No console window next to the app in Windows release builds
+#![cfg_attr(not(debug_assertions), windows_subsystem = "windows")]
+
+use serde::Serialize;
+use tauri::menu::{MenuBuilder, MenuItemBuilder, SubmenuBuilder};
+use tauri::Emitter;
+use tauri_plugin_dialog::DialogExt;
+
+// Screens of the Go menu: (route, label)
+const SCREENS: &[(&str, &str)] = &[
+${menuScreens}
+];
+
+#[derive(Serialize)]
+struct OpenedFile {
+    path: String,
+    contents: String,
+}
+
+// Files are only read or written at a path the user picked in a native
+// dialog, never at one the webview names. Async commands run off the main
+// thread, where the blocking dialogs may wait.
+#[tauri::command]
+async fn open_text_file(app: tauri::AppHandle, extensions: Option<Vec<String>>) -> Result<Option<OpenedFile>, String> {
+    let mut dialog = app.dialog().file();
+    if let Some(extensions) = &extensions {
+        let extensions: Vec<&str> = extensions.iter().map(String::as_str).collect();
+        dialog = dialog.add_filter("Files", &extensions);
+    }
+    let Some(picked) = dialog.blocking_pick_file() else {
+        return Ok(None);
+    };
+    let path = picked.into_path().map_err(|e| e.to_string())?;
+    let contents = std::fs::read_to_string(&path).map_err(|e| e.to_string())?;
+    Ok(Some(OpenedFile { path: path.display().to_string(), contents }))
+}
+
+#[tauri::command]
+async fn save_text_file(app: tauri::AppHandle, contents: String, default_path: Option<String>) -> Result<Option<String>, String> {
+    let mut dialog = app.dialog().file();
+    if let Some(default_path) = default_path.map(std::path::PathBuf::from) {
+        if let Some(name) = default_path.file_name() {
+            dialog = dialog.set_file_name(name.to_string_lossy());
+        }
+        if let Some(dir) = default_path.parent().filter(|dir| !dir.as_os_str().is_empty()) {
+            dialog = dialog.set_directory(dir);
+        }
+    }
+    let Some(picked) = dialog.blocking_save_file() else {
+        return Ok(None);
+    };
+    let path = picked.into_path().map_err(|e| e.to_string())?;
+    std::fs::write(&path, contents).map_err(|e| e.to_string())?;
+    Ok(Some(path.display().to_string()))
+}
+
+fn main() {
+    tauri::Builder::default()
+        .plugin(tauri_plugin_dialog::init())
+        .invoke_handler(tauri::generate_handler![open_text_file, save_text_file])
+        .setup(|app| {
+            let app_menu = SubmenuBuilder::new(app, ${JSON.stringify(config.title)})
+                .about(None)
+                .separator()
+                .quit()
+                .build()?;
+            let edit = SubmenuBuilder::new(app, "Edit")
+                .undo()
+                .redo()
+                .separator()
+                .cut()
+                .copy()
+                .paste()
+                .select_all()
+                .build()?;
+            let mut go = SubmenuBuilder::new(app, "Go");
+            for (i, (route, label)) in SCREENS.iter().enumerate() {
+                let mut item = MenuItemBuilder::with_id(*route, *label);
+                if i < 9 {
+                    item = item.accelerator(format!("CmdOrCtrl+{}", i + 1));
+                }
+                go = go.item(&item.build(app)?);
+            }
+            let window = SubmenuBuilder::new(app, "Window")
+                .minimize()
+                .maximize()
+                .separator()
+                .close_window()
+                .build()?;
+            let menu = MenuBuilder::new(app)
+                .items(&[&app_menu, &edit, &go.build()?, &window])
+                .build()?;
+            app.set_menu(menu)?;
+            Ok(())
+        })
+        .on_menu_event(|app, event| {
+            let id = event.id().as_ref();
+            if SCREENS.iter().any(|(route, _)| *route == id) {
+                let _ = app.emit("navigate", id);
+            }
+        })
+        .run(tauri::generate_context!())
+        .expect("error while running the application");
+}`
+    }
+  ]
+}
+
+// ============================================
+// NAVIGATION
+// ============================================
+
+// Generic icon names mapped to SF Symbols, Material icons, lucide-react and
+// Ionicons, plus a text glyph for the HTML preview
+const ICONS = {
+  home: { sf: 'house', material: 'Home', web: 'Home', ionicons: 'home', preview: '⌂' },
+  search: { sf: 'magnifyingglass', material: 'Search', web: 'Search', ionicons: 'search', preview: '⌕' },
+  settings: { sf: 'gearshape', material: 'Settings', web: 'Settings', ionicons: 'settings', preview: '⚙' },
+  profile: { sf: 'person', material: 'Person', web: 'User', ionicons: 'person', preview: '👤' },
+  user: { sf: 'person', material: 'Person', web: 'User', ionicons: 'person', preview: '👤' },
+  heart: { sf: 'heart', material: 'Favorite', web: 'Heart', ionicons: 'heart', preview: '♥' },
+  favorites: { sf: 'heart', material: 'Favorite', web: 'Heart', ionicons: 'heart', preview: '♥' },
+  star: { sf: 'star', material: 'Star', web: 'Star', ionicons: 'star', preview: '★' },
+  cart: { sf: 'cart', material: 'ShoppingCart', web: 'ShoppingCart', ionicons: 'cart', preview: '🛒' },
+  bell: { sf: 'bell', material: 'Notifications', web: 'Bell', ionicons: 'notifications', preview: '🔔' },
+  notifications: { sf: 'bell', material: 'Notifications', web: 'Bell', ionicons: 'notifications', preview: '🔔' },
+  chat: { sf: 'message', material: 'Chat', web: 'MessageCircle', ionicons: 'chatbubble', preview: '💬' },
+  messages: { sf: 'message', material: 'Chat', web: 'MessageCircle', ionicons: 'chatbubble', preview: '💬' },
+  calendar: { sf: 'calendar', material: 'CalendarMonth', web: 'Calendar', ionicons: 'calendar', preview: '📅' },
+  list: { sf: 'list.bullet', material: 'List', web: 'List', ionicons: 'list', preview: '☰' },
+  add: { sf: 'plus', material: 'Add', web: 'Plus', ionicons: 'add', preview: '＋' },
+  camera: { sf: 'camera', material: 'CameraAlt', web: 'Camera', ionicons: 'camera', preview: '📷' },
+  map: { sf: 'map', material: 'Map', web: 'Map', ionicons: 'map', preview: '🗺' },
+  info: { sf: 'info.circle', material: 'Info', web: 'Info', ionicons: 'information-circle', preview: 'ⓘ' },
+  mail: { sf: 'envelope', material: 'Email', web: 'Mail', ionicons: 'mail', preview: '✉' },
+  lock: { sf: 'lock', material: 'Lock', web: 'Lock', ionicons: 'lock-closed', preview: '🔒' },
+  edit: { sf: 'pencil', material: 'Edit', web: 'Pencil', ionicons: 'pencil', preview: '✎' },
+  share: { sf: 'square.and.arrow.up', material: 'Share', web: 'Share2', ionicons: 'share-social', preview: '⇪' },
+  play: { sf: 'play', material: 'PlayArrow', web: 'Play', ionicons: 'play', preview: '▶' },
+  bookmark: { sf: 'bookmark', material: 'Bookmark', web: 'Bookmark', ionicons: 'bookmark', preview: '🔖' },
+  chart: { sf: 'chart.bar', material: 'BarChart', web: 'BarChart3', ionicons: 'bar-chart', preview: '📊' },
+  wallet: { sf: 'creditcard', material: 'AccountBalanceWallet', web: 'Wallet', ionicons: 'wallet', preview: '👛' },
+  circle: { sf: 'circle', material: 'Circle', web: 'Circle', ionicons: 'ellipse', preview: '●' }
+}
+
+function iconName(name, platform) {
+  return (ICONS[name] || ICONS.circle)[platform]
+}
+
+// Resolves project.navigation into the screens each generator needs:
+// the initial screen and, for tab navigation, the ordered tab list
+function navigationModel(project) {
+  const navigation = project.navigation || {}
+  const byId = id => project.screens.find(s => s.id === id)
+  const initial = byId(navigation.initialScreen) || project.screens[0]
+  const type = navigation.type === 'tabs' && project.screens.length > 1 ? 'tabs' : 'stack'
+
+  let tabs = []
+  if (type === 'tabs') {
+    const entries = navigation.tabs?.length > 0
+      ? navigation.tabs
+      : project.screens.map(s => ({ screen: s.id }))
+    tabs = entries
+      .filter(entry => byId(entry.screen))
+      .map(entry => {
+        const screen = byId(entry.screen)
+        return { screen, label: entry.label || screen.name, icon: entry.icon || screen.icon || 'circle' }
+      })
+  }
+
+  return { type, initial, tabs }
+}
+
+// ============================================
+// DATA BINDING
+// ============================================
+
+// Capsules that render one row per item of an array state field
+const DATA_CAPSULES = ['list', 'table', 'data-table', 'carousel', 'chart', 'timeline', 'kanban', 'chat', 'notifications']
+
+// props.dataSource is an inline array, a state reference ("{{state.todos}}"
+// or { state: 'todos' }) or a named endpoint ({ endpoint: 'todos', fields })
+function dataSource(instance) {
+  const value = instance.props.dataSource
+  if (Array.isArray(value)) return { rows: value }
+  const match = typeof value === 'string' && value.match(/^\{\{\s*state\.([A-Za-z][A-Za-z0-9]*)\s*\}\}$/)
+  if (match) return { state: match[1] }
+  if (value && typeof value === 'object') {
+    if (typeof value.state === 'string') return { state: value.state }
+    if (typeof value.endpoint === 'string') return { endpoint: value.endpoint, fields: value.fields }
+  }
+  return { rows: Array.isArray(instance.props.items) ? instance.props.items : [] }
+}
+
+// Fields a data capsule reads from its rows, for endpoints that don't declare them
+function itemReferences(instance) {
+  const fields = {}
+  for (const child of instance.children || []) {
+    walkCapsules(child, '', capsule => {
+      for (const value of Object.values(capsule.props || {})) {
+        if (typeof value !== 'string') continue
+        for (const match of value.matchAll(/\{\{\s*item\.([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g)) fields[match[1]] = 'string'
+      }
+    })
+  }
+  // Kanban columns are values of groupBy, not row fields
+  const columns = instance.capsuleId !== 'kanban' && Array.isArray(instance.props.columns) ? instance.props.columns : []
+  if (instance.capsuleId === 'kanban') fields[instance.props.groupBy || 'status'] = 'string'
+  for (const column of columns) {
+    const key = typeof column === 'string' ? column : column?.key
+    if (key) fields[key] = 'string'
+  }
+  if (typeof instance.props.x === 'string') fields[instance.props.x] = 'string'
+  if (typeof instance.props.y === 'string') fields[instance.props.y] = 'number'
+  return fields
+}
+
+// Rows of objects get a generated model named after the screen and field;
+// the rows themselves are normalised to the model's field names and types
+function recordShape(screen, key, rows, declared) {
+  const list = Array.isArray(rows) ? rows.filter(row => row && typeof row === 'object') : []
+  const fields = {}
+  for (const [name, type] of Object.entries(declared || {})) fields[memberName(name)] = { key: name, type }
+  for (const row of list) {
+    for (const [name, value] of Object.entries(row)) {
+      if (fields[memberName(name)] || value === null) continue
+      fields[memberName(name)] = { key: name, type: ['number', 'boolean'].includes(typeof value) ? typeof value : 'string' }
+    }
+  }
+  if (Object.keys(fields).length === 0) fields.value = { key: 'value', type: 'string' }
+
+  return {
+    model: `${typeName(screen.id)}${typeName(key)}Item`,
+    fields,
+    default: list.map(row => Object.fromEntries(Object.keys(fields).map(name => [name, recordValue(row, name, fields[name])])))
+  }
+}
+
+function recordValue(row, name, field) {
+  const value = row?.[name] ?? row?.[field.key]
+  if (value === null || value === undefined) return STATE_DEFAULTS[field.type]
+  if (field.type === 'number') return num(value, 0)
+  if (field.type === 'boolean') return Boolean(value)
+  return typeof value === 'object' ? JSON.stringify(value) : String(value)
+}
+
+// Shape of one element of an array field
+function itemField(field) {
+  return field.items === 'object'
+    ? { type: 'object', model: field.model, fields: field.fields }
+    : { type: field.items || 'string' }
+}
+
+// The state field a data capsule renders, and the context its item template
+// is generated in
+function dataBinding(instance, ctx) {
+  const source = dataSource(instance)
+  const key = source.state ? memberName(source.state) : bindingKey(instance)
+  const item = itemField(ctx.state?.[key] || { type: 'array', items: 'string' })
+  return { key, item, itemCtx: { ...ctx, item } }
+}
+
+// Children are rendered once per row; without children the first two fields
+// of the row (or the row itself) are shown as text
+function itemTemplate(instance, item) {
+  if (instance.children?.length > 0) return instance.children
+  const names = item.fields ? Object.keys(item.fields).slice(0, 2) : [null]
+  return names.map((name, i) => ({
+    id: `${instance.id}-field-${i}`,
+    capsuleId: 'text',
+    props: { content: name ? `{{item.${name}}}` : '{{item}}' }
+  }))
+}
+
+// props.columns lists field keys or { key, label }; defaults to every field
+function tableColumns(instance, item) {
+  if (!item.fields) return [{ label: String(instance.props.label || 'Value'), template: '{{item}}' }]
+  const columns = Array.isArray(instance.props.columns) && instance.props.columns.length > 0
+    ? instance.props.columns
+    : Object.values(item.fields).map(f => f.key)
+
+  return columns
+    .map(column => typeof column === 'string' ? { key: column, label: column } : { key: column?.key, label: column?.label || column?.key })
+    .filter(column => typeof column.key === 'string' && item.fields[memberName(column.key)])
+    .map(column => ({ label: String(column.label), template: `{{item.${memberName(column.key)}}}` }))
+}
+
+// props.x / props.y name the fields to plot; x defaults to the first text
+// field (or the row position), y to the first number field (or the row itself)
+function chartAxes(instance, item) {
+  const fields = Object.entries(item.fields || {})
+  const pick = (prop, type) => {
+    const name = typeof instance.props[prop] === 'string' ? memberName(instance.props[prop]) : fields.find(([, f]) => f.type === type)?.[0]
+    return item.fields?.[name] ? name : null
+  }
+  const x = pick('x', 'string')
+  const y = pick('y', 'number')
+
+  return {
+    type: ['bar', 'line', 'area', 'point'].includes(instance.props.type) ? instance.props.type : 'bar',
+    x: x && `item.${x}`,
+    y: y ? `item.${y}` : item.type === 'number' ? 'item' : null,
+    xLabel: x || 'Index',
+    yLabel: y || 'Value'
+  }
+}
+
+// ============================================
+// CAPSULES
+// ============================================
+
+// Capsules that can't be rendered faithfully on a platform, and what is
+// generated instead. Everything else has a native implementation everywhere.
+const CAPSULE_FALLBACKS = {
+  ios: {
+    'rich-text-editor': 'Plain TextEditor without inline formatting'
+  },
+  android: {
+    map: 'Google Maps needs an API key; shows the coordinates with an "Open in Maps" button',
+    'color-picker': 'Material 3 has no colour picker; shows a palette of swatches',
+    'rich-text-editor': 'Multi-line text field without inline formatting',
+    'pdf-viewer': 'Opens the PDF in the system viewer instead of rendering it inline'
+  },
+  web: {
+    scanner: 'Browsers lack a portable barcode API; shows a manual code entry field',
+    biometrics: 'WebAuthn needs a server-issued challenge; shows a disabled unlock button'
+  },
+  flutter: {
+    'color-picker': 'Material has no colour picker; shows a palette of swatches',
+    'rich-text-editor': 'Multi-line text field without inline formatting',
+    'pdf-viewer': 'Opens the PDF in the system viewer instead of rendering it inline'
+  },
+  'react-native': {
+    map: 'Native maps need a Google Maps API key on Android; shows the OpenStreetMap embed in a WebView',
+    'color-picker': 'React Native has no colour picker; shows a palette of swatches',
+    'rich-text-editor': 'Multi-line text input without inline formatting',
+    'pdf-viewer': 'Android WebViews cannot render PDFs; opens the PDF in the system viewer'
+  }
+}
+
+// Permissions, usage descriptions and packages a capsule needs on each platform
+// (Flutter and React Native builds also take the android permissions and ios usage descriptions)
+const CAPSULE_REQUIREMENTS = {
+  image: { android: { permissions: ['INTERNET'], dependencies: ['io.coil-kt:coil-compose:2.7.0'] } },
+  video: {
+    android: { permissions: ['INTERNET'], dependencies: ['androidx.media3:media3-exoplayer:1.4.1', 'androidx.media3:media3-ui:1.4.1'] },
+    flutter: { dependencies: { video_player: '^2.9.2' } },
+    'react-native': { dependencies: { 'expo-av': '~15.0.2' } }
+  },
+  audio: {
+    android: { permissions: ['INTERNET'], dependencies: ['androidx.media3:media3-exoplayer:1.4.1'] },
+    flutter: { dependencies: { audioplayers: '^6.1.0' } },
+    'react-native': { dependencies: { 'expo-av': '~15.0.2' } }
+  },
+  webview: {
+    android: { permissions: ['INTERNET'] },
+    flutter: { dependencies: { webview_flutter: '^4.9.0' } },
+    'react-native': { dependencies: { 'react-native-webview': '13.12.5' } }
+  },
+  qrcode: {
+    android: { dependencies: ['com.google.zxing:core:3.5.3'] },
+    web: { dependencies: { 'qrcode.react': '^4.1.0' } },
+    flutter: { dependencies: { qr_flutter: '^4.1.0' } },
+    'react-native': { dependencies: { 'react-native-qrcode-svg': '^6.3.12', 'react-native-svg': '15.8.0' } }
+  },
+  scanner: {
+    ios: { usage: { NSCameraUsageDescription: 'The camera is used to take photos and scan codes.' } },
+    android: { dependencies: ['com.google.android.gms:play-services-code-scanner:16.1.0'] },
+    flutter: { dependencies: { mobile_scanner: '^5.2.3' } },
+    'react-native': { dependencies: { 'expo-camera': '~16.0.18' } }
+  },
+  camera: {
+    ios: { usage: { NSCameraUsageDescription: 'The camera is used to take photos and scan codes.' } },
+    flutter: { dependencies: { image_picker: '^1.1.2' } },
+    'react-native': { dependencies: { 'expo-image-picker': '~16.0.6' } }
+  },
+  location: {
+    ios: { usage: { NSLocationWhenInUseUsageDescription: 'Your location is shown in the app.' } },
+    android: { permissions: ['ACCESS_COARSE_LOCATION'] },
+    flutter: { dependencies: { geolocator: '^13.0.1' } },
+    'react-native': { dependencies: { 'expo-location': '~18.0.10' } }
+  },
+  biometrics: {
+    ios: { usage: { NSFaceIDUsageDescription: 'Face ID is used to unlock the app.' } },
+    android: { dependencies: ['androidx.biometric:biometric:1.1.0'] },
+    flutter: { dependencies: { local_auth: '^2.3.0' } },
+    'react-native': { dependencies: { 'expo-local-authentication': '~15.0.2' } }
+  },
+  notifications: {
+    android: { permissions: ['POST_NOTIFICATIONS'] },
+    flutter: { dependencies: { permission_handler: '^11.3.1' } },
+    'react-native': { dependencies: { 'expo-notifications': '~0.29.14' } }
+  },
+  map: {
+    flutter: { permissions: ['INTERNET'], dependencies: { flutter_map: '^7.0.2', latlong2: '^0.9.1' } },
+    'react-native': { dependencies: { 'react-native-webview': '13.12.5' } }
+  },
+  'file-upload': {
+    flutter: { dependencies: { file_picker: '^8.1.2' } },
+    'react-native': { dependencies: { 'expo-document-picker': '~13.0.3' } }
+  },
+  'pdf-viewer': { flutter: { dependencies: { url_launcher: '^6.3.0' } } },
+  'social-share': { flutter: { dependencies: { share_plus: '^10.0.2' } } },
+  chart: { 'react-native': { dependencies: { 'react-native-svg': '15.8.0' } } },
+  signature: { 'react-native': { dependencies: { 'react-native-svg': '15.8.0' } } },
+  slider: { 'react-native': { dependencies: { '@react-native-community/slider': '4.5.5' } } },
+  datepicker: { 'react-native': { dependencies: { '@react-native-community/datetimepicker': '8.2.0' } } }
+}
+
+// Every capsule the schema accepts, the AI prompt lists and the generators
+// render. Built-ins are drawn by the generators' switch statements; custom
+// capsules bring a code template per platform (see registerCapsule).
+const CAPSULE_REGISTRY = {}
+
+// Built-in capsules with the description the AI prompt shows and the props
+// they read besides the shared ones (actions, bind, dataSource, layout);
+// a prop given as a string is shorthand for { type }
+const BUILTIN_CAPSULES = [
+  { id: 'button', description: 'Text button with variants (primary, secondary, outline, ghost)', props: { text: 'string', variant: 'string' } },
+  { id: 'text', description: 'Display text with content, variant (title, heading, subheading, body, caption)', props: { content: 'string', variant: 'string' } },
+  { id: 'input', description: 'Text input with placeholder, label, type (text, email, password, number) and validation { required, email, minLength, maxLength, pattern, match, messages }', props: { label: 'string', placeholder: 'string', type: 'string', validation: { $ref: '#/definitions/InputValidation' } } },
+  { id: 'card', description: 'Container with title, elevation, children', props: { title: 'string' } },
+  { id: 'image', description: 'Display image with src, alt, aspectRatio', props: { src: 'string', alt: 'string', aspectRatio: { anyOf: [{ type: 'number' }, { type: 'string' }] }, cornerRadius: 'number' } },
+  { id: 'list', description: 'Scrollable list rendering one row per item of dataSource' },
+  { id: 'modal', description: 'Popup dialog with title, content; opened with showModal', props: { title: 'string' } },
+  { id: 'form', description: 'Form container with onSubmit, submitText (adds a submit button when it has none); its submit stays disabled until the validated inputs inside are valid', props: { submitText: 'string' } },
+  { id: 'navigation', description: 'Header bar with title and links, items [{ label, screen }]', props: { title: 'string', items: 'array' } },
+  { id: 'auth-screen', description: 'Email and password sign-in form with title, submitText, onSubmit and an optional signUpScreen link', props: { title: 'string', submitText: 'string', signUpScreen: 'string', signUpText: 'string' } },
+  { id: 'chart', description: 'Data visualization (bar, line, area, point) of dataSource with x, y field names', props: { type: 'string', x: 'string', y: 'string' } },
+  { id: 'skeleton', description: 'Loading placeholder with lines', props: { lines: 'number' } },
+  { id: 'switch', description: 'Toggle switch with label, checked', props: { label: 'string', checked: 'boolean' } },
+  { id: 'slider', description: 'Range slider with min, max, value', props: { min: 'number', max: 'number', value: 'number' } },
+  { id: 'tabs', description: 'Tab panes, one per child (labelled by its label/title) or items [{ title, content }]', props: { items: 'array', selected: 'number' } },
+  { id: 'accordion', description: 'Collapsible sections, one per child or items [{ title, content }]', props: { items: 'array' } },
+  { id: 'dropdown', description: 'Select dropdown with label, options (strings or { label, value })', props: { label: 'string', placeholder: 'string', options: 'array' } },
+  { id: 'datepicker', description: 'Date field with label', props: { label: 'string' } },
+  { id: 'progress', description: 'Progress indicator (linear, circular) with value 0-100', props: { value: 'number', variant: 'string' } },
+  { id: 'tooltip', description: 'Tooltip with text, shown for its child (or an info icon)', props: { text: 'string' } },
+  { id: 'table', description: 'Table of dataSource rows with columns', props: { columns: 'array' } },
+  { id: 'searchbar', description: 'Search input with placeholder', props: { placeholder: 'string' } },
+  { id: 'rating', description: 'Star rating with max, value', props: { max: 'number', value: 'number' } },
+  { id: 'stepper', description: 'Numeric input with +/- buttons, label, min, max, step', props: { label: 'string', min: 'number', max: 'number', step: 'number', value: 'number' } },
+  { id: 'chip', description: 'Selectable tag with label, selected', props: { label: 'string', selected: 'boolean' } },
+  { id: 'divider', description: 'Visual separator' },
+  { id: 'calendar', description: 'Inline month calendar' },
+  { id: 'file-upload', description: 'File picker button with label, storing the chosen file name', props: { label: 'string' } },
+  { id: 'carousel', description: 'Horizontally scrolling cards, one per item of dataSource' },
+  { id: 'timeline', description: 'Vertical timeline, one entry per item of dataSource' },
+  { id: 'bottom-sheet', description: 'Panel sliding up from the bottom with title and children; opened with showModal', props: { title: 'string' } },
+  { id: 'popover', description: 'Button with title that shows its children in a small floating panel', props: { title: 'string' } },
+  { id: 'color-picker', description: 'Color choice with label and a hex value', props: { label: 'string', value: 'string', swatches: 'array' } },
+  { id: 'rich-text-editor', description: 'Multi-line editor with bold/italic formatting', props: { placeholder: 'string' } },
+  { id: 'signature', description: 'Signature capture pad' },
+  { id: 'map', description: 'Map centred on latitude, longitude with zoom (1-20) and a title marker', props: { latitude: 'number', longitude: 'number', lat: 'number', lng: 'number', zoom: 'number', title: 'string', height: 'number' } },
+  { id: 'video', description: 'Video player with src, poster', props: { src: 'string', poster: 'string' } },
+  { id: 'audio', description: 'Audio player with src, title', props: { src: 'string', title: 'string' } },
+  { id: 'data-table', description: 'Wide, sideways-scrolling table of dataSource rows with columns', props: { columns: 'array' } },
+  { id: 'kanban', description: 'Board of dataSource rows grouped into columns by groupBy (default "status")', props: { title: 'string', groupBy: 'string', columns: 'array' } },
+  { id: 'chat', description: 'Message bubbles from dataSource (textField, mineField name the row fields) with a composer running onSend', props: { textField: 'string', mineField: 'string', placeholder: 'string' } },
+  { id: 'qrcode', description: 'QR code of value', props: { value: 'string' } },
+  { id: 'scanner', description: 'QR/barcode scanner storing the scanned code', props: { label: 'string' } },
+  { id: 'pdf-viewer', description: 'PDF document viewer for src', props: { src: 'string', title: 'string', height: 'number' } },
+  { id: 'notifications', description: 'Permission prompt plus one row per item of dataSource' },
+  { id: 'webview', description: 'Embedded web page at src', props: { src: 'string', title: 'string', height: 'number' } },
+  { id: 'biometrics', description: 'Face ID / fingerprint unlock button with label, running onSuccess', props: { label: 'string', reason: 'string' } },
+  { id: 'location', description: 'Button storing the current coordinates, with label', props: { label: 'string' } },
+  { id: 'camera', description: 'Button taking a photo, with label', props: { label: 'string' } },
+  { id: 'social-share', description: 'Share button for url or text, with label and title', props: { label: 'string', title: 'string', url: 'string', text: 'string' } },
+  { id: 'row', description: 'Children side by side, with alignment (top, center, bottom), gap, padding' },
+  { id: 'column', description: 'Children stacked vertically, with alignment (start, center, end), gap, padding' },
+  { id: 'zstack', description: 'Children layered on top of each other, placed by alignment (e.g. top-end, center, bottom-start)' },
+  { id: 'grid', description: 'Children in a grid of columns (1-12) with gap', props: { columns: 'number' } },
+  { id: 'spacer', description: 'Flexible space that pushes row/column siblings apart, or a fixed size', props: { size: { $ref: '#/definitions/LayoutSpacing' } } },
+  { id: 'scroll-view', description: 'Scrolling container with direction (vertical, horizontal), gap, height', props: { height: 'number' } },
+  { id: 'safe-area', description: 'Full-screen container that keeps its children clear of notches and system bars' }
+]
+
+// How a custom capsule's template receives values on each platform: text
+// (with its {{state.x}} references), other JSON values, action code, a
+// missing prop, and the generated children with their separator
+const CAPSULE_TEMPLATES = {
+  ios: { text: swiftText, json: value => swiftString(JSON.stringify(value)), actions: swiftUIActions, none: 'nil', child: generateSwiftUIComponent, separator: '\n' },
+  android: { text: kotlinText, json: value => kotlinString(JSON.stringify(value)), actions: composeActions, none: 'null', child: generateComposeComponent, separator: '\n' },
+  web: { text: jsValue, json: jsValue, actions: reactActions, none: 'undefined', child: generateReactComponent, separator: '\n' },
+  flutter: { text: dartText, json: value => dartString(JSON.stringify(value)), actions: flutterActions, none: 'null', child: generateFlutterComponent, separator: ',\n' },
+  'react-native': { text: jsValue, json: jsValue, actions: reactNativeActions, none: 'undefined', child: generateReactNativeComponent, separator: '\n' },
+  preview: { text: previewHtml, json: value => xmlEscape(JSON.stringify(value)), actions: (value, ctx) => previewLink(value, ctx) || '#', none: '', child: previewCapsule, separator: '\n' }
+}
+
+// Adds a capsule to the registry, the schema (capsuleId enum, props checked
+// through CapsuleProps) and the platform requirements. A custom capsule is
+// { id, description, props, required, render, imports, requirements }:
+//   render       code template per platform (ios, android, web, flutter,
+//                react-native, preview); {{prop}} is replaced by the prop's
+//                value as an expression in the platform's language (so JSX
+//                writes {{{prop}}}; actions become statements), {{children}}
+//                by the child views and {{id}} by the capsule id
+//   imports      per platform: Swift modules, Kotlin qualified names, Dart
+//                package URIs, or full import lines for web and React Native
+//   requirements same shape as CAPSULE_REQUIREMENTS
+function registerCapsule(definition, { builtin = false } = {}) {
+  const { id, description, props = {}, required = [], render = {}, imports = {}, requirements } = definition || {}
+  if (typeof id !== 'string' || !/^[a-z][a-z0-9-]*$/.test(id)) throw new Error('"id" must be lowercase kebab-case')
+  if (CAPSULE_REGISTRY[id]) throw new Error(`capsule "${id}" is already registered`)
+  if (typeof description !== 'string' || !description.trim()) throw new Error('"description" is required')
+  for (const [platform, template] of Object.entries(render)) {
+    if (!CAPSULE_TEMPLATES[platform]) throw new Error(`unknown platform "${platform}" in "render"; use ${Object.keys(CAPSULE_TEMPLATES).join(', ')}`)
+    if (typeof template !== 'string') throw new Error(`"render.${platform}" must be a string`)
+  }
+  for (const [platform, lines] of Object.entries(imports)) {
+    if (!CAPSULE_TEMPLATES[platform] || !Array.isArray(lines)) throw new Error(`"imports.${platform}" must be a list for a known platform`)
+  }
+
+  const propSchemas = Object.fromEntries(Object.entries(props).map(([name, prop]) => [name, typeof prop === 'string' ? { type: prop } : prop]))
+  CAPSULE_REGISTRY[id] = { id, description: description.trim(), props: propSchemas, required, render, imports, builtin }
+
+  const instance = schema.definitions.CapsuleInstance
+  instance.properties.capsuleId.enum.push(id)
+  if (Object.keys(propSchemas).length > 0 || required.length > 0) {
+    schema.definitions.CapsuleProps[id] = { type: 'object', properties: propSchemas, ...(required.length > 0 && { required }) }
+    instance.allOf.push({
+      if: { required: ['capsuleId'], properties: { capsuleId: { const: id } } },
+      then: { properties: { props: { $ref: `#/definitions/CapsuleProps/${id}` } } }
+    })
+  }
+
+  if (requirements) CAPSULE_REQUIREMENTS[id] = requirements
+  if (!builtin) {
+    for (const platform of Object.keys(CAPSULE_FALLBACKS)) {
+      if (!render[platform]) CAPSULE_FALLBACKS[platform][id] = 'No template for this platform; renders its children or a placeholder'
+    }
+  }
+}
+
+// Custom capsules: one JSON definition per file in CAPSULES_DIR, read at
+// startup. A broken file is reported and skipped.
+function loadCustomCapsules(dir) {
+  if (!existsSync(dir)) return []
+  const loaded = []
+  for (const file of readdirSync(dir).filter(name => name.endsWith('.json')).sort()) {
+    try {
+      const definition = JSON.parse(readFileSync(path.join(dir, file), 'utf8'))
+      registerCapsule(definition)
+      loaded.push(definition.id)
+    } catch (error) {
+      console.error(`Skipping capsule ${file}:`, error.message)
+    }
+  }
+  return loaded
+}
+
+BUILTIN_CAPSULES.forEach(definition => registerCapsule(definition, { builtin: true }))
+const CUSTOM_CAPSULES = loadCustomCapsules(CAPSULES_DIR)
+
+// Code of a custom capsule on a platform, from its template
+function renderCapsuleTemplate(instance, platform, ctx) {
+  const language = CAPSULE_TEMPLATES[platform]
+  return CAPSULE_REGISTRY[instance.capsuleId].render[platform].replace(/\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g, (_, name) => {
+    if (name === 'children') return (instance.children || []).map(child => language.child(child, ctx)).join(language.separator)
+    if (name === 'id') return instance.id
+    const value = instance.props[name]
+    if (ACTION_PROPS.includes(name)) return language.actions(value, ctx)
+    if (value === undefined || value === null) return language.none
+    if (typeof value === 'string') return language.text(value, ctx)
+    if (typeof value === 'number' || typeof value === 'boolean') return String(value)
+    return language.json(value, ctx)
+  })
+}
+
+// A capsule with a template for the platform
+function hasCapsuleTemplate(capsuleId, platform) {
+  return Boolean(CAPSULE_REGISTRY[capsuleId]?.render[platform])
+}
+
+// Imports the custom capsules under a root need on a platform
+function capsuleImports(root, platform) {
+  const imports = new Set()
+  walkCapsules(root, '', instance => CAPSULE_REGISTRY[instance.capsuleId]?.imports[platform]?.forEach(line => imports.add(line)))
+  return [...imports]
+}
+
+// Public description of the registry for GET /capsules
+function capsuleCatalog() {
+  return Object.values(CAPSULE_REGISTRY).map(capsule => ({
+    id: capsule.id,
+    description: capsule.description,
+    builtin: capsule.builtin,
+    props: capsule.props,
+    required: capsule.required,
+    platforms: capsule.builtin ? Object.keys(CAPSULE_TEMPLATES) : Object.keys(capsule.render)
+  }))
+}
+
+function projectCapsules(project) {
+  const used = new Set()
+  for (const screen of project.screens || []) walkCapsules(screen.root, '', instance => used.add(instance.capsuleId))
+  return used
+}
+
+// Merged requirements of every capsule the project uses on one platform
+function platformRequirements(project, platform) {
+  const merged = { permissions: new Set(), dependencies: new Set(), usage: {}, packages: {} }
+  for (const capsuleId of projectCapsules(project)) {
+    const needs = CAPSULE_REQUIREMENTS[capsuleId]?.[platform] || {}
+    needs.permissions?.forEach(p => merged.permissions.add(p))
+    Array.isArray(needs.dependencies) ? needs.dependencies.forEach(d => merged.dependencies.add(d)) : Object.assign(merged.packages, needs.dependencies)
+    Object.assign(merged.usage, needs.usage)
+  }
+  return merged
+}
+
+// Which capsule/platform combinations are native and which are fallbacks;
+// desktop builds share the web renderer
+function capsuleCoverage() {
+  const platforms = schema.definitions.Platform.enum
+  const renderer = platform => platform === 'desktop' ? 'web' : platform
+  const capsules = schema.definitions.CapsuleInstance.properties.capsuleId.enum.map(capsuleId => ({
+    capsuleId,
+    platforms: Object.fromEntries(platforms.map(platform => {
+      const note = CAPSULE_FALLBACKS[renderer(platform)]?.[capsuleId]
+      return [platform, note ? { status: 'fallback', note } : { status: 'native' }]
+    }))
+  }))
+  const summary = Object.fromEntries(platforms.map(platform => [platform, {
+    native: capsules.filter(c => c.platforms[platform].status === 'native').length,
+    fallback: capsules.filter(c => c.platforms[platform].status === 'fallback').length
+  }]))
+
+  return { platforms, capsules, summary }
+}
+
+// Panes of tabs and sections of an accordion: one per child, labelled by its
+// label/title prop, or props.items as { title, content } text sections
+function capsuleSections(instance) {
+  if (instance.children?.length > 0) {
+    return instance.children.map(child => ({
+      label: String(child.props?.label || child.props?.title || typeName(child.id).replace(/([a-z])([A-Z])/g, '$1 $2')),
+      child
+    }))
+  }
+  return (Array.isArray(instance.props.items) ? instance.props.items : []).map((item, i) => ({
+    label: String(item?.title ?? item?.label ?? item),
+    child: { id: `${instance.id}-section-${i}`, capsuleId: 'text', props: { content: item?.content ?? '' } }
+  }))
+}
+
+// Links of a navigation capsule: props.items as { label, screen, icon }, limited to existing screens
+function navigationLinks(instance, ctx) {
+  const items = Array.isArray(instance.props.items) ? instance.props.items : []
+  return items.filter(item => ctx.project.screens.some(s => s.id === item?.screen))
+    .map(item => ({ label: String(item.label || ctx.project.screens.find(s => s.id === item.screen).name), screen: item.screen, icon: item.icon }))
+}
+
+// Columns of a kanban board: rows are grouped by props.groupBy (default
+// "status"), in the order of props.columns or of first appearance in the data
+function kanbanColumns(instance, item, ctx) {
+  const groupBy = memberName(instance.props.groupBy || 'status')
+  if (item.fields?.[groupBy]?.type !== 'string') return { groupBy: null, columns: [{ label: String(instance.props.title || 'All'), value: null }] }
+
+  const declared = capsuleOptions({ options: instance.props.columns })
+  const rows = ctx.state?.[dataBinding(instance, ctx).key]?.default || []
+  const values = declared.length > 0 ? declared : [...new Set(rows.map(row => row[groupBy]).filter(Boolean))].map(value => ({ label: value, value }))
+  return { groupBy, columns: values.length > 0 ? values : [{ label: 'To do', value: 'todo' }, { label: 'Done', value: 'done' }] }
+}
+
+// Message text and "sent by me" flag of a chat row: props.textField /
+// props.mineField, defaulting to the first text and first boolean field
+function chatFields(instance, item) {
+  const fields = Object.entries(item.fields || {})
+  const pick = (prop, type) => {
+    const name = typeof instance.props[prop] === 'string' ? memberName(instance.props[prop]) : fields.find(([, f]) => f.type === type)?.[0]
+    return item.fields?.[name]?.type === type ? name : null
+  }
+  const text = pick('textField', 'string')
+  const mine = pick('mineField', 'boolean')
+  return { text: text ? `{{item.${text}}}` : item.fields ? '' : '{{item}}', mine: mine && `item.${mine}` }
+}
+
+// Centre and zoom of a map capsule; defaults to San Francisco
+function mapRegion(props) {
+  const latitude = Math.min(90, Math.max(-90, num(props.latitude ?? props.lat, 37.7749)))
+  const longitude = Math.min(180, Math.max(-180, num(props.longitude ?? props.lng, -122.4194)))
+  const delta = 360 / Math.pow(2, Math.min(20, Math.max(1, num(props.zoom, 12))))
+  return { latitude, longitude, delta }
+}
+
+// Aspect ratio of an image as a number, from 1.5 or "16:9"
+function aspectRatio(value) {
+  const match = String(value ?? '').match(/^(\d+(?:\.\d+)?)\s*[:/]\s*(\d+(?:\.\d+)?)$/)
+  const ratio = match ? Number(match[1]) / Number(match[2]) : Number(value)
+  return Number.isFinite(ratio) && ratio > 0 ? Number(ratio.toFixed(4)) : null
+}
+
+const DEFAULT_SWATCHES = ['#EF4444', '#F97316', '#EAB308', '#22C55E', '#06B6D4', '#3B82F6', '#6366F1', '#EC4899']
+
+// ============================================
+// THEME TOKENS
+// ============================================
+
+// Every project gets the full token set; theme values override these defaults
+const THEME_DEFAULTS = {
+  colors: {
+    primary: '#4F46E5',
+    secondary: '#8B5CF6',
+    background: '#FFFFFF',
+    surface: '#F8FAFC',
+    border: '#E2E8F0',
+    error: '#DC2626',
+    text: { primary: '#1E293B', secondary: '#64748B' }
+  },
+  darkColors: {
+    background: '#0F172A',
+    surface: '#1E293B',
+    border: '#334155',
+    error: '#F87171',
+    text: { primary: '#F1F5F9', secondary: '#94A3B8' }
+  },
+  typography: {
+    title: { size: 28, weight: 'bold', lineHeight: 34 },
+    heading: { size: 22, weight: 'semibold', lineHeight: 28 },
+    subheading: { size: 17, weight: 'semibold', lineHeight: 24 },
+    body: { size: 15, weight: 'regular', lineHeight: 22 },
+    caption: { size: 12, weight: 'regular', lineHeight: 16 }
+  },
+  spacing: { xs: 4, sm: 8, md: 16, lg: 24, xl: 32 },
+  radii: { sm: 4, md: 8, lg: 12, full: 9999 },
+  elevation: { none: 0, sm: 1, md: 3, lg: 6 }
+}
+
+const TEXT_STYLES = Object.keys(THEME_DEFAULTS.typography)
+const FONT_WEIGHTS = {
+  regular: { swift: 'regular', kotlin: 'Normal', css: 400, dart: 'w400' },
+  medium: { swift: 'medium', kotlin: 'Medium', css: 500, dart: 'w500' },
+  semibold: { swift: 'semibold', kotlin: 'SemiBold', css: 600, dart: 'w600' },
+  bold: { swift: 'bold', kotlin: 'Bold', css: 700, dart: 'w700' }
+}
+
+// Nested colors flatten into one token each: { text: { primary } } -> textPrimary
+function flattenColors(colors, prefix = []) {
+  const flat = {}
+  for (const [key, value] of Object.entries(colors || {})) {
+    if (value && typeof value === 'object') Object.assign(flat, flattenColors(value, [...prefix, key]))
+    else if (typeof value === 'string') flat[memberName([...prefix, key].join('-'))] = { path: [...prefix, key], value }
+  }
+  return flat
+}
+
+// Resolved tokens of a project's theme. Dark colors fall back to the
+// default dark palette, then to the light value (brand colors stay the same).
+function themeTokens(theme = {}) {
+  const light = { ...flattenColors(THEME_DEFAULTS.colors), ...flattenColors(theme.colors) }
+  const dark = { ...flattenColors(THEME_DEFAULTS.darkColors), ...flattenColors(theme.darkColors) }
+  const colors = Object.entries(light).map(([name, { path, value }]) => ({
+    name,
+    path,
+    light: value,
+    dark: dark[name]?.value || value
+  }))
+  const typography = theme.typography || {}
+  const styles = Object.fromEntries(TEXT_STYLES.map(style => {
+    const base = THEME_DEFAULTS.typography[style]
+    const custom = typography[style] || {}
+    return [style, {
+      size: num(custom.size, base.size),
+      weight: FONT_WEIGHTS[custom.weight] ? custom.weight : base.weight,
+      lineHeight: num(custom.lineHeight, Math.max(base.lineHeight, num(custom.size, base.size)))
+    }]
+  }))
+  const scale = name => ({ ...THEME_DEFAULTS[name], ...Object.fromEntries(Object.entries(theme[name] || {}).map(([k, v]) => [k, num(v, THEME_DEFAULTS[name][k])])) })
+
+  return {
+    colors,
+    fontFamily: typeof typography.fontFamily === 'string' && typography.fontFamily.trim() ? typography.fontFamily.trim() : null,
+    styles,
+    spacing: scale('spacing'),
+    radii: scale('radii'),
+    elevation: scale('elevation')
+  }
+}
+
+// Text capsule variant -> token style; unknown variants read as body text
+function textStyle(variant) {
+  return TEXT_STYLES.includes(variant) ? variant : 'body'
+}
+
+// Generic font families every platform ships; anything else is a named font
+const GENERIC_FONTS = {
+  serif: { swift: '.serif', kotlin: 'FontFamily.Serif', css: 'serif', dart: 'serif', native: "Platform.select({ ios: 'Georgia', default: 'serif' })" },
+  monospace: { swift: '.monospaced', kotlin: 'FontFamily.Monospace', css: 'monospace', dart: 'monospace', native: "Platform.select({ ios: 'Menlo', default: 'monospace' })" },
+  'sans-serif': { swift: '.default', kotlin: 'FontFamily.SansSerif', css: 'sans-serif', dart: null, native: null },
+  rounded: { swift: '.rounded', kotlin: 'FontFamily.SansSerif', css: 'ui-rounded', dart: null, native: null }
+}
+
+// --- SwiftUI ---
+
+// One colorset per token, with a dark appearance when it differs
+function swiftColorAsset(appName, name, light, dark) {
+  const component = value => (value / 255).toFixed(3)
+  const entry = (hex, appearance) => {
+    const { r, g, b, a } = parseHexColor(hex)
+    return {
+      ...(appearance ? { appearances: [{ appearance: 'luminosity', value: 'dark' }] } : {}),
+      color: { 'color-space': 'srgb', components: { red: component(r), green: component(g), blue: component(b), alpha: a.toFixed(3) } },
+      idiom: 'universal'
+    }
+  }
+  return {
+    path: `${appName}/Assets.xcassets/${name}.colorset/Contents.json`,
+    language: 'json',
+    content: JSON.stringify({
+      colors: light === dark ? [entry(light)] : [entry(light), entry(dark, 'dark')],
+      info: { author: 'xcode', version: 1 }
+    }, null, 2)
+  }
+}
+
+function generateSwiftTheme(appName, tokens) {
+  const generic = GENERIC_FONTS[tokens.fontFamily?.toLowerCase()]
+  const font = style => {
+    const { size, weight } = tokens.styles[style]
+    if (tokens.fontFamily && !generic) return `Font.custom(${swiftString(tokens.fontFamily)}, size: ${size}).weight(.${FONT_WEIGHTS[weight].swift})`
+    return `Font.system(size: ${size}, weight: .${FONT_WEIGHTS[weight].swift}${generic ? `, design: ${generic.swift}` : ''})`
+  }
+  const scale = (name, values) => `enum ${name} {
+${Object.entries(values).map(([key, value]) => `    static let ${memberName(key)}: CGFloat = ${value}`).join('\n')}
+}`
+
+  return {
+    path: `${appName}/Theme/Theme.swift`,
+    language: 'swift',
+    content: `import SwiftUI
+
+// Colors live in Assets.xcassets, each with a light and a dark appearance
+struct ThemeColors {
+${tokens.colors.map(color => `    let ${color.name} = Color(${swiftString(typeName(color.name))})`).join('\n')}
+}
+
+extension Color {
+    static let theme = ThemeColors()
+}
+
+struct ThemeFonts {
+${TEXT_STYLES.map(style => `    let ${style} = ${font(style)}`).join('\n')}
+}
+
+extension Font {
+    static let theme = ThemeFonts()
+}
+
+${scale('Spacing', tokens.spacing)}
+
+${scale('Radius', tokens.radii)}
+
+${scale('Elevation', tokens.elevation)}`
+  }
+}
+
+// --- Jetpack Compose ---
+
+// Material roles cover most tokens; the full set is also exposed through AppTheme.colors
+const MATERIAL_COLOR_ROLES = {
+  primary: 'primary',
+  secondary: 'secondary',
+  background: 'background',
+  surface: 'surface',
+  error: 'error',
+  border: 'outline',
+  textPrimary: ['onBackground', 'onSurface'],
+  textSecondary: 'onSurfaceVariant'
+}
+
+const MATERIAL_TEXT_STYLES = {
+  title: ['headlineMedium'],
+  heading: ['titleLarge'],
+  subheading: ['titleMedium'],
+  body: ['bodyLarge', 'bodyMedium'],
+  caption: ['bodySmall', 'labelSmall']
+}
+
+function generateComposeTheme(project, packageName, appName, sourceDir) {
+  const tokens = themeTokens(project.theme)
+  const generic = GENERIC_FONTS[tokens.fontFamily?.toLowerCase()]
+  const fontFamily = generic ? generic.kotlin : 'FontFamily.Default'
+  const palette = variant => tokens.colors.map(color => `    ${color.name} = ${composeColor(color[variant])}`).join(',\n')
+  const scheme = (variant, builder) => `private val ${variant === 'light' ? 'Light' : 'Dark'}Colors = ${builder}(
+${tokens.colors.flatMap(color => [MATERIAL_COLOR_ROLES[color.name] || []].flat().map(role => `    ${role} = ${variant === 'light' ? 'Light' : 'Dark'}ThemeColors.${color.name}`)).join(',\n')}
+)`
+  const textStyles = TEXT_STYLES.flatMap(style => MATERIAL_TEXT_STYLES[style].map(slot => {
+    const { size, weight, lineHeight } = tokens.styles[style]
+    return `    ${slot} = TextStyle(
+        fontFamily = AppFontFamily,
+        fontWeight = FontWeight.${FONT_WEIGHTS[weight].kotlin},
+        fontSize = ${size}.sp,
+        lineHeight = ${lineHeight}.sp
+    )`
+  }))
+  const scale = (name, values) => `object ${name} {
+${Object.entries(values).map(([key, value]) => `    val ${memberName(key)} = ${value}.dp`).join('\n')}
+}`
+
+  return {
+    path: `${sourceDir}/ui/theme/Theme.kt`,
+    language: 'kotlin',
+    content: `package ${packageName}.ui.theme
+
+import androidx.compose.foundation.isSystemInDarkTheme
+import androidx.compose.material3.MaterialTheme
+import androidx.compose.material3.Typography
+import androidx.compose.material3.darkColorScheme
+import androidx.compose.material3.lightColorScheme
+import androidx.compose.runtime.Composable
+import androidx.compose.runtime.CompositionLocalProvider
+import androidx.compose.runtime.Immutable
+import androidx.compose.runtime.ReadOnlyComposable
+import androidx.compose.runtime.staticCompositionLocalOf
+import androidx.compose.ui.graphics.Color
+import androidx.compose.ui.text.TextStyle
+import androidx.compose.ui.text.font.FontFamily
+import androidx.compose.ui.text.font.FontWeight
+import androidx.compose.ui.unit.dp
+import androidx.compose.ui.unit.sp
+
+@Immutable
+data class ThemeColors(
+${tokens.colors.map(color => `    val ${color.name}: Color`).join(',\n')}
+)
+
+private val LightThemeColors = ThemeColors(
+${palette('light')}
+)
+
+private val DarkThemeColors = ThemeColors(
+${palette('dark')}
+)
+
+${scheme('light', 'lightColorScheme')}
+
+${scheme('dark', 'darkColorScheme')}
+${tokens.fontFamily && !generic ? `\n// Add ${comment(tokens.fontFamily)} under res/font and load it here to use it\n` : ''}
+private val AppFontFamily = ${fontFamily}
+
+private val AppTypography = Typography(
+${textStyles.join(',\n')}
+)
+
+${scale('Spacing', tokens.spacing)}
+
+${scale('Radii', tokens.radii)}
+
+${scale('Elevation', tokens.elevation)}
+
+private val LocalThemeColors = staticCompositionLocalOf { LightThemeColors }
+
+// Tokens for capsules: AppTheme.colors.textSecondary, AppTheme.spacing.md, ...
+object AppTheme {
+    val colors: ThemeColors
+        @Composable
+        @ReadOnlyComposable
+        get() = LocalThemeColors.current
+    val spacing = Spacing
+    val radii = Radii
+    val elevation = Elevation
+}
+
+@Composable
+fun ${appName}Theme(
+    darkTheme: Boolean = isSystemInDarkTheme(),
+    content: @Composable () -> Unit
+) {
+    CompositionLocalProvider(LocalThemeColors provides if (darkTheme) DarkThemeColors else LightThemeColors) {
+        MaterialTheme(
+            colorScheme = if (darkTheme) DarkColors else LightColors,
+            typography = AppTypography,
+            content = content
+        )
+    }
+}`
+  }
+}
+
+// --- React ---
+
+// CSS variable of a color token: textPrimary -> --color-text-primary
+function cssColorVariable(color) {
+  return `--color-${color.path.map(part => part.replace(/([a-z0-9])([A-Z])/g, '$1-$2').toLowerCase()).join('-')}`
+}
+
+// Space-separated channels so Tailwind opacity modifiers (bg-primary/50) work
+function cssChannels(hex) {
+  const { r, g, b } = parseHexColor(hex)
+  return `${r} ${g} ${b}`
+}
+
+function cssShadow(elevation) {
+  return elevation > 0 ? `0 ${Math.ceil(elevation / 2)}px ${elevation * 2}px rgb(0 0 0 / 0.12)` : 'none'
+}
+
+function generateThemeCss(tokens) {
+  const generic = GENERIC_FONTS[tokens.fontFamily?.toLowerCase()]
+  const family = tokens.fontFamily
+    ? `${generic ? generic.css : `${cssString(tokens.fontFamily)}, system-ui`}, sans-serif`
+    : 'system-ui, -apple-system, "Segoe UI", Roboto, sans-serif'
+  const variables = variant => tokens.colors.map(color => `  ${cssColorVariable(color)}: ${cssChannels(color[variant])};`)
+  const darkVariables = tokens.colors.filter(color => color.dark !== color.light)
+
+  return `@tailwind base;
+@tailwind components;
+@tailwind utilities;
+
+:root {
+${variables('light').join('\n')}
+  --font-family: ${family};
+${Object.entries(tokens.spacing).map(([key, value]) => `  --space-${key}: ${value}px;`).join('\n')}
+${Object.entries(tokens.radii).map(([key, value]) => `  --radius-${key}: ${value}px;`).join('\n')}
+${Object.entries(tokens.elevation).map(([key, value]) => `  --elevation-${key}: ${cssShadow(value)};`).join('\n')}
+}
+${darkVariables.length > 0 ? `
+@media (prefers-color-scheme: dark) {
+  :root {
+${darkVariables.map(color => `    ${cssColorVariable(color)}: ${cssChannels(color.dark)};`).join('\n')}
+  }
+}
+` : ''}
+body {
+  @apply bg-background text-text-primary font-sans;
+}`
+}
+
+// Tailwind theme built from the CSS variables, keeping the theme's color nesting
+function tailwindTheme(tokens) {
+  const colors = {}
+  for (const color of tokens.colors) {
+    let target = colors
+    color.path.slice(0, -1).forEach(part => { target = target[part] = typeof target[part] === 'object' ? target[part] : {} })
+    target[color.path[color.path.length - 1]] = `rgb(var(${cssColorVariable(color)}) / <alpha-value>)`
+  }
+  const variables = (prefix, values) => Object.fromEntries(Object.keys(values).map(key => [key, `var(--${prefix}-${key})`]))
+
+  return {
+    colors,
+    fontFamily: { sans: ['var(--font-family)'] },
+    fontSize: Object.fromEntries(TEXT_STYLES.map(style => {
+      const { size, weight, lineHeight } = tokens.styles[style]
+      return [style, [`${size}px`, { lineHeight: `${lineHeight}px`, fontWeight: String(FONT_WEIGHTS[weight].css) }]]
+    })),
+    spacing: variables('space', tokens.spacing),
+    borderRadius: variables('radius', tokens.radii),
+    boxShadow: variables('elevation', tokens.elevation)
+  }
+}
+
+// --- Flutter ---
+
+// Material roles as for Compose; background/onBackground are deprecated in
+// Flutter's ColorScheme, the scaffold background carries that token instead
+function generateFlutterTheme(tokens) {
+  const generic = GENERIC_FONTS[tokens.fontFamily?.toLowerCase()]
+  const fontFamily = generic ? generic.dart : tokens.fontFamily
+  const names = tokens.colors.map(color => color.name)
+  const palette = variant => tokens.colors.map(color => `  ${color.name}: ${composeColor(color[variant])},`).join('\n')
+  const roles = tokens.colors.flatMap(color => [MATERIAL_COLOR_ROLES[color.name] || []].flat()
+    .filter(role => role !== 'background' && role !== 'onBackground')
+    .map(role => `        ${role}: colors.${color.name},`))
+  const textStyles = TEXT_STYLES.flatMap(style => MATERIAL_TEXT_STYLES[style].map(slot => {
+    const { size, weight, lineHeight } = tokens.styles[style]
+    return `  ${slot}: TextStyle(fontSize: ${size}, fontWeight: FontWeight.${FONT_WEIGHTS[weight].dart}, height: ${lineHeight} / ${size}),`
+  }))
+  const scale = (name, values) => `abstract final class ${name} {
+${Object.entries(values).map(([key, value]) => `  static const double ${memberName(key)} = ${value};`).join('\n')}
+}`
+
+  return {
+    path: 'lib/theme.dart',
+    language: 'dart',
+    content: `import 'package:flutter/material.dart';
+
+// Every theme color token; read them with AppColors.of(context).textSecondary
+@immutable
+class AppColors extends ThemeExtension<AppColors> {
+  const AppColors({
+${names.map(name => `    required this.${name},`).join('\n')}
+  });
+
+${names.map(name => `  final Color ${name};`).join('\n')}
+
+  static AppColors of(BuildContext context) => Theme.of(context).extension<AppColors>()!;
+
+  @override
+  AppColors copyWith({${names.map(name => `Color? ${name}`).join(', ')}}) {
+    return AppColors(
+${names.map(name => `      ${name}: ${name} ?? this.${name},`).join('\n')}
+    );
+  }
+
+  @override
+  AppColors lerp(AppColors? other, double t) {
+    if (other == null) return this;
+    return AppColors(
+${names.map(name => `      ${name}: Color.lerp(${name}, other.${name}, t)!,`).join('\n')}
+    );
+  }
+}
+
+const lightColors = AppColors(
+${palette('light')}
+);
+
+const darkColors = AppColors(
+${palette('dark')}
+);
+
+const _textTheme = TextTheme(
+${textStyles.join('\n')}
+);
+
+${scale('Spacing', tokens.spacing)}
+
+${scale('Radii', tokens.radii)}
+
+${scale('Elevation', tokens.elevation)}
+
+abstract final class AppTheme {
+  static final light = _build(lightColors, Brightness.light);
+  static final dark = _build(darkColors, Brightness.dark);
+${tokens.fontFamily && !generic ? `\n  // Add ${comment(tokens.fontFamily)} under fonts: in pubspec.yaml to use it\n` : ''}
+  static ThemeData _build(AppColors colors, Brightness brightness) {
+    return ThemeData(
+      colorScheme: ColorScheme.fromSeed(seedColor: colors.primary, brightness: brightness).copyWith(
+${roles.join('\n')}
+      ),
+      scaffoldBackgroundColor: colors.background,${fontFamily ? `\n      fontFamily: ${dartString(fontFamily)},` : ''}
+      textTheme: _textTheme,
+      extensions: [colors],
+    );
+  }
+}`
+  }
+}
+
+// --- React Native ---
+
+// Color tokens for both schemes, text styles, scales and the makeStyles
+// helper the shared and component StyleSheets are built with
+function generateReactNativeTheme(tokens) {
+  const generic = GENERIC_FONTS[tokens.fontFamily?.toLowerCase()]
+  const fontFamily = generic ? generic.native : tokens.fontFamily && jsString(tokens.fontFamily)
+  const palette = variant => tokens.colors.map(color => `  ${color.name}: '${color[variant].toUpperCase()}'`).join(',\n')
+  const textStyles = TEXT_STYLES.map(style => {
+    const { size, weight, lineHeight } = tokens.styles[style]
+    return `  ${style}: { fontSize: ${size}, fontWeight: '${FONT_WEIGHTS[weight].css}', lineHeight: ${lineHeight}${fontFamily ? `, fontFamily: ${fontFamily}` : ''} }`
+  })
+  const scale = values => Object.entries(values).map(([key, value]) => `  ${memberName(key)}: ${value}`).join(',\n')
+
+  return {
+    path: 'src/theme.ts',
+    language: 'typescript',
+    content: `import { ${fontFamily?.startsWith('Platform') ? 'Platform, ' : ''}StyleSheet, useColorScheme } from 'react-native'
+import type { ViewStyle } from 'react-native'
+
+export const lightColors = {
+${palette('light')}
+}
+
+export type Colors = typeof lightColors
+
+export const darkColors: Colors = {
+${palette('dark')}
+}
+${tokens.fontFamily && !generic ? `\n// Load ${comment(tokens.fontFamily)} with expo-font (useFonts) before the first screen renders` : ''}
+export const typography = StyleSheet.create({
+${textStyles.join(',\n')}
+})
+
+export const spacing = {
+${scale(tokens.spacing)}
+}
+
+export const radii = {
+${scale(tokens.radii)}
+}
+
+export const elevation = {
+${scale(tokens.elevation)}
+}
+
+// iOS draws shadows from the shadow props, Android from elevation
+export function shadow(level: number): ViewStyle {
+  if (level <= 0) return {}
+  return {
+    shadowColor: '#000000',
+    shadowOpacity: 0.12,
+    shadowRadius: level * 2,
+    shadowOffset: { width: 0, height: Math.ceil(level / 2) },
+    elevation: level
+  }
+}
+
+export function useColors(): Colors {
+  return useColorScheme() === 'dark' ? darkColors : lightColors
+}
+
+// Hook returning a StyleSheet built from the current colors; the sheet for
+// each color scheme is created once
+export function makeStyles<T extends StyleSheet.NamedStyles<T>>(factory: (colors: Colors) => T) {
+  const sheets = new Map<Colors, T>()
+  return function useStyles(): T {
+    const colors = useColors()
+    let sheet = sheets.get(colors)
+    if (!sheet) {
+      sheet = StyleSheet.create(factory(colors))
+      sheets.set(colors, sheet)
+    }
+    return sheet
+  }
+}`
+  }
+}
+
+// ============================================
+// LAYOUT
+// ============================================
+
+// Gap or padding of a layout capsule as { token, size }: a theme spacing token
+// by name, a number of points, or the fallback token when unset
+function layoutSpacing(value, ctx, fallback) {
+  const spacing = themeTokens(ctx.project.theme).spacing
+  if (typeof value === 'string' && value in spacing) return { token: value, size: spacing[value] }
+  const size = num(value, null)
+  if (size !== null) return { token: null, size: Math.max(size, 0) }
+  return fallback ? { token: fallback, size: spacing[fallback] } : null
+}
+
+// Cross-axis alignment of a row or column: start, center or end
+function crossAlignment(value, fallback) {
+  return { start: 'start', top: 'start', center: 'center', end: 'end', bottom: 'end' }[value] || fallback
+}
+
+// Placement of a zstack's layers as { vertical, horizontal }, e.g. "top-end"
+function layerAlignment(value) {
+  const parts = String(value || 'center').split('-')
+  return {
+    vertical: parts.includes('top') ? 'start' : parts.includes('bottom') ? 'end' : 'center',
+    horizontal: parts.includes('start') ? 'start' : parts.includes('end') ? 'end' : 'center'
+  }
+}
+
+// Children of a row or column; flexible spacers and props.flex share the free space
+function stackChildren(instance) {
+  return (instance.children || []).map(child => ({
+    child,
+    spacer: child.capsuleId === 'spacer' && child.props.size === undefined,
+    flex: num(child.props.flex, 0)
+  }))
+}
+
+function gridColumns(instance) {
+  return Math.min(Math.max(Math.round(num(instance.props.columns, 2)), 1), 12)
+}
+
+// --- SwiftUI ---
+
+const SWIFT_ALIGNMENT = {
+  vertical: { start: '.top', center: '.center', end: '.bottom' },
+  horizontal: { start: '.leading', center: '.center', end: '.trailing' }
+}
+
+function swiftSpacing(spacing) {
+  return spacing.token ? `Spacing.${spacing.token}` : String(spacing.size)
+}
+
+function swiftPadding(value, ctx) {
+  const padding = layoutSpacing(value, ctx)
+  return padding ? `\n        .padding(${swiftSpacing(padding)})` : ''
+}
+
+function swiftLayerAlignment(value) {
+  const { vertical, horizontal } = layerAlignment(value)
+  const v = { start: 'top', center: '', end: 'bottom' }[vertical]
+  const h = { start: 'leading', center: '', end: 'trailing' }[horizontal]
+  return `.${v && h ? v + typeName(h) : v || h || 'center'}`
+}
+
+// --- Jetpack Compose ---
+
+const COMPOSE_ALIGNMENT = {
+  vertical: { start: 'Alignment.Top', center: 'Alignment.CenterVertically', end: 'Alignment.Bottom' },
+  horizontal: { start: 'Alignment.Start', center: 'Alignment.CenterHorizontally', end: 'Alignment.End' }
+}
+
+function composeSpacing(spacing) {
+  return spacing.token ? `AppTheme.spacing.${spacing.token}` : `${spacing.size}.dp`
+}
+
+function composePadding(value, ctx) {
+  const padding = layoutSpacing(value, ctx)
+  return padding ? `.padding(${composeSpacing(padding)})` : ''
+}
+
+function composeLayerAlignment(value) {
+  const { vertical, horizontal } = layerAlignment(value)
+  const v = { start: 'Top', center: 'Center', end: 'Bottom' }[vertical]
+  const h = { start: 'Start', center: 'Center', end: 'End' }[horizontal]
+  return `Alignment.${v === h ? 'Center' : v + h}`
+}
+
+// --- React ---
+
+const REACT_ALIGNMENT = {
+  items: { start: 'items-start', center: 'items-center', end: 'items-end' },
+  self: { start: 'self-start', center: 'self-center', end: 'self-end' },
+  justifySelf: { start: 'justify-self-start', center: 'justify-self-center', end: 'justify-self-end' }
+}
+
+// Tailwind utility for a spacing: the theme token class or an arbitrary pixel value
+function reactSpacing(prefix, spacing) {
+  return spacing.token ? `${prefix}-${spacing.token}` : `${prefix}-[${spacing.size}px]`
+}
+
+function reactPadding(value, ctx) {
+  const padding = layoutSpacing(value, ctx)
+  return padding ? ` ${reactSpacing('p', padding)}` : ''
+}
+
+// --- Flutter ---
+
+const FLUTTER_ALIGNMENT = {
+  start: 'CrossAxisAlignment.start',
+  center: 'CrossAxisAlignment.center',
+  end: 'CrossAxisAlignment.end'
+}
+
+function flutterSpacing(spacing) {
+  return spacing.token ? `Spacing.${spacing.token}` : String(spacing.size)
+}
+
+function flutterPadding(widget, value, ctx) {
+  const padding = layoutSpacing(value, ctx)
+  return padding ? `Padding(
+          padding: const EdgeInsets.all(${flutterSpacing(padding)}),
+          child: ${widget},
+        )` : widget
+}
+
+function flutterLayerAlignment(value) {
+  const { vertical, horizontal } = layerAlignment(value)
+  const v = { start: 'top', center: 'center', end: 'bottom' }[vertical]
+  const h = { start: 'Start', center: 'Center', end: 'End' }[horizontal]
+  return `AlignmentDirectional.${v === 'center' && h === 'Center' ? 'center' : v + h}`
+}
+
+// --- React Native ---
+
+const REACT_NATIVE_ALIGNMENT = { start: 'flex-start', center: 'center', end: 'flex-end' }
+
+function reactNativeSpacing(spacing) {
+  return spacing.token ? `spacing.${spacing.token}` : String(spacing.size)
+}
+
+// Style object entry for a layout capsule's padding, e.g. ", padding: spacing.md"
+function reactNativePadding(value, ctx) {
+  const padding = layoutSpacing(value, ctx)
+  return padding ? `, padding: ${reactNativeSpacing(padding)}` : ''
+}
+
+// ============================================
+// ACCESSIBILITY
+// ============================================
+
+// Heading level of the text variants that read as headings; the screen's
+// name is the level 1 heading
+const HEADING_LEVELS = { title: 2, heading: 3 }
+
+// What screen readers announce for a capsule: props.accessibility over the
+// defaults its other props imply (an image's alt, an input's label, a title)
+function accessibilityOf(instance) {
+  const { capsuleId, props } = instance
+  const a11y = props.accessibility || {}
+  const level = capsuleId === 'text' ? HEADING_LEVELS[props.variant] : undefined
+  const role = a11y.role || (a11y.heading || level ? 'heading' : null)
+  return {
+    label: a11y.label || { image: props.alt, input: props.label }[capsuleId] || null,
+    hint: a11y.hint || null,
+    role,
+    heading: role === 'heading' ? a11y.heading || level || 2 : null,
+    hidden: a11y.hidden === true
+  }
+}
+
+// The part of a capsule's accessibility the platform wrappers below add, or
+// null when there's nothing to add. Images and inputs place their label in
+// the control itself, and React and Compose texts mark their own headings.
+function wrappedAccessibility(instance, platform) {
+  const a11y = accessibilityOf(instance)
+  if (['image', 'input'].includes(instance.capsuleId)) a11y.label = null
+  if (instance.capsuleId === 'text' && a11y.role === 'heading' && ['web', 'android'].includes(platform)) {
+    a11y.role = null
+    a11y.heading = null
+  }
+  return a11y.hidden || a11y.label || a11y.hint || a11y.role ? a11y : null
+}
+
+// Adds attributes to the root element of generated JSX when it's one of the
+// given tags, otherwise wraps the element in a wrapper tag carrying them
+function jsxAttributes(content, attrs, tags, wrapper) {
+  const tag = /^<([\w.]+)/.exec(content)?.[1]
+  if (!tag || !tags.test(tag)) {
+    return `<${wrapper} ${attrs.join(' ')}>
+        ${content}
+      </${wrapper}>`
+  }
+  const multiline = content.startsWith(`<${tag}\n`)
+  return `<${tag}${attrs.map(attr => multiline ? `\n        ${attr}` : ` ${attr}`).join('')}${content.slice(tag.length + 1)}`
+}
+
+// --- SwiftUI ---
+
+const SWIFT_TRAITS = { button: '.isButton', link: '.isLink', image: '.isImage', heading: '.isHeader' }
+
+function swiftAccessibility(content, instance, ctx) {
+  const a11y = wrappedAccessibility(instance, 'ios')
+  if (!a11y || !content) return content
+  // Modifiers line up with the ones the view already has
+  const indent = /\n( *)\.[^\n]*$/.exec(content)?.[1] || '        '
+  if (a11y.hidden) return `${content}\n${indent}.accessibilityHidden(true)`
+
+  // A labeled container reads as one element
+  return content + [
+    a11y.label && instance.children?.length > 0 && '.accessibilityElement(children: .combine)',
+    a11y.label && `.accessibilityLabel(${swiftText(a11y.label, ctx)})`,
+    a11y.hint && `.accessibilityHint(${swiftText(a11y.hint, ctx)})`,
+    a11y.role && `.accessibilityAddTraits(${SWIFT_TRAITS[a11y.role]})`,
+    a11y.heading && `.accessibilityHeading(.h${a11y.heading})`
+  ].filter(Boolean).map(modifier => `\n${indent}${modifier}`).join('')
+}
+
+// --- Jetpack Compose ---
+
+// Compose has no link role and no hints; TalkBack announces links and
+// actions from the clickable elements themselves
+const COMPOSE_ROLES = { button: 'role = Role.Button', image: 'role = Role.Image', heading: 'heading()' }
+
+function composeAccessibility(content, instance, ctx) {
+  const a11y = wrappedAccessibility(instance, 'android')
+  if (!a11y || !content) return content
+  const properties = [
+    a11y.label && `contentDescription = ${kotlinText(a11y.label, ctx)}`,
+    COMPOSE_ROLES[a11y.role]
+  ].filter(Boolean)
+  if (!a11y.hidden && properties.length === 0) return content
+
+  const semantics = a11y.hidden ? 'clearAndSetSemantics { }' : `semantics(mergeDescendants = true) { ${properties.join('; ')} }`
+  return `Box(Modifier.${semantics}) {
+            ${content.replace(/\n/g, '\n    ')}
+        }`
+}
+
+// --- React ---
+
+const REACT_ROLES = { button: 'button', link: 'link', image: 'img', heading: 'heading' }
+
+function reactAccessibility(content, instance) {
+  const a11y = wrappedAccessibility(instance, 'web')
+  if (!a11y || !content) return content
+  if (a11y.hidden) return jsxAttributes(content, ['aria-hidden="true"'], /^[a-z]/, 'div')
+
+  // aria-label is ignored on plain containers, so a labeled one becomes a group
+  const container = !/^<[a-z]/.test(content) || /^<(div|span)[\s>]/.test(content)
+  const role = a11y.role ? REACT_ROLES[a11y.role] : a11y.label && container ? 'group' : null
+  return jsxAttributes(content, [
+    role && `role="${role}"`,
+    a11y.heading && `aria-level={${a11y.heading}}`,
+    a11y.label && `aria-label=${jsxAttr(a11y.label)}`,
+    a11y.hint && `aria-description=${jsxAttr(a11y.hint)}`
+  ].filter(Boolean), /^[a-z]/, 'div')
+}
+
+// --- Flutter ---
+
+const FLUTTER_ROLES = { button: 'button', link: 'link', image: 'image', heading: 'header' }
+
+function flutterAccessibility(widget, instance, ctx) {
+  const a11y = wrappedAccessibility(instance, 'flutter')
+  if (!a11y || !widget) return widget
+  if (a11y.hidden) {
+    return `ExcludeSemantics(
+          child: ${widget},
+        )`
+  }
+  return `Semantics(
+          ${[
+            a11y.label && `label: ${dartText(a11y.label, ctx)}`,
+            a11y.hint && `hint: ${dartText(a11y.hint, ctx)}`,
+            a11y.role && `${FLUTTER_ROLES[a11y.role]}: true`,
+            a11y.heading && `headingLevel: ${a11y.heading}`
+          ].filter(Boolean).join(',\n          ')},
+          child: ${widget},
+        )`
+}
+
+// --- React Native ---
+
+const REACT_NATIVE_ROLES = { button: 'button', link: 'link', image: 'image', heading: 'header' }
+
+function reactNativeAccessibility(content, instance) {
+  const a11y = wrappedAccessibility(instance, 'react-native')
+  if (!a11y || !content) return content
+  const attrs = a11y.hidden
+    ? ['accessibilityElementsHidden', 'importantForAccessibility="no-hide-descendants"']
+    : [
+        a11y.label && 'accessible',
+        a11y.label && `accessibilityLabel=${jsxAttr(a11y.label)}`,
+        a11y.hint && `accessibilityHint=${jsxAttr(a11y.hint)}`,
+        a11y.role && `accessibilityRole="${REACT_NATIVE_ROLES[a11y.role]}"`
+      ].filter(Boolean)
+  return jsxAttributes(content, attrs, /^(View|Text|Pressable|Image|TextInput|ScrollView)$/, 'View')
+}
+
+// --- Lint report ---
+
+// Text colors the generated screens draw and what they draw them on; button
+// labels are white on the primary color
+const CONTRAST_PAIRS = [
+  ['textPrimary', 'background'],
+  ['textSecondary', 'background'],
+  ['textPrimary', 'surface'],
+  ['textSecondary', 'surface'],
+  ['error', 'background'],
+  [null, 'primary']
+]
+
+// WCAG AA for body-size text
+const MIN_CONTRAST = 4.5
+
+function relativeLuminance(hex) {
+  const { r, g, b } = parseHexColor(hex)
+  const [R, G, B] = [r, g, b].map(c => {
+    const v = c / 255
+    return v <= 0.03928 ? v / 12.92 : ((v + 0.055) / 1.055) ** 2.4
+  })
+  return 0.2126 * R + 0.7152 * G + 0.0722 * B
+}
+
+function contrastRatio(a, b) {
+  const [lighter, darker] = [relativeLuminance(a), relativeLuminance(b)].sort((x, y) => y - x)
+  return (lighter + 0.05) / (darker + 0.05)
+}
+
+// Images without alt text, inputs without a label and theme color pairs under
+// the WCAG AA contrast ratio, each as { path, rule, message, hint }. The
+// default colors meet AA, so only pairs with a color of the project's own are
+// checked, and a contrast issue points at the project's color that is in effect.
+function accessibilityReport(project) {
+  const issues = []
+
+  project.screens.forEach((screen, i) => {
+    walkCapsules(screen.root, `/screens/${i}/root`, (instance, path) => {
+      const a11y = accessibilityOf(instance)
+      if (a11y.hidden) return
+      if (instance.capsuleId === 'image' && !a11y.label) {
+        issues.push(validationError(`${path}/props/alt`, 'image-alt', `image "${instance.id}" has no alt text`,
+          'Describe the image in "alt", or set "accessibility": { "hidden": true } when it is decorative'))
+      }
+      if (instance.capsuleId === 'input' && !a11y.label) {
+        issues.push(validationError(`${path}/props/label`, 'input-label', `input "${instance.id}" has no label`,
+          'Give it a "label" or an "accessibility" label; a placeholder disappears as soon as the user types'))
+      }
+    })
+  })
+
+  // Dark colors come from darkColors, then the default dark palette, then the
+  // light colors (see themeTokens)
+  const own = { light: flattenColors(project.theme?.colors), dark: flattenColors(project.theme?.darkColors) }
+  const defaultDark = flattenColors(THEME_DEFAULTS.darkColors)
+  const pointer = (name, mode) => {
+    if (mode === 'dark' && own.dark[name]) return `/theme/darkColors/${own.dark[name].path.join('/')}`
+    if (mode === 'dark' && defaultDark[name]) return null
+    return own.light[name] ? `/theme/colors/${own.light[name].path.join('/')}` : null
+  }
+
+  const colors = Object.fromEntries(themeTokens(project.theme).colors.map(color => [color.name, color]))
+  const white = { name: null, light: '#FFFFFF', dark: '#FFFFFF' }
+  for (const [text, surface] of CONTRAST_PAIRS) {
+    const fg = text ? colors[text] : white
+    const bg = colors[surface]
+    for (const mode of ['light', 'dark']) {
+      // The dark check repeats the light one when neither color changes
+      if (mode === 'dark' && fg.dark === fg.light && bg.dark === bg.light) continue
+      const path = (fg.name && pointer(fg.name, mode)) || pointer(bg.name, mode)
+      if (!path) continue
+      const ratio = contrastRatio(fg[mode], bg[mode])
+      if (ratio >= MIN_CONTRAST) continue
+      issues.push(validationError(
+        path,
+        'color-contrast',
+        `${text || 'white button text'} (${fg[mode]}) on ${surface} (${bg[mode]}) has a contrast ratio of ${ratio.toFixed(2)}:1 in ${mode} mode`,
+        `Raise it to at least ${MIN_CONTRAST}:1 by making one of the two colors lighter or darker`
+      ))
+    }
+  }
+
+  return { passed: issues.length === 0, issues }
+}
+
+// ============================================
+// STATE AND ACTIONS
+// ============================================
+
+const ACTION_TYPES = ['setState', 'toggle', 'navigate', 'back', 'showModal', 'hideModal', 'submitForm', 'callApi']
+const ACTION_PROPS = ['onPress', 'onSubmit', 'onSend', 'onSuccess']
+
+// Capsules that hold a value get a state field, named by props.bind or derived from their id
+// ("date" and "color" are internal types that map to each platform's native value)
+const BINDABLE_CAPSULES = {
+  input: props => ({ type: 'string', default: props.value ?? '' }),
+  searchbar: props => ({ type: 'string', default: props.value ?? '' }),
+  switch: props => ({ type: 'boolean', default: Boolean(props.checked) }),
+  slider: props => ({ type: 'number', default: num(props.value, num(props.min, 0)) }),
+  dropdown: props => ({ type: 'string', default: props.value ?? capsuleOptions(props)[0]?.value ?? '' }),
+  tabs: props => ({ type: 'number', default: num(props.selected, 0) }),
+  rating: props => ({ type: 'number', default: num(props.value, 0) }),
+  stepper: props => ({ type: 'number', default: num(props.value, num(props.min, 0)) }),
+  chip: props => ({ type: 'boolean', default: Boolean(props.selected) }),
+  datepicker: () => ({ type: 'date', default: '' }),
+  calendar: () => ({ type: 'date', default: '' }),
+  'color-picker': props => ({ type: 'color', default: /^#[0-9A-Fa-f]{6}$/.test(props.value) ? props.value : '#6366F1' }),
+  'rich-text-editor': props => ({ type: 'string', default: props.value ?? '' }),
+  'file-upload': () => ({ type: 'string', default: '' }),
+  scanner: () => ({ type: 'string', default: '' }),
+  location: () => ({ type: 'string', default: '' }),
+  biometrics: () => ({ type: 'boolean', default: false })
+}
+
+// Capsules holding several values name each one <key><Part>, e.g. loginEmail
+const COMPOSITE_FIELDS = {
+  'auth-screen': { Email: { type: 'string', default: '' }, Password: { type: 'string', default: '' } },
+  chat: { Draft: { type: 'string', default: '' } }
+}
+
+// props.options (or props.items) as { label, value } pairs
+function capsuleOptions(props) {
+  const options = Array.isArray(props.options) ? props.options : Array.isArray(props.items) ? props.items : []
+  return options
+    .map(option => option && typeof option === 'object'
+      ? { label: String(option.label ?? option.value ?? ''), value: String(option.value ?? option.label ?? '') }
+      : { label: String(option), value: String(option) })
+    .filter(option => option.value !== '')
+}
+
+// An action prop is a shorthand string, an action object or a list of either
+function parseActions(value) {
+  if (Array.isArray(value)) return value.flatMap(parseActions)
+  if (typeof value === 'string') {
+    if (value === 'back' || value === 'navigate:back') return [{ type: 'back' }]
+    const match = value.match(/^navigate:([a-z][a-z0-9-]*)$/)
+    return match ? [{ type: 'navigate', screen: match[1] }] : []
+  }
+  if (value && typeof value === 'object' && ACTION_TYPES.includes(value.type)) return [value]
+  return []
+}
+
+function bindingKey(instance) {
+  return memberName(instance.props.bind || instance.id)
+}
+
+// Every state field a screen needs: declared ones, one per bound capsule,
+// one per data capsule that doesn't render an existing field, plus
+// activeModal / isLoading when the screen shows modals or calls APIs
+function screenState(screen) {
+  const fields = {}
+  for (const [key, field] of Object.entries(screen.state || {})) {
+    const name = memberName(key)
+    fields[name] = {
+      type: field.type,
+      items: field.items || inferItemType(field.default),
+      default: field.default ?? STATE_DEFAULTS[field.type]
+    }
+    if (field.type === 'array' && fields[name].items === 'object') {
+      Object.assign(fields[name], recordShape(screen, name, fields[name].default, field.fields))
+    }
+  }
+
+  const capsules = []
+  walkCapsules(screen.root, '', instance => capsules.push(instance))
+
+  for (const instance of capsules) {
+    const field = BINDABLE_CAPSULES[instance.capsuleId]
+    const key = field && bindingKey(instance)
+    if (field && !fields[key]) fields[key] = field(instance.props)
+    for (const [part, partField] of Object.entries(COMPOSITE_FIELDS[instance.capsuleId] || {})) {
+      if (!fields[bindingKey(instance) + part]) fields[bindingKey(instance) + part] = { ...partField }
+    }
+  }
+  for (const instance of capsules.filter(c => DATA_CAPSULES.includes(c.capsuleId))) {
+    const source = dataSource(instance)
+    const key = bindingKey(instance)
+    if (source.state || fields[key]) continue
+
+    const declared = source.endpoint ? source.fields || itemReferences(instance) : null
+    const rows = source.rows || []
+    const items = declared ? (Object.keys(declared).length > 0 ? 'object' : 'string') : inferItemType(rows)
+    fields[key] = { type: 'array', items, default: source.endpoint ? [] : rows, endpoint: source.endpoint }
+    if (items === 'object') Object.assign(fields[key], recordShape(screen, key, fields[key].default, declared))
+  }
+  if (capsules.some(c => MODAL_CAPSULES.includes(c.capsuleId))) {
+    fields.activeModal = { type: 'string', nullable: true, default: null }
+  }
+  if (screenValidation(screen).fields.length > 0) {
+    fields.touched = { type: 'array', items: 'string', default: [] }
+  }
+  if (Object.values(fields).some(f => f.endpoint) ||
+      capsules.some(c => ACTION_PROPS.some(p => parseActions(c.props[p]).some(a => a.type === 'callApi')))) {
+    fields.isLoading = { type: 'boolean', default: false }
+  }
+
+  return fields
+}
+
+const STATE_DEFAULTS = { string: '', number: 0, boolean: false, array: [], object: {}, date: '', color: '#000000' }
+
+// Capsules shown and hidden through activeModal
+const MODAL_CAPSULES = ['modal', 'bottom-sheet']
+
+function inferItemType(value) {
+  const first = Array.isArray(value) ? value[0] : undefined
+  if (first && typeof first === 'object' && !Array.isArray(first)) return 'object'
+  return ['number', 'boolean'].includes(typeof first) ? typeof first : 'string'
+}
+
+function findCapsule(root, id) {
+  let found = null
+  walkCapsules(root, '', instance => {
+    if (instance.id === id) found = found || instance
+  })
+  return found
+}
+
+// Splits "Hello {{state.name}}!" into literal text and references to known
+// state fields, or to the current row ("{{item.title}}", "{{item}}") inside
+// the item template of a data capsule
+function templateParts(value, ctx) {
+  const text = String(value)
+  const parts = []
+  const pattern = /\{\{\s*(state|item)(?:\.([A-Za-z_][A-Za-z0-9_]*))?\s*\}\}/g
+  let last = 0
+  let match
+
+  while ((match = pattern.exec(text)) !== null) {
+    const [, scope, name] = match
+    const key = name && memberName(name)
+    const field = scope === 'state'
+      ? key && ctx.state?.[key]
+      : ctx.item && (key ? ctx.item.fields?.[key] : !ctx.item.fields && ctx.item)
+    if (!field) continue
+    if (match.index > last) parts.push({ text: text.slice(last, match.index) })
+    parts.push({ scope, key, field })
+    last = pattern.lastIndex
+  }
+  if (last < text.length) parts.push({ text: text.slice(last) })
+
+  return parts
+}
+
+// A string that is exactly one reference, e.g. "{{state.email}}" or "{{item.id}}"
+function singleReference(value, ctx) {
+  if (typeof value !== 'string') return null
+  const parts = templateParts(value, ctx)
+  return parts.length === 1 && parts[0].scope ? parts[0] : null
+}
+
+// Source expression of a reference; screen state lives in `model` (SwiftUI)
+// or `state` (Compose, React), the current row is always `item`
+function referencePath(part, stateName) {
+  const base = part.scope === 'state' ? stateName : 'item'
+  return part.key ? `${base}.${part.key}` : base
+}
+
+// Unknown keys only reach the generators from unvalidated (AI) projects
+function stateField(ctx, key) {
+  return ctx.state?.[key] || { type: 'string' }
+}
+
+function endpointFor(action, ctx) {
+  const endpoint = ctx.project.api?.endpoints?.[action.endpoint] || {}
+  return { method: (endpoint.method || 'GET').toUpperCase(), path: endpoint.path || '/' }
+}
+
+// submitForm runs the target form's onSubmit actions in place
+function expandActions(value, ctx, seen = new Set()) {
+  return parseActions(value).flatMap(action => {
+    if (action.type !== 'submitForm') return [action]
+    if (seen.has(action.form)) return []
+    const form = findCapsule(ctx.screen.root, action.form)
+    return form ? expandActions(form.props.onSubmit, ctx, new Set([...seen, action.form])) : []
+  })
+}
+
+function rawActionComment(value) {
+  return comment(typeof value === 'string' ? value : 'action')
+}
+
+// --- Form validation ---
+
+const EMAIL_PATTERN = '^[^\\s@]+@[^\\s@]+\\.[^\\s@]+$'
+
+// An input's rules in the order they're checked, each with its message;
+// "email" checks EMAIL_PATTERN and "match" compares with another input's field
+function inputRules(instance, screen) {
+  const validation = instance.props.validation || {}
+  const messages = validation.messages || {}
+  const name = instance.props.label || 'This field'
+  const rules = []
+  if (validation.required) rules.push({ rule: 'required', message: messages.required || `${name} is required` })
+  if (validation.email) rules.push({ rule: 'pattern', pattern: EMAIL_PATTERN, message: messages.email || 'Enter a valid email address' })
+  if (validation.minLength > 0) rules.push({ rule: 'minLength', length: validation.minLength, message: messages.minLength || `Use at least ${validation.minLength} characters` })
+  if (validation.maxLength > 0) rules.push({ rule: 'maxLength', length: validation.maxLength, message: messages.maxLength || `Use at most ${validation.maxLength} characters` })
+  if (validation.pattern && isRegExp(validation.pattern)) rules.push({ rule: 'pattern', pattern: validation.pattern, message: messages.pattern || `${name} is not in the expected format` })
+  const other = validation.match && findCapsule(screen.root, validation.match)
+  if (other && other !== instance) rules.push({ rule: 'match', key: bindingKey(other), message: messages.match || `Must match ${other.props.label || validation.match}` })
+  return rules
+}
+
+// The validated inputs of a screen ({ key, rules }) and the forms that
+// register them: every validated input inside a form holds back its submit.
+// Errors show once an input has been touched (see screenState).
+function screenValidation(screen) {
+  const fields = []
+  walkCapsules(screen.root, '', instance => {
+    const key = instance.capsuleId === 'input' && bindingKey(instance)
+    const rules = key ? inputRules(instance, screen) : []
+    if (rules.length > 0 && !fields.some(field => field.key === key)) fields.push({ key, rules })
+  })
+
+  const forms = []
+  walkCapsules(screen.root, '', instance => {
+    if (instance.capsuleId !== 'form') return
+    const keys = new Set()
+    walkCapsules(instance, '', child => {
+      if (child.capsuleId === 'input' && fields.some(field => field.key === bindingKey(child))) keys.add(bindingKey(child))
+    })
+    if (keys.size > 0) forms.push({ id: instance.id, valid: `${memberName(instance.id)}Valid`, fields: [...keys] })
+  })
+
+  return { fields, forms }
+}
+
+// The validation of an input, or null when it has no rules
+function fieldValidation(instance, ctx) {
+  return instance.capsuleId === 'input' ? screenValidation(ctx.screen).fields.find(field => field.key === bindingKey(instance)) || null : null
+}
+
+// Context for a form's children: inside a validated form, buttons are
+// disabled until ctx.form.valid holds
+function formContext(instance, ctx) {
+  const form = screenValidation(ctx.screen).forms.find(f => f.id === instance.id)
+  return form ? { ...ctx, form } : ctx
+}
+
+// --- SwiftUI ---
+
+function swiftType(field) {
+  const base = { string: 'String', number: 'Double', boolean: 'Bool' }
+  if (field.type === 'array') return `[${swiftType(itemField(field))}]`
+  if (field.type === 'object') return field.model || '[String: String]'
+  if (field.type === 'date') return 'Date'
+  if (field.type === 'color') return 'Color'
+  return base[field.type] + (field.nullable ? '?' : '')
+}
+
+function swiftLiteral(value, field) {
+  if (field.type === 'date') return 'Date()'
+  if (field.type === 'color') return swiftColor(value || STATE_DEFAULTS.color)
+  if (value === null || value === undefined) return field.nullable ? 'nil' : swiftLiteral(STATE_DEFAULTS[field.type], field)
+  if (field.type === 'array') return `[${(Array.isArray(value) ? value : []).map(v => swiftLiteral(v, itemField(field))).join(', ')}]`
+  if (field.type === 'object' && field.model) {
+    return `${field.model}(${Object.entries(field.fields).map(([name, f]) => `${name}: ${swiftLiteral(recordValue(value, name, f), f)}`).join(', ')})`
+  }
+  if (field.type === 'object') return Object.keys(value).length === 0 ? '[:]' : `[${Object.entries(value).map(([k, v]) => `${swiftString(k)}: ${swiftString(v)}`).join(', ')}]`
+  if (field.type === 'number') return String(num(value, 0))
+  if (field.type === 'boolean') return String(Boolean(value))
+  return swiftString(value)
+}
+
+// Codable so endpoint responses decode straight into it, Hashable for ForEach
+function swiftRecordModel(field) {
+  const entries = Object.entries(field.fields)
+  const codingKeys = entries.some(([name, f]) => name !== f.key)
+    ? `
+
+    enum CodingKeys: String, CodingKey {
+${entries.map(([name, f]) => `        case ${name}${name !== f.key ? ` = ${swiftString(f.key)}` : ''}`).join('\n')}
+    }`
+    : ''
+
+  return `struct ${field.model}: Codable, Hashable {
+${entries.map(([name, f]) => `    var ${name}: ${swiftType(f)}`).join('\n')}${codingKeys}
+}`
+}
+
+function swiftText(value, ctx) {
+  const parts = templateParts(value, ctx)
+  if (!parts.some(p => p.scope)) return swiftString(value)
+  return `"${parts.map(p => p.scope
+    ? `\\(${referencePath(p, 'model')}${{ number: '.formatted()', date: '.formatted(date: .abbreviated, time: .omitted)', color: '.description' }[p.field.type] || ''})`
+    : swiftString(p.text).slice(1, -1)).join('')}"`
+}
+
+function swiftValue(value, field, ctx) {
+  const ref = singleReference(value, ctx)
+  if (ref) return referencePath(ref, 'model')
+  return typeof value === 'string' && field.type === 'string' ? swiftText(value, ctx) : swiftLiteral(value, field)
+}
+
+function swiftBody(body, ctx) {
+  if (!body || typeof body !== 'object') return 'nil'
+  const entries = Object.entries(body).map(([k, v]) => {
+    const ref = singleReference(v, ctx)
+    const literal = v !== null && typeof v === 'object' ? swiftString(JSON.stringify(v)) : JSON.stringify(v)
+    return `${swiftString(k)}: ${ref ? referencePath(ref, 'model') : typeof v === 'string' ? swiftText(v, ctx) : literal}`
+  })
+  return entries.length > 0 ? `[${entries.join(', ')}]` : '[:]'
+}
+
+// Model properties for form validation: an error message (or nil) per
+// validated field, and whether each form's fields are all valid
+function swiftValidation(screen) {
+  const { fields, forms } = screenValidation(screen)
+  const check = (rule, key) => ({
+    required: () => `${key}.trimmingCharacters(in: .whitespacesAndNewlines).isEmpty`,
+    minLength: () => `${key}.count < ${rule.length}`,
+    maxLength: () => `${key}.count > ${rule.length}`,
+    pattern: () => `${key}.range(of: ${swiftString(rule.pattern)}, options: .regularExpression) == nil`,
+    match: () => `${key} != ${rule.key}`
+  })[rule.rule]()
+
+  const errors = fields.map(({ key, rules }) => `    var ${key}Error: String? {
+${rules[0].rule === 'required' ? '' : `        if ${key}.isEmpty { return nil }\n`}${rules.map(rule => `        if ${check(rule, key)} { return ${swiftString(rule.message)} }`).join('\n')}
+        return nil
+    }`)
+  const valid = forms.map(form => `    var ${form.valid}: Bool {
+        ${form.fields.map(key => `${key}Error == nil`).join(' && ')}
+    }`)
+  return [...errors, ...valid].join('\n\n')
+}
+
+function swiftUIActions(value, ctx) {
+  const actions = expandActions(value, ctx)
+  if (actions.length === 0) return `/* ${rawActionComment(value)} */`
+
+  return actions.map(action => {
+    const key = action.key && memberName(action.key)
+    switch (action.type) {
+      case 'setState':
+        return `model.${key} = ${swiftValue(action.value, stateField(ctx, key), ctx)}`
+      case 'toggle':
+        return `model.${key}.toggle()`
+      case 'navigate':
+        return `router.navigate(to: .${memberName(action.screen)})`
+      case 'back':
+        return 'router.back()'
+      case 'showModal':
+        return `model.activeModal = ${swiftString(action.modal)}`
+      case 'hideModal':
+        return 'model.activeModal = nil'
+      case 'callApi': {
+        const { method, path } = endpointFor(action, ctx)
+        const resultKey = action.resultKey && memberName(action.resultKey)
+        const call = `try? await APIClient.shared.send(${swiftString(method)}, ${swiftString(path)}, body: ${swiftBody(action.body, ctx)}`
+        const store = resultKey
+          ? `if let result = ${call}, as: ${swiftType(stateField(ctx, resultKey))}.self) { model.${resultKey} = result }`
+          : `_ = ${call})`
+        return `Task { model.isLoading = true; ${store}; model.isLoading = false }`
+      }
+    }
+  }).join('; ')
+}
+
+// --- Jetpack Compose ---
+
+function kotlinType(field) {
+  const base = { string: 'String', number: 'Double', boolean: 'Boolean' }
+  if (field.type === 'array') return `List<${kotlinType(itemField(field))}>`
+  if (field.type === 'object') return field.model || 'Map<String, String>'
+  // Dates are the epoch millis the Material date picker works with
+  if (field.type === 'date') return 'Long?'
+  if (field.type === 'color') return 'String'
+  return base[field.type] + (field.nullable ? '?' : '')
+}
+
+function kotlinLiteral(value, field) {
+  if (field.type === 'date') return 'null'
+  if (field.type === 'color') return kotlinString(value || STATE_DEFAULTS.color)
+  if (value === null || value === undefined) return field.nullable ? 'null' : kotlinLiteral(STATE_DEFAULTS[field.type], field)
+  if (field.type === 'array') return `listOf(${(Array.isArray(value) ? value : []).map(v => kotlinLiteral(v, itemField(field))).join(', ')})`
+  if (field.type === 'object' && field.model) {
+    return `${field.model}(${Object.entries(field.fields).map(([name, f]) => `${name} = ${kotlinLiteral(recordValue(value, name, f), f)}`).join(', ')})`
+  }
+  if (field.type === 'object') return `mapOf(${Object.entries(value).map(([k, v]) => `${kotlinString(k)} to ${kotlinString(v)}`).join(', ')})`
+  if (field.type === 'number') {
+    const n = num(value, 0)
+    return Number.isInteger(n) ? `${n}.0` : String(n)
+  }
+  if (field.type === 'boolean') return String(Boolean(value))
+  return kotlinString(value)
+}
+
+function kotlinText(value, ctx) {
+  const parts = templateParts(value, ctx)
+  if (!parts.some(p => p.scope)) return kotlinString(value)
+  return `"${parts.map(p => p.scope ? `\${${referencePath(p, 'state')}}` : kotlinString(p.text).slice(1, -1)).join('')}"`
+}
+
+function kotlinValue(value, field, ctx) {
+  const ref = singleReference(value, ctx)
+  if (ref) return referencePath(ref, 'state')
+  return typeof value === 'string' && field.type === 'string' ? kotlinText(value, ctx) : kotlinLiteral(value, field)
+}
+
+function kotlinBody(body, ctx) {
+  if (!body || typeof body !== 'object') return 'null'
+  const entries = Object.entries(body).map(([k, v]) => {
+    const ref = singleReference(v, ctx)
+    const literal = v !== null && typeof v === 'object' ? kotlinString(JSON.stringify(v)) : JSON.stringify(v)
+    return `${kotlinString(k)} to ${ref ? referencePath(ref, 'state') : typeof v === 'string' ? kotlinText(v, ctx) : literal}`
+  })
+  return `mapOf(${entries.join(', ')})`
+}
+
+// Converts the raw response body of an API call to the type of the target field
+function kotlinDecode(key, field) {
+  if (field.type === 'number') return `response.toDoubleOrNull() ?: ${key}`
+  if (field.type === 'boolean') return `response.toBooleanStrictOrNull() ?: ${key}`
+  if (field.type === 'object') return 'ApiClient.parseMap(response)'
+  if (field.type === 'array') {
+    if (field.items === 'object') return `ApiClient.parseObjects(response).map { ${kotlinRecord(itemField(field))} }`
+    if (field.items === 'number') return 'ApiClient.parseList(response).mapNotNull { it.toDoubleOrNull() }'
+    if (field.items === 'boolean') return 'ApiClient.parseList(response).mapNotNull { it.toBooleanStrictOrNull() }'
+    return 'ApiClient.parseList(response)'
+  }
+  return 'response'
+}
+
+// Builds a row model from the JSONObject `it`, falling back to type defaults
+function kotlinRecord(item) {
+  const getters = { string: 'optString', number: 'optDouble', boolean: 'optBoolean' }
+  return `${item.model}(${Object.entries(item.fields).map(([name, f]) =>
+    `${name} = it.${getters[f.type]}(${kotlinString(f.key)}${f.type === 'number' ? ', 0.0' : ''})`).join(', ')})`
+}
+
+// UiState properties for form validation: an error message (or null) per
+// validated field, and whether each form's fields are all valid
+function kotlinValidation(screen) {
+  const { fields, forms } = screenValidation(screen)
+  const check = (rule, key) => ({
+    required: () => `${key}.isBlank()`,
+    minLength: () => `${key}.length < ${rule.length}`,
+    maxLength: () => `${key}.length > ${rule.length}`,
+    pattern: () => `!Regex(${kotlinString(rule.pattern)}).containsMatchIn(${key})`,
+    match: () => `${key} != ${rule.key}`
+  })[rule.rule]()
+
+  const errors = fields.map(({ key, rules }) => `    val ${key}Error: String?
+        get() = when {
+${rules[0].rule === 'required' ? '' : `            ${key}.isEmpty() -> null\n`}${rules.map(rule => `            ${check(rule, key)} -> ${kotlinString(rule.message)}`).join('\n')}
+            else -> null
+        }`)
+  const valid = forms.map(form => `    val ${form.valid}: Boolean
+        get() = ${form.fields.map(key => `${key}Error == null`).join(' && ')}`)
+  return [...errors, ...valid].join('\n\n')
+}
+
+function composeActions(value, ctx) {
+  const actions = expandActions(value, ctx)
+  if (actions.length === 0) return `/* ${rawActionComment(value)} */`
+
+  return actions.map(action => {
+    const key = action.key && memberName(action.key)
+    switch (action.type) {
+      case 'setState':
+        return `viewModel.update { copy(${key} = ${kotlinValue(action.value, stateField(ctx, key), ctx)}) }`
+      case 'toggle':
+        return `viewModel.update { copy(${key} = !${key}) }`
+      case 'navigate':
+        return `navController.navigateTo(Routes.${constantName(action.screen)})`
+      case 'back':
+        return 'navController.popBackStack()'
+      case 'showModal':
+        return `viewModel.update { copy(activeModal = ${kotlinString(action.modal)}) }`
+      case 'hideModal':
+        return 'viewModel.update { copy(activeModal = null) }'
+      case 'callApi': {
+        const { method, path } = endpointFor(action, ctx)
+        const resultKey = action.resultKey && memberName(action.resultKey)
+        const call = `viewModel.callApi(${kotlinString(method)}, ${kotlinString(path)}, ${kotlinBody(action.body, ctx)})`
+        return resultKey
+          ? `${call} { response -> copy(${resultKey} = ${kotlinDecode(resultKey, stateField(ctx, resultKey))}) }`
+          : call
+      }
+    }
+  }).join('; ')
+}
+
+// --- React ---
+
+function tsType(field) {
+  const base = { string: 'string', number: 'number', boolean: 'boolean' }
+  if (field.type === 'array') return `${tsType(itemField(field))}[]`
+  if (field.type === 'object') return field.model || 'Record<string, string>'
+  // <input type="date"> and <input type="color"> both work with strings
+  if (field.type === 'date' || field.type === 'color') return 'string'
+  return base[field.type] + (field.nullable ? ' | null' : '')
+}
+
+// Booleans render nothing in JSX, so they are shown as text
+function reactText(value, ctx) {
+  const parts = templateParts(value, ctx)
+  if (!parts.some(p => p.scope)) return jsxText(value)
+  return parts.map(p => p.scope
+    ? `{${p.field.type === 'boolean' ? `String(${referencePath(p, 'state')})` : referencePath(p, 'state')}}`
+    : jsxText(p.text)).join('')
+}
+
+function jsValue(value, ctx) {
+  const ref = singleReference(value, ctx)
+  if (ref) return referencePath(ref, 'state')
+  if (typeof value === 'string' && templateParts(value, ctx).some(p => p.scope)) {
+    return '`' + templateParts(value, ctx).map(p => p.scope
+      ? `\${${referencePath(p, 'state')}}`
+      : p.text.replace(/\\/g, '\\\\').replace(/`/g, '\\`').replace(/\$\{/g, '\\${')).join('') + '`'
+  }
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    return `{ ${Object.entries(value).map(([k, v]) => `${jsString(k)}: ${jsValue(v, ctx)}`).join(', ')} }`
+  }
+  return JSON.stringify(value ?? null)
+}
+
+// validate(state) gives the error message of each validated field, or null
+// when it's valid
+function reactValidation(screen) {
+  const { fields } = screenValidation(screen)
+  if (fields.length === 0) return ''
+  const check = (rule, key) => ({
+    required: () => `!state.${key}.trim()`,
+    minLength: () => `state.${key}.length < ${rule.length}`,
+    maxLength: () => `state.${key}.length > ${rule.length}`,
+    pattern: () => `!new RegExp(${jsString(rule.pattern)}).test(state.${key})`,
+    match: () => `state.${key} !== state.${rule.key}`
+  })[rule.rule]()
+
+  const errors = fields.map(({ key, rules }) => `    ${key}: ${[
+    rules[0].rule !== 'required' && `state.${key} === '' ? null`,
+    ...rules.map(rule => `${check(rule, key)} ? ${jsString(rule.message)}`),
+    'null'
+  ].filter(Boolean).join('\n      : ')}`)
+  return `function validate(state: State) {
+  return {
+${errors.join(',\n')}
+  }
+}`
+}
+
+function reactActions(value, ctx) {
+  const actions = expandActions(value, ctx)
+  if (actions.length === 0) return `/* ${rawActionComment(value)} */`
+
+  return actions.map(action => {
+    const key = action.key && memberName(action.key)
+    switch (action.type) {
+      case 'setState':
+        return `dispatch({ type: 'set', key: '${key}', value: ${jsValue(action.value, ctx)} })`
+      case 'toggle':
+        return `dispatch({ type: 'toggle', key: '${key}' })`
+      case 'navigate':
+        return `navigate('/${action.screen}')`
+      case 'back':
+        return 'navigate(-1)'
+      case 'showModal':
+        return `dispatch({ type: 'set', key: 'activeModal', value: ${jsString(action.modal)} })`
+      case 'hideModal':
+        return "dispatch({ type: 'set', key: 'activeModal', value: null })"
+      case 'callApi': {
+        const { method, path } = endpointFor(action, ctx)
+        const resultKey = action.resultKey && memberName(action.resultKey)
+        const body = action.body ? `, ${jsValue(action.body, ctx)}` : ''
+        const store = resultKey
+          ? `\n          .then(result => dispatch({ type: 'set', key: '${resultKey}', value: result as State['${resultKey}'] }))`
+          : ''
+        return `dispatch({ type: 'set', key: 'isLoading', value: true })
+        callApi(${jsString(method)}, ${jsString(path)}${body})${store}
+          .finally(() => dispatch({ type: 'set', key: 'isLoading', value: false }))`
+      }
+    }
+  }).join('\n        ')
+}
+
+// --- Flutter ---
+
+function dartType(field) {
+  const base = { string: 'String', number: 'double', boolean: 'bool' }
+  if (field.type === 'array') return `List<${dartType(itemField(field))}>`
+  if (field.type === 'object') return field.model || 'Map<String, String>'
+  // Dates stay unset until one is picked
+  if (field.type === 'date') return 'DateTime?'
+  if (field.type === 'color') return 'Color'
+  return base[field.type] + (field.nullable ? '?' : '')
+}
+
+function dartNumber(value) {
+  return Number.isInteger(value) ? `${value}.0` : String(value)
+}
+
+function dartLiteral(value, field) {
+  if (field.type === 'date') return 'null'
+  if (field.type === 'color') return composeColor(value || STATE_DEFAULTS.color)
+  if (value === null || value === undefined) return field.nullable ? 'null' : dartLiteral(STATE_DEFAULTS[field.type], field)
+  if (field.type === 'array') return `[${(Array.isArray(value) ? value : []).map(v => dartLiteral(v, itemField(field))).join(', ')}]`
+  if (field.type === 'object' && field.model) {
+    return `${field.model}(${Object.entries(field.fields).map(([name, f]) => `${name}: ${dartLiteral(recordValue(value, name, f), f)}`).join(', ')})`
+  }
+  if (field.type === 'object') return `{${Object.entries(value).map(([k, v]) => `${dartString(k)}: ${dartString(v)}`).join(', ')}}`
+  if (field.type === 'number') return dartNumber(num(value, 0))
+  if (field.type === 'boolean') return String(Boolean(value))
+  return dartString(value)
+}
+
+// Screen state fields are members of the widget's State, the current row is `item`
+function dartReference(part) {
+  if (part.scope === 'state') return part.key
+  return part.key ? `item.${part.key}` : 'item'
+}
+
+function dartText(value, ctx) {
+  const parts = templateParts(value, ctx)
+  if (!parts.some(p => p.scope)) return dartString(value)
+  if (parts.length === 1) return parts[0].field.type === 'string' ? dartReference(parts[0]) : `${dartReference(parts[0])}.toString()`
+  return `'${parts.map((p, i) => {
+    if (!p.scope) return dartString(p.text).slice(1, -1)
+    // $name unless the reference has a member access or text follows that would extend the name
+    const ref = dartReference(p)
+    return /^\w+$/.test(ref) && !/^\w/.test(parts[i + 1]?.text || '') ? `$${ref}` : `\${${ref}}`
+  }).join('')}'`
+}
+
+function dartValue(value, field, ctx) {
+  const ref = singleReference(value, ctx)
+  if (ref) return dartReference(ref)
+  return typeof value === 'string' && field.type === 'string' ? dartText(value, ctx) : dartLiteral(value, field)
+}
+
+function dartBody(body, ctx) {
+  if (!body || typeof body !== 'object') return 'null'
+  const entries = Object.entries(body).map(([k, v]) => {
+    const ref = singleReference(v, ctx)
+    const literal = v !== null && typeof v === 'object' ? dartString(JSON.stringify(v)) : JSON.stringify(v ?? null)
+    return `${dartString(k)}: ${ref ? dartReference(ref) : typeof v === 'string' ? dartText(v, ctx) : literal}`
+  })
+  return `{${entries.join(', ')}}`
+}
+
+// Converts the decoded JSON `result` of an API call to the type of the target field
+function dartDecode(field) {
+  if (field.type === 'number') return '(result as num).toDouble()'
+  if (field.type === 'boolean') return 'result == true'
+  if (field.type === 'object') return "(result as Map).map((key, value) => MapEntry('$key', '$value'))"
+  if (field.type === 'array') {
+    if (field.items === 'object') return `(result as List).map((row) => ${itemField(field).model}.fromJson(row as Map<String, dynamic>)).toList()`
+    if (field.items === 'number') return '(result as List).map((value) => (value as num).toDouble()).toList()'
+    if (field.items === 'boolean') return '(result as List).map((value) => value == true).toList()'
+    return "(result as List).map((value) => '$value').toList()"
+  }
+  return "'$result'"
+}
+
+// Row model with a fromJson factory that falls back to type defaults
+function dartRecordModel(field) {
+  const item = itemField(field)
+  const fields = Object.entries(item.fields)
+  const reads = {
+    string: key => `json[${key}]?.toString() ?? ''`,
+    number: key => `(json[${key}] as num?)?.toDouble() ?? 0`,
+    boolean: key => `json[${key}] == true`
+  }
+  return `class ${item.model} {
+  const ${item.model}({${fields.map(([name]) => `required this.${name}`).join(', ')}});
+
+  factory ${item.model}.fromJson(Map<String, dynamic> json) => ${item.model}(
+${fields.map(([name, f]) => `        ${name}: ${reads[f.type](dartString(f.key))},`).join('\n')}
+      );
+
+${fields.map(([name, f]) => `  final ${dartType(f)} ${name};`).join('\n')}
+}`
+}
+
+function flutterActions(value, ctx) {
+  const actions = expandActions(value, ctx)
+  if (actions.length === 0) return `// ${rawActionComment(value)}`
+
+  return actions.map(action => {
+    const key = action.key && memberName(action.key)
+    switch (action.type) {
+      case 'setState':
+        return `setState(() => ${key} = ${dartValue(action.value, stateField(ctx, key), ctx)});`
+      case 'toggle':
+        return `setState(() => ${key} = !${key});`
+      case 'navigate':
+        return `navigateTo(context, Routes.${memberName(action.screen)});`
+      case 'back':
+        return 'Navigator.of(context).maybePop();'
+      case 'showModal':
+        return `setState(() => activeModal = ${dartString(action.modal)});`
+      case 'hideModal':
+        return 'setState(() => activeModal = null);'
+      case 'callApi': {
+        const { method, path } = endpointFor(action, ctx)
+        const resultKey = action.resultKey && memberName(action.resultKey)
+        const args = [
+          dartString(method),
+          dartString(path),
+          action.body && `body: ${dartBody(action.body, ctx)}`,
+          resultKey && `onResult: (result) => ${resultKey} = ${dartDecode(stateField(ctx, resultKey))}`
+        ].filter(Boolean)
+        return `callApi(${args.join(', ')});`
+      }
+    }
+  }).join('\n')
+}
+
+// --- React Native ---
+
+// Same reducer actions as React; navigation goes through React Navigation,
+// with tab screens reached through the "Tabs" route of the root stack
+function reactNativeActions(value, ctx) {
+  const actions = expandActions(value, ctx)
+  if (actions.length === 0) return `/* ${rawActionComment(value)} */`
+
+  return actions.map(action => {
+    switch (action.type) {
+      case 'navigate':
+        return ctx.nav.tabs.some(tab => tab.screen.id === action.screen)
+          ? `navigation.navigate('Tabs', { screen: '${action.screen}' })`
+          : `navigation.navigate('${action.screen}')`
+      case 'back':
+        return 'navigation.goBack()'
+      default:
+        return reactActions(action, ctx)
+    }
+  }).join('\n        ')
+}
+
+function generateProject(project) {
+  const results = [...platformResults(project)]
+  return { results, summary: generationSummary(project, results) }
+}
+
+// One result per target, each generated as the iteration reaches it
+function* platformResults(project) {
+  const totalCapsules = project.screens.reduce((sum, screen) => sum + countCapsules(screen.root), 0)
+
+  for (const target of project.targets) {
+    let files = []
+
+    switch (target) {
+      case 'ios':
+        files = generateSwiftUI(project)
+        break
+      case 'android':
+        files = generateJetpackCompose(project)
+        break
+      case 'web':
+        files = generateReact(project)
+        break
+      case 'desktop':
+        files = generateDesktop(project)
+        break
+      case 'flutter':
+        files = generateFlutter(project)
+        break
+      case 'react-native':
+        files = generateReactNative(project)
+        break
+    }
+
+    yield {
+      success: true,
+      platform: target,
+      files,
+      metadata: {
+        capsuleCount: totalCapsules,
+        screenCount: project.screens.length,
+        generatedAt: new Date().toISOString()
+      }
+    }
+  }
+}
+
+function generationSummary(project, results) {
+  return {
+    totalPlatforms: results.length,
+    totalFiles: results.reduce((sum, r) => sum + r.files.length, 0),
+    totalCapsules: project.screens.reduce((sum, screen) => sum + countCapsules(screen.root), 0),
+    totalScreens: project.screens.length,
+    cachedScreens: screenCacheStats.get(project)?.hits || 0
+  }
+}
+
+// Generates the platforms one at a time, passing each result to emit (as a
+// "platform" event) before the next one is started
+async function buildPlatforms(project, emit) {
+  const results = []
+  for (const result of platformResults(project)) {
+    results.push(result)
+    emit?.('platform', result)
+    await new Promise(resolve => setImmediate(resolve))
+  }
+  return results
+}
+
+// ============================================
+// GENERATION CACHE
+// ============================================
+
+// Generated screens are cached by content, so an edit only regenerates the
+// screens it touches. A screen's files depend on the screen itself and on the
+// project around it (everything but the other screens' trees), and the cache
+// key hashes both for each platform. The least recently used entries go first.
+const SCREEN_CACHE_SIZE = Number(process.env.SCREEN_CACHE_SIZE) || 2000
+const screenCache = new Map()
+
+// Per project object: the hash of its context and the cache hits and misses
+const screenCacheStats = new WeakMap()
+
+// { content, files } of a cached screen, or { save(content, files) } to
+// cache the screen once it's generated
+function cachedScreen(platform, project, screen) {
+  let stats = screenCacheStats.get(project)
+  if (!stats) {
+    const context = { ...project, screens: project.screens.map(({ root, ...rest }) => rest) }
+    stats = { context: createHash('sha256').update(JSON.stringify(context)).digest('hex'), hits: 0, misses: 0 }
+    screenCacheStats.set(project, stats)
+  }
+
+  const key = createHash('sha256').update(`${platform}\n${stats.context}\n${JSON.stringify(screen)}`).digest('hex')
+  const entry = screenCache.get(key)
+  if (entry) {
+    screenCache.delete(key)
+    screenCache.set(key, entry)
+    stats.hits++
+    return { content: entry.content, files: entry.files.map(file => ({ ...file })) }
+  }
+
+  stats.misses++
+  return {
+    save(content, files) {
+      screenCache.set(key, { content, files: files.map(file => ({ ...file })) })
+      if (screenCache.size > SCREEN_CACHE_SIZE) screenCache.delete(screenCache.keys().next().value)
+    }
+  }
+}
+
+// Files added, changed and removed on each platform from one generation to
+// the next; a platform that was dropped from the targets has all its files removed
+function diffResults(before, after) {
+  const platforms = [...new Set([...after, ...before].map(result => result.platform))]
+  return platforms.map(platform => {
+    const previous = new Map((before.find(result => result.platform === platform)?.files || []).map(file => [file.path, file]))
+    const files = after.find(result => result.platform === platform)?.files || []
+    const paths = new Set(files.map(file => file.path))
+    const added = files.filter(file => !previous.has(file.path))
+    const changed = files.filter(file => previous.has(file.path) && previous.get(file.path).content !== file.content)
+    return {
+      platform,
+      added,
+      changed,
+      removed: [...previous.keys()].filter(path => !paths.has(path)),
+      unchanged: files.length - added.length - changed.length
+    }
+  })
+}
+
+// ============================================
+// ESCAPING
+// ============================================
+
+// Every user-supplied string goes through one of these before it lands in
+// generated source, so a title like `Say "hi" {now}` can't break the file.
+
+function swiftString(value) {
+  const escaped = String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n')
+    .replace(/\r/g, '\\r')
+    .replace(/\t/g, '\\t')
+    .replace(/\0/g, '\\0')
+  return `"${escaped}"`
+}
+
+function kotlinString(value) {
+  const escaped = String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\$/g, '\\$')
+    .replace(/\n/g, '\\n')
+    .replace(/\r/g, '\\r')
+    .replace(/\t/g, '\\t')
+  return `"${escaped}"`
+}
+
+function dartString(value) {
+  const escaped = String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/'/g, "\\'")
+    .replace(/\$/g, '\\$')
+    .replace(/\n/g, '\\n')
+    .replace(/\r/g, '\\r')
+    .replace(/\t/g, '\\t')
+  return `'${escaped}'`
+}
+
+function jsString(value) {
+  return JSON.stringify(String(value))
+}
+
+// JSX text children: plain text when safe, otherwise a string expression
+function jsxText(value) {
+  const text = String(value)
+  return /^[^{}<>&\n]*$/.test(text) ? text : `{${jsString(text)}}`
+}
+
+// JSX attribute values: a quoted string when safe, otherwise a string expression
+function jsxAttr(value) {
+  const text = String(value)
+  return /^[^"&\n]*$/.test(text) ? `"${text}"` : `{${jsString(text)}}`
+}
+
+// Quoted CSS string; "<" is escaped so the value can't close a <style> block
+function cssString(value) {
+  const escaped = String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/</g, '\\3C ')
+    .replace(/[\r\n]+/g, ' ')
+  return `"${escaped}"`
+}
+
+// Text placed inside a block comment (or a line comment) in any language
+function comment(value) {
+  return String(value).replace(/\*\//g, '* /').replace(/[\r\n]+/g, ' ')
+}
+
+// PascalCase type name from an id or project name: "my-screen" -> "MyScreen"
+function typeName(value) {
+  const name = String(value)
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean)
+    .map(part => part.charAt(0).toUpperCase() + part.slice(1))
+    .join('')
+  return /^[A-Za-z]/.test(name) ? name : `App${name}`
+}
+
+// camelCase member name from an id: "my-screen" -> "myScreen"
+function memberName(value) {
+  const name = typeName(value)
+  const member = name.charAt(0).toLowerCase() + name.slice(1)
+  return RESERVED_WORDS.has(member) ? `${member}_` : member
+}
+
+// UPPER_SNAKE constant name from an id: "my-screen" -> "MY_SCREEN"
+function constantName(value) {
+  const name = String(value).replace(/[^A-Za-z0-9]+/g, '_').replace(/^_|_$/g, '').toUpperCase()
+  return /^[A-Z]/.test(name) ? name : `ID_${name}`
+}
+
+// Words that can't be used as member names in Swift, Kotlin, TypeScript or
+// Dart, plus the members every Flutter State already has
+const RESERVED_WORDS = new Set([
+  'as', 'assert', 'break', 'case', 'catch', 'class', 'const', 'context', 'continue', 'default', 'defer',
+  'delete', 'do', 'else', 'enum', 'export', 'extends', 'false', 'final', 'finally', 'for', 'fun', 'func',
+  'function', 'guard', 'if', 'import', 'in', 'init', 'interface', 'is', 'let', 'mounted', 'new', 'null',
+  'object', 'operator', 'package', 'private', 'protocol', 'public', 'repeat', 'rethrow', 'return', 'self',
+  'static', 'struct', 'super', 'switch', 'this', 'throw', 'true', 'try', 'typealias', 'val', 'var', 'void',
+  'when', 'where', 'while', 'widget', 'with'
+])
+
+// Dotted package name with every segment reduced to a valid identifier
+function packageIdentifier(value) {
+  const segments = String(value)
+    .split('.')
+    .map(part => part.toLowerCase().replace(/[^a-z0-9_]/g, '_'))
+    .filter(Boolean)
+    .map(part => /^[a-z_]/.test(part) ? part : `_${part}`)
+  return segments.length > 0 ? segments.join('.') : 'com.hublab.app'
+}
+
+function xmlEscape(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+}
+
+// Android string resources also treat quotes, backslashes and a leading @ or ? specially
+function androidResourceString(value) {
+  return xmlEscape(String(value).replace(/\\/g, '\\\\'))
+    .replace(/&apos;/g, "\\'")
+    .replace(/&quot;/g, '\\"')
+    .replace(/^([@?])/, '\\$1')
+}
+
+// Values in an Xcode project file only need quoting outside [A-Za-z0-9_./$]
+function pbxString(value) {
+  const text = String(value)
+  return /^[A-Za-z0-9_./$]+$/.test(text) ? text : `"${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`
+}
+
+function bundleIdentifier(value) {
+  return String(value).replace(/[^A-Za-z0-9.-]/g, '-').replace(/^[.-]+|[.-]+$/g, '') || 'com.hublab.app'
+}
+
+function num(value, fallback) {
+  const n = Number(value)
+  return value !== undefined && value !== null && value !== '' && Number.isFinite(n) ? n : fallback
+}
+
+// "#RGB", "#RRGGBB" or "#RRGGBBAA" -> { r, g, b, a } with a in 0...1
+function parseHexColor(hex) {
+  let value = String(hex).replace(/^#/, '')
+  if (value.length === 3) value = value.split('').map(c => c + c).join('')
+  if (!/^[0-9A-Fa-f]{6}([0-9A-Fa-f]{2})?$/.test(value)) value = '000000'
+  return {
+    r: parseInt(value.slice(0, 2), 16),
+    g: parseInt(value.slice(2, 4), 16),
+    b: parseInt(value.slice(4, 6), 16),
+    a: value.length === 8 ? parseInt(value.slice(6, 8), 16) / 255 : 1
+  }
+}
+
+function swiftColor(hex) {
+  const { r, g, b, a } = parseHexColor(hex)
+  const channel = value => Number((value / 255).toFixed(3))
+  return `Color(red: ${channel(r)}, green: ${channel(g)}, blue: ${channel(b)}${a < 1 ? `, opacity: ${Number(a.toFixed(3))}` : ''})`
+}
+
+function composeColor(hex) {
+  const { r, g, b, a } = parseHexColor(hex)
+  const hex2 = n => n.toString(16).padStart(2, '0').toUpperCase()
+  return `Color(0x${hex2(Math.round(a * 255))}${hex2(r)}${hex2(g)}${hex2(b)})`
+}
+
+function countCapsules(instance) {
+  if (!instance) return 0
+  let count = 1
+  if (instance.children) {
+    for (const child of instance.children) {
+      count += countCapsules(child)
+    }
+  }
+  return count
+}
+
+function walkCapsules(instance, path, visit) {
+  if (!instance) return
+  visit(instance, path)
+  instance.children?.forEach((child, i) => walkCapsules(child, `${path}/children/${i}`, visit))
+}
+
+// ============================================
+// ZIP ARCHIVES
+// ============================================
+
+// Plain zip writer on top of zlib, so archives can be produced without any
+// extra dependency or service. Entries are deflated one at a time and
+// written as they are ready; the central directory goes out last.
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1
+  }
+  return c >>> 0
+})
+
+function crc32(buffer) {
+  let crc = 0xFFFFFFFF
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8)
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0
+}
+
+function dosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  }
+}
+
+function writeZip(stream, entries) {
+  const central = []
+  const { time, date } = dosDateTime(new Date())
+  let offset = 0
+
+  for (const entry of entries) {
+    const name = Buffer.from(entry.path, 'utf8')
+    const data = Buffer.from(entry.content, 'utf8')
+    const compressed = deflateRawSync(data)
+    const crc = crc32(data)
+
+    const local = Buffer.alloc(30)
+    local.writeUInt32LE(0x04034B50, 0)
+    local.writeUInt16LE(20, 4) // version needed
+    local.writeUInt16LE(0x0800, 6) // UTF-8 file names
+    local.writeUInt16LE(8, 8) // deflate
+    local.writeUInt16LE(time, 10)
+    local.writeUInt16LE(date, 12)
+    local.writeUInt32LE(crc, 14)
+    local.writeUInt32LE(compressed.length, 18)
+    local.writeUInt32LE(data.length, 22)
+    local.writeUInt16LE(name.length, 26)
+    local.writeUInt16LE(0, 28)
+
+    const header = Buffer.alloc(46)
+    header.writeUInt32LE(0x02014B50, 0)
+    header.writeUInt16LE(20, 4) // version made by
+    header.writeUInt16LE(20, 6)
+    header.writeUInt16LE(0x0800, 8)
+    header.writeUInt16LE(8, 10)
+    header.writeUInt16LE(time, 12)
+    header.writeUInt16LE(date, 14)
+    header.writeUInt32LE(crc, 16)
+    header.writeUInt32LE(compressed.length, 20)
+    header.writeUInt32LE(data.length, 24)
+    header.writeUInt16LE(name.length, 28)
+    header.writeUInt32LE(offset, 42)
+    central.push(header, name)
+
+    stream.write(Buffer.concat([local, name, compressed]))
+    offset += local.length + name.length + compressed.length
+  }
+
+  const directory = Buffer.concat(central)
+  const end = Buffer.alloc(22)
+  end.writeUInt32LE(0x06054B50, 0)
+  end.writeUInt16LE(entries.length, 8)
+  end.writeUInt16LE(entries.length, 10)
+  end.writeUInt32LE(directory.length, 12)
+  end.writeUInt32LE(offset, 16)
+
+  stream.end(Buffer.concat([directory, end]))
+}
+
+function wantsZip(req) {
+  return req.query.format === 'zip' ||
+    req.accepts(['application/json', 'application/zip']) === 'application/zip'
+}
+
+function sendZip(res, project, results) {
+  const slug = project.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'hublab-app'
+  const entries = [
+    { path: 'README.md', content: generateManifest(project, results) },
+    { path: 'hublab.json', content: JSON.stringify(project, null, 2) }
+  ]
+
+  for (const result of results) {
+    for (const file of result.files) {
+      entries.push({ path: `${result.platform}/${file.path}`, content: file.content })
+    }
+  }
+
+  res.setHeader('Content-Type', 'application/zip')
+  res.setHeader('Content-Disposition', `attachment; filename="${slug}.zip"`)
+  writeZip(res, entries)
+}
+
+const OPEN_INSTRUCTIONS = {
+  ios: appName => `Open \`${appName}.xcodeproj\` in Xcode 15 or later and run the \`${appName}\` scheme.`,
+  android: () => 'Open the folder in Android Studio (or run `gradle wrapper` then `./gradlew assembleDebug`).',
+  web: () => 'Run `npm install` then `npm run dev`.',
+  desktop: (appName, project) => project.platformConfig?.desktop?.framework === 'tauri'
+    ? 'Install Rust and run `npm install`, then create the app icons with `npx tauri icon <1024px PNG>` before the first `npm run tauri dev`; the project ships without any.'
+    : 'Run `npm install` then `npm run dev` to open the app in an Electron window; `npm run build` packages it into `release/`.',
+  flutter: (appName, project) => {
+    const { name, org } = flutterIdentity(project)
+    return `Run \`flutter create --org ${org} --project-name ${name} --platforms android,ios .\` to add the platform runners (existing files are kept), then \`flutter run\`.`
+  },
+  'react-native': () => 'Run `npm install` then `npx expo start` and open the app in Expo Go or a simulator.'
+}
+
+function generateManifest(project, results) {
+  const appName = typeName(project.name)
+  const sections = results.map(result => {
+    const files = result.files.map(f => `- \`${f.path}\``).join('\n')
+    const open = OPEN_INSTRUCTIONS[result.platform]?.(appName, project) || ''
+    return `## ${result.platform}/\n\n${open}\n\n${result.files.length} files:\n\n${files}`
+  })
+
+  return `# ${project.name} ${project.version || ''}
+
+Generated by HubLab on ${new Date().toISOString()}.
+The original project specification is in \`hublab.json\`.
+
+${sections.join('\n\n')}
+`
+}
+
+// ============================================
+// PREVIEW
+// ============================================
+
+// Self-contained HTML page showing every screen in a phone frame with iOS or
+// Material chrome, filled with the default state. Tabs, navigate/back actions
+// and modals are links between the frames, so no script is needed.
+function generatePreview(project, platform) {
+  const tokens = themeTokens(project.theme)
+  const nav = navigationModel(project)
+
+  // A back button leads to the screen that first navigates to its screen
+  const parents = {}
+  for (const screen of project.screens) {
+    walkCapsules(screen.root, '', instance => {
+      for (const prop of ACTION_PROPS) {
+        for (const action of parseActions(instance.props?.[prop])) {
+          if (action.type === 'navigate' && action.screen !== screen.id) parents[action.screen] ??= screen.id
+        }
+      }
+    })
+  }
+
+  const frames = project.screens.map(screen => previewFrame(screen, {
+    project,
+    screen,
+    nav,
+    state: screenState(screen),
+    platform,
+    parent: parents[screen.id] || nav.initial.id
+  }))
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${xmlEscape(project.name)} · ${PREVIEW_PLATFORMS[platform]} preview</title>
+<style>
+${previewCss(tokens, platform)}
+</style>
+</head>
+<body class="${platform}">
+<header class="page-header">
+  <h1>${xmlEscape(project.name)} <small>${xmlEscape(project.version || '')}</small></h1>
+  <p>${PREVIEW_PLATFORMS[platform]} preview · ${project.screens.length} screen${project.screens.length === 1 ? '' : 's'} · generated ${new Date().toISOString()}</p>
+</header>
+<div class="frames">
+${frames.join('\n')}
+</div>
+</body>
+</html>
+`
+}
+
+const PREVIEW_PLATFORMS = { ios: 'iOS', android: 'Android' }
+
+// Platform of the preview chrome: the query parameter, else the first
+// mobile target of the project, else iOS
+function previewPlatform(project, requested) {
+  if (requested) return PREVIEW_PLATFORMS[requested] ? requested : null
+  return project.targets?.find(target => PREVIEW_PLATFORMS[target]) || 'ios'
+}
+
+function previewFrame(screen, ctx) {
+  const { nav, platform } = ctx
+  const isTab = nav.tabs.some(tab => tab.screen.id === screen.id)
+  const isRoot = isTab || screen.id === nav.initial.id
+  const back = isRoot
+    ? ''
+    : `<a class="back" href="#screen-${ctx.parent}" aria-label="Back">${platform === 'ios' ? '‹ Back' : '←'}</a>`
+  const tabBar = isTab
+    ? `
+      <nav class="tab-bar">
+        ${nav.tabs.map(tab => `<a href="#screen-${tab.screen.id}"${tab.screen.id === screen.id ? ' class="active" aria-current="page"' : ''}><span class="tab-icon">${iconName(tab.icon, 'preview')}</span><span>${xmlEscape(tab.label)}</span></a>`).join('\n        ')}
+      </nav>`
+    : ''
+  const modals = []
+  walkCapsules(screen.root, '', instance => {
+    if (MODAL_CAPSULES.includes(instance.capsuleId)) modals.push(previewModal(instance, ctx))
+  })
+
+  return `<section class="frame" id="screen-${screen.id}">
+  <p class="frame-label">${xmlEscape(screen.name)} <code>${screen.id}</code></p>
+  <div class="device">
+    <div class="status-bar"><span>9:41</span><span class="status-icons">▂▄▆ ◔ ▮</span></div>
+    <header class="app-bar">${back}<h2>${xmlEscape(screen.name)}</h2></header>
+    <main class="content">
+      ${previewCapsule(screen.root, ctx)}
+    </main>${tabBar}${modals.join('')}
+  </div>
+</section>`
+}
+
+// Modals and bottom sheets are rendered at the frame level, shown while the
+// URL fragment points at them
+function previewModal(instance, ctx) {
+  const { props } = instance
+  const sheet = instance.capsuleId === 'bottom-sheet'
+  const close = `#screen-${ctx.screen.id}`
+  return `
+    <div class="overlay${sheet ? ' sheet' : ''}" id="modal-${ctx.screen.id}-${instance.id}">
+      <a class="scrim" href="${close}" aria-label="Close"></a>
+      <div class="dialog stack">
+        ${sheet ? '<div class="handle"></div>' : ''}
+        ${props.title ? `<h3 class="text-subheading">${previewHtml(props.title, ctx)}</h3>` : ''}
+        ${previewChildren(instance, ctx)}
+        ${sheet ? '' : `<a class="button ghost" href="${close}">Close</a>`}
+      </div>
+    </div>`
+}
+
+// Text with its {{state.x}} / {{item.x}} references replaced by the default
+// state or the fields of the current row
+function previewText(value, ctx) {
+  return templateParts(value ?? '', ctx).map(part => {
+    if (!part.scope) return part.text
+    const current = part.scope === 'state' ? ctx.state[part.key].default : part.key ? ctx.row?.[part.key] : ctx.row
+    if (current === null || current === undefined) return ''
+    return typeof current === 'object' ? JSON.stringify(current) : String(current)
+  }).join('')
+}
+
+function previewHtml(value, ctx) {
+  return xmlEscape(previewText(value, ctx))
+}
+
+// Attribute value with the same substitution
+function previewAttr(value, ctx) {
+  return `"${previewHtml(value, ctx)}"`
+}
+
+// URL attribute with the same substitution. Only web URLs (and inline images
+// where an image is expected) are kept, so a javascript: URL can't run.
+function previewUrl(value, ctx, image = false) {
+  const url = previewText(value, ctx).trim()
+  const safe = /^https?:\/\//i.test(url) || (image && /^data:image\//i.test(url))
+  return `"${safe ? xmlEscape(url) : ''}"`
+}
+
+function previewValue(instance, ctx) {
+  return ctx.state[bindingKey(instance)]?.default
+}
+
+// Where an action leads: another screen's frame, a modal of this frame, or
+// back to the frame the screen is opened from
+function previewLink(value, ctx) {
+  for (const action of expandActions(value, ctx)) {
+    if (action.type === 'navigate' && ctx.project.screens.some(s => s.id === action.screen)) return `#screen-${action.screen}`
+    if (action.type === 'back') return `#screen-${ctx.parent}`
+    if (action.type === 'showModal') return `#modal-${ctx.screen.id}-${action.modal}`
+    if (action.type === 'hideModal') return `#screen-${ctx.screen.id}`
+  }
+  return null
+}
+
+// A link when the action goes somewhere in the preview, a plain button otherwise
+function previewButton(label, action, className, ctx) {
+  const href = previewLink(action, ctx)
+  return href
+    ? `<a class="${className}" href="${href}">${label}</a>`
+    : `<button type="button" class="${className}">${label}</button>`
+}
+
+// One item context per row of a data capsule: the state default, or three
+// sample rows for data that only arrives from an endpoint
+function previewRows(instance, ctx) {
+  const { key, item, itemCtx } = dataBinding(instance, ctx)
+  const field = ctx.state[key] || {}
+  const rows = field.default?.length > 0 ? field.default : field.endpoint ? [1, 2, 3].map(n => previewSampleRow(item, n)) : []
+  return { item, rows: rows.map(row => ({ ...itemCtx, row })) }
+}
+
+function previewSampleRow(item, n) {
+  const sample = (name, field) => field.type === 'number' ? n * 10 : field.type === 'boolean' ? n % 2 === 1 : `${name} ${n}`
+  if (!item.fields) return sample('Item', item)
+  return Object.fromEntries(Object.entries(item.fields).map(([name, field]) => [name, sample(field.key || name, field)]))
+}
+
+function previewTemplate(instance, item, rowCtx) {
+  return itemTemplate(instance, item).map(c => previewCapsule(c, rowCtx)).join('\n')
+}
+
+function previewChildren(instance, ctx) {
+  return (instance.children || []).map(c => previewCapsule(c, ctx)).join('\n')
+}
+
+function previewSpacing(spacing) {
+  return spacing.token ? `var(--space-${spacing.token})` : `${spacing.size}px`
+}
+
+function previewPadding(value, ctx) {
+  const padding = layoutSpacing(value, ctx)
+  return padding ? `padding:${previewSpacing(padding)};` : ''
+}
+
+const PREVIEW_ALIGNMENT = { start: 'flex-start', center: 'center', end: 'flex-end' }
+
+function previewCapsule(instance, ctx) {
+  if (!instance) return ''
+
+  const { capsuleId, props, children } = instance
+  const childContent = previewChildren(instance, ctx)
+
+  switch (capsuleId) {
+    case 'button': {
+      const variant = ['secondary', 'outline', 'ghost'].includes(props.variant) ? ` ${props.variant}` : ''
+      return previewButton(previewHtml(props.text || 'Button', ctx), props.onPress, `button${variant}`, ctx)
+    }
+
+    case 'text':
+      return `<p class="text-${textStyle(props.variant)}">${previewHtml(props.content || props.text || '', ctx)}</p>`
+
+    case 'input':
+      return `<label class="field">${props.label ? `<span>${previewHtml(props.label, ctx)}</span>` : ''}<input type=${previewAttr(props.type || 'text', ctx)} placeholder=${previewAttr(props.placeholder || '', ctx)} value=${previewAttr(previewValue(instance, ctx), ctx)}></label>`
+
+    case 'searchbar':
+      return `<input class="search" type="search" placeholder=${previewAttr(props.placeholder || 'Search...', ctx)} value=${previewAttr(previewValue(instance, ctx), ctx)}>`
+
+    case 'card':
+      return `<div class="card stack">
+        ${props.title ? `<h3 class="text-subheading">${previewHtml(props.title, ctx)}</h3>` : ''}
+        ${childContent}
+      </div>`
+
+    case 'image': {
+      const ratio = aspectRatio(props.aspectRatio)
+      const style = ratio ? ` style="aspect-ratio:${ratio}"` : ''
+      return props.src || props.url
+        ? `<img class="media" src=${previewUrl(props.src || props.url, ctx, true)} alt=${previewAttr(props.alt || '', ctx)}${style}>`
+        : `<div class="media placeholder"${style}>${previewHtml(props.alt || 'Image', ctx)}</div>`
+    }
+
+    case 'list': {
+      const { item, rows } = previewRows(instance, ctx)
+      return `<ul class="list">
+        ${rows.map(rowCtx => `<li class="stack tight">${previewTemplate(instance, item, rowCtx)}</li>`).join('\n        ')}
+      </ul>`
+    }
+
+    case 'carousel': {
+      const { item, rows } = previewRows(instance, ctx)
+      return `<div class="carousel">
+        ${rows.map(rowCtx => `<div class="card stack tight">${previewTemplate(instance, item, rowCtx)}</div>`).join('\n        ')}
+      </div>`
+    }
+
+    case 'timeline': {
+      const { item, rows } = previewRows(instance, ctx)
+      return `<ol class="timeline">
+        ${rows.map(rowCtx => `<li class="stack tight">${previewTemplate(instance, item, rowCtx)}</li>`).join('\n        ')}
+      </ol>`
+    }
+
+    case 'table':
+    case 'data-table': {
+      const { item, rows } = previewRows(instance, ctx)
+      const columns = tableColumns(instance, item)
+      return `<div class="table-scroll"><table>
+        <thead><tr>${columns.map(c => `<th>${xmlEscape(c.label)}</th>`).join('')}</tr></thead>
+        <tbody>
+          ${rows.map(rowCtx => `<tr>${columns.map(c => `<td>${previewHtml(c.template, rowCtx)}</td>`).join('')}</tr>`).join('\n          ')}
+        </tbody>
+      </table></div>`
+    }
+
+    case 'chart': {
+      const { item, rows } = previewRows(instance, ctx)
+      const axes = chartAxes(instance, item)
+      const field = path => path && path !== 'item' ? path.slice('item.'.length) : null
+      const y = rowCtx => num(axes.y === 'item' ? rowCtx.row : rowCtx.row?.[field(axes.y)], 0)
+      const max = Math.max(...rows.map(y), 0) || 1
+      if (axes.type === 'line' || axes.type === 'area') {
+        const points = rows.map((rowCtx, i) => `${((i / Math.max(rows.length - 1, 1)) * 100).toFixed(2)},${(100 - (y(rowCtx) / max) * 100).toFixed(2)}`).join(' ')
+        return `<svg class="chart" viewBox="0 0 100 100" preserveAspectRatio="none" role="img" aria-label=${previewAttr(props.title || 'Chart', ctx)}>
+        ${axes.type === 'area' ? `<polygon points="0,100 ${points} 100,100" />` : ''}<polyline points="${points}" vector-effect="non-scaling-stroke" />
+      </svg>`
+      }
+      return `<div class="bars">
+        ${rows.map((rowCtx, i) => `<div><span style="height:${((y(rowCtx) / max) * 85).toFixed(1)}%"></span><small>${axes.x ? xmlEscape(rowCtx.row?.[field(axes.x)] ?? '') : i + 1}</small></div>`).join('\n        ')}
+      </div>`
+    }
+
+    case 'kanban': {
+      const { item, rows } = previewRows(instance, ctx)
+      const { groupBy, columns } = kanbanColumns(instance, item, ctx)
+      return `<div class="kanban">
+        ${columns.map(column => `<section class="stack tight">
+          <h4>${xmlEscape(column.label)}</h4>
+          ${rows.filter(rowCtx => !groupBy || rowCtx.row?.[groupBy] === column.value).map(rowCtx => `<div class="card stack tight">${previewTemplate(instance, item, rowCtx)}</div>`).join('\n          ')}
+        </section>`).join('\n        ')}
+      </div>`
+    }
+
+    case 'chat': {
+      const { item, rows } = previewRows(instance, ctx)
+      const { text, mine } = chatFields(instance, item)
+      const bubble = rowCtx => instance.children?.length > 0 ? previewTemplate(instance, item, rowCtx) : previewHtml(text, rowCtx)
+      return `<div class="chat stack tight">
+        ${rows.map(rowCtx => `<div class="bubble${mine && rowCtx.row?.[mine.slice('item.'.length)] ? ' mine' : ''}">${bubble(rowCtx)}</div>`).join('\n        ')}
+        <div class="composer"><input placeholder=${previewAttr(props.placeholder || 'Message', ctx)}><button type="button" class="button" aria-label="Send">➤</button></div>
+      </div>`
+    }
+
+    case 'notifications': {
+      const { item, rows } = previewRows(instance, ctx)
+      return `<div class="stack tight">
+        <button type="button" class="button outline">Enable notifications</button>
+        ${rows.map(rowCtx => `<div class="card row"><span class="icon">🔔</span><div class="stack tight">${previewTemplate(instance, item, rowCtx)}</div></div>`).join('\n        ')}
+      </div>`
+    }
+
+    case 'modal':
+    case 'bottom-sheet':
+      // Rendered over the frame by previewModal
+      return ''
+
+    case 'form': {
+      const submit = !children?.some(c => c.capsuleId === 'button')
+        ? previewButton(previewHtml(props.submitText || 'Submit', ctx), props.onSubmit, 'button block', ctx)
+        : ''
+      return `<form class="stack" onsubmit="return false">
+        ${childContent}
+        ${submit}
+      </form>`
+    }
+
+    case 'navigation':
+      return `<nav class="row nav-links">
+        <strong>${previewHtml(props.title || ctx.screen.name, ctx)}</strong>
+        <span class="fill"></span>
+        ${navigationLinks(instance, ctx).map(link => `<a href="#screen-${link.screen}">${xmlEscape(link.label)}</a>`).join('\n        ')}
+      </nav>`
+
+    case 'auth-screen': {
+      const signUp = ctx.project.screens.some(s => s.id === props.signUpScreen)
+        ? `<a class="button ghost" href="#screen-${props.signUpScreen}">${xmlEscape(props.signUpText || 'Create an account')}</a>`
+        : ''
+      return `<form class="stack" onsubmit="return false">
+        <h3 class="text-heading">${previewHtml(props.title || 'Sign in', ctx)}</h3>
+        <label class="field"><input type="email" placeholder="Email"></label>
+        <label class="field"><input type="password" placeholder="Password"></label>
+        ${previewButton(previewHtml(props.submitText || 'Sign in', ctx), props.onSubmit, 'button block', ctx)}
+        ${signUp}
+      </form>`
+    }
+
+    case 'skeleton':
+      return `<div class="stack tight" aria-hidden="true">
+        ${Array.from({ length: Math.max(1, Math.round(num(props.lines, 3))) }, () => '<div class="skeleton"></div>').join('\n        ')}
+      </div>`
+
+    case 'progress': {
+      const value = Math.min(Math.max(num(props.value, 50), 0), 100)
+      return props.variant === 'circular' || props.type === 'circular'
+        ? `<div class="progress-circle" style="--value:${value}%" role="progressbar" aria-valuenow="${value}"></div>`
+        : `<div class="progress" role="progressbar" aria-valuenow="${value}"><span style="width:${value}%"></span></div>`
+    }
+
+    case 'switch':
+      return `<label class="row switch-row"><span class="fill">${previewHtml(props.label || '', ctx)}</span><input type="checkbox" class="switch" role="switch"${previewValue(instance, ctx) ? ' checked' : ''}></label>`
+
+    case 'slider':
+      return `<input type="range" class="slider" min="${num(props.min, 0)}" max="${num(props.max, 100)}" value="${previewValue(instance, ctx)}">`
+
+    case 'tabs': {
+      // Shows the selected pane; the other tabs are labels only
+      const sections = capsuleSections(instance)
+      const selected = Math.min(previewValue(instance, ctx) || 0, Math.max(sections.length - 1, 0))
+      return `<div class="stack">
+        <div class="tabs" role="tablist">
+          ${sections.map((section, i) => `<span role="tab"${i === selected ? ' class="active" aria-selected="true"' : ''}>${xmlEscape(section.label)}</span>`).join('\n          ')}
+        </div>
+        ${sections[selected] ? previewCapsule(sections[selected].child, ctx) : ''}
+      </div>`
+    }
+
+    case 'accordion':
+      return `<div class="accordion card">
+        ${capsuleSections(instance).map(section => `<details>
+          <summary>${xmlEscape(section.label)}</summary>
+          ${previewCapsule(section.child, ctx)}
+        </details>`).join('\n        ')}
+      </div>`
+
+    case 'popover':
+      return `<details class="popover">
+        <summary class="button outline">${previewHtml(props.title || props.label || 'More', ctx)}</summary>
+        <div class="card stack">${childContent}</div>
+      </details>`
+
+    case 'dropdown': {
+      const value = previewValue(instance, ctx)
+      return `<label class="field"><span>${previewHtml(props.label || props.placeholder || 'Select', ctx)}</span><select>
+        ${capsuleOptions(props).map(o => `<option value="${xmlEscape(o.value)}"${o.value === value ? ' selected' : ''}>${xmlEscape(o.label)}</option>`).join('\n        ')}
+      </select></label>`
+    }
+
+    case 'datepicker':
+      return `<label class="field"><span>${previewHtml(props.label || 'Date', ctx)}</span><input type="date" value="${xmlEscape(previewValue(instance, ctx) || '')}"></label>`
+
+    case 'calendar': {
+      const today = new Date()
+      const first = new Date(today.getFullYear(), today.getMonth(), 1)
+      const days = new Date(today.getFullYear(), today.getMonth() + 1, 0).getDate()
+      const offset = (first.getDay() + 6) % 7
+      const cells = [
+        ...['Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa', 'Su'].map(day => `<small>${day}</small>`),
+        ...Array.from({ length: offset }, () => '<span></span>'),
+        ...Array.from({ length: days }, (_, i) => `<span${i + 1 === today.getDate() ? ' class="active"' : ''}>${i + 1}</span>`)
+      ]
+      return `<div class="card calendar">
+        <strong>${first.toLocaleString('en-US', { month: 'long', year: 'numeric' })}</strong>
+        <div class="calendar-grid">${cells.join('')}</div>
+      </div>`
+    }
+
+    case 'tooltip':
+      return `<span class="tooltip" title=${previewAttr(props.text || props.content || '', ctx)}>${childContent || 'ⓘ'}</span>`
+
+    case 'rating': {
+      const value = previewValue(instance, ctx)
+      const max = Math.max(1, Math.round(num(props.max, 5)))
+      return `<div class="rating" aria-label="${value} of ${max} stars">${Array.from({ length: max }, (_, i) => `<span${i < value ? ' class="active"' : ''}>★</span>`).join('')}</div>`
+    }
+
+    case 'stepper':
+      return `<div class="row"><span class="fill">${previewHtml(props.label || 'Value', ctx)}</span><button type="button" class="round">−</button><span>${previewValue(instance, ctx)}</span><button type="button" class="round">+</button></div>`
+
+    case 'chip':
+      return `<span class="chip${previewValue(instance, ctx) ? ' active' : ''}">${previewHtml(props.label || props.text || '', ctx)}</span>`
+
+    case 'divider':
+      return '<hr>'
+
+    case 'file-upload':
+      return `<label class="row"><span class="button outline">📎 ${previewHtml(props.label || 'Upload file', ctx)}</span><input type="file" hidden><span class="muted">No file selected</span></label>`
+
+    case 'color-picker': {
+      const swatches = Array.isArray(props.swatches) && props.swatches.length > 0 ? props.swatches : DEFAULT_SWATCHES
+      const value = previewValue(instance, ctx)
+      return `<div class="stack tight">
+        <span>${previewHtml(props.label || 'Color', ctx)}</span>
+        <div class="row swatches">${swatches.map(color => `<span style="background:${xmlEscape(color)}"${color === value ? ' class="active"' : ''}></span>`).join('')}</div>
+      </div>`
+    }
+
+    case 'rich-text-editor':
+      return `<div class="card editor">
+        <div class="row toolbar"><b>B</b><i>I</i><u>U</u><span>•</span></div>
+        <div contenteditable="true">${previewHtml(previewValue(instance, ctx) || props.placeholder || '', ctx)}</div>
+      </div>`
+
+    case 'signature':
+      return '<div class="signature">Sign here</div>'
+
+    case 'map': {
+      const { latitude, longitude, delta } = mapRegion(props)
+      const half = delta / 2
+      const bbox = [longitude - half, latitude - half, longitude + half, latitude + half].map(n => Number(n.toFixed(5))).join(',')
+      return `<iframe class="embed" title=${previewAttr(props.title || props.label || 'Map', ctx)} src="https://www.openstreetmap.org/export/embed.html?bbox=${bbox}&amp;layer=mapnik&amp;marker=${latitude},${longitude}" loading="lazy" style="height:${num(props.height, 240)}px"></iframe>`
+    }
+
+    case 'video':
+      return `<video class="media" controls src=${previewUrl(props.src || props.url || '', ctx)}${props.poster ? ` poster=${previewUrl(props.poster, ctx, true)}` : ''}></video>`
+
+    case 'audio':
+      return `<div class="card stack tight"><strong>${previewHtml(props.title || 'Audio', ctx)}</strong><audio controls src=${previewUrl(props.src || props.url || '', ctx)}></audio></div>`
+
+    case 'webview':
+    case 'pdf-viewer':
+      return `<iframe class="embed" title=${previewAttr(props.title || props.label || (capsuleId === 'webview' ? 'Web page' : 'PDF'), ctx)} src=${previewUrl(props.src || props.url || '', ctx)} style="height:${num(props.height, 400)}px"></iframe>`
+
+    case 'qrcode':
+      // Not a scannable code, just its footprint
+      return `<figure class="qrcode"><div></div><figcaption>${previewHtml(props.value || props.text || props.url || '', ctx)}</figcaption></figure>`
+
+    case 'scanner':
+      return `<div class="viewfinder"><span>${previewHtml(props.label || 'Scan a code', ctx)}</span></div>`
+
+    case 'camera':
+      return `<button type="button" class="button outline">📷 ${previewHtml(props.label || 'Take photo', ctx)}</button>`
+
+    case 'biometrics':
+      return `<button type="button" class="button">${ctx.platform === 'ios' ? 'Face ID' : 'Fingerprint'} · ${previewHtml(props.label || 'Unlock', ctx)}</button>`
+
+    case 'location':
+      return `<button type="button" class="button outline">📍 ${previewHtml(props.label || 'Use my location', ctx)}</button>`
+
+    case 'social-share':
+      return `<button type="button" class="button outline">${ctx.platform === 'ios' ? '⬆︎' : '↗'} ${previewHtml(props.label || 'Share', ctx)}</button>`
+
+    case 'row':
+    case 'column': {
+      const horizontal = capsuleId === 'row'
+      const gap = previewSpacing(layoutSpacing(props.gap, ctx, horizontal ? 'sm' : 'md'))
+      const align = horizontal || props.alignment ? `align-items:${PREVIEW_ALIGNMENT[crossAlignment(props.alignment, 'center')]};` : ''
+      const items = stackChildren(instance).map(({ child, spacer, flex }) => {
+        if (spacer) return '<span class="fill"></span>'
+        const html = previewCapsule(child, ctx)
+        return flex > 0 ? `<div style="flex:${flex};min-width:0">${html}</div>` : html
+      }).join('\n        ')
+      return `<div style="display:flex;flex-direction:${horizontal ? 'row' : 'column'};gap:${gap};${align}${previewPadding(props.padding, ctx)}">
+        ${items}
+      </div>`
+    }
+
+    case 'zstack': {
+      const { vertical, horizontal } = layerAlignment(props.alignment)
+      const layer = i => i === 0 ? 'grid-area:1/1' : `grid-area:1/1;align-self:${PREVIEW_ALIGNMENT[vertical]};justify-self:${PREVIEW_ALIGNMENT[horizontal]}`
+      return `<div style="display:grid;${previewPadding(props.padding, ctx)}">
+        ${(children || []).map((c, i) => `<div style="${layer(i)}">${previewCapsule(c, ctx)}</div>`).join('\n        ')}
+      </div>`
+    }
+
+    case 'grid':
+      return `<div style="display:grid;grid-template-columns:repeat(${gridColumns(instance)},minmax(0,1fr));gap:${previewSpacing(layoutSpacing(props.gap, ctx, 'md'))};${previewPadding(props.padding, ctx)}">
+        ${childContent}
+      </div>`
+
+    case 'spacer': {
+      const size = layoutSpacing(props.size, ctx)
+      return size ? `<span style="flex:none;width:${previewSpacing(size)};height:${previewSpacing(size)}"></span>` : '<span class="fill"></span>'
+    }
+
+    case 'scroll-view': {
+      const horizontal = props.direction === 'horizontal'
+      const height = num(props.height, null)
+      return `<div style="display:flex;flex-direction:${horizontal ? 'row' : 'column'};overflow:auto;gap:${previewSpacing(layoutSpacing(props.gap, ctx, horizontal ? 'sm' : 'md'))};${height !== null ? `max-height:${height}px;` : ''}${previewPadding(props.padding, ctx)}">
+        ${horizontal ? (children || []).map(c => `<div style="flex:none">${previewCapsule(c, ctx)}</div>`).join('\n        ') : childContent}
+      </div>`
+    }
+
+    case 'safe-area':
+      return `<div class="stack" style="gap:${previewSpacing(layoutSpacing(props.gap, ctx, 'md'))};${previewPadding(props.padding, ctx)}">
+        ${childContent}
+      </div>`
+
+    default:
+      if (hasCapsuleTemplate(capsuleId, 'preview')) return renderCapsuleTemplate(instance, 'preview', ctx)
+      return `<div class="stack unknown" data-capsule="${xmlEscape(capsuleId)}">
+        ${childContent || `<span class="muted">${xmlEscape(capsuleId)}</span>`}
+      </div>`
+  }
+}
+
+// Theme variables, the page around the frames and the iOS / Material styles
+function previewCss(tokens, platform) {
+  const generic = GENERIC_FONTS[tokens.fontFamily?.toLowerCase()]
+  const system = platform === 'ios' ? '-apple-system, "SF Pro Text", system-ui' : 'Roboto, "Noto Sans", system-ui'
+  const family = tokens.fontFamily ? `${generic ? generic.css : `${cssString(tokens.fontFamily)}, ${system}`}, sans-serif` : `${system}, sans-serif`
+  const darkColors = tokens.colors.filter(color => color.dark !== color.light)
+  const ios = platform === 'ios'
+
+  return `:root {
+${tokens.colors.map(color => `  ${cssColorVariable(color)}: ${cssChannels(color.light)};`).join('\n')}
+${Object.entries(tokens.spacing).map(([key, value]) => `  --space-${key}: ${value}px;`).join('\n')}
+${Object.entries(tokens.radii).map(([key, value]) => `  --radius-${key}: ${value}px;`).join('\n')}
+  --font-family: ${family};
+}
+${darkColors.length > 0 ? `@media (prefers-color-scheme: dark) {
+  :root {
+${darkColors.map(color => `    ${cssColorVariable(color)}: ${cssChannels(color.dark)};`).join('\n')}
+  }
+}
+` : ''}* { box-sizing: border-box; }
+body { margin: 0; padding: 24px; background: #E5E7EB; font-family: system-ui, sans-serif; color: #111827; }
+a { color: inherit; text-decoration: none; }
+.page-header h1 { margin: 0; font-size: 22px; }
+.page-header small { color: #6B7280; font-weight: 400; }
+.page-header p { margin: 4px 0 24px; color: #6B7280; font-size: 13px; }
+.frames { display: flex; flex-wrap: wrap; gap: 32px; align-items: flex-start; }
+.frame-label { margin: 0 0 8px; font-size: 13px; font-weight: 600; }
+.frame-label code { color: #6B7280; font-weight: 400; }
+.device {
+  position: relative; width: ${ios ? 390 : 380}px; height: ${ios ? 844 : 820}px; overflow: hidden;
+  display: flex; flex-direction: column; border: 10px solid #111827; border-radius: ${ios ? 54 : 36}px;
+  background: rgb(var(--color-background)); color: rgb(var(--color-text-primary));
+  font-family: var(--font-family); font-size: ${tokens.styles.body.size}px; line-height: ${tokens.styles.body.lineHeight}px;
+}
+.frame:target .device { box-shadow: 0 0 0 4px rgb(var(--color-primary)); }
+.status-bar { display: flex; justify-content: space-between; padding: ${ios ? '14px 28px 6px' : '8px 20px 4px'}; font-size: 13px; font-weight: 600; }
+.status-icons { letter-spacing: 2px; font-size: 11px; }
+.app-bar { padding: ${ios ? '4px 16px 8px' : '8px 16px'}; ${ios ? '' : 'display: flex; align-items: center; gap: 16px; '}}
+.app-bar h2 { margin: 0; ${ios ? `font-size: 34px; line-height: 41px; font-weight: 700;` : `font-size: 22px; line-height: 28px; font-weight: 400;`} }
+.back { color: ${ios ? 'rgb(var(--color-primary))' : 'inherit'}; font-size: ${ios ? 17 : 22}px; ${ios ? 'display: block; margin-bottom: 4px;' : ''} }
+.content { flex: 1; overflow-y: auto; padding: var(--space-md); display: flex; flex-direction: column; gap: var(--space-md); }
+.tab-bar { display: flex; border-top: ${ios ? '0.5px solid rgb(var(--color-border))' : 'none'}; background: rgb(var(--color-surface)); padding: ${ios ? '6px 0 24px' : '12px 0 16px'}; }
+.tab-bar a { flex: 1; display: flex; flex-direction: column; align-items: center; gap: 4px; font-size: ${ios ? 10 : 12}px; color: rgb(var(--color-text-secondary)); }
+.tab-bar a.active { color: ${ios ? 'rgb(var(--color-primary))' : 'rgb(var(--color-text-primary))'}; font-weight: 600; }
+.tab-icon { font-size: 20px; line-height: 24px; ${ios ? '' : 'padding: 4px 20px; border-radius: 16px;'} }
+${ios ? '' : '.tab-bar a.active .tab-icon { background: rgb(var(--color-primary) / 0.18); }\n'}.overlay { display: none; position: absolute; inset: 0; z-index: 10; align-items: center; justify-content: center; padding: 24px; }
+.overlay:target { display: flex; }
+.overlay.sheet { align-items: flex-end; padding: 0; }
+.scrim { position: absolute; inset: 0; background: rgb(0 0 0 / 0.4); }
+.dialog { position: relative; width: 100%; max-height: 80%; overflow-y: auto; padding: 24px; background: rgb(var(--color-surface)); border-radius: ${ios ? 14 : 28}px; }
+.sheet .dialog { border-radius: ${ios ? 12 : 28}px ${ios ? 12 : 28}px 0 0; }
+.handle { align-self: center; width: 36px; height: 5px; border-radius: 3px; background: rgb(var(--color-border)); }
+.stack { display: flex; flex-direction: column; gap: var(--space-sm); }
+.stack.tight { gap: var(--space-xs); }
+.row { display: flex; align-items: center; gap: var(--space-sm); }
+.fill { flex: 1; }
+.muted { color: rgb(var(--color-text-secondary)); font-size: ${tokens.styles.caption.size}px; }
+${TEXT_STYLES.map(style => {
+    const { size, weight, lineHeight } = tokens.styles[style]
+    return `.text-${style} { margin: 0; font-size: ${size}px; line-height: ${lineHeight}px; font-weight: ${FONT_WEIGHTS[weight].css};${style === 'caption' ? ' color: rgb(var(--color-text-secondary));' : ''} }`
+  }).join('\n')}
+h3, h4 { margin: 0; }
+.button {
+  display: inline-flex; align-items: center; justify-content: center; gap: 6px; align-self: flex-start;
+  padding: ${ios ? '12px 20px' : '10px 24px'}; border: 1px solid transparent; border-radius: ${ios ? '12px' : '999px'};
+  background: rgb(var(--color-primary)); color: #FFFFFF; font: inherit; font-weight: ${ios ? 600 : 500}; cursor: pointer;
+}
+.button.block { align-self: stretch; }
+.button.secondary { background: rgb(var(--color-secondary)); }
+.button.outline { background: transparent; color: rgb(var(--color-primary)); border-color: ${ios ? 'rgb(var(--color-primary))' : 'rgb(var(--color-border))'}; }
+.button.ghost { background: transparent; color: rgb(var(--color-primary)); }
+.round { width: 32px; height: 32px; border-radius: 50%; border: 1px solid rgb(var(--color-border)); background: transparent; color: inherit; font: inherit; }
+.field { display: flex; flex-direction: column; gap: 4px; font-size: 13px; font-weight: 500; }
+input:not([type=checkbox]):not([type=range]), select, .search {
+  width: 100%; padding: 10px 12px; font: inherit; color: inherit;
+  ${ios ? 'border: none; border-radius: 10px; background: rgb(var(--color-surface));' : 'border: 1px solid rgb(var(--color-text-secondary)); border-radius: 4px; background: transparent;'}
+}
+.search { border-radius: ${ios ? '10px' : '28px'}; }
+.card { padding: var(--space-md); border-radius: var(--radius-lg); background: rgb(var(--color-surface)); ${ios ? 'border: 0.5px solid rgb(var(--color-border));' : 'box-shadow: 0 1px 3px rgb(0 0 0 / 0.15);'} }
+.media { width: 100%; border-radius: var(--radius-lg); object-fit: cover; display: block; }
+.placeholder { display: flex; align-items: center; justify-content: center; min-height: 160px; background: rgb(var(--color-border)); color: rgb(var(--color-text-secondary)); }
+.list { list-style: none; margin: 0; padding: 0; ${ios ? 'border-radius: 10px; background: rgb(var(--color-surface));' : ''} }
+.list li { padding: 12px ${ios ? 16 : 0}px; border-bottom: ${ios ? 0.5 : 1}px solid rgb(var(--color-border)); }
+.list li:last-child { border-bottom: none; }
+.carousel, .kanban { display: flex; gap: var(--space-sm); overflow-x: auto; padding-bottom: 4px; }
+.carousel > .card { flex: none; width: 220px; }
+.kanban > section { flex: none; width: 220px; padding: var(--space-sm); border-radius: var(--radius-lg); background: rgb(var(--color-border) / 0.5); }
+.timeline { list-style: none; margin: 0 0 0 6px; padding: 0; border-left: 2px solid rgb(var(--color-border)); }
+.timeline li { position: relative; padding: 0 0 var(--space-md) var(--space-md); }
+.timeline li::before { content: ""; position: absolute; left: -7px; top: 6px; width: 12px; height: 12px; border-radius: 50%; background: rgb(var(--color-primary)); }
+.table-scroll { overflow-x: auto; }
+table { width: 100%; border-collapse: collapse; font-size: 14px; }
+th, td { text-align: left; padding: 8px 12px 8px 0; border-bottom: 1px solid rgb(var(--color-border)); }
+.chart { width: 100%; height: 180px; }
+.chart polyline { fill: none; stroke: rgb(var(--color-primary)); stroke-width: 2; }
+.chart polygon { fill: rgb(var(--color-primary) / 0.2); }
+.bars { display: flex; align-items: flex-end; gap: 8px; height: 180px; }
+.bars > div { flex: 1; height: 100%; display: flex; flex-direction: column; justify-content: flex-end; align-items: center; gap: 4px; min-width: 0; }
+.bars span { width: 100%; border-radius: 4px 4px 0 0; background: rgb(var(--color-primary)); }
+.bars small { font-size: 11px; color: rgb(var(--color-text-secondary)); max-width: 100%; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+.chat .bubble { align-self: flex-start; max-width: 75%; padding: 8px 12px; border-radius: 18px; background: rgb(var(--color-border)); }
+.chat .bubble.mine { align-self: flex-end; background: rgb(var(--color-primary)); color: #FFFFFF; }
+.composer { display: flex; gap: var(--space-sm); }
+.composer .button { border-radius: 50%; padding: 10px 14px; }
+.progress { height: ${ios ? 4 : 6}px; border-radius: 3px; background: rgb(var(--color-border)); overflow: hidden; }
+.progress span { display: block; height: 100%; background: rgb(var(--color-primary)); }
+.progress-circle { width: 48px; height: 48px; border-radius: 50%; background: conic-gradient(rgb(var(--color-primary)) var(--value), rgb(var(--color-border)) 0); -webkit-mask: radial-gradient(circle, transparent 55%, #000 56%); mask: radial-gradient(circle, transparent 55%, #000 56%); }
+.switch { appearance: none; position: relative; flex: none; width: ${ios ? 51 : 52}px; height: ${ios ? 31 : 32}px; margin: 0; border-radius: 16px; cursor: pointer; ${ios ? 'background: rgb(var(--color-border));' : 'background: rgb(var(--color-border)); border: 2px solid rgb(var(--color-text-secondary));'} }
+.switch::after { content: ""; position: absolute; top: ${ios ? 2 : 6}px; left: ${ios ? 2 : 6}px; width: ${ios ? 27 : 16}px; height: ${ios ? 27 : 16}px; border-radius: 50%; background: ${ios ? '#FFFFFF' : 'rgb(var(--color-text-secondary))'}; ${ios ? 'box-shadow: 0 2px 4px rgb(0 0 0 / 0.2);' : ''} transition: transform 0.15s; }
+.switch:checked { background: rgb(var(--color-primary)); ${ios ? '' : 'border-color: rgb(var(--color-primary));'} }
+.switch:checked::after { transform: translateX(20px); ${ios ? '' : 'top: 2px; left: 2px; width: 24px; height: 24px; background: #FFFFFF;'} }
+.slider { width: 100%; accent-color: rgb(var(--color-primary)); }
+.tabs { display: flex; border-bottom: 1px solid rgb(var(--color-border)); ${ios ? 'border: none; padding: 2px; border-radius: 9px; background: rgb(var(--color-border) / 0.6);' : ''} }
+.tabs span { flex: 1; text-align: center; padding: ${ios ? '6px' : '12px'}; font-size: 14px; color: rgb(var(--color-text-secondary)); }
+.tabs .active { color: rgb(var(--color-${ios ? 'text-primary' : 'primary'})); ${ios ? 'background: rgb(var(--color-background)); border-radius: 7px; font-weight: 600;' : 'border-bottom: 3px solid rgb(var(--color-primary)); font-weight: 500;'} }
+.accordion { padding: 0 var(--space-md); }
+details > summary { padding: 12px 0; cursor: pointer; font-weight: 500; }
+.accordion details + details { border-top: 1px solid rgb(var(--color-border)); }
+.popover > summary { list-style: none; }
+.chip { display: inline-block; align-self: flex-start; padding: 6px 14px; border-radius: ${ios ? '999px' : '8px'}; border: 1px solid rgb(var(--color-border)); font-size: 14px; }
+.chip.active { background: rgb(var(--color-primary)); border-color: rgb(var(--color-primary)); color: #FFFFFF; }
+hr { width: 100%; border: none; border-top: 1px solid rgb(var(--color-border)); margin: 4px 0; }
+.rating span { font-size: 24px; color: rgb(var(--color-border)); }
+.rating .active { color: #FACC15; }
+.calendar-grid { display: grid; grid-template-columns: repeat(7, 1fr); gap: 4px; margin-top: 8px; text-align: center; }
+.calendar-grid small { color: rgb(var(--color-text-secondary)); }
+.calendar-grid span { padding: 6px 0; border-radius: 50%; }
+.calendar-grid .active { background: rgb(var(--color-primary)); color: #FFFFFF; }
+.swatches span { width: 28px; height: 28px; border-radius: 50%; }
+.swatches .active { box-shadow: 0 0 0 2px rgb(var(--color-background)), 0 0 0 4px rgb(var(--color-text-primary)); }
+.editor .toolbar { padding-bottom: 8px; border-bottom: 1px solid rgb(var(--color-border)); }
+.editor [contenteditable] { min-height: 96px; padding-top: 8px; outline: none; }
+.signature, .viewfinder { display: flex; align-items: flex-end; justify-content: center; height: 160px; padding: 12px; border: 2px dashed rgb(var(--color-border)); border-radius: var(--radius-lg); color: rgb(var(--color-text-secondary)); }
+.viewfinder { align-items: center; background: #111827; color: #FFFFFF; border: none; }
+.embed { width: 100%; border: 1px solid rgb(var(--color-border)); border-radius: var(--radius-lg); }
+.qrcode { margin: 0; align-self: center; text-align: center; }
+.qrcode div { width: 160px; height: 160px; background: repeating-conic-gradient(#111827 0 25%, #FFFFFF 0 50%) 0 0 / 20px 20px; border: 12px solid #FFFFFF; outline: 1px solid rgb(var(--color-border)); }
+.qrcode figcaption { margin-top: 4px; font-size: 12px; color: rgb(var(--color-text-secondary)); }
+.skeleton { height: 14px; border-radius: 4px; background: rgb(var(--color-border)); }
+.nav-links a { color: rgb(var(--color-primary)); }
+.icon { font-size: 20px; }
+.unknown { padding: 8px; border: 1px dashed rgb(var(--color-border)); border-radius: 8px; }`
+}
+
+// ============================================
+// JSON PATCH
+// ============================================
+
+// RFC 6902 patches, used to describe AI edits to a project
+
+// Keys that would reach an object's prototype instead of its own properties
+const UNSAFE_KEYS = new Set(['__proto__', 'constructor', 'prototype'])
+
+function parsePointer(pointer) {
+  if (pointer === '') return []
+  if (typeof pointer !== 'string' || !pointer.startsWith('/')) throw new Error(`"${pointer}" is not a JSON pointer`)
+  const keys = pointer.slice(1).split('/').map(key => key.replace(/~1/g, '/').replace(/~0/g, '~'))
+  const unsafe = keys.find(key => UNSAFE_KEYS.has(key))
+  if (unsafe !== undefined) throw new Error(`"${unsafe}" can't be used in a pointer`)
+  return keys
+}
+
+// The container a pointer ends in and the key inside it
+function pointerParent(document, pointer) {
+  const keys = parsePointer(pointer)
+  if (keys.length === 0) throw new Error('the whole document can\'t be patched')
+  const key = keys.pop()
+  const parent = keys.reduce((node, k) => {
+    const child = Array.isArray(node) ? node[arrayIndex(node, k)] : Object.hasOwn(node, k) ? node[k] : undefined
+    if (child === undefined || child === null || typeof child !== 'object') throw new Error(`"${pointer}" does not exist`)
+    return child
+  }, document)
+  return { parent, key }
+}
+
+function arrayIndex(array, key, { append = false } = {}) {
+  if (append && key === '-') return array.length
+  if (!/^(0|[1-9][0-9]*)$/.test(key)) throw new Error(`"${key}" is not an array index`)
+  const index = Number(key)
+  if (index > array.length || (!append && index === array.length)) throw new Error(`index ${index} is out of range`)
+  return index
+}
+
+function pointerGet(document, pointer) {
+  const { parent, key } = pointerParent(document, pointer)
+  const value = Array.isArray(parent) ? parent[arrayIndex(parent, key)] : Object.hasOwn(parent, key) ? parent[key] : undefined
+  if (value === undefined) throw new Error(`"${pointer}" does not exist`)
+  return value
+}
+
+function pointerAdd(document, pointer, value) {
+  const { parent, key } = pointerParent(document, pointer)
+  if (Array.isArray(parent)) parent.splice(arrayIndex(parent, key, { append: true }), 0, value)
+  else parent[key] = value
+}
+
+// Replaces a value where it is, so an object keeps the order of its keys
+function pointerReplace(document, pointer, value) {
+  pointerGet(document, pointer)
+  const { parent, key } = pointerParent(document, pointer)
+  parent[Array.isArray(parent) ? arrayIndex(parent, key) : key] = value
+}
+
+function pointerRemove(document, pointer) {
+  const value = pointerGet(document, pointer)
+  const { parent, key } = pointerParent(document, pointer)
+  if (Array.isArray(parent)) parent.splice(arrayIndex(parent, key), 1)
+  else delete parent[key]
+  return value
+}
+
+// Applies a patch to a copy of the document; throws on the first bad operation
+function applyJsonPatch(document, patch) {
+  if (!Array.isArray(patch)) throw new Error('a patch must be an array of operations')
+  const result = structuredClone(document)
+  patch.forEach((operation, i) => {
+    const { op, path, from, value } = operation || {}
+    try {
+      switch (op) {
+        case 'add':
+          pointerAdd(result, path, structuredClone(value))
+          break
+        case 'remove':
+          pointerRemove(result, path)
+          break
+        case 'replace':
+          pointerReplace(result, path, structuredClone(value))
+          break
+        case 'move':
+          pointerAdd(result, path, pointerRemove(result, from))
+          break
+        case 'copy':
+          pointerAdd(result, path, structuredClone(pointerGet(result, from)))
+          break
+        case 'test':
+          if (JSON.stringify(pointerGet(result, path)) !== JSON.stringify(value)) throw new Error(`"${path}" does not have the expected value`)
+          break
+        default:
+          throw new Error(`unknown op "${op}"`)
+      }
+    } catch (error) {
+      throw Object.assign(new Error(`operation ${i} (${op} ${path}): ${error.message}`), { operation: i })
+    }
+  })
+  return result
+}
+
+// The patch turning one document into another. Arrays are matched by element
+// id (or value), so inserting a capsule doesn't rewrite its siblings.
+function diffJson(before, after, path = '', patch = []) {
+  if (JSON.stringify(before) === JSON.stringify(after)) return patch
+  if (Array.isArray(before) && Array.isArray(after)) {
+    diffArrays(before, after, path, patch)
+  } else if (typeOf(before) === 'object' && typeOf(after) === 'object') {
+    for (const key of Object.keys(before)) {
+      if (!Object.hasOwn(after, key)) patch.push({ op: 'remove', path: `${path}/${escapePointer(key)}` })
+    }
+    for (const [key, value] of Object.entries(after)) {
+      const childPath = `${path}/${escapePointer(key)}`
+      if (Object.hasOwn(before, key)) diffJson(before[key], value, childPath, patch)
+      else patch.push({ op: 'add', path: childPath, value })
+    }
+  } else {
+    patch.push({ op: 'replace', path, value: after })
+  }
+  return patch
+}
+
+// Past this many cells the matching table costs more than the patch saves
+const DIFF_MAX_CELLS = 250000
+
+function diffArrays(before, after, path, patch) {
+  const identity = item => typeOf(item) === 'object' && typeof item.id === 'string' ? `id:${item.id}` : JSON.stringify(item)
+  const a = before.map(identity)
+  const b = after.map(identity)
+
+  // Only the part between the common prefix and suffix needs matching
+  let start = 0
+  while (start < a.length && start < b.length && a[start] === b[start]) start++
+  let end = 0
+  while (end < a.length - start && end < b.length - start && a[a.length - 1 - end] === b[b.length - 1 - end]) end++
+  const n = a.length - start - end
+  const m = b.length - start - end
+  if ((n + 1) * (m + 1) > DIFF_MAX_CELLS) {
+    patch.push({ op: 'replace', path, value: after })
+    return
+  }
+
+  // Longest common subsequence of the middle identities, from the end
+  const common = Array.from({ length: n + 1 }, () => new Array(m + 1).fill(0))
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      common[i][j] = a[start + i] === b[start + j] ? common[i + 1][j + 1] + 1 : Math.max(common[i + 1][j], common[i][j + 1])
+    }
+  }
+
+  for (let k = 0; k < start; k++) diffJson(before[k], after[k], `${path}/${k}`, patch)
+
+  // index is the position in the array as the earlier operations left it
+  let i = 0
+  let j = 0
+  let index = start
+  while (i < n || j < m) {
+    if (i < n && j < m && a[start + i] === b[start + j]) {
+      diffJson(before[start + i++], after[start + j++], `${path}/${index++}`, patch)
+    } else if (j < m && (i === n || common[i][j + 1] >= common[i + 1][j])) {
+      patch.push({ op: 'add', path: `${path}/${index++}`, value: after[start + j++] })
+    } else {
+      patch.push({ op: 'remove', path: `${path}/${index}` })
+      i++
+    }
+  }
+
+  for (let k = 0; k < end; k++) diffJson(before[start + n + k], after[start + m + k], `${path}/${index++}`, patch)
+}
+
+// ============================================
+// PROJECT STORE
+// ============================================
+
+// Saved projects keep every version of their spec:
+// { id, createdAt, updatedAt, versions: [{ version, createdAt, source, note, project }] }
+// A store only persists these records; PROJECT_STORE picks the implementation.
+
+// One JSON file per project in PROJECTS_DIR
+function fileProjectStore(dir) {
+  const file = id => path.join(dir, `${id}.json`)
+  const read = async name => JSON.parse(await readFile(path.join(dir, name), 'utf8'))
+  return {
+    async list() {
+      const names = await readdir(dir).catch(error => error.code === 'ENOENT' ? [] : Promise.reject(error))
+      return Promise.all(names.filter(name => name.endsWith('.json')).map(read))
+    },
+    async get(id) {
+      return read(`${id}.json`).catch(error => error.code === 'ENOENT' ? null : Promise.reject(error))
+    },
+    // Written to a temporary file first so a crash never leaves half a record
+    async save(record) {
+      await mkdir(dir, { recursive: true })
+      const temporary = `${file(record.id)}.${process.pid}.tmp`
+      await writeFile(temporary, JSON.stringify(record, null, 2))
+      await rename(temporary, file(record.id))
+    },
+    async remove(id) {
+      return rm(file(id)).then(() => true, error => error.code === 'ENOENT' ? false : Promise.reject(error))
+    }
+  }
+}
+
+// Kept in memory only, for tests and throwaway instances
+function memoryProjectStore() {
+  const records = new Map()
+  return {
+    async list() {
+      return [...records.values()].map(record => structuredClone(record))
+    },
+    async get(id) {
+      return records.has(id) ? structuredClone(records.get(id)) : null
+    },
+    async save(record) {
+      records.set(record.id, structuredClone(record))
+    },
+    async remove(id) {
+      return records.delete(id)
+    }
+  }
+}
+
+const PROJECT_STORES = {
+  file: () => fileProjectStore(process.env.PROJECTS_DIR || 'data/projects'),
+  memory: memoryProjectStore
+}
+
+const projectStore = (PROJECT_STORES[process.env.PROJECT_STORE] || PROJECT_STORES.file)()
+
+// Changes to one project run one after another, so concurrent saves can't
+// drop each other's versions
+const projectQueues = new Map()
+
+function withProject(id, change) {
+  const run = (projectQueues.get(id) || Promise.resolve()).then(() => change(), () => change())
+  const queued = run.catch(() => {})
+  projectQueues.set(id, queued)
+  queued.then(() => projectQueues.get(id) === queued && projectQueues.delete(id))
+  return run
+}
+
+function isProjectId(id) {
+  return typeof id === 'string' && /^[a-z0-9-]{1,64}$/.test(id)
+}
+
+// Projects belong to the key that created them and are only visible to it and
+// to admin keys, like jobs
+function ownsProject(client, record) {
+  return client.admin || record.owner === client.name
+}
+
+async function loadProject(id, client) {
+  const record = isProjectId(id) ? await projectStore.get(id) : null
+  return record && ownsProject(client, record) ? record : null
+}
+
+// Creates the project, owned by client, when id is null; a version identical
+// to the latest one isn't added again
+function saveProjectVersion(client, id, project, source, note) {
+  const projectId = id || randomUUID()
+  return withProject(projectId, async () => {
+    const now = new Date().toISOString()
+    const record = id ? await loadProject(id, client) : { id: projectId, owner: client.name, createdAt: now, versions: [] }
+    if (!record) return null
+
+    const latest = record.versions.at(-1)
+    if (!latest || JSON.stringify(latest.project) !== JSON.stringify(project)) {
+      record.versions.push({ version: (latest?.version || 0) + 1, createdAt: now, source, ...(note && { note }), project })
+      record.updatedAt = now
+      await projectStore.save(record)
+    }
+    return record
+  })
+}
+
+function projectVersion(record, version) {
+  return version === undefined ? record.versions.at(-1) : record.versions.find(v => v.version === Number(version))
+}
+
+function projectSummary(record) {
+  const latest = record.versions.at(-1)
+  return {
+    id: record.id,
+    name: latest.project.name,
+    owner: record.owner,
+    version: latest.version,
+    versions: record.versions.length,
+    createdAt: record.createdAt,
+    updatedAt: record.updatedAt
+  }
+}
+
+// The project a request works on: the body itself, or the stored project
+// named by { projectId, version } (latest version when none is given) that
+// client may see
+async function requestProject(body, client) {
+  if (body?.projectId === undefined) return { project: body }
+  const record = await loadProject(body.projectId, client)
+  const entry = record && projectVersion(record, body.version)
+  if (!entry) {
+    return { status: 404, error: record ? `Version ${body.version} of project "${body.projectId}" not found` : `Project "${body.projectId}" not found` }
+  }
+  return { project: entry.project, record, version: entry.version }
+}
+
+// ============================================
+// ACCESS CONTROL
+// ============================================
+
+// API keys come from API_KEYS ("name:key,name:key", or bare keys) and from
+// API_KEYS_FILE, a JSON list of { name, key, admin, limits }. Without any keys
+// the API stays open, as for local development.
+// Each key has a per-minute rate limit and a daily quota (UTC days) for AI
+// routes and for code generation routes; "limits" in the file overrides them:
+// { "ai": { "perMinute": 5, "perDay": 100 }, "codegen": { "perDay": 500 } }
+const DEFAULT_LIMITS = {
+  ai: { perMinute: Number(process.env.AI_RATE_LIMIT) || 10, perDay: Number(process.env.AI_DAILY_QUOTA) || 200 },
+  codegen: { perMinute: Number(process.env.CODEGEN_RATE_LIMIT) || 60, perDay: Number(process.env.CODEGEN_DAILY_QUOTA) || 2000 }
+}
+
+// The routes each limit applies to; the rest only need a key
+const LIMITED_ROUTES = {
+  ai: /^\/ai\//,
+  codegen: /^\/(generate|preview)$/
+}
+
+const PUBLIC_ROUTES = ['/', '/health']
+
+// Keys are looked up by their hash, so the secrets themselves aren't kept
+const hashKey = key => createHash('sha256').update(key).digest('hex')
+
+function loadApiKeys() {
+  const entries = (process.env.API_KEYS || '').split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+    const separator = entry.indexOf(':')
+    return separator > 0 ? { name: entry.slice(0, separator), key: entry.slice(separator + 1) } : { key: entry }
+  })
+  if (process.env.API_KEYS_FILE) {
+    const file = JSON.parse(readFileSync(process.env.API_KEYS_FILE, 'utf8'))
+    if (!Array.isArray(file)) throw new Error(`${process.env.API_KEYS_FILE} must contain a JSON array of keys`)
+    entries.push(...file)
+  }
+
+  const keys = new Map()
+  entries.forEach((entry, i) => {
+    if (typeof entry?.key !== 'string' || entry.key.length === 0) throw new Error(`API key ${entry?.name || i + 1} has no "key"`)
+    keys.set(hashKey(entry.key), {
+      name: entry.name || `key-${i + 1}`,
+      admin: entry.admin === true,
+      limits: Object.fromEntries(Object.entries(DEFAULT_LIMITS).map(([bucket, limits]) => [bucket, { ...limits, ...entry.limits?.[bucket] }]))
+    })
+  })
+  return keys
+}
+
+const API_KEYS = loadApiKeys()
+
+// Who calls an open API: tracked like a key, without limits
+const ANONYMOUS_CLIENT = { name: 'anonymous', admin: true, limits: {} }
+
+// Usage lives in memory, so counters start over when the server restarts:
+// client name -> { 'YYYY-MM-DD': { ai, codegen, promptTokens, completionTokens } }
+const USAGE_DAYS = 30
+const clientUsage = new Map()
+const rateWindows = new Map()
+
+const utcDay = (time = Date.now()) => new Date(time).toISOString().slice(0, 10)
+
+function usageOn(client, day = utcDay()) {
+  if (!clientUsage.has(client.name)) clientUsage.set(client.name, {})
+  const days = clientUsage.get(client.name)
+  if (!days[day]) {
+    days[day] = { ai: 0, codegen: 0, promptTokens: 0, completionTokens: 0 }
+    Object.keys(days).sort().slice(0, -USAGE_DAYS).forEach(old => delete days[old])
+  }
+  return days[day]
+}
+
+// Counts a request against a limited route, or returns why it is refused
+function takeRequest(client, bucket) {
+  const limits = client.limits[bucket]
+  const today = usageOn(client)
+  const now = Date.now()
+
+  if (limits) {
+    if (today[bucket] >= limits.perDay) {
+      const midnight = Date.parse(`${utcDay(now)}T00:00:00Z`) + 86400000
+      return { error: 'Daily quota exceeded', details: `${limits.perDay} ${bucket} requests per day`, retryAfter: Math.ceil((midnight - now) / 1000) }
+    }
+    const windowKey = `${client.name}:${bucket}`
+    let window = rateWindows.get(windowKey)
+    if (!window || now - window.start >= 60000) {
+      window = { start: now, count: 0 }
+      rateWindows.set(windowKey, window)
+    }
+    if (window.count >= limits.perMinute) {
+      return { error: 'Rate limit exceeded', details: `${limits.perMinute} ${bucket} requests per minute`, retryAfter: Math.ceil((window.start + 60000 - now) / 1000) }
+    }
+    window.count++
+  }
+  today[bucket]++
+  return null
+}
+
+// Model tokens spent on a request, as reported by the provider (or estimated)
+function recordTokens(client, usage) {
+  if (!client || !usage) return
+  const today = usageOn(client)
+  today.promptTokens += usage.promptTokens
+  today.completionTokens += usage.completionTokens
+}
+
+// Runs before the body is parsed, so requests without a valid key don't get
+// to upload anything. The key goes in "Authorization: Bearer <key>" or
+// "X-API-Key: <key>".
+function authenticate(req, res, next) {
+  if (PUBLIC_ROUTES.includes(req.path)) return next()
+
+  if (API_KEYS.size === 0) {
+    req.client = ANONYMOUS_CLIENT
+  } else {
+    const key = req.get('x-api-key') || req.get('authorization')?.match(/^Bearer\s+(\S+)$/i)?.[1]
+    req.client = key && API_KEYS.get(hashKey(key))
+    if (!req.client) {
+      res.set('WWW-Authenticate', 'Bearer')
+      return res.status(401).json({
+        error: key ? 'Invalid API key' : 'Missing API key',
+        details: 'Send an API key as "Authorization: Bearer <key>" or "X-API-Key: <key>"'
+      })
+    }
+  }
+
+  const bucket = Object.keys(LIMITED_ROUTES).find(name => LIMITED_ROUTES[name].test(req.path))
+  const refusal = bucket && takeRequest(req.client, bucket)
+  if (refusal) return sendRefusal(res, refusal)
+  next()
+}
+
+function sendRefusal(res, refusal) {
+  res.set('Retry-After', String(refusal.retryAfter))
+  res.status(429).json({ error: refusal.error, details: refusal.details, retryAfter: refusal.retryAfter })
+}
+
+// A client's limits and what it used today and on earlier days
+function usageReport(client) {
+  const days = clientUsage.get(client.name) || {}
+  const today = days[utcDay()] || { ai: 0, codegen: 0, promptTokens: 0, completionTokens: 0 }
+  return {
+    name: client.name,
+    today: {
+      date: utcDay(),
+      ...Object.fromEntries(Object.keys(LIMITED_ROUTES).map(bucket => {
+        const limits = client.limits[bucket]
+        return [bucket, {
+          requests: today[bucket],
+          ...(limits && { perMinute: limits.perMinute, perDay: limits.perDay, remaining: Math.max(0, limits.perDay - today[bucket]) })
+        }]
+      })),
+      tokens: { prompt: today.promptTokens, completion: today.completionTokens, total: today.promptTokens + today.completionTokens }
+    },
+    days: Object.keys(days).sort().reverse().map(date => ({
+      date,
+      ...days[date],
+      totalTokens: days[date].promptTokens + days[date].completionTokens
+    }))
+  }
+}
+
+// ============================================
+// ROUTES
+// ============================================
+
+app.get('/', (req, res) => {
+  res.json({
+    name: 'HubLab API',
+    version: '1.0.0',
+    endpoints: {
+      'GET /schema': 'JSON Schema for projects',
+      'GET /capsules': 'Registered capsules with their props and platforms (custom ones load from CAPSULES_DIR)',
+      'GET /capsules/coverage': 'Which capsules are native or fallbacks on each platform',
+      'POST /validate': 'Validate project JSON against the schema',
+      'POST /generate': 'Generate native code from project JSON or { projectId, version }, with an accessibility lint report (?format=zip for an archive; with "previous" or "since", only the changed files)',
+      'POST /preview': 'Render project JSON or { projectId, version } to a static HTML preview (?platform=ios|android)',
+      'GET /projects': 'Projects saved with your API key (admin keys see all)',
+      'POST /projects': 'Save a project (PUT /projects/:id adds a version, DELETE removes it)',
+      'GET /projects/:id': 'Latest version of a saved project',
+      'GET /projects/:id/versions': 'Version history (GET /projects/:id/versions/:version for one version)',
+      'POST /projects/:id/revert': 'Make { version } the latest version again',
+      'GET /projects/:id/diff': 'JSON Patch between two versions (?from=&to=)',
+      'POST /jobs': 'Queue a { type: "generate" | "ai-build" } job, with an optional signed { webhook: { url, secret } } callback',
+      'GET /jobs/:id': 'Job status, progress and result (GET /jobs lists your jobs, POST /jobs/:id/cancel cancels one)',
+      'GET /usage': 'Requests and model tokens used by your API key, with its limits (every key for admin keys)',
       'GET /health': 'Health check'
     },
     docs: 'https://hublab.dev/docs'
   })
-})
+})
+
+app.get('/health', (req, res) => {
+  res.json({ status: 'ok', timestamp: new Date().toISOString() })
+})
+
+app.get('/usage', (req, res) => {
+  const clients = req.client.admin && API_KEYS.size > 0 ? [...API_KEYS.values()] : [req.client]
+  res.json({ clients: clients.map(usageReport) })
+})
+
+app.get('/schema', (req, res) => {
+  res.json(schema)
+})
+
+app.get('/capsules', (req, res) => {
+  res.json(capsuleCatalog())
+})
+
+app.get('/capsules/coverage', (req, res) => {
+  res.json(capsuleCoverage())
+})
+
+app.post('/validate', (req, res) => {
+  res.json(validateProject(req.body))
+})
+
+// Diff mode: given the project generated last time, as "previous" (project
+// JSON or { projectId, version }) or "since" (a version of projectId), only
+// the files added, changed or removed since then are returned
+app.post('/generate', async (req, res) => {
+  try {
+    if (req.body?.previous !== undefined || req.body?.since !== undefined) {
+      return await generateDiff(req, res)
+    }
+
+    const { project, status, error } = await requestProject(req.body, req.client)
+    if (error) {
+      return res.status(status).json({ error })
+    }
+
+    const validation = validateProject(project)
+    if (!validation.valid) {
+      return res.status(422).json({
+        error: 'Project does not match the schema',
+        errors: validation.errors
+      })
+    }
+
+    const { results, summary } = generateProject(project)
+
+    if (wantsZip(req)) {
+      return sendZip(res, project, results)
+    }
+
+    res.json({
+      success: true,
+      project: {
+        name: project.name,
+        version: project.version
+      },
+      results,
+      summary,
+      accessibility: accessibilityReport(project)
+    })
+
+  } catch (error) {
+    console.error('Generation error:', error)
+    res.status(400).json({
+      error: 'Invalid project specification',
+      details: error.message
+    })
+  }
+})
+
+// The project is { projectId, version } or project JSON in "project"
+async function generateDiff(req, res) {
+  const { projectId, since } = req.body
+  if (wantsZip(req)) {
+    return res.status(400).json({ error: 'A diff cannot be zipped', details: 'Leave out "previous" and "since" to download the whole project' })
+  }
+  if (since !== undefined && projectId === undefined) {
+    return res.status(400).json({ error: 'Missing projectId', details: '"since" is a version of the stored project named by projectId' })
+  }
+
+  const after = await requestProject(projectId === undefined ? req.body.project : req.body, req.client)
+  const before = await requestProject(since !== undefined ? { projectId, version: since } : req.body.previous, req.client)
+  for (const [which, { status, error, project }] of [['Project', after], ['Previous project', before]]) {
+    if (error) {
+      return res.status(status).json({ error })
+    }
+    const validation = validateProject(project)
+    if (!validation.valid) {
+      return res.status(422).json({
+        error: `${which} does not match the schema`,
+        errors: validation.errors
+      })
+    }
+  }
+
+  const project = after.project
+  const previous = generateProject(before.project)
+  const { results, summary } = generateProject(project)
+  const changes = diffResults(previous.results, results)
+
+  res.json({
+    success: true,
+    project: {
+      name: project.name,
+      version: project.version
+    },
+    changes,
+    summary: {
+      ...summary,
+      added: changes.reduce((sum, change) => sum + change.added.length, 0),
+      changed: changes.reduce((sum, change) => sum + change.changed.length, 0),
+      removed: changes.reduce((sum, change) => sum + change.removed.length, 0)
+    }
+  })
+}
+
+app.post('/preview', async (req, res) => {
+  const { project, status, error } = await requestProject(req.body, req.client).catch(error => ({ status: 500, error: error.message }))
+  if (error) {
+    return res.status(status).json({ error })
+  }
+
+  const validation = validateProject(project)
+  if (!validation.valid) {
+    return res.status(422).json({
+      error: 'Project does not match the schema',
+      errors: validation.errors
+    })
+  }
+
+  const platform = previewPlatform(project, req.query.platform)
+  if (!platform) {
+    return res.status(400).json({
+      error: 'Unknown preview platform',
+      details: `Use one of: ${Object.keys(PREVIEW_PLATFORMS).join(', ')}`
+    })
+  }
+
+  res.type('html').send(generatePreview(project, platform))
+})
+
+// --- Projects ---
+
+// Store failures answer 500 instead of leaving the request hanging
+function storeRoute(handler) {
+  return (req, res) => handler(req, res).catch(error => {
+    console.error('Project store error:', error)
+    res.status(500).json({ error: 'Project store failed', details: error.message })
+  })
+}
+
+function projectNotFound(res, id) {
+  return res.status(404).json({ error: 'Project not found', details: `No project with id "${id}"` })
+}
+
+app.get('/projects', storeRoute(async (req, res) => {
+  const records = (await projectStore.list()).filter(record => ownsProject(req.client, record))
+  res.json(records.map(projectSummary).sort((a, b) => b.updatedAt.localeCompare(a.updatedAt)))
+}))
+
+app.post('/projects', storeRoute(async (req, res) => {
+  const validation = validateProject(req.body)
+  if (!validation.valid) {
+    return res.status(422).json({ error: 'Project does not match the schema', errors: validation.errors })
+  }
+
+  const record = await saveProjectVersion(req.client, null, req.body, 'api')
+  res.status(201).json({ ...projectSummary(record), project: req.body })
+}))
+
+app.get('/projects/:id', storeRoute(async (req, res) => {
+  const record = await loadProject(req.params.id, req.client)
+  if (!record) return projectNotFound(res, req.params.id)
+  res.json({ ...projectSummary(record), project: record.versions.at(-1).project })
+}))
+
+app.put('/projects/:id', storeRoute(async (req, res) => {
+  if (!await loadProject(req.params.id, req.client)) return projectNotFound(res, req.params.id)
+
+  const validation = validateProject(req.body)
+  if (!validation.valid) {
+    return res.status(422).json({ error: 'Project does not match the schema', errors: validation.errors })
+  }
+
+  const record = await saveProjectVersion(req.client, req.params.id, req.body, 'api')
+  if (!record) return projectNotFound(res, req.params.id)
+  res.json({ ...projectSummary(record), project: req.body })
+}))
+
+app.delete('/projects/:id', storeRoute(async (req, res) => {
+  const removed = await withProject(req.params.id, async () => await loadProject(req.params.id, req.client) && projectStore.remove(req.params.id))
+  if (!removed) return projectNotFound(res, req.params.id)
+  res.status(204).end()
+}))
+
+app.get('/projects/:id/versions', storeRoute(async (req, res) => {
+  const record = await loadProject(req.params.id, req.client)
+  if (!record) return projectNotFound(res, req.params.id)
+  res.json(record.versions.map(({ project, ...version }) => ({ ...version, name: project.name })))
+}))
+
+app.get('/projects/:id/versions/:version', storeRoute(async (req, res) => {
+  const record = await loadProject(req.params.id, req.client)
+  if (!record) return projectNotFound(res, req.params.id)
+  const entry = projectVersion(record, req.params.version)
+  if (!entry) return res.status(404).json({ error: 'Version not found', details: `Use a version from 1 to ${record.versions.length}` })
+  res.json(entry)
+}))
+
+// Makes an earlier version the latest one again, as a new version
+app.post('/projects/:id/revert', storeRoute(async (req, res) => {
+  const record = await loadProject(req.params.id, req.client)
+  if (!record) return projectNotFound(res, req.params.id)
+  const entry = projectVersion(record, req.body?.version)
+  if (req.body?.version === undefined || !entry) {
+    return res.status(400).json({ error: 'Unknown version', details: `Send { "version": n } with n from 1 to ${record.versions.length}` })
+  }
+
+  const updated = await saveProjectVersion(req.client, record.id, entry.project, 'revert', `Reverted to version ${entry.version}`)
+  res.json({ ...projectSummary(updated), project: entry.project })
+}))
+
+// JSON Patch from one version to another (?from=1&to=3; by default the
+// latest version against the one before it)
+app.get('/projects/:id/diff', storeRoute(async (req, res) => {
+  const record = await loadProject(req.params.id, req.client)
+  if (!record) return projectNotFound(res, req.params.id)
+  const to = projectVersion(record, req.query.to)
+  const from = to && projectVersion(record, req.query.from ?? Math.max(to.version - 1, 1))
+  if (!from || !to) {
+    return res.status(400).json({ error: 'Unknown version', details: `Use versions from 1 to ${record.versions.length}` })
+  }
+
+  res.json({ from: from.version, to: to.version, patch: diffJson(from.project, to.project) })
+}))
+
+// ============================================
+// AI PROVIDERS
+// ============================================
+
+// Chat models the AI routes can use. A request picks one with "model":
+// "<provider>:<model>", a bare provider name or a bare model of the default
+// provider (AI_PROVIDER, else the first one with credentials). openai and
+// ollama speak the OpenAI chat-completions API, so OPENAI_BASE_URL also
+// covers llama.cpp, vLLM and similar servers.
+const AI_PROVIDERS = {
+  groq: {
+    api: 'openai',
+    baseUrl: 'https://api.groq.com/openai/v1',
+    apiKey: GROQ_API_KEY,
+    model: process.env.GROQ_MODEL || 'llama-3.3-70b-versatile',
+    configured: Boolean(GROQ_API_KEY)
+  },
+  openai: {
+    api: 'openai',
+    baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+    apiKey: process.env.OPENAI_API_KEY,
+    model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+    configured: Boolean(process.env.OPENAI_API_KEY || process.env.OPENAI_BASE_URL)
+  },
+  ollama: {
+    api: 'openai',
+    baseUrl: process.env.OLLAMA_BASE_URL || 'http://localhost:11434/v1',
+    model: process.env.OLLAMA_MODEL || 'llama3.1',
+    configured: Boolean(process.env.OLLAMA_BASE_URL || process.env.OLLAMA_MODEL)
+  },
+  anthropic: {
+    api: 'anthropic',
+    baseUrl: process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com/v1',
+    apiKey: process.env.ANTHROPIC_API_KEY,
+    model: process.env.ANTHROPIC_MODEL || 'claude-sonnet-4-5',
+    configured: Boolean(process.env.ANTHROPIC_API_KEY)
+  },
+  // Canned answers for tests: AI_FIXTURES names a JSON array of answers
+  // (strings, or values sent as JSON) given out in turn, the last one
+  // repeating; without it every answer is the schema's example project
+  fixture: {
+    api: 'fixture',
+    model: 'fixture',
+    configured: Boolean(process.env.AI_FIXTURES)
+  }
+}
+
+const AI_SETTINGS = {
+  temperature: Number(process.env.AI_TEMPERATURE ?? 0.7),
+  maxTokens: Number(process.env.AI_MAX_TOKENS) || 4000,
+  timeout: Number(process.env.AI_TIMEOUT_MS) || 60000,
+  retries: Number(process.env.AI_RETRIES ?? 2)
+}
+
+const DEFAULT_AI_PROVIDER = process.env.AI_PROVIDER || Object.keys(AI_PROVIDERS).find(name => AI_PROVIDERS[name].configured)
+
+// Errors the AI routes answer with: status is the HTTP status for the client
+// and retry marks failures worth another attempt. Provider responses are
+// logged, never passed on.
+function aiError(status, message, retry = false) {
+  return Object.assign(new Error(message), { status, retry })
+}
+
+// { provider, name } for a request's "model" option
+function aiModel(option) {
+  if (option !== undefined && (typeof option !== 'string' || !option.trim())) throw aiError(400, '"model" must be a string such as "groq:llama-3.3-70b-versatile"')
+  const [prefix, ...rest] = (option || '').split(':')
+  const named = Object.hasOwn(AI_PROVIDERS, prefix)
+  if (named && !AI_PROVIDERS[prefix].configured) throw aiError(400, `The AI provider "${prefix}" is not configured on this server`)
+  const provider = named ? prefix : DEFAULT_AI_PROVIDER
+  if (!provider) throw aiError(500, 'No AI provider configured; set GROQ_API_KEY, OPENAI_API_KEY, ANTHROPIC_API_KEY, OLLAMA_MODEL or AI_PROVIDER')
+  if (!Object.hasOwn(AI_PROVIDERS, provider)) throw aiError(500, `AI_PROVIDER "${provider}" is not one of: ${Object.keys(AI_PROVIDERS).join(', ')}`)
+  const name = (named ? rest.join(':') : option) || AI_PROVIDERS[provider].model
+  return { provider, name }
+}
+
+// The model's answer to a conversation and the tokens it took, with timeout,
+// retries and backoff. With emit the answer is streamed, each piece sent as a
+// "token" event; when a retry follows a partly streamed answer a "reset" event
+// tells the client to drop the tokens it has so far. Aborting signal stops the
+// request to the provider and any further attempts.
+async function chatCompletion(messages, model, emit, signal) {
+  const provider = AI_PROVIDERS[model.provider]
+  let streamed = false
+  const onToken = emit && (text => {
+    streamed = true
+    emit('token', { text })
+  })
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const { content, usage } = await AI_APIS[provider.api](provider, model.name, messages, onToken, signal)
+      if (!content) throw aiError(502, 'The AI provider returned an empty answer', true)
+      return { content, usage: usage || estimateUsage(messages, content) }
+    } catch (error) {
+      if (signal?.aborted) throw aiError(499, 'The client closed the connection')
+      const failure = error.status ? error : providerFailure(error)
+      if (!failure.retry || attempt >= AI_SETTINGS.retries) throw failure
+      const delay = failure.retryAfter ?? 500 * 2 ** attempt
+      if (streamed) emit('reset', { attempt: attempt + 2 })
+      streamed = false
+      emit?.('retry', { attempt: attempt + 2, delay, reason: failure.message })
+      await new Promise(resolve => setTimeout(resolve, delay))
+    }
+  }
+}
 
-app.get('/health', (req, res) => {
-  res.json({ status: 'ok', timestamp: new Date().toISOString() })
-})
+// Network failures and timeouts of fetch
+function providerFailure(error) {
+  if (error.name === 'TimeoutError' || error.name === 'AbortError') return aiError(504, `The AI provider sent nothing for ${AI_SETTINGS.timeout / 1000}s`, true)
+  console.error('AI provider unreachable:', error)
+  return aiError(502, 'The AI provider could not be reached', true)
+}
 
-app.get('/schema', (req, res) => {
-  res.json(schema)
-})
+// The provider has AI_SETTINGS.timeout to send the response headers and then
+// again between any two chunks of the body, so a long answer that keeps
+// streaming isn't cut off; signal stops the request whenever it is aborted
+async function providerRequest(url, headers, body, signal) {
+  const idle = new AbortController()
+  let timer
+  const wait = () => {
+    clearTimeout(timer)
+    timer = setTimeout(() => idle.abort(new DOMException('The AI provider stopped answering', 'TimeoutError')), AI_SETTINGS.timeout)
+  }
+  wait()
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+    signal: signal ? AbortSignal.any([signal, idle.signal]) : idle.signal
+  }).catch(error => {
+    clearTimeout(timer)
+    throw error
+  })
+  if (response.ok) {
+    wait()
+    const watched = response.body.pipeThrough(new TransformStream({
+      transform(chunk, controller) {
+        wait()
+        controller.enqueue(chunk)
+      },
+      flush: () => clearTimeout(timer)
+    }))
+    return new Response(watched, { status: response.status, headers: response.headers })
+  }
 
-app.post('/generate', (req, res) => {
-  try {
-    const project = req.body
+  const text = await response.text().finally(() => clearTimeout(timer))
+  console.error(`AI provider error ${response.status}:`, text)
+  if (response.status === 429) {
+    const retryAfter = Number(response.headers.get('retry-after'))
+    throw Object.assign(aiError(503, 'The AI provider is rate limiting requests; try again shortly', true), retryAfter > 0 && { retryAfter: Math.min(retryAfter, 30) * 1000 })
+  }
+  if (response.status === 401 || response.status === 403) throw aiError(502, 'The AI provider rejected the configured credentials')
+  if (response.status >= 500) throw aiError(502, 'The AI provider failed to answer', true)
+  throw aiError(502, 'The AI provider rejected the request (check the model name)')
+}
 
-    if (!project.name || !project.targets || !project.screens || !project.theme) {
-      return res.status(400).json({
-        error: 'Missing required fields: name, targets, screens, theme'
-      })
+// The JSON data of each event in a streamed (Server-Sent Events) response
+async function* providerEvents(response) {
+  const decoder = new TextDecoder()
+  let buffer = ''
+  for await (const chunk of response.body) {
+    buffer += decoder.decode(chunk, { stream: true })
+    const lines = buffer.split('\n')
+    buffer = lines.pop()
+    for (const line of lines) {
+      const data = line.match(/^data: ?(.*?)\r?$/)?.[1]
+      if (data && data !== '[DONE]') yield JSON.parse(data)
     }
+  }
+}
+
+// Roughly four characters per token, for providers that don't report usage
+function estimateUsage(messages, content) {
+  const tokens = text => Math.ceil(text.length / 4)
+  return {
+    promptTokens: messages.reduce((sum, message) => sum + tokens(message.content), 0),
+    completionTokens: tokens(content)
+  }
+}
 
-    const results = []
-    let totalCapsules = 0
+const openaiUsage = usage => usage && { promptTokens: usage.prompt_tokens || 0, completionTokens: usage.completion_tokens || 0 }
 
-    for (const screen of project.screens) {
-      totalCapsules += countCapsules(screen.root)
-    }
+let fixtureAnswers
+let fixtureTurn = 0
 
-    for (const target of project.targets) {
-      let files = []
+// Each API returns { content, usage } with the whole answer; given onToken it
+// streams the answer and passes every piece of text to it on the way
+const AI_APIS = {
+  async openai(provider, model, messages, onToken, signal) {
+    const response = await providerRequest(`${provider.baseUrl}/chat/completions`, provider.apiKey ? { 'Authorization': `Bearer ${provider.apiKey}` } : {}, {
+      model,
+      messages,
+      temperature: AI_SETTINGS.temperature,
+      max_tokens: AI_SETTINGS.maxTokens,
+      ...(onToken && { stream: true, stream_options: { include_usage: true } })
+    }, signal)
+    if (!onToken) {
+      const data = await response.json()
+      return { content: data.choices?.[0]?.message?.content, usage: openaiUsage(data.usage) }
+    }
 
-      switch (target) {
-        case 'ios':
-          files = generateSwiftUI(project)
-          break
-        case 'android':
-          files = generateJetpackCompose(project)
-          break
-        case 'web':
-        case 'desktop':
-          files = generateReact(project)
-          break
+    let content = ''
+    let usage
+    for await (const data of providerEvents(response)) {
+      const text = data.choices?.[0]?.delta?.content
+      if (text) {
+        content += text
+        onToken(text)
       }
+      // Groq reports usage in its own field of the last chunk
+      usage = openaiUsage(data.usage || data.x_groq?.usage) || usage
+    }
+    return { content, usage }
+  },
 
-      results.push({
-        success: true,
-        platform: target,
-        files,
-        metadata: {
-          capsuleCount: totalCapsules,
-          screenCount: project.screens.length,
-          generatedAt: new Date().toISOString()
-        }
-      })
+  // The Messages API takes the system prompt separately
+  async anthropic(provider, model, messages, onToken, signal) {
+    const response = await providerRequest(`${provider.baseUrl}/messages`, { 'x-api-key': provider.apiKey, 'anthropic-version': '2023-06-01' }, {
+      model,
+      system: messages.filter(message => message.role === 'system').map(message => message.content).join('\n\n'),
+      messages: messages.filter(message => message.role !== 'system'),
+      temperature: AI_SETTINGS.temperature,
+      max_tokens: AI_SETTINGS.maxTokens,
+      ...(onToken && { stream: true })
+    }, signal)
+    if (!onToken) {
+      const data = await response.json()
+      return {
+        content: data.content?.filter(part => part.type === 'text').map(part => part.text).join(''),
+        usage: data.usage && { promptTokens: data.usage.input_tokens || 0, completionTokens: data.usage.output_tokens || 0 }
+      }
     }
 
-    res.json({
-      success: true,
-      project: {
-        name: project.name,
-        version: project.version
-      },
-      results,
-      summary: {
-        totalPlatforms: results.length,
-        totalFiles: results.reduce((sum, r) => sum + r.files.length, 0),
-        totalCapsules,
-        totalScreens: project.screens.length
+    let content = ''
+    const usage = { promptTokens: 0, completionTokens: 0 }
+    for await (const data of providerEvents(response)) {
+      if (data.type === 'error') throw aiError(502, 'The AI provider failed to answer', true)
+      const text = data.type === 'content_block_delta' && data.delta?.type === 'text_delta' && data.delta.text
+      if (text) {
+        content += text
+        onToken(text)
       }
-    })
+      // Input tokens come with message_start, output tokens with message_delta
+      if (data.type === 'message_start') usage.promptTokens = data.message?.usage?.input_tokens || 0
+      if (data.type === 'message_delta') usage.completionTokens = data.usage?.output_tokens || 0
+    }
+    return { content, usage }
+  },
 
-  } catch (error) {
-    console.error('Generation error:', error)
-    res.status(400).json({
-      error: 'Invalid project specification',
-      details: error.message
-    })
+  async fixture(provider, model, messages, onToken) {
+    try {
+      fixtureAnswers ??= process.env.AI_FIXTURES ? JSON.parse(readFileSync(process.env.AI_FIXTURES, 'utf8')) : [schema.examples[0]]
+    } catch (error) {
+      throw aiError(500, `AI_FIXTURES could not be read: ${error.message}`)
+    }
+    const answer = fixtureAnswers[Math.min(fixtureTurn++, fixtureAnswers.length - 1)]
+    const content = typeof answer === 'string' ? answer : JSON.stringify(answer)
+    content?.match(/[\s\S]{1,64}/g)?.forEach(text => onToken?.(text))
+    return { content }
   }
-})
+}
 
 // ============================================
-// AI GENERATION WITH GROQ
+// AI GENERATION
 // ============================================
 
 const SYSTEM_PROMPT = `You are HubLab AI, an assistant that generates mobile app specifications in JSON format.
 
 AVAILABLE CAPSULES (use these in capsuleId):
-- button: Text button with variants (primary, secondary, outline, ghost)
-- text: Display text with variants (heading, subheading, body, caption)
-- input: Text input with placeholder, label, type (text, email, password, number)
-- card: Container with title, elevation, children
-- image: Display image with src, alt, aspectRatio
-- list: Scrollable list with items, separator
-- modal: Popup dialog with title, content
-- form: Form container with onSubmit
-- chart: Data visualization (line, bar, pie)
-- progress: Progress indicator (linear, circular) with value 0-100
-- switch: Toggle switch with label, checked
-- slider: Range slider with min, max, value
-- tabs: Tab navigation with items
-- accordion: Collapsible sections
-- dropdown: Select dropdown with options
-- datepicker: Date selection
-- calendar: Full calendar view
-- searchbar: Search input with placeholder
-- rating: Star rating with max, value
-- chip: Tag/chip with label, removable
-- divider: Visual separator
-- avatar: User avatar with src, name, size
-- badge: Status badge with label, variant
-- tooltip: Hover tooltip
-- table: Data table with columns, rows
-- carousel: Image/content carousel
-- timeline: Vertical timeline
-- map: Interactive map
-- video: Video player
-- chat: Chat message bubbles
-- qrcode: QR code generator
-- notifications: Push notification UI
-- scanner: QR/barcode scanner
-- audio: Audio player with controls
-- skeleton: Loading placeholder with shimmer
-- stepper: Numeric input with +/- buttons
-- signature: Signature capture pad
-- confetti: Celebration animation effect
+${Object.values(CAPSULE_REGISTRY).map(capsule => `- ${capsule.id}: ${capsule.description}`).join('\n')}
 
 RESPONSE FORMAT:
 Return ONLY valid JSON (no markdown, no explanation). Use this structure:
@@ -678,14 +13718,18 @@ Return ONLY valid JSON (no markdown, no explanation). Use this structure:
   "targets": ["ios", "android"],
   "theme": {
     "colors": {
-      "primary": "#6366F1",
+      "primary": "#4F46E5",
       "secondary": "#8B5CF6",
       "background": "#FFFFFF",
       "surface": "#F8FAFC",
       "text": { "primary": "#1E293B", "secondary": "#64748B" }
-    }
+    },
+    "darkColors": { "background": "#0F172A", "surface": "#1E293B", "text": { "primary": "#F8FAFC" } },
+    "typography": { "fontFamily": "Inter", "title": { "size": 28, "weight": "bold" } },
+    "spacing": { "sm": 8, "md": 16 },
+    "radii": { "md": 8, "lg": 12 }
   },
-  "navigation": { "type": "tabs" or "stack", "initialScreen": "screenId" },
+  "navigation": { "type": "tabs" or "stack", "initialScreen": "screen-id", "tabs": [{ "screen": "screen-id", "label": "Home", "icon": "home" }] },
   "screens": [
     {
       "id": "screen-id",
@@ -706,200 +13750,811 @@ RULES:
 3. Match the app description with appropriate capsules
 4. Design realistic, complete apps with 2-4 screens
 5. Use semantic component hierarchy (cards contain content, lists contain items)
-6. Choose colors that match the app's theme/purpose
-7. ONLY output JSON, nothing else`
+6. Choose colors that match the app's theme/purpose; give darkColors for a dark appearance
+7. ONLY output JSON, nothing else
+8. Buttons move between screens with "onPress": "navigate:<screen-id>" (or "back")
+   Other actions are objects: setState {key, value}, toggle {key}, showModal {modal}, hideModal,
+   submitForm {form}, callApi {endpoint, body, resultKey}; pass a list to run several
+   Screens may declare "state": { "darkMode": { "type": "boolean", "default": false } };
+   inputs, switches, sliders, dropdowns, pickers and other value capsules bind to a field
+   with "bind": "fieldName";
+   show state in text with "{{state.fieldName}}"
+9. Tab icons are one of: ${Object.keys(ICONS).join(', ')}
+10. list, table, data-table, carousel, chart, timeline, kanban, chat and notifications take "dataSource": an inline array
+   ([{ "title": "Milk", "done": false }]), "{{state.fieldName}}" for an array state field,
+   or { "endpoint": "name", "fields": { "title": "string" } }; their children are the item
+   template, shown once per row, reading the row with "{{item.title}}"; kanban groups rows
+   into columns by the groupBy field (default "status")
+11. Lay screens out with row, column, zstack, grid and scroll-view rather than one long stack;
+   gap and padding are spacing token names (xs, sm, md, lg, xl) or numbers, and "flex": 1 on a
+   row/column child makes it take the remaining space
+12. Put inputs that are submitted together in a form and give them "validation", e.g.
+   { "required": true, "email": true }, { "minLength": 8 }, { "pattern": "^[0-9]{5}$" } or
+   { "match": "<id of the password input>" }, with "messages": { "<rule>": "..." } to word the errors;
+   the form's submit button stays disabled until every validated input is valid
+13. Give every image "alt" text and every input a "label"; any capsule takes "accessibility":
+   { "label", "hint", "role": "button" | "link" | "image" | "heading", "heading": 1-6, "hidden": true }
+   to change what screen readers announce, e.g. "hidden": true for a decorative image`
 
-const CAPSULE_LIST = schema.definitions.CapsuleInstance.properties.capsuleId.enum
+// Rounds in which the model is shown the validation errors of its answer
+const AI_REPAIR_ATTEMPTS = 2
 
-app.post('/ai/generate', async (req, res) => {
-  try {
-    const { prompt } = req.body
+// Names models reach for that aren't capsules, mapped to the closest capsule
+const CAPSULE_ALIASES = {
+  avatar: 'image', badge: 'chip', tag: 'chip', heading: 'text', title: 'text',
+  label: 'text', paragraph: 'text', textfield: 'input', 'text-field': 'input', textarea: 'rich-text-editor',
+  checkbox: 'switch', toggle: 'switch', select: 'dropdown', picker: 'dropdown', 'date-picker': 'datepicker',
+  icon: 'image', photo: 'image', container: 'column', view: 'column', section: 'column', stack: 'column',
+  vstack: 'column', hstack: 'row', header: 'navigation', navbar: 'navigation', 'tab-bar': 'tabs',
+  'progress-bar': 'progress', loader: 'skeleton', spinner: 'progress', search: 'searchbar', 'search-bar': 'searchbar',
+  login: 'auth-screen', 'login-form': 'auth-screen', dialog: 'modal', sheet: 'bottom-sheet', separator: 'divider',
+  banner: 'card', hero: 'card', gallery: 'carousel', slideshow: 'carousel', 'list-item': 'card', graph: 'chart', qr: 'qrcode'
+}
 
-    if (!prompt) {
-      return res.status(400).json({ error: 'Missing prompt' })
+// "Home Screen", "homeScreen" or "HOME_SCREEN" -> "home-screen"
+function kebabId(value) {
+  return String(value ?? '')
+    .replace(/([a-z0-9])([A-Z])/g, '$1-$2')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^[^a-z]+|-+$/g, '')
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j)
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i]
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1))
     }
+    previous = current
+  }
+  return previous[b.length]
+}
+
+// The registered capsule an unknown capsuleId most likely means
+function nearestCapsule(capsuleId, hasChildren) {
+  const known = schema.definitions.CapsuleInstance.properties.capsuleId.enum
+  const id = kebabId(capsuleId)
+  if (known.includes(id)) return id
+  if (CAPSULE_ALIASES[id] && known.includes(CAPSULE_ALIASES[id])) return CAPSULE_ALIASES[id]
+  const [closest] = known.map(candidate => ({ candidate, distance: editDistance(id, candidate) })).sort((a, b) => a.distance - b.distance)
+  if (closest && closest.distance <= Math.max(1, Math.floor(id.length / 4))) return closest.candidate
+  return hasChildren ? 'column' : 'text'
+}
 
-    if (!GROQ_API_KEY) {
-      return res.status(500).json({ error: 'GROQ_API_KEY not configured' })
+// Rewrites the screen / modal / form ids an action prop refers to
+function renameActionTargets(value, rename) {
+  if (Array.isArray(value)) return value.map(action => renameActionTargets(action, rename))
+  if (typeof value === 'string') {
+    const match = value.match(/^navigate:(.+)$/)
+    return match && match[1] !== 'back' ? `navigate:${rename.screen(match[1])}` : value
+  }
+  if (value && typeof value === 'object') {
+    return {
+      ...value,
+      ...(typeof value.screen === 'string' && { screen: rename.screen(value.screen) }),
+      ...(typeof value.modal === 'string' && { modal: rename.capsule(value.modal) }),
+      ...(typeof value.form === 'string' && { form: rename.capsule(value.form) })
     }
+  }
+  return value
+}
 
-    const response = await fetch('https://api.groq.com/openai/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${GROQ_API_KEY}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        model: 'llama-3.3-70b-versatile',
-        messages: [
-          { role: 'system', content: SYSTEM_PROMPT },
-          { role: 'user', content: `Create a mobile app for: ${prompt}` }
-        ],
-        temperature: 0.7,
-        max_tokens: 4000
+// Deterministic fixes for the mistakes models make most: ids that aren't
+// kebab-case, repeated ids and capsules that don't exist. Changes the project
+// in place and returns what it changed. When editing, capsules already in the
+// original project keep their ids and new ones are renamed around them.
+function repairProject(project, original) {
+  const repairs = []
+  if (!project || typeof project !== 'object' || !Array.isArray(project.screens)) return repairs
+  const unique = (id, taken) => {
+    let candidate = id
+    for (let n = 2; taken.has(candidate); n++) candidate = `${id}-${n}`
+    taken.add(candidate)
+    return candidate
+  }
+
+  const screenIds = {}
+  const takenScreens = new Set()
+  project.screens.forEach((screen, i) => {
+    if (!screen || typeof screen !== 'object') return
+    const id = unique(kebabId(screen.id || screen.name) || 'screen', takenScreens)
+    if (id !== screen.id) repairs.push({ path: `/screens/${i}/id`, message: `renamed screen "${screen.id}" to "${id}"` })
+    if (screenIds[screen.id] === undefined) screenIds[screen.id] = id
+    screen.id = id
+  })
+  const screenId = id => screenIds[id] ?? kebabId(id)
+
+  project.screens.forEach((screen, i) => {
+    if (!screen?.root || typeof screen.root !== 'object') return
+    const owners = new Set()
+    const before = original?.screens?.find(s => s.id === screen.id)
+    if (before) {
+      const existing = new Map()
+      walkCapsules(before.root, '', instance => existing.set(instance.id, instance.capsuleId))
+      walkCapsules(screen.root, '', instance => {
+        if (existing.get(instance.id) !== instance.capsuleId) return
+        owners.add(instance)
+        existing.delete(instance.id)
       })
+    }
+
+    const capsuleIds = {}
+    const takenCapsules = new Set([...owners].map(instance => instance.id))
+    walkCapsules(screen.root, `/screens/${i}/root`, (instance, path) => {
+      if (typeof instance.capsuleId === 'string') {
+        const capsuleId = nearestCapsule(instance.capsuleId, instance.children?.length > 0)
+        if (capsuleId !== instance.capsuleId) repairs.push({ path: `${path}/capsuleId`, message: `replaced unknown capsule "${instance.capsuleId}" with "${capsuleId}"` })
+        instance.capsuleId = capsuleId
+      }
+      if (!instance.props || typeof instance.props !== 'object') instance.props = {}
+      const id = owners.has(instance) ? instance.id : unique(kebabId(instance.id) || instance.capsuleId || 'capsule', takenCapsules)
+      if (id !== instance.id) repairs.push({ path: `${path}/id`, message: `renamed capsule "${instance.id ?? ''}" to "${id}"` })
+      if (capsuleIds[instance.id] === undefined) capsuleIds[instance.id] = id
+      instance.id = id
     })
 
-    if (!response.ok) {
-      const error = await response.text()
-      console.error('Groq API error:', error)
-      return res.status(500).json({ error: 'AI generation failed', details: error })
+    const rename = { screen: screenId, capsule: id => capsuleIds[id] ?? kebabId(id) }
+    walkCapsules(screen.root, '', instance => {
+      for (const prop of ACTION_PROPS) {
+        if (instance.props[prop] !== undefined) instance.props[prop] = renameActionTargets(instance.props[prop], rename)
+      }
+      if (typeof instance.props.validation?.match === 'string') instance.props.validation.match = rename.capsule(instance.props.validation.match)
+    })
+  })
+
+  const navigation = project.navigation
+  if (navigation && typeof navigation === 'object') {
+    if (typeof navigation.initialScreen === 'string') navigation.initialScreen = screenId(navigation.initialScreen)
+    if (Array.isArray(navigation.tabs)) navigation.tabs.forEach(tab => { if (typeof tab?.screen === 'string') tab.screen = screenId(tab.screen) })
+  }
+  return repairs
+}
+
+// The JSON in a model answer, which may be wrapped in a code fence or prose
+function parseAiJson(content) {
+  const text = content.replace(/^```json?\n?/i, '').replace(/\n?```$/i, '').trim()
+  const start = text.search(/[[{]/)
+  const end = Math.max(text.lastIndexOf('}'), text.lastIndexOf(']'))
+  try {
+    return JSON.parse(start >= 0 && end > start ? text.slice(start, end + 1) : text)
+  } catch {
+    return null
+  }
+}
+
+// Runs the conversation until the model's answer is a valid project.
+// readAnswer turns the answer into { project } or { errors }; a project goes
+// through repairProject first, and whatever errors remain are sent back with
+// the retry instruction, up to AI_REPAIR_ATTEMPTS times. emit, when given,
+// receives the progress events of a streamed reply (see aiReply) and signal
+// cancels the conversation. The result's usage adds up the model tokens of
+// every attempt.
+async function askForProject({ model, messages, readAnswer, retry, original, emit, signal }) {
+  let result
+  const usage = { promptTokens: 0, completionTokens: 0 }
+  for (let attempt = 1; attempt <= AI_REPAIR_ATTEMPTS + 1; attempt++) {
+    const { content, usage: tokens } = await chatCompletion(messages, model, emit, signal)
+    usage.promptTokens += tokens.promptTokens
+    usage.completionTokens += tokens.completionTokens
+    const { project, errors } = readAnswer(content)
+    if (project) {
+      const repairs = repairProject(project, original)
+      emit?.('parsed', { attempt, name: project.name, screens: Array.isArray(project.screens) ? project.screens.length : 0, repairs })
+      result = { project, attempts: attempt, repairs, errors: validateProject(project).errors, usage }
+      if (emit) emitValidation(emit, attempt, project, result.errors)
+    } else {
+      result = { project: null, raw: content, attempts: attempt, repairs: [], errors, usage }
     }
+    if (result.errors.length === 0) return result
+
+    emit?.('repair', { attempt, errors: result.errors })
+    messages.push(
+      { role: 'assistant', content },
+      { role: 'user', content: `${retry}\n${JSON.stringify(result.errors.slice(0, 40), null, 2)}` }
+    )
+  }
+  return result
+}
 
-    const data = await response.json()
-    const content = data.choices[0]?.message?.content
+// One validation event per screen, and one for errors outside the screens
+function emitValidation(emit, attempt, project, errors) {
+  const screenOf = error => error.path.match(/^\/screens\/(\d+)(\/|$)/)?.[1]
+  const screens = Array.isArray(project.screens) ? project.screens : []
+  screens.forEach((screen, i) => {
+    const screenErrors = errors.filter(error => screenOf(error) === String(i))
+    emit('validation', { attempt, screen: screen?.id ?? i, valid: screenErrors.length === 0, errors: screenErrors })
+  })
+  const projectErrors = errors.filter(error => screenOf(error) === undefined)
+  if (projectErrors.length > 0) emit('validation', { attempt, screen: null, valid: false, errors: projectErrors })
+}
 
-    if (!content) {
-      return res.status(500).json({ error: 'No content from AI' })
+// A new project from a description
+function generateAiProject(model, request, targets, emit, signal) {
+  const messages = [
+    { role: 'system', content: SYSTEM_PROMPT },
+    { role: 'user', content: request }
+  ]
+  const readAnswer = content => {
+    const project = parseAiJson(content)
+    if (typeOf(project) !== 'object') {
+      return { errors: [validationError('', 'json', 'answer is not a JSON object', 'Return only the project JSON, without markdown or explanation')] }
     }
+    project.version = project.version || '1.0.0'
+    project.targets = targets || project.targets || ['ios', 'android']
+    project.theme = project.theme || { colors: { primary: '#4F46E5' } }
+    return { project }
+  }
+  const retry = 'That project does not match the schema. Fix these errors and return the complete corrected project JSON only:'
+  return askForProject({ model, messages, readAnswer, retry, emit, signal })
+}
 
-    // Parse the JSON from AI response
-    let project
+const EDIT_PROMPT = `${SYSTEM_PROMPT}
+
+EDITING:
+You are changing an existing project. Return ONLY a JSON Patch (RFC 6902) array of operations
+against the current project, for example:
+[
+  { "op": "replace", "path": "/screens/0/root/children/2/props/variant", "value": "secondary" },
+  { "op": "add", "path": "/screens/-", "value": { "id": "settings", "name": "Settings", "root": { ... } } }
+]
+Change only what the instruction asks for. Keep every other capsule and its id as it is, give new
+capsules ids that aren't used elsewhere in their screen, and add navigation tabs or state fields
+the change needs.`
+
+// An existing project changed by an instruction; the result carries the
+// patch from the original, which leaves untouched capsules and ids alone
+async function editAiProject(model, project, instruction, emit, signal) {
+  const messages = [
+    { role: 'system', content: EDIT_PROMPT },
+    { role: 'user', content: `Current project:\n${JSON.stringify(project)}\n\nChange: ${instruction}` }
+  ]
+  const readAnswer = content => {
+    const answer = parseAiJson(content)
+    // Models sometimes answer with the whole project instead of a patch
+    if (typeOf(answer) === 'object' && Array.isArray(answer.screens)) return { project: answer }
+    if (!Array.isArray(answer)) {
+      return { errors: [validationError('', 'json', 'answer is not a JSON Patch array', 'Return only the JSON Patch operations, without markdown or explanation')] }
+    }
     try {
-      // Clean up potential markdown formatting
-      const jsonStr = content.replace(/^```json?\n?/i, '').replace(/\n?```$/i, '').trim()
-      project = JSON.parse(jsonStr)
-    } catch (parseError) {
-      console.error('JSON parse error:', parseError, 'Content:', content)
-      return res.status(500).json({
-        error: 'Failed to parse AI response',
-        raw: content
-      })
+      return { project: applyJsonPatch(project, answer) }
+    } catch (error) {
+      return { errors: [validationError(`/${error.operation ?? ''}`, 'patch', error.message, 'Paths must exist in the current project; use "-" as the index to append to an array')] }
     }
+  }
+  const retry = 'That patch does not apply or gives an invalid project. Fix these errors and return the complete corrected JSON Patch against the current project only:'
+  const result = await askForProject({ model, messages, readAnswer, retry, original: project, emit, signal })
+  return { ...result, patch: result.errors.length === 0 ? diffJson(project, result.project) : null }
+}
 
-    // Validate basic structure
-    if (!project.name || !project.screens) {
-      return res.status(500).json({
-        error: 'Invalid project structure from AI',
-        project
-      })
+// Saves an AI result when the request asks for it: as a new version of
+// "projectId", or as a new project of client with "save": true
+async function storeAiResult(client, body, project, source, note) {
+  if (body.projectId === undefined && !body.save) return {}
+  const record = await saveProjectVersion(client, body.projectId ?? null, project, source, note)
+  return record ? { projectId: record.id, projectVersion: record.versions.at(-1).version } : {}
+}
+
+function wantsStream(req) {
+  return req.query.stream === 'true' ||
+    req.accepts(['application/json', 'text/event-stream']) === 'text/event-stream'
+}
+
+// How an AI route answers: JSON, or with ?stream=true (or Accept:
+// text/event-stream) Server-Sent Events. The stream carries "token" (model
+// output), "reset" (drop the tokens of a failed answer), "retry", "parsed",
+// "validation" (one per screen), "repair" and, for builds, "platform" (each
+// platform's files) events, and ends with "done" holding the JSON body or
+// "error" holding the error body and its status. signal is aborted when the
+// client goes away before the answer, which stops the model request.
+function aiReply(req, res) {
+  const controller = new AbortController()
+  // The request's own "close" fires once its body is read; the response's
+  // fires when the connection ends, finished or not
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort()
+  })
+  const { signal } = controller
+
+  if (!wantsStream(req)) {
+    return { emit: null, signal, send: (status, body) => res.status(status).json(body) }
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  })
+  const emit = (event, data) => {
+    if (!res.writableEnded) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`)
+  }
+  return {
+    emit,
+    signal,
+    send: (status, body) => {
+      emit(status < 400 ? 'done' : 'error', status < 400 ? body : { status, ...body })
+      res.end()
     }
+  }
+}
 
-    // Ensure required fields have defaults
-    project.version = project.version || '1.0.0'
-    project.targets = project.targets || ['ios', 'android']
-    project.theme = project.theme || { colors: { primary: '#6366F1' } }
+app.post('/ai/generate', async (req, res) => {
+  const reply = aiReply(req, res)
+  try {
+    const { prompt } = req.body
 
-    res.json({
+    if (!prompt) {
+      return reply.send(400, { error: 'Missing prompt' })
+    }
+
+    if (req.body.projectId !== undefined && !await loadProject(req.body.projectId, req.client)) {
+      return reply.send(404, { error: 'Project not found', details: `No project with id "${req.body.projectId}"` })
+    }
+
+    const model = aiModel(req.body.model)
+
+    const { project, raw, attempts, repairs, errors, usage } = await generateAiProject(model, `Create a mobile app for: ${prompt}`, undefined, reply.emit, reply.signal)
+    recordTokens(req.client, usage)
+
+    if (errors.length > 0) {
+      return reply.send(422, {
+        error: 'AI output does not match the schema',
+        errors,
+        attempts,
+        usage,
+        ...(project ? { project } : { raw })
+      })
+    }
+
+    reply.send(200, {
       success: true,
       project,
+      attempts,
+      repairs,
+      usage,
+      ...await storeAiResult(req.client, req.body, project, 'ai-generate', prompt),
       message: `Generated "${project.name}" with ${project.screens.length} screens`
     })
 
   } catch (error) {
     console.error('AI generation error:', error)
-    res.status(500).json({ error: 'AI generation failed', details: error.message })
+    reply.send(error.status || 500, { error: 'AI generation failed', details: error.message })
   }
 })
 
 // Combined endpoint: AI generate + code generation
 app.post('/ai/build', async (req, res) => {
+  if (wantsStream(req) && wantsZip(req)) {
+    return res.status(400).json({ error: 'A zip archive cannot be streamed', details: 'Use either ?stream=true or ?format=zip' })
+  }
+
+  const reply = aiReply(req, res)
   try {
     const { prompt, targets = ['ios', 'android'] } = req.body
 
     if (!prompt) {
-      return res.status(400).json({ error: 'Missing prompt' })
+      return reply.send(400, { error: 'Missing prompt' })
     }
 
-    if (!GROQ_API_KEY) {
-      return res.status(500).json({ error: 'GROQ_API_KEY not configured' })
+    if (req.body.projectId !== undefined && !await loadProject(req.body.projectId, req.client)) {
+      return reply.send(404, { error: 'Project not found', details: `No project with id "${req.body.projectId}"` })
     }
 
+    const model = aiModel(req.body.model)
+
     // Step 1: Generate project JSON with AI
-    const aiResponse = await fetch('https://api.groq.com/openai/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${GROQ_API_KEY}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        model: 'llama-3.3-70b-versatile',
-        messages: [
-          { role: 'system', content: SYSTEM_PROMPT },
-          { role: 'user', content: `Create a mobile app for: ${prompt}. Target platforms: ${targets.join(', ')}` }
-        ],
-        temperature: 0.7,
-        max_tokens: 4000
+    const { project, raw, attempts, repairs, errors, usage } = await generateAiProject(model, `Create a mobile app for: ${prompt}. Target platforms: ${targets.join(', ')}`, targets, reply.emit, reply.signal)
+    recordTokens(req.client, usage)
+
+    if (errors.length > 0) {
+      return reply.send(422, {
+        error: 'AI output does not match the schema',
+        errors,
+        attempts,
+        usage,
+        ...(project ? { project } : { raw })
       })
+    }
+
+    // Step 2: Generate native code
+    const results = await buildPlatforms(project, reply.emit)
+    const summary = generationSummary(project, results)
+    const stored = await storeAiResult(req.client, req.body, project, 'ai-build', prompt)
+
+    if (wantsZip(req)) {
+      return sendZip(res, project, results)
+    }
+
+    reply.send(200, {
+      success: true,
+      prompt,
+      project,
+      attempts,
+      repairs,
+      usage,
+      ...stored,
+      results,
+      summary
     })
 
-    if (!aiResponse.ok) {
-      const error = await aiResponse.text()
-      return res.status(500).json({ error: 'AI generation failed', details: error })
+  } catch (error) {
+    console.error('AI build error:', error)
+    reply.send(error.status || 500, { error: 'AI build failed', details: error.message })
+  }
+})
+
+// Conversational editing: an existing project plus an instruction
+app.post('/ai/edit', async (req, res) => {
+  const reply = aiReply(req, res)
+  try {
+    const { instruction } = req.body
+    const { project, status, error } = await requestProject(req.body.projectId !== undefined ? req.body : req.body.project, req.client)
+
+    if (error) {
+      return reply.send(status, { error })
     }
 
-    const aiData = await aiResponse.json()
-    const content = aiData.choices[0]?.message?.content
+    if (!project || !instruction) {
+      return reply.send(400, { error: 'Missing project or instruction' })
+    }
 
-    let project
-    try {
-      const jsonStr = content.replace(/^```json?\n?/i, '').replace(/\n?```$/i, '').trim()
-      project = JSON.parse(jsonStr)
-    } catch (e) {
-      return res.status(500).json({ error: 'Failed to parse AI response', raw: content })
+    const validation = validateProject(project)
+    if (!validation.valid) {
+      return reply.send(422, {
+        error: 'Project does not match the schema',
+        errors: validation.errors
+      })
     }
 
-    // Ensure targets
-    project.targets = targets
-    project.version = project.version || '1.0.0'
-    project.theme = project.theme || { colors: { primary: '#6366F1' } }
+    const model = aiModel(req.body.model)
 
-    // Step 2: Generate native code
-    const results = []
-    let totalCapsules = 0
+    const result = await editAiProject(model, project, instruction, reply.emit, reply.signal)
+    recordTokens(req.client, result.usage)
 
-    for (const screen of project.screens) {
-      totalCapsules += countCapsules(screen.root)
+    if (result.errors.length > 0) {
+      return reply.send(422, {
+        error: 'AI edit does not produce a valid project',
+        errors: result.errors,
+        attempts: result.attempts,
+        usage: result.usage,
+        ...(result.project ? { project: result.project } : { raw: result.raw })
+      })
     }
 
-    for (const target of project.targets) {
-      let files = []
+    reply.send(200, {
+      success: true,
+      project: result.project,
+      patch: result.patch,
+      attempts: result.attempts,
+      repairs: result.repairs,
+      usage: result.usage,
+      ...await storeAiResult(req.client, req.body, result.project, 'ai-edit', instruction),
+      message: `Applied ${result.patch.length} change(s) to "${result.project.name}"`
+    })
 
-      switch (target) {
-        case 'ios':
-          files = generateSwiftUI(project)
-          break
-        case 'android':
-          files = generateJetpackCompose(project)
-          break
-        case 'web':
-        case 'desktop':
-          files = generateReact(project)
-          break
+  } catch (error) {
+    console.error('AI edit error:', error)
+    reply.send(error.status || 500, { error: 'AI edit failed', details: error.message })
+  }
+})
+
+// ============================================
+// JOBS
+// ============================================
+
+// Long builds run as jobs: POST /jobs queues one and answers right away with
+// its id, and GET /jobs/:id reports progress and, once finished, the result.
+// Jobs live in memory and are forgotten JOB_RETENTION_MS after they finish.
+const JOB_CONCURRENCY = Math.max(1, Number(process.env.JOB_CONCURRENCY) || 2)
+const JOB_QUEUE_LIMIT = Number(process.env.JOB_QUEUE_LIMIT) || 100
+const JOB_RETENTION_MS = Number(process.env.JOB_RETENTION_MS) || 3600000
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET
+const WEBHOOK_ATTEMPTS = 3
+
+// Webhooks can't reach loopback, private, link-local (cloud metadata) or other
+// non-public addresses, unless WEBHOOK_ALLOW_PRIVATE=true (local development)
+const WEBHOOK_ALLOW_PRIVATE = process.env.WEBHOOK_ALLOW_PRIVATE === 'true'
+const PRIVATE_ADDRESSES = new BlockList()
+for (const network of ['0.0.0.0/8', '10.0.0.0/8', '100.64.0.0/10', '127.0.0.0/8', '169.254.0.0/16', '172.16.0.0/12', '192.0.0.0/24', '192.168.0.0/16', '198.18.0.0/15', '224.0.0.0/3']) {
+  const [address, prefix] = network.split('/')
+  PRIVATE_ADDRESSES.addSubnet(address, Number(prefix), 'ipv4')
+}
+for (const network of ['::/127', '64:ff9b::/96', 'fc00::/7', 'fe80::/10', 'ff00::/8']) {
+  const [address, prefix] = network.split('/')
+  PRIVATE_ADDRESSES.addSubnet(address, Number(prefix), 'ipv6')
+}
+
+const jobs = new Map()
+const jobQueue = []
+let runningJobs = 0
+
+// Each type answers like the route it stands in for, as { status, body }, and
+// counts against that route's limits. signal aborts when the job is cancelled.
+const JOB_TYPES = {
+  // POST /generate: project JSON in "project", or a saved { projectId, version }
+  generate: {
+    bucket: 'codegen',
+    async run(input, emit, client) {
+      const { project, status, error } = await requestProject(input.projectId !== undefined ? input : input.project, client)
+      if (error) return { status, body: { error } }
+      if (!project) return { status: 400, body: { error: 'Missing project' } }
+
+      const validation = validateProject(project)
+      if (!validation.valid) {
+        return { status: 422, body: { error: 'Project does not match the schema', errors: validation.errors } }
       }
 
-      results.push({
-        success: true,
-        platform: target,
-        files,
-        metadata: {
-          capsuleCount: totalCapsules,
-          screenCount: project.screens.length,
-          generatedAt: new Date().toISOString()
-        }
-      })
+      const results = await buildPlatforms(project, emit)
+      return {
+        status: 200,
+        body: { success: true, project: { name: project.name, version: project.version }, results, summary: generationSummary(project, results), accessibility: accessibilityReport(project) }
+      }
     }
+  },
 
-    res.json({
-      success: true,
-      prompt,
-      project,
-      results,
-      summary: {
-        totalPlatforms: results.length,
-        totalFiles: results.reduce((sum, r) => sum + r.files.length, 0),
-        totalCapsules,
-        totalScreens: project.screens.length
+  // POST /ai/build
+  'ai-build': {
+    bucket: 'ai',
+    async run(input, emit, client, signal) {
+      const { prompt, targets = ['ios', 'android'] } = input
+      if (!prompt) return { status: 400, body: { error: 'Missing prompt' } }
+
+      if (input.projectId !== undefined && !await loadProject(input.projectId, client)) {
+        return { status: 404, body: { error: 'Project not found', details: `No project with id "${input.projectId}"` } }
       }
+
+      const model = aiModel(input.model)
+      const { project, raw, attempts, repairs, errors, usage } = await generateAiProject(model, `Create a mobile app for: ${prompt}. Target platforms: ${targets.join(', ')}`, targets, emit, signal)
+      recordTokens(client, usage)
+
+      if (errors.length > 0) {
+        return { status: 422, body: { error: 'AI output does not match the schema', errors, attempts, usage, ...(project ? { project } : { raw }) } }
+      }
+
+      const results = await buildPlatforms(project, emit)
+      return {
+        status: 200,
+        body: {
+          success: true,
+          prompt,
+          project,
+          attempts,
+          repairs,
+          usage,
+          ...await storeAiResult(client, input, project, 'ai-build', prompt),
+          results,
+          summary: generationSummary(project, results)
+        }
+      }
+    }
+  }
+}
+
+// Thrown from a cancelled job's next progress event; with a status and no
+// retry flag, chatCompletion passes it on instead of retrying. A model request
+// in flight is aborted through the job's signal rather than waiting for one.
+const jobCancelled = () => Object.assign(new Error('Job cancelled'), { status: 409, cancelled: true })
+
+// The progress events of a job, as sent to a streamed reply (see aiReply)
+function trackProgress(progress, event, data) {
+  if (event === 'token') {
+    progress.stage = 'generating'
+    progress.characters += data.text.length
+  }
+  if (event === 'reset') progress.characters = 0
+  if (event === 'parsed') {
+    progress.stage = 'validating'
+    progress.attempt = data.attempt
+  }
+  if (event === 'repair') progress.stage = 'repairing'
+  if (event === 'platform') {
+    progress.stage = 'building'
+    progress.platforms.push(data.platform)
+  }
+}
+
+function runJobs() {
+  while (runningJobs < JOB_CONCURRENCY && jobQueue.length > 0) {
+    const job = jobQueue.shift()
+    runningJobs++
+    runJob(job).finally(() => {
+      runningJobs--
+      runJobs()
     })
+  }
+}
+
+async function runJob(job) {
+  job.status = 'running'
+  job.startedAt = new Date().toISOString()
+  job.progress.stage = 'started'
+  job.controller = new AbortController()
+  const { signal } = job.controller
+  const emit = (event, data) => {
+    if (signal.aborted) throw jobCancelled()
+    trackProgress(job.progress, event, data)
+  }
 
+  let response
+  try {
+    response = await JOB_TYPES[job.type].run(job.input, emit, job.client, signal)
   } catch (error) {
-    console.error('AI build error:', error)
-    res.status(500).json({ error: 'AI build failed', details: error.message })
+    const cancelled = error.cancelled || signal.aborted
+    if (!cancelled) console.error(`Job ${job.id} error:`, error)
+    response = cancelled ? null : { status: error.status || 500, body: { error: 'Job failed', details: error.message } }
+  }
+  finishJob(job, response)
+}
+
+// A null response means the job was cancelled
+function finishJob(job, response) {
+  job.status = !response ? 'cancelled' : response.status < 400 ? 'succeeded' : 'failed'
+  job.response = response
+  job.finishedAt = new Date().toISOString()
+  job.progress.stage = job.status
+  job.input = null
+  setTimeout(() => jobs.delete(job.id), JOB_RETENTION_MS).unref()
+  if (job.webhook) deliverWebhook(job)
+}
+
+// Everything about a job except its result
+function jobSummary(job) {
+  return {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    createdAt: job.createdAt,
+    ...(job.startedAt && { startedAt: job.startedAt }),
+    ...(job.finishedAt && { finishedAt: job.finishedAt }),
+    progress: job.progress,
+    ...(job.response?.status >= 400 && { error: { status: job.response.status, ...job.response.body } }),
+    ...(job.webhook && { webhook: { url: job.webhook.url, deliveries: job.webhook.deliveries } })
+  }
+}
+
+function jobView(job) {
+  return { ...jobSummary(job), ...(job.response?.status < 400 && { result: job.response.body }) }
+}
+
+// Posts { event, job } to the job's webhook, retrying network failures and
+// 5xx/429 answers; redirects aren't followed. Receivers check
+// "X-HubLab-Signature: sha256=<hex>", the HMAC-SHA256 with the webhook secret
+// of "<X-HubLab-Timestamp>.<raw body>".
+async function deliverWebhook(job) {
+  const body = JSON.stringify({ event: `job.${job.status}`, job: jobSummary(job) })
+  for (let attempt = 1; attempt <= WEBHOOK_ATTEMPTS; attempt++) {
+    const timestamp = String(Math.floor(Date.now() / 1000))
+    const signature = createHmac('sha256', job.webhook.secret).update(`${timestamp}.${body}`).digest('hex')
+    try {
+      // The host is checked again, as it may resolve elsewhere by now
+      const hostError = await webhookHostError(new URL(job.webhook.url))
+      if (hostError) {
+        job.webhook.deliveries.push({ attempt, at: new Date().toISOString(), error: hostError })
+        break
+      }
+      const response = await fetch(job.webhook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-HubLab-Event': `job.${job.status}`,
+          'X-HubLab-Timestamp': timestamp,
+          'X-HubLab-Signature': `sha256=${signature}`
+        },
+        body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(10000)
+      })
+      job.webhook.deliveries.push({ attempt, at: new Date().toISOString(), status: response.status })
+      if (response.status < 500 && response.status !== 429) return
+    } catch (error) {
+      job.webhook.deliveries.push({ attempt, at: new Date().toISOString(), error: error.message })
+    }
+    if (attempt < WEBHOOK_ATTEMPTS) await new Promise(resolve => setTimeout(resolve, 1000 * 2 ** (attempt - 1)))
+  }
+  console.error(`Job ${job.id}: webhook ${job.webhook.url} could not be delivered`)
+}
+
+// Why a webhook URL's host may not be called, or null when it may: every
+// address it resolves to has to be public
+async function webhookHostError(url) {
+  if (WEBHOOK_ALLOW_PRIVATE) return null
+  const host = url.hostname.replace(/^\[|\]$/g, '')
+  const addresses = isIP(host) ? [{ address: host, family: isIP(host) }] : await lookup(host, { all: true }).catch(() => [])
+  if (addresses.length === 0) return `webhook host "${host}" could not be resolved`
+  const blocked = addresses.find(({ address, family }) => PRIVATE_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4'))
+  return blocked ? `webhook host "${host}" is a private address (${blocked.address})` : null
+}
+
+// { url, secret } of a job's webhook; the secret defaults to WEBHOOK_SECRET
+async function jobWebhook(webhook) {
+  const url = typeof webhook?.url === 'string' && URL.canParse(webhook.url) && new URL(webhook.url)
+  if (!url || !['http:', 'https:'].includes(url.protocol)) return { error: 'webhook.url must be an http(s) URL' }
+  const hostError = await webhookHostError(url)
+  if (hostError) return { error: hostError }
+  const secret = webhook.secret ?? WEBHOOK_SECRET
+  if (typeof secret !== 'string' || secret.length === 0) return { error: 'webhook.secret is required to sign the callback (or set WEBHOOK_SECRET)' }
+  return { url: url.href, secret, deliveries: [] }
+}
+
+// Jobs are only visible to the key that created them, and to admin keys
+function findJob(req) {
+  const job = jobs.get(req.params.id)
+  return job && (req.client.admin || job.client.name === req.client.name) ? job : null
+}
+
+const jobNotFound = (res, id) => res.status(404).json({ error: 'Job not found', details: `No job with id "${id}"` })
+
+// Body: { type: "generate" | "ai-build", webhook: { url, secret }, ...the route's body }
+app.post('/jobs', async (req, res) => {
+  const { type, webhook, ...input } = req.body
+  if (typeof type !== 'string' || !Object.hasOwn(JOB_TYPES, type)) {
+    return res.status(400).json({ error: 'Unknown job type', details: `type must be one of: ${Object.keys(JOB_TYPES).join(', ')}` })
+  }
+
+  const callback = webhook !== undefined && await jobWebhook(webhook)
+  if (callback?.error) {
+    return res.status(400).json({ error: 'Invalid webhook', details: callback.error })
+  }
+
+  if (jobQueue.length >= JOB_QUEUE_LIMIT) {
+    res.set('Retry-After', '30')
+    return res.status(503).json({ error: 'Job queue is full', details: `${jobQueue.length} jobs are waiting; try again shortly` })
+  }
+
+  const refusal = takeRequest(req.client, JOB_TYPES[type].bucket)
+  if (refusal) return sendRefusal(res, refusal)
+
+  const job = {
+    id: randomUUID(),
+    type,
+    status: 'queued',
+    createdAt: new Date().toISOString(),
+    progress: { stage: 'queued', attempt: 0, characters: 0, platforms: [] },
+    client: req.client,
+    input,
+    ...(callback && { webhook: callback })
+  }
+  jobs.set(job.id, job)
+  jobQueue.push(job)
+  runJobs()
+
+  res.status(202).location(`/jobs/${job.id}`).json(jobView(job))
+})
+
+app.get('/jobs', (req, res) => {
+  const visible = [...jobs.values()].filter(job => req.client.admin || job.client.name === req.client.name)
+  res.json({ jobs: visible.map(jobSummary), queued: jobQueue.length, running: runningJobs, concurrency: JOB_CONCURRENCY })
+})
+
+app.get('/jobs/:id', (req, res) => {
+  const job = findJob(req)
+  if (!job) return jobNotFound(res, req.params.id)
+  res.json(jobView(job))
+})
+
+// A queued job is cancelled at once; a running one stops at its next progress
+// event (a token, a validation or a platform)
+app.post('/jobs/:id/cancel', (req, res) => {
+  const job = findJob(req)
+  if (!job) return jobNotFound(res, req.params.id)
+
+  if (job.status === 'queued') {
+    jobQueue.splice(jobQueue.indexOf(job), 1)
+    finishJob(job, null)
+  } else if (job.status === 'running') {
+    job.controller.abort()
+    job.progress.stage = 'cancelling'
+  } else {
+    return res.status(409).json({ error: 'Job already finished', details: `Job "${job.id}" ${job.status}` })
   }
+  res.status(202).json(jobView(job))
 })
 
 app.listen(PORT, () => {
   console.log(`🚀 HubLab API running on port ${PORT}`)
-  console.log(`🤖 Groq AI: ${GROQ_API_KEY ? 'configured' : 'NOT configured'}`)
+  console.log(`🤖 AI: ${DEFAULT_AI_PROVIDER ? `${DEFAULT_AI_PROVIDER} (${AI_PROVIDERS[DEFAULT_AI_PROVIDER]?.model})` : 'NOT configured'}`)
+  console.log(`🔑 API keys: ${API_KEYS.size > 0 ? API_KEYS.size : 'none, the API is open'}`)
+  console.log(`🧩 Capsules: ${BUILTIN_CAPSULES.length} built-in, ${CUSTOM_CAPSULES.length} custom${CUSTOM_CAPSULES.length > 0 ? ` (${CUSTOM_CAPSULES.join(', ')})` : ''}`)
 })
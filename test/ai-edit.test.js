@@ -0,0 +1,94 @@
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { mockChat, startApi, project } from './helpers.js'
+
+let chat
+let api
+
+before(async () => {
+  chat = await mockChat()
+  api = await startApi({ AI_PROVIDER: 'openai', OPENAI_BASE_URL: `${chat.url}/v1`, OPENAI_API_KEY: 'test', OPENAI_MODEL: 'mock' })
+})
+
+after(async () => {
+  await api?.stop()
+  await chat?.close()
+})
+
+const edit = () => api.request('/ai/edit', { method: 'POST', body: { project, instruction: 'rename the home screen' } })
+
+test('replace keeps the key where it was', async () => {
+  chat.script([[{ op: 'replace', path: '/screens/0/name', value: 'Start' }]])
+
+  const response = await edit()
+  const body = await response.json()
+  assert.equal(response.status, 200, JSON.stringify(body))
+  assert.equal(body.project.screens[0].name, 'Start')
+  assert.deepEqual(Object.keys(body.project.screens[0]), Object.keys(project.screens[0]))
+  assert.deepEqual(body.patch, [{ op: 'replace', path: '/screens/0/name', value: 'Start' }])
+})
+
+test('rejects pointers into an object prototype', async () => {
+  for (const [path, key] of [['/__proto__/polluted', '__proto__'], ['/screens/0/constructor/prototype/polluted', 'constructor']]) {
+    chat.script([[{ op: 'add', path, value: 'yes' }], [{ op: 'replace', path: '/screens/0/name', value: 'Start' }]])
+
+    const response = await edit()
+    const body = await response.json()
+    assert.equal(response.status, 200, JSON.stringify(body))
+    assert.equal(body.attempts, 2)
+    assert.equal(chat.requests.length, 2)
+    const retry = chat.requests[1].body.messages.at(-1).content
+    assert.match(retry, /does not apply/)
+    assert.ok(retry.includes(`\\"${key}\\" can't be used in a pointer`), retry)
+  }
+})
+
+test('does not read inherited properties', async () => {
+  chat.script([[{ op: 'replace', path: '/theme/toString', value: 'x' }]])
+
+  const response = await edit()
+  const body = await response.json()
+  assert.equal(response.status, 422)
+  assert.match(body.errors[0].message, /"\/theme\/toString" does not exist/)
+})
+
+test('the patch reports props named like Object.prototype members', async () => {
+  const withProps = props => ({
+    ...project,
+    screens: [{ ...project.screens[0], root: { ...project.screens[0].root, children: [{ id: 'title', capsuleId: 'text', props }] } }]
+  })
+  const original = withProps({ text: 'Hi', constructor: 'old' })
+  chat.script([withProps({ text: 'Hi', toString: 'new' })])
+
+  const response = await api.request('/ai/edit', { method: 'POST', body: { project: original, instruction: 'swap the props' } })
+  const body = await response.json()
+  assert.equal(response.status, 200, JSON.stringify(body))
+  assert.deepEqual(body.patch, [
+    { op: 'remove', path: '/screens/0/root/children/0/props/constructor' },
+    { op: 'add', path: '/screens/0/root/children/0/props/toString', value: 'new' }
+  ])
+})
+
+test('long arrays only diff the part that changed, or are replaced whole', async () => {
+  const withRows = rows => ({
+    ...project,
+    screens: [{ ...project.screens[0], root: { ...project.screens[0].root, children: [{ id: 'title', capsuleId: 'text', props: { text: 'Hi', rows } }] } }]
+  })
+  const rows = Array.from({ length: 3000 }, (_, i) => ({ id: `row-${i}`, label: `Row ${i}` }))
+  const edited = rows.map(row => row.id === 'row-1500' ? { ...row, label: 'Changed' } : row)
+  edited.splice(2000, 1)
+  const path = '/screens/0/root/children/0/props/rows'
+
+  chat.script([withRows(edited)])
+  let body = await (await api.request('/ai/edit', { method: 'POST', body: { project: withRows(rows), instruction: 'edit a row' } })).json()
+  assert.deepEqual(body.patch, [
+    { op: 'replace', path: `${path}/1500/label`, value: 'Changed' },
+    { op: 'remove', path: `${path}/2000` }
+  ])
+
+  // Nothing in common over more than the size cap: one replace of the array
+  const renamed = rows.map(row => ({ ...row, id: `new-${row.id}` }))
+  chat.script([withRows(renamed)])
+  body = await (await api.request('/ai/edit', { method: 'POST', body: { project: withRows(rows), instruction: 'rename the rows' } })).json()
+  assert.deepEqual(body.patch, [{ op: 'replace', path, value: renamed }])
+})
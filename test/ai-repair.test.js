@@ -0,0 +1,134 @@
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { mockChat, startApi, parseEvents, project } from './helpers.js'
+
+let chat
+let api
+
+before(async () => {
+  chat = await mockChat()
+  api = await startApi({ AI_PROVIDER: 'openai', OPENAI_BASE_URL: `${chat.url}/v1`, OPENAI_API_KEY: 'test', OPENAI_MODEL: 'mock' })
+})
+
+after(async () => {
+  await api?.stop()
+  await chat?.close()
+})
+
+const generate = (query = '') => api.request(`/ai/generate${query}`, { method: 'POST', body: { prompt: 'a shop' } })
+
+test('repairs aliases, misspelled capsules and bad or repeated ids without asking again', async () => {
+  chat.script(['```json\n' + JSON.stringify({
+    ...project,
+    screens: [{
+      id: 'Home Screen',
+      name: 'Home',
+      root: {
+        id: 'Root',
+        capsuleId: 'container',
+        props: {},
+        children: [
+          { id: 'pic', capsuleId: 'avatar', props: { src: 'https://example.com/a.png' } },
+          { id: 'pic', capsuleId: 'buton', props: { text: 'Go', onPress: 'navigate:Home Screen' } }
+        ]
+      }
+    }],
+    navigation: { type: 'stack', initialScreen: 'Home Screen' }
+  }) + '\n```'])
+
+  const response = await generate()
+  const body = await response.json()
+  assert.equal(response.status, 200, JSON.stringify(body))
+  assert.equal(body.attempts, 1)
+  assert.equal(chat.requests.length, 1)
+
+  const [screen] = body.project.screens
+  const [image, button] = screen.root.children
+  assert.equal(screen.id, 'home-screen')
+  assert.equal(screen.root.id, 'root')
+  assert.equal(screen.root.capsuleId, 'column')
+  assert.equal(image.capsuleId, 'image')
+  assert.equal(button.capsuleId, 'button')
+  assert.equal(button.id, 'pic-2')
+  assert.equal(button.props.onPress, 'navigate:home-screen')
+  assert.equal(body.project.navigation.initialScreen, 'home-screen')
+
+  const messages = body.repairs.map(repair => repair.message)
+  assert.ok(messages.includes('renamed screen "Home Screen" to "home-screen"'))
+  assert.ok(messages.includes('replaced unknown capsule "avatar" with "image"'))
+  assert.ok(messages.includes('replaced unknown capsule "buton" with "button"'))
+  assert.ok(messages.includes('renamed capsule "pic" to "pic-2"'))
+})
+
+test('replaces a capsule it cannot place with a column or a text', async () => {
+  chat.script([{
+    ...project,
+    screens: [{
+      id: 'home',
+      name: 'Home',
+      root: { id: 'root', capsuleId: 'mystery-layout', props: {}, children: [{ id: 'note', capsuleId: 'mystery-widget', props: { text: 'Hi' } }] }
+    }]
+  }])
+
+  const body = await (await generate()).json()
+  assert.equal(body.project.screens[0].root.capsuleId, 'column')
+  assert.equal(body.project.screens[0].root.children[0].capsuleId, 'text')
+})
+
+test('sends the validation errors back and accepts the corrected answer', async () => {
+  chat.script(['Sure! Here is your app.', project])
+
+  const response = await generate()
+  const body = await response.json()
+  assert.equal(response.status, 200, JSON.stringify(body))
+  assert.equal(body.attempts, 2)
+  assert.deepEqual(body.usage, { promptTokens: 20, completionTokens: 40 })
+
+  assert.equal(chat.requests.length, 2)
+  const messages = chat.requests[1].body.messages
+  assert.deepEqual(messages.at(-2), { role: 'assistant', content: 'Sure! Here is your app.' })
+  assert.match(messages.at(-1).content, /does not match the schema/)
+  assert.match(messages.at(-1).content, /answer is not a JSON object/)
+})
+
+test('gives up with 422 once the repair attempts run out', async () => {
+  chat.script(['I cannot do that.'])
+
+  const response = await generate()
+  const body = await response.json()
+  assert.equal(response.status, 422)
+  assert.equal(body.attempts, 3)
+  assert.equal(body.raw, 'I cannot do that.')
+  assert.equal(body.errors[0].message, 'answer is not a JSON object')
+  assert.equal(chat.requests.length, 3)
+})
+
+test('streams the repair loop as events', async () => {
+  chat.script(['not json', project])
+
+  const response = await generate('?stream=true')
+  assert.match(response.headers.get('content-type'), /text\/event-stream/)
+  const events = parseEvents(await response.text())
+  const names = events.map(event => event.event)
+
+  assert.ok(names.includes('token'))
+  assert.equal(events.find(event => event.event === 'repair').data.attempt, 1)
+  assert.equal(events.find(event => event.event === 'parsed').data.attempt, 2)
+  assert.equal(names.at(-1), 'done')
+  assert.equal(events.at(-1).data.attempts, 2)
+})
+
+test('only uses providers that are configured', async () => {
+  for (const model of ['anthropic:claude-sonnet-4-5', 'ollama:llama3.1', 'groq']) {
+    const response = await api.request('/ai/generate', { method: 'POST', body: { prompt: 'a shop', model } })
+    const body = await response.json()
+    assert.equal(response.status, 400, model)
+    assert.match(body.details, /is not configured/)
+  }
+
+  // Names that aren't providers are models of the default one
+  chat.script([project])
+  const response = await api.request('/ai/generate', { method: 'POST', body: { prompt: 'a shop', model: 'constructor:x' } })
+  assert.equal(response.status, 200)
+  assert.equal(chat.requests[0].body.model, 'constructor:x')
+})
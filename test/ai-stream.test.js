@@ -0,0 +1,99 @@
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { listen, startApi, parseEvents, project } from './helpers.js'
+
+const chunk = text => `data: ${JSON.stringify({ choices: [{ delta: { content: text } }] })}\n\n`
+
+// The first answer breaks off after a few tokens, later ones stream the
+// project. In "hanging" mode answers never finish, and closed resolves once
+// the API drops the connection of one; in "slow" mode the project comes in
+// pieces 150ms apart.
+let provider
+let api
+let mode = null
+let closed
+
+before(async () => {
+  provider = await listen((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' })
+    if (mode === 'hanging') {
+      res.write(chunk('{"name": '))
+      closed = new Promise(resolve => res.on('close', resolve))
+      return
+    }
+    if (mode === 'slow') {
+      const pieces = JSON.stringify(project).match(/[\s\S]{1,40}/g)
+      const timer = setInterval(() => {
+        if (pieces.length > 0) return res.write(chunk(pieces.shift()))
+        clearInterval(timer)
+        res.end('data: [DONE]\n\n')
+      }, 150)
+      return res.on('close', () => clearInterval(timer))
+    }
+    if (provider.requests.length === 1) {
+      res.write(chunk('{"name": "Bro'))
+      return setTimeout(() => res.destroy(), 50)
+    }
+    res.write(chunk(JSON.stringify(project)))
+    res.end('data: [DONE]\n\n')
+  })
+  api = await startApi({ AI_PROVIDER: 'openai', OPENAI_BASE_URL: `${provider.url}/v1`, OPENAI_MODEL: 'mock', AI_RETRIES: '1' })
+})
+
+after(async () => {
+  await api?.stop()
+  await provider?.close()
+})
+
+test('tells the client to drop the tokens of an answer that broke off', async () => {
+  const response = await api.request('/ai/generate?stream=true', { method: 'POST', body: { prompt: 'a shop' } })
+  const events = parseEvents(await response.text())
+  const names = events.map(event => event.event)
+
+  assert.equal(provider.requests.length, 2)
+  assert.equal(names.at(-1), 'done')
+  assert.deepEqual(events.find(event => event.event === 'reset').data, { attempt: 2 })
+  assert.ok(names.indexOf('reset') < names.indexOf('retry'))
+
+  // What a client keeps after each reset is exactly the answer that was used
+  const text = events.reduce((answer, event) => event.event === 'reset' ? '' : event.event === 'token' ? answer + event.data.text : answer, '')
+  assert.deepEqual(JSON.parse(text), project)
+})
+
+test('stops the model request when the client goes away', async () => {
+  mode = 'hanging'
+  const client = new AbortController()
+  const response = await api.request('/ai/generate?stream=true', { method: 'POST', body: { prompt: 'a shop' }, signal: client.signal })
+  const reader = response.body.getReader()
+  let received = ''
+  while (!received.includes('event: token')) received += new TextDecoder().decode((await reader.read()).value)
+  const requests = provider.requests.length
+
+  client.abort()
+  await Promise.race([closed, new Promise((resolve, reject) => setTimeout(() => reject(new Error('the model request was left open')), 2000))])
+  await new Promise(resolve => setTimeout(resolve, 200))
+  assert.equal(provider.requests.length, requests)
+  mode = null
+})
+
+test('times the gaps between chunks, not the whole answer', async () => {
+  const quick = await startApi({ AI_PROVIDER: 'openai', OPENAI_BASE_URL: `${provider.url}/v1`, OPENAI_MODEL: 'mock', AI_TIMEOUT_MS: '500' })
+  try {
+    mode = 'slow'
+    provider.requests.length = 0
+    const started = Date.now()
+    const slow = await quick.request('/ai/generate?stream=true', { method: 'POST', body: { prompt: 'a shop' } })
+    const events = parseEvents(await slow.text())
+    assert.ok(Date.now() - started > 500)
+    assert.equal(events.at(-1).event, 'done', JSON.stringify(events.at(-1)))
+    assert.equal(provider.requests.length, 1)
+
+    mode = 'hanging'
+    const stalled = await quick.request('/ai/generate', { method: 'POST', body: { prompt: 'a shop' } })
+    assert.equal(stalled.status, 504)
+    assert.match((await stalled.json()).details, /sent nothing for 0.5s/)
+  } finally {
+    mode = null
+    await quick.stop()
+  }
+})
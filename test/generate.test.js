@@ -0,0 +1,225 @@
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { crc32, inflateRawSync } from 'node:zlib'
+import { startApi } from './helpers.js'
+
+let api
+
+before(async () => {
+  api = await startApi()
+})
+
+after(async () => {
+  await api?.stop()
+})
+
+const screen = children => ({
+  name: 'Form',
+  version: '1.0.0',
+  targets: ['ios', 'android', 'web'],
+  theme: { colors: { primary: '#000000' } },
+  screens: [{ id: 'home', name: 'Home', state: { name: { type: 'string', default: '' } }, root: { id: 'root', capsuleId: 'column', props: {}, children } }]
+})
+
+// The generated files of a platform, joined into one string
+async function generate(project, platform) {
+  const response = await api.request('/generate', { method: 'POST', body: project })
+  const body = await response.json()
+  assert.equal(response.status, 200, JSON.stringify(body))
+  return { body, code: body.results.find(result => result.platform === platform).files.map(file => file.content).join('\n') }
+}
+
+test('a Compose input only has a label slot when it has a label', async () => {
+  const { code } = await generate(screen([
+    { id: 'email', capsuleId: 'input', props: { label: 'Email for {{state.name}}', placeholder: 'you@example.com' } },
+    { id: 'code', capsuleId: 'input', props: { placeholder: 'Code' } }
+  ]), 'android')
+
+  assert.ok(code.includes('label = { Text("Email for ${state.name}") },'), code)
+  assert.equal(code.match(/label = \{/g).length, 1)
+  assert.ok(code.includes('placeholder = { Text("Code") },'))
+})
+
+test('a SwiftUI input shows its label above the field', async () => {
+  const { code } = await generate(screen([
+    { id: 'email', capsuleId: 'input', props: { label: 'Email', placeholder: 'you@example.com' } },
+    { id: 'code', capsuleId: 'input', props: { placeholder: 'Code' } }
+  ]), 'ios')
+
+  assert.match(code, /VStack\(alignment: \.leading, spacing: 4\) \{\s*Text\("Email"\)[^}]*?\.accessibilityHidden\(true\)\s*TextField\("you@example\.com", text: \$model\.email\)\s*\.textFieldStyle\(\.roundedBorder\)\s*\.accessibilityLabel\("Email"\)/, code)
+  assert.equal(code.match(/Text\("Email"\)/g).length, 1)
+  assert.ok(code.includes('TextField("Code", text: $model.code)'))
+})
+
+test('the default theme passes the contrast check', async () => {
+  const { body } = await generate(screen([{ id: 'title', capsuleId: 'text', props: { text: 'Hi' } }]), 'web')
+  assert.deepEqual(body.accessibility, { passed: true, issues: [] })
+})
+
+test('contrast issues point at the project color in effect', async () => {
+  const project = screen([{ id: 'title', capsuleId: 'text', props: { text: 'Hi' } }])
+  project.theme = {
+    colors: { primary: '#A5B4FC', text: { primary: '#777777' } },
+    darkColors: { background: '#FFFFFF' }
+  }
+  const { body } = await generate(project, 'web')
+  const issues = body.accessibility.issues.map(issue => `${issue.path} ${issue.message.split(' (')[0]}`)
+
+  assert.ok(issues.includes('/theme/colors/text/primary textPrimary'), issues.join('\n'))
+  assert.ok(issues.includes('/theme/colors/primary white button text'), issues.join('\n'))
+  assert.ok(issues.includes('/theme/darkColors/background textPrimary'), issues.join('\n'))
+  assert.ok(body.accessibility.issues.every(issue => issue.rule === 'color-contrast'))
+  // Dark colors the project didn't set aren't reported as if it had
+  assert.ok(!issues.some(issue => /darkColors\/(text|primary|surface)/.test(issue)), issues.join('\n'))
+})
+
+test('images without a label leave out the label, decorative ones get an empty one', async () => {
+  const project = screen([
+    { id: 'photo', capsuleId: 'image', props: { src: 'https://example.com/a.png' } },
+    { id: 'divider-art', capsuleId: 'image', props: { src: 'https://example.com/b.png', accessibility: { hidden: true } } },
+    { id: 'logo', capsuleId: 'image', props: { src: 'https://example.com/c.png', alt: 'Logo' } }
+  ])
+  project.targets = ['ios', 'android', 'web', 'flutter', 'react-native']
+
+  const ios = (await generate(project, 'ios')).code
+  assert.ok(!ios.includes('.accessibilityLabel("")'))
+  assert.ok(ios.includes('.accessibilityLabel("Logo")'))
+  assert.ok(ios.includes('.accessibilityHidden(true)'))
+
+  const android = (await generate(project, 'android')).code
+  assert.ok(!android.includes('contentDescription = ""'))
+  assert.equal(android.match(/contentDescription = null,/g).length, 2)
+  assert.ok(android.includes('contentDescription = "Logo",'))
+
+  const web = (await generate(project, 'web')).code
+  const images = web.match(/<img[\s\S]*?\/>/g)
+  assert.equal(images.length, 3)
+  assert.ok(!images[0].includes('alt='), images[0])
+  assert.ok(images[1].includes('alt=""'), images[1])
+  assert.ok(images[2].includes('alt="Logo"'), images[2])
+
+  const flutter = (await generate(project, 'flutter')).code
+  assert.ok(!flutter.includes("semanticLabel: ''"))
+  assert.equal(flutter.match(/semanticLabel: /g).length, 1)
+
+  const native = (await generate(project, 'react-native')).code
+  assert.ok(!native.includes('accessibilityLabel=""'))
+})
+
+test('a Tauri shell does not point at icon files it does not ship', async () => {
+  const project = screen([{ id: 'title', capsuleId: 'text', props: { text: 'Hi' } }])
+  project.targets = ['desktop']
+  project.platformConfig = { desktop: { framework: 'tauri' } }
+  const { body } = await generate(project, 'desktop')
+  const files = body.results.find(result => result.platform === 'desktop').files
+  const config = JSON.parse(files.find(file => file.path === 'src-tauri/tauri.conf.json').content)
+
+  assert.equal(config.bundle.icon, undefined)
+  assert.ok(!files.some(file => file.path.startsWith('src-tauri/icons/')))
+})
+
+// Two screens, so editing one leaves the other's files cached
+const twoScreens = name => {
+  const project = screen([{ id: 'title', capsuleId: 'text', props: { text: 'Hi' } }])
+  project.name = name
+  project.screens.push({ id: 'settings', name: 'Settings', root: { id: 'root', capsuleId: 'column', props: {}, children: [] } })
+  return project
+}
+
+test('regenerating reuses the screens that did not change', async () => {
+  const project = twoScreens('Cached')
+  const cached = async () => (await generate(project, 'web')).body.summary.cachedScreens
+
+  assert.equal(await cached(), 0)
+  // Two screens on each of the three platforms
+  assert.equal(await cached(), 6)
+
+  project.screens[0].root.children[0].props.text = 'Hello'
+  assert.equal(await cached(), 3)
+})
+
+test('a change to the shared theme or navigation regenerates every screen', async () => {
+  const project = twoScreens('Invalidated')
+  const cached = async () => (await generate(project, 'web')).body.summary.cachedScreens
+  await cached()
+
+  project.theme = { colors: { primary: '#1D4ED8' } }
+  assert.equal(await cached(), 0)
+  assert.equal(await cached(), 6)
+
+  project.navigation = { type: 'tabs', initialScreen: 'settings' }
+  assert.equal(await cached(), 0)
+})
+
+test('diff mode returns the files added, changed and removed since the previous project', async () => {
+  const previous = twoScreens('Diffed')
+  previous.targets = ['ios', 'web']
+  const project = structuredClone(previous)
+  project.targets = ['web']
+  project.screens[0].root.children[0].props.text = 'Hello'
+  project.screens.push({ id: 'profile', name: 'Profile', root: { id: 'root', capsuleId: 'column', props: {}, children: [] } })
+
+  const response = await api.request('/generate', { method: 'POST', body: { project, previous } })
+  const body = await response.json()
+  assert.equal(response.status, 200, JSON.stringify(body))
+  const web = body.changes.find(change => change.platform === 'web')
+  const ios = body.changes.find(change => change.platform === 'ios')
+
+  assert.deepEqual(web.added.map(file => file.path), ['src/pages/profile.tsx'])
+  assert.ok(web.added[0].content.length > 0)
+  assert.ok(web.changed.some(file => file.path === 'src/pages/home.tsx' && file.content.includes('Hello')))
+  assert.ok(!web.changed.some(file => file.path === 'src/pages/settings.tsx'))
+  assert.deepEqual(web.removed, [])
+
+  assert.deepEqual([ios.added, ios.changed, ios.unchanged], [[], [], 0])
+  assert.ok(ios.removed.includes('Diffed/Screens/HomeView.swift'))
+  assert.equal(body.summary.removed, ios.removed.length)
+})
+
+// The entries of a zip archive, read through its central directory
+function unzip(archive) {
+  const end = archive.lastIndexOf(Buffer.from([0x50, 0x4B, 0x05, 0x06]))
+  const count = archive.readUInt16LE(end + 10)
+  const entries = []
+  for (let i = 0, at = archive.readUInt32LE(end + 16); i < count; i++) {
+    assert.equal(archive.readUInt32LE(at), 0x02014B50)
+    const nameLength = archive.readUInt16LE(at + 28)
+    const local = archive.readUInt32LE(at + 42)
+    const start = local + 30 + archive.readUInt16LE(local + 26) + archive.readUInt16LE(local + 28)
+    const compressed = archive.subarray(start, start + archive.readUInt32LE(at + 20))
+    entries.push({
+      flags: archive.readUInt16LE(at + 8),
+      crc: archive.readUInt32LE(at + 16),
+      size: archive.readUInt32LE(at + 24),
+      name: archive.subarray(at + 46, at + 46 + nameLength).toString('utf8'),
+      data: inflateRawSync(compressed)
+    })
+    at += 46 + nameLength + archive.readUInt16LE(at + 30) + archive.readUInt16LE(at + 32)
+  }
+  return entries
+}
+
+test('format=zip returns every generated file in a readable archive', async () => {
+  const project = screen([{ id: 'title', capsuleId: 'text', props: { text: 'Olá, 世界 ✓' } }])
+  project.name = 'Zipped'
+  const { body } = await generate(project, 'web')
+
+  const response = await api.request('/generate?format=zip', { method: 'POST', body: project })
+  assert.equal(response.status, 200)
+  assert.equal(response.headers.get('content-type'), 'application/zip')
+  assert.match(response.headers.get('content-disposition'), /filename="zipped.zip"/)
+  const entries = unzip(Buffer.from(await response.arrayBuffer()))
+
+  const expected = body.results.flatMap(result => result.files.map(file => [`${result.platform}/${file.path}`, file.content]))
+  assert.deepEqual(entries.map(entry => entry.name), ['README.md', 'hublab.json', ...expected.map(([path]) => path)])
+  for (const entry of entries) {
+    assert.equal(entry.flags & 0x0800, 0x0800, `${entry.name} is marked as UTF-8`)
+    assert.equal(entry.size, entry.data.length)
+    assert.equal(entry.crc, crc32(entry.data), `${entry.name} CRC`)
+  }
+
+  const screenFile = expected.find(([path]) => path === 'web/src/pages/home.tsx')
+  assert.equal(entries.find(entry => entry.name === screenFile[0]).data.toString('utf8'), screenFile[1])
+  assert.ok(screenFile[1].includes('Olá, 世界 ✓'))
+  assert.deepEqual(JSON.parse(entries[1].data.toString('utf8')), project)
+})
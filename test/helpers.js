@@ -0,0 +1,140 @@
+import { spawn } from 'node:child_process'
+import { createServer } from 'node:http'
+import { fileURLToPath } from 'node:url'
+
+const ENTRY = fileURLToPath(new URL('../index.js', import.meta.url))
+
+// A small valid project: one web screen with a title
+export const project = {
+  name: 'Shop',
+  version: '1.0.0',
+  targets: ['web'],
+  theme: { colors: { primary: '#000000' } },
+  screens: [{
+    id: 'home',
+    name: 'Home',
+    root: { id: 'root', capsuleId: 'column', props: {}, children: [{ id: 'title', capsuleId: 'text', props: { text: 'Hi' } }] }
+  }]
+}
+
+// Collects a request body and parses it as JSON when it is JSON
+function readBody(req) {
+  return new Promise(resolve => {
+    let body = ''
+    req.on('data', chunk => { body += chunk })
+    req.on('end', () => {
+      try {
+        resolve({ raw: body, json: JSON.parse(body || '{}') })
+      } catch {
+        resolve({ raw: body, json: null })
+      }
+    })
+  })
+}
+
+// A local HTTP server; handler gets (req, res, body) and every request is
+// kept in server.requests
+export async function listen(handler) {
+  const requests = []
+  const server = createServer(async (req, res) => {
+    const body = await readBody(req)
+    const entry = { method: req.method, url: req.url, headers: req.headers, body: body.json, raw: body.raw }
+    requests.push(entry)
+    handler(req, res, entry)
+  })
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise(resolve => { server.closeAllConnections(); server.close(resolve) })
+  }
+}
+
+// An OpenAI compatible chat completions server. script(answers) sets the
+// answers it gives out in turn, the last one repeating, and forgets earlier
+// requests. An answer that is a function is called with the request and its
+// result sent; other values are sent as JSON. Streamed requests get the answer
+// in small "delta" chunks.
+export async function mockChat(answers = []) {
+  let turn = 0
+  const server = await listen((req, res, request) => {
+    const answer = answers[Math.min(turn++, answers.length - 1)]
+    const value = typeof answer === 'function' ? answer(request) : answer
+    const content = typeof value === 'string' ? value : JSON.stringify(value)
+    const usage = { prompt_tokens: 10, completion_tokens: 20 }
+    if (!request.body?.stream) {
+      res.setHeader('Content-Type', 'application/json')
+      return res.end(JSON.stringify({ choices: [{ message: { content } }], usage }))
+    }
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' })
+    for (const text of content.match(/[\s\S]{1,40}/g)) res.write(`data: ${JSON.stringify({ choices: [{ delta: { content: text } }] })}\n\n`)
+    res.end(`data: ${JSON.stringify({ choices: [], usage })}\n\ndata: [DONE]\n\n`)
+  })
+  server.script = next => {
+    answers = next
+    turn = 0
+    server.requests.length = 0
+  }
+  return server
+}
+
+async function freePort() {
+  const server = createServer()
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+  const { port } = server.address()
+  await new Promise(resolve => server.close(resolve))
+  return port
+}
+
+// Starts the API in a child process with an in-memory project store and the
+// given environment, and resolves once /health answers
+export async function startApi(env = {}) {
+  const port = await freePort()
+  const child = spawn(process.execPath, [ENTRY], {
+    env: {
+      PATH: process.env.PATH,
+      PORT: String(port),
+      PROJECT_STORE: 'memory',
+      AI_RETRIES: '0',
+      ...env
+    },
+    stdio: ['ignore', 'ignore', 'pipe']
+  })
+  let stderr = ''
+  child.stderr.on('data', chunk => { stderr += chunk })
+
+  const url = `http://127.0.0.1:${port}`
+  for (let tries = 0; ; tries++) {
+    if (child.exitCode !== null) throw new Error(`The API exited during startup:\n${stderr}`)
+    try {
+      if ((await fetch(`${url}/health`)).ok) break
+    } catch {}
+    if (tries > 100) {
+      child.kill()
+      throw new Error(`The API did not start:\n${stderr}`)
+    }
+    await new Promise(resolve => setTimeout(resolve, 100))
+  }
+
+  return {
+    url,
+    request: (path, options = {}) => fetch(`${url}${path}`, {
+      ...options,
+      headers: { 'Content-Type': 'application/json', ...options.headers },
+      body: options.body === undefined || typeof options.body === 'string' ? options.body : JSON.stringify(options.body)
+    }),
+    stop: () => new Promise(resolve => {
+      if (child.exitCode !== null) return resolve()
+      child.once('exit', resolve)
+      child.kill()
+    })
+  }
+}
+
+// The events of a Server-Sent Events response body, as { event, data }
+export function parseEvents(text) {
+  return text.split('\n\n').filter(Boolean).map(block => ({
+    event: block.match(/^event: (.*)$/m)?.[1],
+    data: JSON.parse(block.match(/^data: (.*)$/m)?.[1] ?? 'null')
+  }))
+}
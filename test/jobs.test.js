@@ -0,0 +1,188 @@
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { createHmac } from 'node:crypto'
+import { listen, startApi, project } from './helpers.js'
+
+const SECRET = 'webhook-secret'
+
+// The model streams a token every 20ms and never finishes, so an ai-build job
+// keeps running until it is cancelled. When silent it sends nothing at all,
+// and closed resolves once the API drops the connection.
+let provider
+let receiver
+let api
+let silent = false
+let closed
+
+before(async () => {
+  provider = await listen((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' })
+    if (silent) {
+      res.flushHeaders()
+      closed = new Promise(resolve => res.on('close', resolve))
+      return
+    }
+    const timer = setInterval(() => res.write(`data: ${JSON.stringify({ choices: [{ delta: { content: ' ' } }] })}\n\n`), 20)
+    res.on('close', () => clearInterval(timer))
+  })
+  receiver = await listen((req, res) => res.end('ok'))
+  // The receiver runs on localhost, which webhooks only reach when allowed
+  api = await startApi({ AI_PROVIDER: 'openai', OPENAI_BASE_URL: `${provider.url}/v1`, OPENAI_MODEL: 'mock', WEBHOOK_ALLOW_PRIVATE: 'true' })
+})
+
+after(async () => {
+  await api?.stop()
+  await provider?.close()
+  await receiver?.close()
+})
+
+// Polls until check returns something truthy
+async function waitFor(check, what) {
+  for (let tries = 0; tries < 100; tries++) {
+    const value = await check()
+    if (value) return value
+    await new Promise(resolve => setTimeout(resolve, 50))
+  }
+  throw new Error(`Timed out waiting for ${what}`)
+}
+
+const getJob = async id => (await api.request(`/jobs/${id}`)).json()
+
+const webhookFor = id => receiver.requests.find(request => request.body?.job?.id === id)
+
+test('queues a generate job and reports its progress and result', async () => {
+  const response = await api.request('/jobs', { method: 'POST', body: { type: 'generate', project: { ...project, targets: ['web', 'ios'] } } })
+  assert.equal(response.status, 202)
+  const created = await response.json()
+  assert.equal(response.headers.get('location'), `/jobs/${created.id}`)
+  assert.equal(created.type, 'generate')
+  assert.ok(['queued', 'running'].includes(created.status))
+
+  const job = await waitFor(async () => {
+    const job = await getJob(created.id)
+    return job.status === 'succeeded' && job
+  }, 'the job to succeed')
+  assert.equal(job.progress.stage, 'succeeded')
+  assert.deepEqual([...job.progress.platforms].sort(), ['ios', 'web'])
+  assert.equal(job.result.success, true)
+  assert.equal(job.result.project.name, 'Shop')
+  assert.ok(job.result.results.find(result => result.platform === 'web').files.length > 0)
+
+  const listed = await (await api.request('/jobs')).json()
+  assert.ok(listed.jobs.some(summary => summary.id === created.id))
+})
+
+test('answers a failed job with the route\'s error', async () => {
+  const { id } = await (await api.request('/jobs', { method: 'POST', body: { type: 'generate', project: { name: 'Broken' } } })).json()
+  const job = await waitFor(async () => {
+    const job = await getJob(id)
+    return job.status === 'failed' && job
+  }, 'the job to fail')
+  assert.equal(job.error.status, 422)
+  assert.equal(job.result, undefined)
+})
+
+test('cancels a running job', async () => {
+  const { id } = await (await api.request('/jobs', {
+    method: 'POST',
+    body: { type: 'ai-build', prompt: 'a shop', webhook: { url: `${receiver.url}/hook`, secret: SECRET } }
+  })).json()
+
+  await waitFor(async () => {
+    const job = await getJob(id)
+    return job.status === 'running' && job.progress.characters > 0
+  }, 'the model to answer')
+
+  const cancel = await api.request(`/jobs/${id}/cancel`, { method: 'POST' })
+  assert.equal(cancel.status, 202)
+
+  const job = await waitFor(async () => {
+    const job = await getJob(id)
+    return job.status === 'cancelled' && job
+  }, 'the job to stop')
+  assert.equal(job.progress.stage, 'cancelled')
+  assert.equal(job.result, undefined)
+
+  const again = await api.request(`/jobs/${id}/cancel`, { method: 'POST' })
+  assert.equal(again.status, 409)
+
+  const delivery = await waitFor(() => webhookFor(id), 'the webhook')
+  assert.equal(delivery.body.event, 'job.cancelled')
+})
+
+test('cancelling aborts a model request that is waiting for an answer', async () => {
+  silent = true
+  const requests = provider.requests.length
+  try {
+    const { id } = await (await api.request('/jobs', { method: 'POST', body: { type: 'ai-build', prompt: 'a shop' } })).json()
+    await waitFor(() => provider.requests.length > requests, 'the model request')
+
+    assert.equal((await api.request(`/jobs/${id}/cancel`, { method: 'POST' })).status, 202)
+    const job = await waitFor(async () => {
+      const job = await getJob(id)
+      return job.status === 'cancelled' && job
+    }, 'the job to stop')
+    assert.equal(job.error, undefined)
+    await Promise.race([closed, new Promise((resolve, reject) => setTimeout(() => reject(new Error('the model request was left open')), 2000))])
+  } finally {
+    silent = false
+  }
+})
+
+test('delivers a signed webhook when a job finishes', async () => {
+  const { id } = await (await api.request('/jobs', {
+    method: 'POST',
+    body: { type: 'generate', project, webhook: { url: `${receiver.url}/hook`, secret: SECRET } }
+  })).json()
+
+  const delivery = await waitFor(() => webhookFor(id), 'the webhook')
+  assert.equal(delivery.method, 'POST')
+  assert.equal(delivery.url, '/hook')
+  assert.equal(delivery.headers['x-hublab-event'], 'job.succeeded')
+  assert.equal(delivery.body.event, 'job.succeeded')
+  assert.equal(delivery.body.job.status, 'succeeded')
+
+  const timestamp = delivery.headers['x-hublab-timestamp']
+  assert.ok(Math.abs(Date.now() / 1000 - Number(timestamp)) < 60)
+  const expected = createHmac('sha256', SECRET).update(`${timestamp}.${delivery.raw}`).digest('hex')
+  assert.equal(delivery.headers['x-hublab-signature'], `sha256=${expected}`)
+  const forged = createHmac('sha256', 'another-secret').update(`${timestamp}.${delivery.raw}`).digest('hex')
+  assert.notEqual(delivery.headers['x-hublab-signature'], `sha256=${forged}`)
+
+  const job = await waitFor(async () => {
+    const job = await getJob(id)
+    return job.webhook.deliveries.length > 0 && job
+  }, 'the delivery to be recorded')
+  assert.equal(job.webhook.url, `${receiver.url}/hook`)
+  assert.equal(job.webhook.deliveries[0].status, 200)
+  assert.equal(job.webhook.secret, undefined)
+})
+
+test('refuses unknown job types, inherited names included', async () => {
+  for (const type of ['toString', 'constructor', '__proto__', 'deploy', undefined]) {
+    const response = await api.request('/jobs', { method: 'POST', body: { type, project } })
+    assert.equal(response.status, 400, String(type))
+    assert.equal((await response.json()).error, 'Unknown job type')
+  }
+})
+
+test('refuses a webhook that is not an http(s) URL', async () => {
+  const response = await api.request('/jobs', { method: 'POST', body: { type: 'generate', project, webhook: { url: 'file:///etc/passwd', secret: SECRET } } })
+  assert.equal(response.status, 400)
+  assert.equal((await response.json()).error, 'Invalid webhook')
+})
+
+test('refuses webhooks to loopback, private and link-local addresses', async () => {
+  const closed = await startApi()
+  try {
+    for (const url of ['http://127.0.0.1:8080/hook', 'http://localhost/hook', 'http://10.1.2.3/hook', 'http://192.168.0.10/hook', 'http://169.254.169.254/latest/meta-data', 'http://[::1]/hook', 'http://[::ffff:127.0.0.1]/hook']) {
+      const response = await closed.request('/jobs', { method: 'POST', body: { type: 'generate', project, webhook: { url, secret: SECRET } } })
+      const body = await response.json()
+      assert.equal(response.status, 400, url)
+      assert.equal(body.error, 'Invalid webhook')
+      assert.match(body.details, /private address/, url)
+    }
+  } finally {
+    await closed.stop()
+  }
+})
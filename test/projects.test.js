@@ -0,0 +1,108 @@
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtemp, writeFile, rm } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { startApi, project } from './helpers.js'
+
+let dir
+let api
+
+before(async () => {
+  dir = await mkdtemp(join(tmpdir(), 'hublab-keys-'))
+  const keys = join(dir, 'keys.json')
+  await writeFile(keys, JSON.stringify([
+    { name: 'alice', key: 'alice-key' },
+    { name: 'bob', key: 'bob-key' },
+    { name: 'ops', key: 'ops-key', admin: true }
+  ]))
+  api = await startApi({ API_KEYS_FILE: keys })
+})
+
+after(async () => {
+  await api?.stop()
+  if (dir) await rm(dir, { recursive: true, force: true })
+})
+
+const as = (key, path, options = {}) => api.request(path, { ...options, headers: { 'X-API-Key': `${key}-key`, ...options.headers } })
+
+test('a project is only visible to the key that saved it and to admin keys', async () => {
+  const created = await as('alice', '/projects', { method: 'POST', body: project })
+  assert.equal(created.status, 201)
+  const { id, owner } = await created.json()
+  assert.equal(owner, 'alice')
+
+  for (const [key, visible] of [['alice', true], ['bob', false], ['ops', true]]) {
+    const listed = await (await as(key, '/projects')).json()
+    assert.equal(listed.some(summary => summary.id === id), visible, `${key} lists the project`)
+    assert.equal((await as(key, `/projects/${id}`)).status, visible ? 200 : 404)
+    assert.equal((await as(key, `/projects/${id}/versions`)).status, visible ? 200 : 404)
+    assert.equal((await as(key, `/projects/${id}/diff`)).status, visible ? 200 : 404)
+  }
+})
+
+test('other keys cannot change, revert or delete a project', async () => {
+  const { id } = await (await as('alice', '/projects', { method: 'POST', body: project })).json()
+
+  assert.equal((await as('bob', `/projects/${id}`, { method: 'PUT', body: { ...project, name: 'Taken' } })).status, 404)
+  assert.equal((await as('bob', `/projects/${id}/revert`, { method: 'POST', body: { version: 1 } })).status, 404)
+  assert.equal((await as('bob', `/projects/${id}`, { method: 'DELETE' })).status, 404)
+
+  const latest = await (await as('alice', `/projects/${id}`)).json()
+  assert.equal(latest.project.name, 'Shop')
+  assert.equal(latest.versions, 1)
+
+  assert.equal((await as('ops', `/projects/${id}`, { method: 'PUT', body: { ...project, name: 'Fixed' } })).status, 200)
+  assert.equal((await as('ops', `/projects/${id}`, { method: 'DELETE' })).status, 204)
+  assert.equal((await as('alice', `/projects/${id}`)).status, 404)
+})
+
+test('other keys cannot build or preview a project by its id', async () => {
+  const { id } = await (await as('alice', '/projects', { method: 'POST', body: project })).json()
+
+  assert.equal((await as('bob', '/generate', { method: 'POST', body: { projectId: id } })).status, 404)
+  assert.equal((await as('bob', '/preview', { method: 'POST', body: { projectId: id } })).status, 404)
+  assert.equal((await as('alice', '/generate', { method: 'POST', body: { projectId: id } })).status, 200)
+})
+
+test('every save adds a version, and a revert is saved as a new one', async () => {
+  const { id, versions } = await (await as('alice', '/projects', { method: 'POST', body: project })).json()
+  assert.equal(versions, 1)
+
+  const renamed = { ...project, name: 'Store' }
+  const updated = await (await as('alice', `/projects/${id}`, { method: 'PUT', body: renamed })).json()
+  assert.equal(updated.versions, 2)
+  assert.equal(updated.project.name, 'Store')
+
+  const reverted = await (await as('alice', `/projects/${id}/revert`, { method: 'POST', body: { version: 1 } })).json()
+  assert.equal(reverted.versions, 3)
+  assert.deepEqual(reverted.project, project)
+  assert.deepEqual((await (await as('alice', `/projects/${id}`)).json()).project, project)
+
+  const history = await (await as('alice', `/projects/${id}/versions`)).json()
+  assert.deepEqual(history.map(entry => [entry.version, entry.source, entry.name]), [[1, 'api', 'Shop'], [2, 'api', 'Store'], [3, 'revert', 'Shop']])
+  assert.equal(history[2].note, 'Reverted to version 1')
+  assert.deepEqual((await (await as('alice', `/projects/${id}/versions/2`)).json()).project, renamed)
+})
+
+test('the diff of two versions is a JSON Patch between them', async () => {
+  const { id } = await (await as('alice', '/projects', { method: 'POST', body: project })).json()
+  const edited = structuredClone(project)
+  edited.name = 'Store'
+  edited.screens[0].root.children.unshift({ id: 'logo', capsuleId: 'image', props: { src: 'https://example.com/logo.png' } })
+  edited.navigation = { type: 'stack', initialScreen: 'home' }
+  await as('alice', `/projects/${id}`, { method: 'PUT', body: edited })
+
+  const diff = await (await as('alice', `/projects/${id}/diff`)).json()
+  assert.equal(diff.from, 1)
+  assert.equal(diff.to, 2)
+  assert.deepEqual(diff.patch, [
+    { op: 'replace', path: '/name', value: 'Store' },
+    { op: 'add', path: '/screens/0/root/children/0', value: edited.screens[0].root.children[0] },
+    { op: 'add', path: '/navigation', value: edited.navigation }
+  ])
+
+  const back = await (await as('alice', `/projects/${id}/diff?from=2&to=1`)).json()
+  assert.deepEqual(back.patch.map(operation => [operation.op, operation.path]), [['remove', '/navigation'], ['replace', '/name'], ['remove', '/screens/0/root/children/0']])
+  assert.equal((await as('alice', `/projects/${id}/diff?from=1&to=3`)).status, 400)
+})